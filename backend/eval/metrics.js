@@ -0,0 +1,246 @@
+// backend/eval/metrics.js - Score analyses against the golden corpus
+// Pure functions. A case's expected values come from its case.json; actual values are the
+// analysis result (formType, riskLevel, flaggedIssues, checkboxes).
+
+// A detected checkbox label this similar to an expected one is treated as the same box
+const MIN_LABEL_SIMILARITY = 0.6;
+// Metric changes smaller than this are noise, not regressions
+const REGRESSION_TOLERANCE = 0.001;
+
+const CHECKBOX_STATES = ['TICKED', 'CROSSED', 'EMPTY', 'NOT_APPLICABLE'];
+
+function labelTokens(label) {
+  return new Set(String(label || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function counts() {
+  return { tp: 0, fp: 0, fn: 0 };
+}
+
+function withRates(entry) {
+  return {
+    ...entry,
+    precision: ratio(entry.tp, entry.tp + entry.fp),
+    recall: ratio(entry.tp, entry.tp + entry.fn)
+  };
+}
+
+/**
+ * Pair expected checkboxes with detected ones by label (best similarity first).
+ * Returns { matched: [{ expected, detected }], missed: [expected], unexpected: [detected] }.
+ */
+function matchCheckboxes(expected = [], detected = []) {
+  const pairs = [];
+  expected.forEach((box, expectedIndex) => {
+    const tokens = labelTokens(box.label);
+    detected.forEach((candidate, detectedIndex) => {
+      const score = similarity(tokens, labelTokens(candidate.label));
+      if (score >= MIN_LABEL_SIMILARITY) pairs.push({ expectedIndex, detectedIndex, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const usedExpected = new Set();
+  const usedDetected = new Set();
+  const matched = [];
+  for (const pair of pairs) {
+    if (usedExpected.has(pair.expectedIndex) || usedDetected.has(pair.detectedIndex)) continue;
+    usedExpected.add(pair.expectedIndex);
+    usedDetected.add(pair.detectedIndex);
+    matched.push({ expected: expected[pair.expectedIndex], detected: detected[pair.detectedIndex] });
+  }
+
+  return {
+    matched,
+    missed: expected.filter((_, index) => !usedExpected.has(index)),
+    unexpected: detected.filter((_, index) => !usedDetected.has(index))
+  };
+}
+
+/**
+ * Score one case. expected: { formType, riskBand, hazards: [category], checkboxes: [{ label, state }] }.
+ * Hazards are compared as sets of flagged issue categories.
+ */
+function scoreCase(expected = {}, actual = {}) {
+  const expectedHazards = new Set(expected.hazards || []);
+  const actualHazards = new Set((actual.flaggedIssues || []).map(issue => issue.category).filter(Boolean));
+  const { matched, missed, unexpected } = matchCheckboxes(expected.checkboxes || [], actual.checkboxes || []);
+
+  return {
+    formType: {
+      expected: expected.formType || null,
+      actual: actual.formType || null,
+      correct: !expected.formType || expected.formType === actual.formType
+    },
+    riskBand: {
+      expected: expected.riskBand || null,
+      actual: actual.riskLevel || null,
+      correct: !expected.riskBand || expected.riskBand === actual.riskLevel
+    },
+    hazards: {
+      truePositives: [...expectedHazards].filter(category => actualHazards.has(category)),
+      falsePositives: [...actualHazards].filter(category => !expectedHazards.has(category)),
+      falseNegatives: [...expectedHazards].filter(category => !actualHazards.has(category))
+    },
+    checkboxes: [
+      ...matched.map(({ expected: box, detected }) => ({
+        label: box.label,
+        expectedState: box.state,
+        detectedLabel: detected.label,
+        detectedState: detected.state,
+        detected: true,
+        stateCorrect: detected.state === box.state
+      })),
+      ...missed.map(box => ({
+        label: box.label,
+        expectedState: box.state,
+        detectedLabel: null,
+        detectedState: null,
+        detected: false,
+        stateCorrect: false
+      }))
+    ],
+    unexpectedCheckboxes: unexpected.map(box => ({ label: box.label, state: box.state }))
+  };
+}
+
+/**
+ * Roll case scores up into the report: form type and risk band accuracy, precision/recall per
+ * hazard category, detection and state accuracy per checkbox label, precision/recall per state.
+ */
+function aggregate(scores = []) {
+  const hazards = {};
+  const hazardTotal = counts();
+  const hazardEntry = category => (hazards[category] = hazards[category] || counts());
+
+  const checkboxLabels = {};
+  const states = Object.fromEntries(CHECKBOX_STATES.map(state => [state, counts()]));
+  const stateEntry = state => (states[state] = states[state] || counts());
+  let expectedBoxes = 0;
+  let detectedBoxes = 0;
+  let correctStates = 0;
+  let unexpectedBoxes = 0;
+
+  for (const score of scores) {
+    score.hazards.truePositives.forEach(category => { hazardEntry(category).tp++; hazardTotal.tp++; });
+    score.hazards.falsePositives.forEach(category => { hazardEntry(category).fp++; hazardTotal.fp++; });
+    score.hazards.falseNegatives.forEach(category => { hazardEntry(category).fn++; hazardTotal.fn++; });
+
+    for (const box of score.checkboxes) {
+      const entry = checkboxLabels[box.label] = checkboxLabels[box.label] || { cases: 0, detected: 0, stateCorrect: 0 };
+      entry.cases++;
+      expectedBoxes++;
+      if (box.detected) {
+        entry.detected++;
+        detectedBoxes++;
+      }
+      if (box.stateCorrect) {
+        entry.stateCorrect++;
+        correctStates++;
+        stateEntry(box.expectedState).tp++;
+      } else {
+        stateEntry(box.expectedState).fn++;
+        if (box.detectedState) stateEntry(box.detectedState).fp++;
+      }
+    }
+    score.unexpectedCheckboxes.forEach(box => {
+      unexpectedBoxes++;
+      if (box.state) stateEntry(box.state).fp++;
+    });
+  }
+
+  return {
+    cases: scores.length,
+    formTypeAccuracy: ratio(scores.filter(score => score.formType.correct).length, scores.length),
+    riskBandAccuracy: ratio(scores.filter(score => score.riskBand.correct).length, scores.length),
+    hazards: {
+      overall: withRates(hazardTotal),
+      categories: Object.fromEntries(Object.keys(hazards).sort().map(category => [category, withRates(hazards[category])]))
+    },
+    checkboxes: {
+      expected: expectedBoxes,
+      detectionRecall: ratio(detectedBoxes, expectedBoxes),
+      detectionPrecision: ratio(detectedBoxes, detectedBoxes + unexpectedBoxes),
+      stateAccuracy: ratio(correctStates, expectedBoxes),
+      unexpected: unexpectedBoxes,
+      labels: Object.fromEntries(Object.keys(checkboxLabels).sort().map(label => {
+        const entry = checkboxLabels[label];
+        return [label, {
+          ...entry,
+          detectionRate: ratio(entry.detected, entry.cases),
+          stateAccuracy: ratio(entry.stateCorrect, entry.cases)
+        }];
+      })),
+      states: Object.fromEntries(Object.keys(states).map(state => [state, withRates(states[state])]))
+    }
+  };
+}
+
+// Every comparable metric in a summary as { 'path.to.metric': value }
+function flattenMetrics(summary) {
+  const metrics = {
+    formTypeAccuracy: summary.formTypeAccuracy,
+    riskBandAccuracy: summary.riskBandAccuracy,
+    'hazards.precision': summary.hazards.overall.precision,
+    'hazards.recall': summary.hazards.overall.recall,
+    'checkboxes.detectionRecall': summary.checkboxes.detectionRecall,
+    'checkboxes.detectionPrecision': summary.checkboxes.detectionPrecision,
+    'checkboxes.stateAccuracy': summary.checkboxes.stateAccuracy
+  };
+  Object.entries(summary.hazards.categories).forEach(([category, entry]) => {
+    metrics[`hazards.${category}.precision`] = entry.precision;
+    metrics[`hazards.${category}.recall`] = entry.recall;
+  });
+  Object.entries(summary.checkboxes.labels).forEach(([label, entry]) => {
+    metrics[`checkboxes.${label}.stateAccuracy`] = entry.stateAccuracy;
+  });
+  Object.entries(summary.checkboxes.states).forEach(([state, entry]) => {
+    metrics[`checkboxes.${state}.precision`] = entry.precision;
+    metrics[`checkboxes.${state}.recall`] = entry.recall;
+  });
+  return metrics;
+}
+
+/**
+ * Compare a summary with a baseline run's. Returns { changes: [{ metric, baseline, current, delta }],
+ * regressions } where regressions are the changes that got worse. Metrics missing on either
+ * side (a category neither run saw) are skipped.
+ */
+function compare(summary, baselineSummary) {
+  const current = flattenMetrics(summary);
+  const baseline = flattenMetrics(baselineSummary);
+  const changes = [];
+
+  Object.keys({ ...baseline, ...current }).forEach(metric => {
+    const before = baseline[metric];
+    const after = current[metric];
+    if (typeof before !== 'number' || typeof after !== 'number') return;
+    const delta = Math.round((after - before) * 1000) / 1000;
+    if (Math.abs(delta) > REGRESSION_TOLERANCE) {
+      changes.push({ metric, baseline: before, current: after, delta });
+    }
+  });
+
+  return {
+    changes,
+    regressions: changes.filter(change => change.delta < 0)
+  };
+}
+
+module.exports = {
+  matchCheckboxes,
+  scoreCase,
+  aggregate,
+  compare
+};
@@ -0,0 +1,53 @@
+// backend/eval/replay.js - Recorded OCR and AI responses for offline evaluation runs
+// vision.json holds a Google Vision textDetection response (or a list of them, one per page of a
+// multi-page document); ai.json holds a model's reply as
+// { provider, model, response } (parsed JSON) or { provider, model, text } (raw text, e.g. fenced).
+
+const REPLAY_PROVIDER = 'eval_replay';
+
+// Stands in for the Vision ImageAnnotatorClient: requests get the recorded responses in order
+function createReplayVisionClient(recording) {
+  const responses = Array.isArray(recording) ? recording : [recording];
+  let calls = 0;
+  return {
+    textDetection: async () => [responses[Math.min(calls++, responses.length - 1)]]
+  };
+}
+
+// AI provider (see src/services/ai/providers/providerRegistry.js) answering with the current case's recording
+class ReplayProvider {
+  constructor() {
+    this.name = REPLAY_PROVIDER;
+    this.label = 'Evaluation replay';
+    this.capabilities = { jsonMode: true, offline: true, dataStaysOnSite: true };
+    this.timeoutMs = 5000;
+    this.cost = null;
+    this.recording = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  load(recording) {
+    this.recording = recording;
+  }
+
+  async complete() {
+    if (!this.recording) {
+      throw new Error('No recorded AI response loaded');
+    }
+    const { model = null, text, response } = this.recording;
+    return {
+      text: text !== undefined ? text : JSON.stringify(response),
+      model,
+      usage: null
+    };
+  }
+}
+
+module.exports = {
+  REPLAY_PROVIDER,
+  createReplayVisionClient,
+  ReplayProvider
+};
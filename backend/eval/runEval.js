@@ -0,0 +1,212 @@
+// backend/eval/runEval.js - Run the golden corpus through OCR and analysis and score the results
+// Fully offline: Vision and the AI provider answer from each case's recordings, and the database
+// is pointed at a closed port so built-in risk rules, matrix and templates are used.
+//
+//   node eval/runEval.js [--corpus dir] [--case name] [--out report.json]
+//                        [--baseline report.json] [--fail-on-regression] [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+
+// Must be set before the services are loaded
+process.env.DATABASE_URL = 'postgres://eval@127.0.0.1:1/eval';
+process.env.TESSERACT_ENABLED = 'false';
+process.env.AI_PROVIDER_ORDER = 'eval_replay';
+process.env.PROVIDER_RECORDING = 'off';
+['GOOGLE_APPLICATION_CREDENTIALS', 'GOOGLE_CLOUD_PROJECT', 'GOOGLE_API_KEY', 'DEEPSEEK_API_KEY', 'OPENAI_API_KEY', 'LOCAL_LLM_BASE_URL']
+  .forEach(name => { delete process.env[name]; });
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : null;
+};
+const flag = name => args.includes(`--${name}`);
+
+const logger = require('../src/services/utils/logger');
+// Without a database every service logs its fallback; failures still show in the case results
+if (!flag('verbose')) {
+  logger.info = () => {};
+  logger.warn = () => {};
+  logger.error = () => {};
+}
+
+const formPipeline = require('../src/services/forms/formPipeline');
+const ocrService = require('../src/services/ocr/ocrService');
+const aiAnalysisService = require('../src/services/ai/aiAnalysisService');
+const { createReplayVisionClient, ReplayProvider } = require('./replay');
+const { scoreCase, aggregate, compare } = require('./metrics');
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.pdf': 'application/pdf'
+};
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+function loadCases(corpusDir, only) {
+  return fs.readdirSync(corpusDir)
+    .filter(name => fs.existsSync(path.join(corpusDir, name, 'case.json')))
+    .filter(name => !only || name === only)
+    .sort()
+    .map(name => {
+      const dir = path.join(corpusDir, name);
+      const definition = readJson(path.join(dir, 'case.json'));
+      return {
+        id: name,
+        dir,
+        ...definition,
+        image: path.join(dir, definition.image || 'form.png'),
+        vision: readJson(path.join(dir, 'vision.json')),
+        ai: readJson(path.join(dir, 'ai.json'))
+      };
+    });
+}
+
+// The pipeline's OCR and analysis stages, without a job or database writes
+async function runCase(testCase, replayProvider) {
+  ocrService.visionClient = createReplayVisionClient(testCase.vision);
+  replayProvider.load(testCase.ai);
+
+  const context = { progress: async () => {}, isFinalAttempt: true };
+  const file = {
+    buffer: fs.readFileSync(testCase.image),
+    mimetype: MIME_TYPES[path.extname(testCase.image).toLowerCase()] || 'application/octet-stream',
+    originalname: path.basename(testCase.image)
+  };
+
+  const { ocrResult } = await formPipeline.runOCR(file, context, { captureMethod: testCase.captureMethod });
+  const { analysisResult } = await formPipeline.runAnalysis(ocrResult, context, { captureMethod: testCase.captureMethod });
+  return analysisResult;
+}
+
+const percent = value => (value === null || value === undefined ? '   -' : `${Math.round(value * 100)}%`.padStart(4));
+
+function printCase(result) {
+  if (result.error) {
+    console.log(`✗ ${result.id}: ${result.error}`);
+    return;
+  }
+  const { score } = result;
+  const ok = value => (value ? '✓' : '✗');
+  const boxesCorrect = score.checkboxes.filter(box => box.stateCorrect).length;
+  console.log(`${result.id}`);
+  console.log(`  form type ${ok(score.formType.correct)} ${score.formType.actual} (expected ${score.formType.expected})` +
+    `   risk band ${ok(score.riskBand.correct)} ${score.riskBand.actual} (expected ${score.riskBand.expected})`);
+  console.log(`  hazards   found ${score.hazards.truePositives.join(', ') || '-'}` +
+    ` | extra ${score.hazards.falsePositives.join(', ') || '-'} | missed ${score.hazards.falseNegatives.join(', ') || '-'}`);
+  console.log(`  checkboxes ${boxesCorrect}/${score.checkboxes.length} read correctly, ${score.unexpectedCheckboxes.length} unexpected`);
+  score.checkboxes.filter(box => !box.stateCorrect).forEach(box => {
+    console.log(`    "${box.label}" expected ${box.expectedState}, got ${box.detectedState || 'not detected'}`);
+  });
+}
+
+function printSummary(summary) {
+  console.log(`\nCases: ${summary.cases}   form type accuracy ${percent(summary.formTypeAccuracy)}   risk band accuracy ${percent(summary.riskBandAccuracy)}`);
+
+  console.log('\nHazard category        TP  FP  FN  precision  recall');
+  const hazardRow = (name, entry) => console.log(
+    `${name.padEnd(22)} ${String(entry.tp).padStart(3)} ${String(entry.fp).padStart(3)} ${String(entry.fn).padStart(3)}` +
+    `       ${percent(entry.precision)}    ${percent(entry.recall)}`
+  );
+  Object.entries(summary.hazards.categories).forEach(([category, entry]) => hazardRow(category, entry));
+  hazardRow('(all)', summary.hazards.overall);
+
+  console.log('\nCheckbox                         cases  detected  state correct');
+  Object.entries(summary.checkboxes.labels).forEach(([label, entry]) => console.log(
+    `${label.padEnd(32)} ${String(entry.cases).padStart(5)}      ${percent(entry.detectionRate)}           ${percent(entry.stateAccuracy)}`
+  ));
+  console.log(`detection recall ${percent(summary.checkboxes.detectionRecall)}   precision ${percent(summary.checkboxes.detectionPrecision)}` +
+    ` (${summary.checkboxes.unexpected} unexpected)   state accuracy ${percent(summary.checkboxes.stateAccuracy)}`);
+
+  console.log('\nCheckbox state          TP  FP  FN  precision  recall');
+  Object.entries(summary.checkboxes.states).forEach(([state, entry]) => hazardRow(state, entry));
+}
+
+function printComparison(comparison, baselinePath) {
+  console.log(`\nCompared with ${baselinePath}:`);
+  if (comparison.changes.length === 0) {
+    console.log('  no changes');
+    return;
+  }
+  comparison.changes.forEach(change => {
+    const sign = change.delta > 0 ? '+' : '';
+    console.log(`  ${change.delta < 0 ? '▼' : '▲'} ${change.metric}: ${percent(change.baseline)} -> ${percent(change.current)} (${sign}${Math.round(change.delta * 100)} pts)`);
+  });
+}
+
+async function main() {
+  const corpusDir = path.resolve(option('corpus') || path.join(__dirname, 'corpus'));
+  const cases = loadCases(corpusDir, option('case'));
+  if (cases.length === 0) {
+    console.error(`No cases found in ${corpusDir}`);
+    return 1;
+  }
+
+  const replayProvider = aiAnalysisService.registerProvider(new ReplayProvider());
+
+  const results = [];
+  for (const testCase of cases) {
+    try {
+      const analysis = await runCase(testCase, replayProvider);
+      results.push({
+        id: testCase.id,
+        description: testCase.description,
+        recordedProvider: { provider: testCase.ai.provider || null, model: testCase.ai.model || null },
+        score: scoreCase(testCase.expected, analysis),
+        riskScore: analysis.riskScore,
+        riskTrace: analysis.riskTrace || null
+      });
+    } catch (error) {
+      results.push({ id: testCase.id, description: testCase.description, error: error.message });
+    }
+    printCase(results[results.length - 1]);
+  }
+
+  const summary = aggregate(results.filter(result => result.score).map(result => result.score));
+  printSummary(summary);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    corpus: path.relative(process.cwd(), corpusDir) || '.',
+    cases: results,
+    summary
+  };
+
+  let regressions = [];
+  const baselinePath = option('baseline');
+  if (baselinePath) {
+    const comparison = compare(summary, readJson(baselinePath).summary);
+    report.comparison = { baseline: baselinePath, ...comparison };
+    regressions = comparison.regressions;
+    printComparison(comparison, baselinePath);
+  }
+
+  const outPath = option('out');
+  if (outPath) {
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2) + '\n');
+    console.log(`\nReport written to ${outPath}`);
+  }
+
+  const failed = results.filter(result => result.error).length;
+  if (failed > 0) {
+    console.error(`\n${failed} case(s) failed to run`);
+    return 1;
+  }
+  if (flag('fail-on-regression') && regressions.length > 0) {
+    console.error(`\n${regressions.length} metric(s) regressed`);
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Evaluation failed:', error);
+    process.exit(1);
+  });
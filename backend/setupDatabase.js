@@ -6,6 +6,10 @@
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const defaultTemplates = require('./src/services/templates/defaultTemplates');
+const { validateDefinition } = require('./src/services/templates/templateExtractor');
+const defaultRiskRules = require('./src/services/risk/defaultRiskRules');
+const { validateRule } = require('./src/services/risk/riskRulesEngine');
 
 // Database schema SQL
 const SCHEMA_SQL = `
@@ -152,6 +156,403 @@ BEGIN
     END IF;
 END $$;
 
+-- Application users and role-based access
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'WORKER'
+        CHECK (role IN ('WORKER', 'SUPERVISOR', 'ADMIN', 'SUPER_ADMIN')),
+    site VARCHAR(200),
+    password_hash VARCHAR(255) NOT NULL,
+    active BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Refresh tokens (stored hashed, rotated on every refresh)
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(128) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    replaced_by UUID REFERENCES auth_refresh_tokens(id),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Link sessions and forms to the authenticated user and their site
+ALTER TABLE processing_sessions ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS site VARCHAR(200);
+ALTER TABLE forms_audit_log ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id);
+
+-- Supervisor review workflow
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS review_status VARCHAR(30) DEFAULT 'NOT_REQUIRED';
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS review_claimed_by UUID REFERENCES users(id);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS review_claimed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+-- Hazard close-out
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS resolved BOOLEAN DEFAULT FALSE;
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES users(id);
+
+-- Corrective actions raised from identified hazards
+CREATE TABLE IF NOT EXISTS corrective_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    form_hazard_id UUID UNIQUE REFERENCES form_hazards(id) ON DELETE CASCADE,
+    form_processing_id UUID REFERENCES forms_processing(id),
+    site VARCHAR(200),
+    
+    title VARCHAR(500) NOT NULL,
+    description TEXT,
+    severity_level INTEGER,
+    status VARCHAR(30) NOT NULL DEFAULT 'OPEN'
+        CHECK (status IN ('OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION', 'CLOSED', 'CANCELLED')),
+    
+    owner_id UUID REFERENCES users(id),
+    created_by UUID REFERENCES users(id),
+    due_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    
+    -- Close-out
+    completed_at TIMESTAMP WITH TIME ZONE,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    closed_by UUID REFERENCES users(id),
+    closure_notes TEXT,
+    overdue_notified_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS corrective_action_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    action_id UUID NOT NULL REFERENCES corrective_actions(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id),
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS corrective_action_evidence (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    action_id UUID NOT NULL REFERENCES corrective_actions(id) ON DELETE CASCADE,
+    uploaded_by UUID REFERENCES users(id),
+    original_filename VARCHAR(500),
+    mime_type VARCHAR(100),
+    file_size_bytes INTEGER,
+    content BYTEA,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Background processing jobs (OCR + AI analysis run outside the HTTP request)
+CREATE TABLE IF NOT EXISTS processing_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED'
+        CHECK (status IN ('QUEUED', 'PROCESSING', 'RETRYING', 'COMPLETED', 'FAILED')),
+    priority INTEGER DEFAULT 0,
+    
+    -- Progress
+    stage VARCHAR(50) DEFAULT 'queued',
+    progress INTEGER DEFAULT 0,
+    
+    -- Retry handling
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    locked_by VARCHAR(100),
+    last_error TEXT,
+    
+    -- Input and output
+    payload JSONB,
+    input_file BYTEA,
+    input_filename VARCHAR(500),
+    input_mime_type VARCHAR(100),
+    input_size_bytes INTEGER,
+    result JSONB,
+    
+    form_processing_id UUID REFERENCES forms_processing(id),
+    session_id UUID REFERENCES processing_sessions(id),
+    user_id UUID REFERENCES users(id),
+    site VARCHAR(200),
+    
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Stage-by-stage progress events, replayed to Server-Sent Events clients
+CREATE TABLE IF NOT EXISTS processing_job_events (
+    id BIGSERIAL PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES processing_jobs(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL,
+    stage VARCHAR(50),
+    progress INTEGER,
+    message TEXT,
+    data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Multi-page documents (PDF / TIFF): per-page text source, provider and confidence
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS page_count INTEGER DEFAULT 1;
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS ocr_pages JSONB;
+
+-- Content-addressed file storage (objects keyed by SHA-256 in the configured storage driver)
+CREATE TABLE IF NOT EXISTS stored_files (
+    sha256 CHAR(64) PRIMARY KEY,
+    storage_driver VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100),
+    size_bytes BIGINT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Original upload and preprocessed page images kept for each form
+CREATE TABLE IF NOT EXISTS form_files (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    form_processing_id UUID REFERENCES forms_processing(id) ON DELETE CASCADE,
+    file_sha256 CHAR(64) NOT NULL REFERENCES stored_files(sha256),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('ORIGINAL', 'PREPROCESSED')),
+    page_number INTEGER,
+    original_filename VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS original_sha256 CHAR(64);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS duplicate_of_form_id UUID REFERENCES forms_processing(id);
+
+-- Versioned form templates (sections, fields, checklist items, detection anchors)
+CREATE TABLE IF NOT EXISTS form_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_key VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    form_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    definition JSONB NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(template_key, version)
+);
+
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES form_templates(id);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS extracted_fields JSONB;
+
+-- Admin-editable runtime settings (e.g. ai.provider_order)
+CREATE TABLE IF NOT EXISTS system_config (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key VARCHAR(100) UNIQUE NOT NULL,
+    value JSONB NOT NULL,
+    description TEXT,
+    updated_by UUID REFERENCES users(id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per AI provider call: schema validation outcome, repairs, latency and cost
+CREATE TABLE IF NOT EXISTS ai_provider_calls (
+    id BIGSERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('VALID', 'REPAIRED', 'INVALID', 'ERROR')),
+    attempts INTEGER DEFAULT 1,
+    validation_issues JSONB,
+    error_message TEXT,
+    latency_ms INTEGER,
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    estimated_cost NUMERIC(12, 6),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Versioned risk escalation rules (condition, points, severity, applicable form types)
+CREATE TABLE IF NOT EXISTS risk_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rule_key VARCHAR(60) NOT NULL,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    severity VARCHAR(20) NOT NULL CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
+    points INTEGER NOT NULL,
+    form_types TEXT[] DEFAULT '{}',
+    definition JSONB NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(rule_key, version)
+);
+
+-- Which rules (and versions) produced each form's risk score
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS risk_trace JSONB;
+
+-- Per-hazard 5x5 matrix ratings before (inherent) and after (residual) controls
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS inherent_consequence SMALLINT CHECK (inherent_consequence BETWEEN 1 AND 5);
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS inherent_likelihood SMALLINT CHECK (inherent_likelihood BETWEEN 1 AND 5);
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS inherent_risk_level VARCHAR(20);
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS residual_consequence SMALLINT CHECK (residual_consequence BETWEEN 1 AND 5);
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS residual_likelihood SMALLINT CHECK (residual_likelihood BETWEEN 1 AND 5);
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS residual_risk_level VARCHAR(20);
+
+-- Each hazard's controls classified against the hierarchy of controls
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS control_measures JSONB DEFAULT '[]';
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS additional_controls JSONB DEFAULT '[]';
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS highest_control_level VARCHAR(20);
+ALTER TABLE form_hazards ADD COLUMN IF NOT EXISTS lower_order_controls_only BOOLEAN DEFAULT FALSE;
+
+-- Full-text search over what we captured (see services/search/formSearchService.js)
+-- Summary, work location and activity weigh most, then the flagged hazards, then the raw OCR text
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english',
+        coalesce(ai_analysis_result->>'summary', '') || ' ' ||
+        coalesce(ai_analysis_result->>'workLocation', '') || ' ' ||
+        coalesce(ai_analysis_result->>'workActivity', '') || ' ' ||
+        coalesce(site, '')), 'A') ||
+    setweight(jsonb_to_tsvector('english', coalesce(ai_analysis_result->'flaggedIssues', '[]'::jsonb), '["string"]'), 'B') ||
+    setweight(to_tsvector('english', coalesce(extracted_text, '')), 'C')
+) STORED;
+
+-- Site management (see services/sites/): geofence radius around coordinates (POINT(longitude, latitude)),
+-- other names the site goes by on forms, and archiving instead of deletion so forms keep their site
+ALTER TABLE processing_locations ADD COLUMN IF NOT EXISTS geofence_radius_m INTEGER DEFAULT 500;
+ALTER TABLE processing_locations ADD COLUMN IF NOT EXISTS aliases TEXT[] DEFAULT '{}';
+ALTER TABLE processing_locations ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT TRUE;
+-- DECIMAL(3,2) could not hold an average of 10
+ALTER TABLE processing_locations ALTER COLUMN average_risk_score TYPE DECIMAL(4,2);
+-- How the form was placed on its site (geofence distance or the matched work location text)
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS location_match JSONB;
+
+-- Queued submissions from the mobile app: the device's submission id makes upload retries
+-- idempotent, and created_at is the capture time on the device rather than when it synced
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS client_submission_id VARCHAR(100);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Near-duplicate detection: perceptual hash of the form image and what the check matched
+-- (see services/duplicates/)
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS image_hash CHAR(16);
+ALTER TABLE forms_processing ADD COLUMN IF NOT EXISTS duplicate_check JSONB;
+
+-- Responses to requests sent with an Idempotency-Key header, replayed when the client retries
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path VARCHAR(500) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'IN_PROGRESS'
+        CHECK (status IN ('IN_PROGRESS', 'COMPLETED')),
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Analyses from /analyze waiting for the user to confirm them. /confirm references the draft by id,
+-- so the extracted text and machine analysis the form is saved from never round-trip via the client
+CREATE TABLE IF NOT EXISTS analysis_drafts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES processing_sessions(id),
+    session_token VARCHAR(255),
+    job_id UUID REFERENCES processing_jobs(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'CONFIRMING', 'CONFIRMED')),
+    extracted_text TEXT NOT NULL,
+    ocr_result JSONB NOT NULL,
+    original_analysis JSONB NOT NULL,
+    file_info JSONB,
+    location JSONB,
+    form_processing_id UUID REFERENCES forms_processing(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Bulk and Smart Batch uploads (see services/batches/). Items are analysed server-side, a few at a
+-- time; in BATCH mode flagged items wait for review while the rest are saved
+CREATE TABLE IF NOT EXISTS form_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    site VARCHAR(200),
+    session_id UUID REFERENCES processing_sessions(id),
+    session_token VARCHAR(255),
+    mode VARCHAR(20) NOT NULL CHECK (mode IN ('BULK', 'BATCH')),
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN'
+        CHECK (status IN ('OPEN', 'PROCESSING', 'NEEDS_REVIEW', 'COMPLETED')),
+    max_concurrent INTEGER NOT NULL DEFAULT 2,
+    job_id UUID REFERENCES processing_jobs(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS form_batch_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID NOT NULL REFERENCES form_batches(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    original_filename VARCHAR(255),
+    mime_type VARCHAR(100),
+    file_size_bytes INTEGER,
+    file_sha256 CHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED'
+        CHECK (status IN ('QUEUED', 'PROCESSING', 'NEEDS_REVIEW', 'SAVED', 'SKIPPED', 'FAILED')),
+    draft_id UUID REFERENCES analysis_drafts(id) ON DELETE SET NULL,
+    form_processing_id UUID REFERENCES forms_processing(id),
+    form_type VARCHAR(50),
+    risk_level VARCHAR(20),
+    risk_score INTEGER,
+    review_reasons JSONB NOT NULL DEFAULT '[]',
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Same width as forms_processing.site, which batch forms are saved with
+ALTER TABLE form_batches ALTER COLUMN site TYPE VARCHAR(200);
+
+-- The job run (job id and attempt) analysing an item, so only items of a run that died are taken again
+ALTER TABLE form_batch_items ADD COLUMN IF NOT EXISTS run_job_id UUID REFERENCES processing_jobs(id) ON DELETE SET NULL;
+ALTER TABLE form_batch_items ADD COLUMN IF NOT EXISTS run_attempt INTEGER;
+
+-- What reviewers changed when confirming each analysis, for provider accuracy and prompt examples
+-- (see services/corrections/)
+CREATE TABLE IF NOT EXISTS analysis_corrections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    form_processing_id UUID REFERENCES forms_processing(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id),
+    ai_provider VARCHAR(50) NOT NULL,
+    ai_model VARCHAR(100),
+    ocr_provider VARCHAR(50),
+    original_form_type VARCHAR(50),
+    corrected_form_type VARCHAR(50),
+    original_risk_score INTEGER,
+    corrected_risk_score INTEGER,
+    original_risk_level VARCHAR(20),
+    corrected_risk_level VARCHAR(20),
+    original_issue_count INTEGER DEFAULT 0,
+    issues_added JSONB DEFAULT '[]',
+    issues_removed JSONB DEFAULT '[]',
+    issues_changed JSONB DEFAULT '[]',
+    ocr_word_corrections INTEGER DEFAULT 0,
+    has_changes BOOLEAN DEFAULT FALSE,
+    text_keywords TEXT[] DEFAULT '{}',
+    text_excerpt TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Performance optimization indexes
 CREATE INDEX IF NOT EXISTS idx_forms_processing_session ON forms_processing(session_id);
 CREATE INDEX IF NOT EXISTS idx_forms_processing_risk_level ON forms_processing(risk_level);
@@ -162,11 +563,50 @@ CREATE INDEX IF NOT EXISTS idx_forms_processing_status ON forms_processing(proce
 CREATE INDEX IF NOT EXISTS idx_form_hazards_form_id ON form_hazards(form_processing_id);
 CREATE INDEX IF NOT EXISTS idx_form_hazards_severity ON form_hazards(severity_level);
 CREATE INDEX IF NOT EXISTS idx_form_hazards_type ON form_hazards(hazard_type);
+CREATE INDEX IF NOT EXISTS idx_form_hazards_control_level ON form_hazards(highest_control_level);
+CREATE INDEX IF NOT EXISTS idx_forms_processing_search ON forms_processing USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_forms_processing_location ON forms_processing(location_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_processing_locations_site_code ON processing_locations(site_code);
+CREATE INDEX IF NOT EXISTS idx_analysis_corrections_provider ON analysis_corrections(ai_provider, created_at);
+CREATE INDEX IF NOT EXISTS idx_analysis_corrections_keywords ON analysis_corrections USING GIN (text_keywords) WHERE has_changes;
 
 CREATE INDEX IF NOT EXISTS idx_audit_log_form_id ON forms_audit_log(form_processing_id);
 CREATE INDEX IF NOT EXISTS idx_audit_log_event_type ON forms_audit_log(event_type);
 CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON forms_audit_log(event_timestamp);
 
+CREATE INDEX IF NOT EXISTS idx_forms_processing_user ON forms_processing(user_id);
+CREATE INDEX IF NOT EXISTS idx_forms_processing_site ON forms_processing(site);
+CREATE INDEX IF NOT EXISTS idx_forms_processing_review ON forms_processing(review_status, risk_score DESC, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON auth_refresh_tokens(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_corrective_actions_site_status ON corrective_actions(site, status);
+CREATE INDEX IF NOT EXISTS idx_corrective_actions_owner ON corrective_actions(owner_id);
+CREATE INDEX IF NOT EXISTS idx_corrective_actions_due ON corrective_actions(due_date) WHERE status NOT IN ('CLOSED', 'CANCELLED');
+CREATE INDEX IF NOT EXISTS idx_action_comments_action ON corrective_action_comments(action_id);
+CREATE INDEX IF NOT EXISTS idx_action_evidence_action ON corrective_action_evidence(action_id);
+
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_claim ON processing_jobs(status, run_at) WHERE status IN ('QUEUED', 'RETRYING', 'PROCESSING');
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_user ON processing_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_processing_job_events_job ON processing_job_events(job_id, id);
+
+CREATE INDEX IF NOT EXISTS idx_forms_processing_original_sha256 ON forms_processing(original_sha256);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_forms_processing_client_submission ON forms_processing(user_id, client_submission_id) WHERE client_submission_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_forms_processing_site_created ON forms_processing(site, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_keys_user_key ON idempotency_keys(user_id, idempotency_key);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+CREATE INDEX IF NOT EXISTS idx_analysis_drafts_user ON analysis_drafts(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_form_batches_user ON form_batches(user_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_batch_items_position ON form_batch_items(batch_id, position);
+CREATE INDEX IF NOT EXISTS idx_form_batch_items_draft ON form_batch_items(draft_id);
+CREATE INDEX IF NOT EXISTS idx_form_files_form ON form_files(form_processing_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_files_unique ON form_files(form_processing_id, kind, COALESCE(page_number, 0));
+
+CREATE INDEX IF NOT EXISTS idx_form_templates_active ON form_templates(template_key, version DESC) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_forms_processing_template ON forms_processing(template_id);
+CREATE INDEX IF NOT EXISTS idx_ai_provider_calls_provider ON ai_provider_calls(provider, created_at);
+CREATE INDEX IF NOT EXISTS idx_risk_rules_active ON risk_rules(rule_key, version DESC) WHERE is_active = true;
+
 CREATE INDEX IF NOT EXISTS idx_sessions_token ON processing_sessions(session_token);
 CREATE INDEX IF NOT EXISTS idx_sessions_start_time ON processing_sessions(start_time);
 
@@ -194,6 +634,21 @@ CREATE TRIGGER update_processing_locations_updated_at
     BEFORE UPDATE ON processing_locations 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at 
+    BEFORE UPDATE ON users 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_corrective_actions_updated_at ON corrective_actions;
+CREATE TRIGGER update_corrective_actions_updated_at 
+    BEFORE UPDATE ON corrective_actions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_processing_jobs_updated_at ON processing_jobs;
+CREATE TRIGGER update_processing_jobs_updated_at 
+    BEFORE UPDATE ON processing_jobs 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Sample views for common analytics queries
 CREATE OR REPLACE VIEW high_risk_forms_summary AS
 SELECT 
@@ -260,6 +715,46 @@ async function setupDatabase() {
         await pool.query(SCHEMA_SQL);
         console.log('✅ Schema deployed successfully!');
 
+        // Seed the starter form templates (existing keys are left alone)
+        console.log('\n📝 Seeding default form templates...');
+        for (const template of defaultTemplates) {
+            const definition = validateDefinition(template);
+            const seeded = await pool.query(`
+                INSERT INTO form_templates (template_key, version, name, form_type, description, definition)
+                SELECT $1::varchar, 1, $2, $3, $4, $5::jsonb
+                WHERE NOT EXISTS (SELECT 1 FROM form_templates WHERE template_key = $1::varchar)
+                RETURNING id
+            `, [
+                definition.key,
+                definition.name,
+                definition.formType,
+                definition.description,
+                JSON.stringify({ detection: definition.detection, sections: definition.sections })
+            ]);
+            console.log(`   ${seeded.rows.length ? '✓ Added' : '• Kept existing'} ${definition.key}`);
+        }
+
+        // Seed the default risk escalation rules (existing keys are left alone)
+        console.log('\n⚖️  Seeding default risk rules...');
+        for (const rule of defaultRiskRules) {
+            const validated = validateRule(rule);
+            const seeded = await pool.query(`
+                INSERT INTO risk_rules (rule_key, version, name, description, severity, points, form_types, definition)
+                SELECT $1::varchar, 1, $2, $3, $4, $5, $6::text[], $7::jsonb
+                WHERE NOT EXISTS (SELECT 1 FROM risk_rules WHERE rule_key = $1::varchar)
+                RETURNING id
+            `, [
+                validated.key,
+                validated.name,
+                validated.description,
+                validated.severity,
+                validated.points,
+                validated.formTypes,
+                JSON.stringify(validated.definition)
+            ]);
+            console.log(`   ${seeded.rows.length ? '✓ Added' : '• Kept existing'} ${validated.key}`);
+        }
+
         // Verify installation
         console.log('\n🔬 Verifying installation...');
         const verification = await pool.query(`
@@ -268,7 +763,7 @@ async function setupDatabase() {
                 (SELECT COUNT(*) FROM information_schema.columns WHERE table_name = t.table_name) as column_count
             FROM information_schema.tables t
             WHERE table_schema = 'public' 
-            AND table_name IN ('processing_sessions', 'forms_processing', 'form_hazards', 'forms_audit_log', 'processing_locations')
+            AND table_name IN ('processing_sessions', 'forms_processing', 'form_hazards', 'forms_audit_log', 'processing_locations', 'users', 'auth_refresh_tokens', 'corrective_actions', 'processing_jobs', 'stored_files', 'form_files', 'form_templates', 'system_config', 'ai_provider_calls', 'risk_rules', 'analysis_corrections')
             ORDER BY table_name
         `);
 
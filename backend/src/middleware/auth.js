@@ -0,0 +1,131 @@
+// Authentication & Authorization Middleware
+// Verifies JWT access tokens and enforces per-role permissions and data scope
+
+const authService = require('../services/auth/authService');
+const logger = require('../services/utils/logger');
+
+// Permissions granted to each role (ADMIN and SUPER_ADMIN inherit everything)
+const ROLE_PERMISSIONS = {
+    WORKER: [
+        'forms:submit',
+        'forms:read',
+        'analytics:read',
+        'actions:read',
+        'actions:update',
+        'templates:read',
+        'sites:read'
+    ],
+    SUPERVISOR: [
+        'forms:submit',
+        'forms:read',
+        'forms:review',
+        'analytics:read',
+        'actions:read',
+        'actions:update',
+        'actions:manage',
+        'templates:read',
+        'risk_rules:read',
+        'sites:read'
+    ],
+    ADMIN: ['*'],
+    SUPER_ADMIN: ['*']
+};
+
+function hasPermission(user, permission) {
+    const granted = ROLE_PERMISSIONS[user?.role] || [];
+    return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * Data scope for the user's role:
+ * workers see only their own forms, supervisors their site, admins everything.
+ */
+function getFormScope(user) {
+    if (!user) return { userId: '00000000-0000-0000-0000-000000000000' };
+
+    switch (user.role) {
+        case 'ADMIN':
+        case 'SUPER_ADMIN':
+            return {};
+        case 'SUPERVISOR':
+            // A supervisor without a site assignment falls back to their own forms
+            return user.site ? { site: user.site } : { userId: user.id };
+        default:
+            return { userId: user.id };
+    }
+}
+
+function canAccessForm(user, form) {
+    if (!user || !form) return false;
+
+    const scope = getFormScope(user);
+    if (scope.userId) return form.user_id === scope.userId;
+    if (scope.site) return form.site === scope.site;
+    return true;
+}
+
+function extractBearerToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return null;
+}
+
+// Requires a valid access token and attaches req.user / req.formScope
+function authenticate(req, res, next) {
+    const token = extractBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            message: 'Provide a Bearer access token in the Authorization header'
+        });
+    }
+
+    try {
+        req.user = authService.verifyAccessToken(token);
+        req.formScope = getFormScope(req.user);
+        next();
+    } catch (error) {
+        logger.debug('Access token rejected:', error.message);
+        res.status(error.status || 401).json({
+            error: error.message
+        });
+    }
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.user, permission)) {
+            logger.warn(`Permission denied: ${req.user?.id} (${req.user?.role}) lacks ${permission}`);
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                required: permission
+            });
+        }
+        next();
+    };
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                requiredRoles: roles
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    authenticate,
+    requirePermission,
+    requireRole,
+    hasPermission,
+    getFormScope,
+    canAccessForm
+};
@@ -0,0 +1,91 @@
+// Idempotency Middleware
+// Requests sent with an Idempotency-Key header are processed once per user and key: a retry of the
+// same request gets the stored response back (with Idempotent-Replayed: true) instead of creating
+// another session, form and job. Mount after multer so the uploaded file is part of the fingerprint.
+
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotency/idempotencyService');
+const logger = require('../services/utils/logger');
+
+const KEY_HEADER = 'idempotency-key';
+const KEY_PATTERN = /^[\x21-\x7E]{8,255}$/;
+
+// Same method, path, fields and file bytes
+function fingerprint(req) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+    hash.update(JSON.stringify(req.body || {}));
+    if (req.file?.buffer) {
+        hash.update('\n');
+        hash.update(req.file.buffer);
+    }
+    return hash.digest('hex');
+}
+
+async function idempotency(req, res, next) {
+    const key = req.get(KEY_HEADER);
+    if (key === undefined) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Idempotency-Key must be 8-255 printable characters'
+        });
+    }
+
+    const userId = req.user.id;
+    let claim;
+    try {
+        claim = await idempotencyService.begin(userId, key, {
+            method: req.method,
+            path: `${req.baseUrl}${req.path}`,
+            requestHash: fingerprint(req)
+        });
+    } catch (error) {
+        logger.error('Error checking idempotency key:', error);
+        return res.status(500).json({ success: false, error: 'Could not check Idempotency-Key' });
+    }
+
+    switch (claim.state) {
+        case 'completed':
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(claim.responseStatus).json(claim.responseBody);
+        case 'in_progress':
+            res.set('Retry-After', '2');
+            return res.status(409).json({
+                success: false,
+                error: 'A request with this Idempotency-Key is still being processed'
+            });
+        case 'mismatch':
+            return res.status(422).json({
+                success: false,
+                error: 'This Idempotency-Key was already used for a different request'
+            });
+    }
+
+    // Store successful responses before they are sent, so a retry racing the response still finds
+    // them; anything else frees the key for the retry to run again. A client that disconnects early
+    // doesn't free the key: the handler is still running and its response is stored for the retry
+    // (a handler that dies without responding frees it after IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS).
+    let settled = false;
+    const send = res.json.bind(res);
+    res.json = (body) => {
+        if (settled) return send(body);
+        settled = true;
+
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const save = succeeded
+            ? idempotencyService.complete(userId, key, res.statusCode, body)
+            : idempotencyService.release(userId, key);
+        save
+            .catch(error => logger.error(`Error saving idempotency key ${key}:`, error))
+            .finally(() => send(body));
+        return res;
+    };
+
+    next();
+}
+
+module.exports = {
+    idempotency
+};
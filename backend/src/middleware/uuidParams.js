@@ -0,0 +1,21 @@
+// Route Parameter Validation
+// Ids in the path are looked up in uuid columns, where anything else is a database error rather
+// than a missing row; those requests are answered with 400 before they reach a query.
+
+const { validate: isUuid } = require('uuid');
+
+// requireUuidParams('formId', 'fileId') - each named parameter present in the route must be a UUID;
+// also works as a router.param handler
+function requireUuidParams(...names) {
+    return (req, res, next) => {
+        const invalid = names.find(name => req.params[name] !== undefined && !isUuid(req.params[name]));
+        if (invalid) {
+            return res.status(400).json({ error: `${invalid} must be a UUID`, [invalid]: req.params[invalid] });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    requireUuidParams
+};
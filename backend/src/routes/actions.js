@@ -0,0 +1,224 @@
+// Corrective action routes
+const express = require('express');
+const multer = require('multer');
+const correctiveActionService = require('../services/actions/correctiveActionService');
+const { requirePermission } = require('../middleware/auth');
+const { requireUuidParams } = require('../middleware/uuidParams');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+// Evidence photos and documents
+const evidenceUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image or PDF evidence is allowed'), false);
+        }
+    }
+});
+
+router.use(requirePermission('actions:read'));
+router.param('actionId', requireUuidParams('actionId'));
+router.param('evidenceId', requireUuidParams('evidenceId'));
+
+function sendActionError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+function formatAction(action) {
+    return {
+        id: action.id,
+        title: action.title,
+        description: action.description,
+        status: action.status,
+        severityLevel: action.severity_level,
+        site: action.site,
+        owner: action.owner_id ? { id: action.owner_id, name: action.owner_name } : null,
+        dueDate: action.due_date,
+        overdue: Boolean(action.overdue),
+        hazard: {
+            id: action.form_hazard_id,
+            category: action.hazard_category,
+            type: action.hazard_type,
+            recommendedAction: action.recommended_action
+        },
+        form: {
+            id: action.form_processing_id,
+            filename: action.form_filename
+        },
+        completedAt: action.completed_at,
+        closedAt: action.closed_at,
+        closedBy: action.closed_by,
+        closureNotes: action.closure_notes,
+        createdAt: action.created_at,
+        updatedAt: action.updated_at
+    };
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const actions = await correctiveActionService.listActions(req.user, {
+            status: req.query.status,
+            site: req.query.site,
+            ownerId: req.query.mine === 'true' ? req.user.id : req.query.ownerId,
+            formId: req.query.formId,
+            overdue: req.query.overdue === 'true',
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            success: true,
+            actions: actions.map(formatAction)
+        });
+    } catch (error) {
+        sendActionError(res, error, 'Failed to fetch corrective actions');
+    }
+});
+
+// Open actions per site
+router.get('/sites', async (req, res) => {
+    try {
+        const sites = await correctiveActionService.getOpenActionsBySite(req.user);
+        res.json({
+            success: true,
+            sites: sites.map(site => ({
+                site: site.site,
+                openCount: parseInt(site.open_count) || 0,
+                overdueCount: parseInt(site.overdue_count) || 0,
+                awaitingVerification: parseInt(site.awaiting_verification) || 0,
+                criticalCount: parseInt(site.critical_count) || 0,
+                highCount: parseInt(site.high_count) || 0,
+                unassignedCount: parseInt(site.unassigned_count) || 0,
+                nextDue: site.next_due
+            }))
+        });
+    } catch (error) {
+        sendActionError(res, error, 'Failed to fetch open actions by site');
+    }
+});
+
+router.get('/:actionId', async (req, res) => {
+    try {
+        const action = await correctiveActionService.getActionDetail(req.params.actionId, req.user);
+        if (!action) {
+            return res.status(404).json({ error: 'Corrective action not found' });
+        }
+
+        res.json({
+            success: true,
+            action: {
+                ...formatAction(action),
+                comments: action.comments.map(comment => ({
+                    id: comment.id,
+                    body: comment.body,
+                    user: comment.user_name,
+                    createdAt: comment.created_at
+                })),
+                evidence: action.evidence.map(item => ({
+                    id: item.id,
+                    filename: item.original_filename,
+                    mimeType: item.mime_type,
+                    fileSize: item.file_size_bytes,
+                    description: item.description,
+                    uploadedBy: item.uploaded_by_name,
+                    createdAt: item.created_at
+                })),
+                history: action.history.map(event => ({
+                    event: event.event_type,
+                    timestamp: event.event_timestamp,
+                    user: event.user_name,
+                    details: event.event_details
+                }))
+            }
+        });
+    } catch (error) {
+        sendActionError(res, error, 'Failed to fetch corrective action');
+    }
+});
+
+// Reassign owner / reschedule - supervisors only
+router.patch('/:actionId', requirePermission('actions:manage'), async (req, res) => {
+    try {
+        const { ownerId, dueDate, title, description } = req.body || {};
+        const action = await correctiveActionService.updateAction(req.params.actionId, req.user, {
+            ownerId, dueDate, title, description
+        });
+        res.json({ success: true, action: { id: action.id, ownerId: action.owner_id, dueDate: action.due_date } });
+    } catch (error) {
+        sendActionError(res, error, 'Failed to update corrective action');
+    }
+});
+
+// Body: { status, notes }
+router.post('/:actionId/status', requirePermission('actions:update'), async (req, res) => {
+    try {
+        const { status, notes } = req.body || {};
+        const action = await correctiveActionService.transitionStatus(req.params.actionId, req.user, { status, notes });
+        res.json({ success: true, action: { id: action.id, status: action.status } });
+    } catch (error) {
+        sendActionError(res, error, 'Failed to update action status');
+    }
+});
+
+router.post('/:actionId/comments', async (req, res) => {
+    try {
+        const comment = await correctiveActionService.addComment(req.params.actionId, req.user, req.body?.body);
+        res.status(201).json({ success: true, comment });
+    } catch (error) {
+        sendActionError(res, error, 'Failed to add comment');
+    }
+});
+
+router.post('/:actionId/evidence', requirePermission('actions:update'), evidenceUpload.single('file'), async (req, res) => {
+    try {
+        const evidence = await correctiveActionService.addEvidence(
+            req.params.actionId, req.user, req.file, req.body?.description
+        );
+        res.status(201).json({
+            success: true,
+            evidence: {
+                id: evidence.id,
+                filename: evidence.original_filename,
+                mimeType: evidence.mime_type,
+                fileSize: evidence.file_size_bytes,
+                description: evidence.description,
+                createdAt: evidence.created_at
+            }
+        });
+    } catch (error) {
+        sendActionError(res, error, 'Failed to upload evidence');
+    }
+});
+
+router.get('/:actionId/evidence/:evidenceId', async (req, res) => {
+    try {
+        const evidence = await correctiveActionService.getEvidenceFile(
+            req.params.actionId, req.params.evidenceId, req.user
+        );
+        if (!evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        res.set('Content-Type', evidence.mime_type || 'application/octet-stream');
+        res.set('Content-Disposition', `inline; filename="${encodeURIComponent(evidence.original_filename || 'evidence')}"`);
+        res.send(evidence.content);
+    } catch (error) {
+        sendActionError(res, error, 'Failed to fetch evidence');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+
+const authService = require('../services/auth/authService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const logger = require('../services/utils/logger');
+
+function requestContext(req) {
+    return {
+        userAgent: req.headers['user-agent'] || null
+    };
+}
+
+function sendAuthError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+// Exchange email/password for an access token + refresh token
+router.post('/login', async (req, res) => {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    try {
+        const tokens = await authService.login(email, password, requestContext(req));
+        res.json(tokens);
+    } catch (error) {
+        sendAuthError(res, error, 'Login failed');
+    }
+});
+
+// Rotate a refresh token - the old one is revoked
+router.post('/refresh', async (req, res) => {
+    try {
+        const tokens = await authService.refresh(req.body?.refreshToken, requestContext(req));
+        res.json(tokens);
+    } catch (error) {
+        sendAuthError(res, error, 'Token refresh failed');
+    }
+});
+
+router.post('/logout', async (req, res) => {
+    try {
+        await authService.logout(req.body?.refreshToken);
+        res.json({ success: true });
+    } catch (error) {
+        sendAuthError(res, error, 'Logout failed');
+    }
+});
+
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        const user = await authService.getUserById(req.user.id);
+        if (!user || !user.active) {
+            return res.status(401).json({ error: 'Account not found or disabled' });
+        }
+        res.json({ user });
+    } catch (error) {
+        sendAuthError(res, error, 'Failed to load user');
+    }
+});
+
+// User administration (admins only)
+router.get('/users', authenticate, requireRole('ADMIN', 'SUPER_ADMIN'), async (req, res) => {
+    try {
+        const users = await authService.listUsers({ site: req.query.site });
+        res.json({ users });
+    } catch (error) {
+        sendAuthError(res, error, 'Failed to list users');
+    }
+});
+
+router.post('/users', authenticate, requireRole('ADMIN', 'SUPER_ADMIN'), async (req, res) => {
+    const { email, name, password, role, site } = req.body || {};
+
+    if (role === 'SUPER_ADMIN' && req.user.role !== 'SUPER_ADMIN') {
+        return res.status(403).json({ error: 'Only super admins can create super admins' });
+    }
+
+    try {
+        const user = await authService.createUser({ email, name, password, role, site });
+        res.status(201).json({ user });
+    } catch (error) {
+        sendAuthError(res, error, 'Failed to create user');
+    }
+});
+
+router.patch('/users/:userId', authenticate, requireRole('ADMIN', 'SUPER_ADMIN'), async (req, res) => {
+    const { name, role, site, active, password } = req.body || {};
+
+    if (role === 'SUPER_ADMIN' && req.user.role !== 'SUPER_ADMIN') {
+        return res.status(403).json({ error: 'Only super admins can grant super admin' });
+    }
+
+    try {
+        // Admins can't deactivate, demote or reset the password of a super admin
+        if (req.user.role !== 'SUPER_ADMIN') {
+            const target = await authService.getUserById(req.params.userId);
+            if (target?.role === 'SUPER_ADMIN') {
+                return res.status(403).json({ error: 'Only super admins can change a super admin' });
+            }
+        }
+
+        const user = await authService.updateUser(req.params.userId, { name, role, site, active, password });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ user });
+    } catch (error) {
+        sendAuthError(res, error, 'Failed to update user');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+// Bulk and Smart Batch uploads processed server-side (see services/batches/batchService.js)
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const batchService = require('../services/batches/batchService');
+const trackingService = require('../services/database/trackingService');
+const documentService = require('../services/ocr/documentService');
+const fileStorageService = require('../services/storage/fileStorageService');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+router.use(requirePermission('forms:submit'));
+
+const MAX_FILE_SIZE_MB = 10;
+
+// Same limits as single uploads in routes/forms.js
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+        files: batchService.MAX_ITEMS
+    },
+    fileFilter: (req, file, cb) => {
+        if (documentService.isSupported(file.mimetype)) {
+            cb(null, true);
+        } else {
+            const error = new Error('Only image, TIFF or PDF files are allowed');
+            error.status = 400;
+            cb(error, false);
+        }
+    }
+});
+
+// Multer rejects too many or too large files before the route runs; answer those here rather
+// than as a 500 from the app's error handler
+function receiveFiles(req, res, next) {
+    upload.array('files')(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_COUNT') {
+            return res.status(413).json({
+                error: `A batch can hold at most ${batchService.MAX_ITEMS} forms`,
+                maxItems: batchService.MAX_ITEMS
+            });
+        }
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Each file must be ${MAX_FILE_SIZE_MB}MB or smaller` });
+        }
+        if (error instanceof multer.MulterError || error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    });
+}
+
+// Batches are only visible to the user who created them
+async function loadOwnBatch(req, res, next) {
+    try {
+        const batch = isUuid(req.params.batchId)
+            ? await batchService.findBatch(req.params.batchId, req.user.id)
+            : null;
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        req.batch = batch;
+        next();
+    } catch (error) {
+        logger.error('Error loading form batch:', error);
+        res.status(500).json({
+            error: 'Failed to fetch batch',
+            details: error.message
+        });
+    }
+}
+
+async function loadBatchItem(req, res, next) {
+    try {
+        const item = isUuid(req.params.itemId)
+            ? await batchService.getItem(req.batch.id, req.params.itemId)
+            : null;
+        if (!item) {
+            return res.status(404).json({ error: 'Batch item not found' });
+        }
+        req.item = item;
+        next();
+    } catch (error) {
+        logger.error('Error loading batch item:', error);
+        res.status(500).json({
+            error: 'Failed to fetch batch item',
+            details: error.message
+        });
+    }
+}
+
+// Create an empty batch; files are added with POST /:batchId/files
+router.post('/', async (req, res) => {
+    try {
+        const mode = String(req.body.mode || '').toUpperCase();
+        if (!batchService.MODES.includes(mode)) {
+            return res.status(400).json({
+                error: 'Invalid batch mode',
+                validModes: batchService.MODES
+            });
+        }
+
+        let session = null;
+        try {
+            session = await trackingService.createProcessingSession({
+                sessionToken: req.headers['x-session-token'] || uuidv4(),
+                userIdentifier: req.user.email,
+                userId: req.user.id,
+                deviceInfo: {
+                    userAgent: req.headers['user-agent'],
+                    ip: req.ip,
+                    timestamp: new Date().toISOString()
+                },
+                locationData: null
+            });
+        } catch (error) {
+            logger.warn('Could not create session record for batch, continuing without tracking:', error.message);
+        }
+
+        const batch = await batchService.createBatch({
+            userId: req.user.id,
+            site: req.user.site,
+            sessionId: session?.id,
+            sessionToken: session?.session_token,
+            mode,
+            maxConcurrent: req.body.maxConcurrent
+        });
+
+        res.status(201).json({ success: true, batch: { ...batch, items: [], summary: batchService.summarize([]) } });
+    } catch (error) {
+        logger.error('Error creating form batch:', error);
+        res.status(500).json({
+            error: 'Failed to create batch',
+            details: error.message
+        });
+    }
+});
+
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const batches = await batchService.listBatches(req.user.id, { limit });
+        res.json({ success: true, batches });
+    } catch (error) {
+        logger.error('Error listing form batches:', error);
+        res.status(500).json({
+            error: 'Failed to fetch batches',
+            details: error.message
+        });
+    }
+});
+
+router.get('/:batchId', loadOwnBatch, async (req, res) => {
+    try {
+        const batch = await batchService.getBatch(req.batch.id, req.user.id);
+        res.json({ success: true, batch });
+    } catch (error) {
+        logger.error('Error fetching form batch:', error);
+        res.status(500).json({
+            error: 'Failed to fetch batch',
+            details: error.message
+        });
+    }
+});
+
+// Add files to a batch that hasn't started yet
+router.post('/:batchId/files', loadOwnBatch, receiveFiles, async (req, res) => {
+    try {
+        if (req.batch.status !== 'OPEN') {
+            return res.status(409).json({ error: 'Batch has already started', status: req.batch.status });
+        }
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const current = await batchService.getBatch(req.batch.id, req.user.id);
+        if (current.items.length + req.files.length > batchService.MAX_ITEMS) {
+            return res.status(413).json({
+                error: `A batch can hold at most ${batchService.MAX_ITEMS} forms`,
+                maxItems: batchService.MAX_ITEMS,
+                currentItems: current.items.length
+            });
+        }
+
+        const items = await batchService.addItems(req.batch, req.files);
+        res.status(201).json({ success: true, items });
+    } catch (error) {
+        logger.error('Error adding files to form batch:', error);
+        res.status(500).json({
+            error: 'Failed to add files to batch',
+            details: error.message
+        });
+    }
+});
+
+// Discard a batch that hasn't started, e.g. when its upload failed
+router.delete('/:batchId', loadOwnBatch, async (req, res) => {
+    try {
+        const deleted = await batchService.deleteOpenBatch(req.batch.id);
+        if (!deleted) {
+            return res.status(409).json({ error: 'Only a batch that has not started can be deleted', status: req.batch.status });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting form batch:', error);
+        res.status(500).json({
+            error: 'Failed to delete batch',
+            details: error.message
+        });
+    }
+});
+
+// Queue the batch for processing; poll GET /:batchId (or the job) for progress
+router.post('/:batchId/start', loadOwnBatch, async (req, res) => {
+    try {
+        const started = await batchService.startBatch(req.batch);
+        if (!started) {
+            return res.status(409).json({
+                error: req.batch.status === 'OPEN' ? 'Batch has no files' : 'Batch has already started',
+                status: req.batch.status
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            batch: await batchService.getBatch(started.id, req.user.id),
+            jobId: started.job_id,
+            statusUrl: `/api/batches/${started.id}`
+        });
+    } catch (error) {
+        logger.error('Error starting form batch:', error);
+        res.status(500).json({
+            error: 'Failed to start batch',
+            details: error.message
+        });
+    }
+});
+
+// A single item, including the analysis of a flagged item for review via /api/forms/confirm
+router.get('/:batchId/items/:itemId', loadOwnBatch, loadBatchItem, (req, res) => {
+    res.json({ success: true, item: req.item });
+});
+
+// Leave a flagged or failed item out of the batch
+router.post('/:batchId/items/:itemId/skip', loadOwnBatch, loadBatchItem, async (req, res) => {
+    try {
+        const item = await batchService.skipItem(req.batch.id, req.item.id);
+        if (!item) {
+            return res.status(409).json({ error: 'Only items awaiting review or failed items can be skipped', status: req.item.status });
+        }
+        res.json({ success: true, item, batch: await batchService.getBatch(req.batch.id, req.user.id) });
+    } catch (error) {
+        logger.error('Error skipping batch item:', error);
+        res.status(500).json({
+            error: 'Failed to skip batch item',
+            details: error.message
+        });
+    }
+});
+
+// Original and page images of an item, for the side-by-side review
+router.get('/:batchId/items/:itemId/files/:sha256', loadOwnBatch, loadBatchItem, async (req, res) => {
+    try {
+        const result = req.item.result || {};
+        const itemFiles = [req.item.file_sha256, ...(result.review?.pages || []).map(page => page.sha256)];
+        if (!itemFiles.includes(req.params.sha256)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const file = await fileStorageService.read(req.params.sha256);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        res.set('Content-Type', file.mime_type || 'application/octet-stream');
+        // Content-addressed, so the bytes never change
+        res.set('Cache-Control', 'private, max-age=86400, immutable');
+        res.set('ETag', `"${file.sha256}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        logger.error('Error fetching batch item file:', error);
+        res.status(500).json({
+            error: 'Failed to fetch file',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
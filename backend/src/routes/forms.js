@@ -1,29 +1,58 @@
 // Updated Forms Route with Database Tracking Integration
 const express = require('express');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const ocrService = require('../services/ocr/ocrService');
-const aiAnalysisService = require('../services/ai/aiAnalysisService');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const trackingService = require('../services/database/trackingService');
+const formSearchService = require('../services/search/formSearchService');
+const duplicateService = require('../services/duplicates/duplicateService');
+const jobQueue = require('../services/jobs/jobQueue');
+const formPipeline = require('../services/forms/formPipeline');
+const analysisDraftService = require('../services/forms/analysisDraftService');
+const confirmationService = require('../services/forms/confirmationService');
+const { parseConfirmedAnalysis } = require('../services/ai/analysisSchema');
+const batchService = require('../services/batches/batchService');
+const documentService = require('../services/ocr/documentService');
+const fileStorageService = require('../services/storage/fileStorageService');
 const logger = require('../services/utils/logger');
+const { requirePermission, canAccessForm, hasPermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requireUuidParams } = require('../middleware/uuidParams');
 
 const router = express.Router();
 
+const MAX_FILE_SIZE_MB = 10;
+
 // Configure multer for memory storage (no disk writes)
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
+        fileSize: MAX_FILE_SIZE_MB * 1024 * 1024
     },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
+        if (documentService.isSupported(file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new Error('Only image files are allowed'), false);
+            const error = new Error('Only image, TIFF or PDF files are allowed');
+            error.status = 400;
+            cb(error, false);
         }
     }
 });
 
+// upload.single('file'), answering an oversized or unsupported file with 413/400 instead of a server error
+function receiveFile(req, res, next) {
+    upload.single('file')(req, res, (error) => {
+        if (!error) return next();
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `The file must be ${MAX_FILE_SIZE_MB}MB or smaller` });
+        }
+        if (error instanceof multer.MulterError || error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    });
+}
+
 // Helper function to generate session token
 function getOrCreateSessionToken(req) {
     return req.headers['x-session-token'] || 
@@ -31,6 +60,17 @@ function getOrCreateSessionToken(req) {
            uuidv4();
 }
 
+// Helper function to attribute a session to the authenticated user
+function buildSessionData(req, sessionToken) {
+    return {
+        sessionToken,
+        userIdentifier: req.user.email,
+        userId: req.user.id,
+        deviceInfo: extractDeviceInfo(req),
+        locationData: extractLocationData(req)
+    };
+}
+
 // Helper function to extract device info from request
 function extractDeviceInfo(req) {
     return {
@@ -59,28 +99,190 @@ function extractLocationData(req) {
     return null;
 }
 
-// RESTORED: Original /upload endpoint that your frontend expects
-router.post('/upload', upload.single('file'), async (req, res) => {
-    const startTime = Date.now();
+// Helper function to read a JSON object sent as a multipart field
+function parseJsonField(req, field) {
+    try {
+        const value = req.body[field] ? JSON.parse(req.body[field]) : null;
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch (error) {
+        logger.warn(`Ignoring unreadable ${field} field:`, error.message);
+        return null;
+    }
+}
+
+// How the image was taken; phone photos get OCR preprocessing and their own risk rule
+const CAPTURE_METHODS = ['file_upload', 'mobile_camera', 'scanner'];
+
+// Helper function to read the capture metadata sent as multipart fields alongside the file
+function extractCaptureMetadata(req) {
+    const captureMethod = String(req.body.captureMethod || '').trim().toLowerCase();
+    const imageQuality = parseFloat(req.body.imageQuality);
+
+    return {
+        captureMethod: CAPTURE_METHODS.includes(captureMethod) ? captureMethod : 'file_upload',
+        imageQuality: imageQuality >= 0 && imageQuality <= 1 ? imageQuality : null,
+        // On-device checks from the mobile app: { sharpness, glare, score, warnings, documentDetected, corners }
+        captureQuality: parseJsonField(req, 'captureQuality')
+    };
+}
+
+// Offline submissions: ids are generated on the device, capture times come from its clock
+const SUBMISSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// How long a retry waits for a concurrent request to finish queueing the same submission
+const SUBMISSION_QUEUE_WAITS = 25;
+const SUBMISSION_QUEUE_WAIT_MS = 200;
+// A submission received this long ago with no job was left behind by a server that stopped mid-request
+const SUBMISSION_STALLED_MS = (parseInt(process.env.SUBMISSION_STALLED_SECONDS) || 60) * 1000;
+
+// Responses to a /confirm whose draft can't be taken (see analysisDraftService.claimDraft)
+const DRAFT_CLAIM_ERRORS = {
+    not_found: [404, 'Draft not found'],
+    expired: [410, 'Draft expired - analyse the form again'],
+    confirming: [409, 'Draft is already being confirmed'],
+    confirmed: [409, 'Draft already confirmed']
+};
+
+// Helper function to read the device's capture time; null (use the server time) when missing or unbelievable
+function parseCapturedAt(value) {
+    if (!value) return null;
+    const capturedAt = new Date(value);
+    if (isNaN(capturedAt.getTime()) || capturedAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+        logger.warn(`Ignoring capture time ${value} from device`);
+        return null;
+    }
+    return new Date(Math.min(capturedAt.getTime(), Date.now()));
+}
+
+// Helper function to describe an earlier upload of the same file without leaking out-of-scope forms
+function describeDuplicate(user, previousForm) {
+    if (!previousForm) return null;
+    const accessible = canAccessForm(user, previousForm);
+    return {
+        formId: accessible ? previousForm.id : null,
+        filename: accessible ? previousForm.original_filename : null,
+        uploadedAt: previousForm.created_at,
+        sameUser: previousForm.user_id === user.id
+    };
+}
+
+// Helper function to list what a user changed in the analysis (see corrections/analysisDiff)
+function changedAnalysisFields(diff) {
+    const fields = ['formType', 'riskScore', 'riskLevel'].filter(field => diff[field]);
+    const { added, removed, changed } = diff.issues;
+    if (added.length > 0 || removed.length > 0 || changed.length > 0) fields.push('flaggedIssues');
+    return fields;
+}
+
+// Helper function to describe a near-duplicate (see services/duplicates/) the same way
+function describeSuspectedDuplicate(user, duplicate) {
+    if (!duplicate) return null;
+    return duplicateService.describe(duplicate, {
+        userId: user.id,
+        accessible: canAccessForm(user, { user_id: duplicate.userId, site: duplicate.site })
+    });
+}
+
+// Helper function to keep the original upload and detect re-uploads of the same photo
+async function storeOriginalUpload(req, formId) {
+    const options = {
+        kind: 'ORIGINAL',
+        originalFilename: req.file.originalname,
+        mimeType: req.file.mimetype,
+        userId: req.user.id
+    };
+
+    let stored;
+    try {
+        stored = formId
+            ? await fileStorageService.storeForForm(formId, req.file.buffer, options)
+            : await fileStorageService.store(req.file.buffer, options);
+    } catch (error) {
+        logger.error('Could not store original upload:', error);
+    }
+    if (!stored) return { sha256: null, duplicateOf: null };
+
+    try {
+        const [previousForm] = await fileStorageService.findPreviousUploads(stored.sha256, { excludeFormId: formId, limit: 1 });
+        if (previousForm) {
+            logger.info(`Re-upload detected: ${stored.sha256} was first processed as form ${previousForm.id}`);
+            if (formId) {
+                await trackingService.markDuplicateUpload(formId, previousForm.id, req.user.id);
+            }
+        }
+        return { sha256: stored.sha256, duplicateOf: describeDuplicate(req.user, previousForm) };
+    } catch (error) {
+        logger.warn('Could not check for duplicate uploads:', error.message);
+        return { sha256: stored.sha256, duplicateOf: null };
+    }
+}
+
+// Helper function to shape stored file rows for API responses
+function formatFormFile(file) {
+    return {
+        id: file.id,
+        kind: file.kind,
+        pageNumber: file.page_number,
+        filename: file.original_filename,
+        mimeType: file.mime_type,
+        sizeBytes: file.size_bytes ? parseInt(file.size_bytes) : null,
+        sha256: file.file_sha256,
+        url: `/api/forms/form/${file.form_processing_id}/files/${file.id}`,
+        createdAt: file.created_at
+    };
+}
+
+// Loads req.params.formId into req.form, 404 when missing or outside the caller's scope
+async function loadAccessibleForm(req, res, next) {
+    try {
+        const form = await trackingService.getFormById(req.params.formId);
+        if (!form || !canAccessForm(req.user, form)) {
+            return res.status(404).json({ error: 'Form not found', formId: req.params.formId });
+        }
+        req.form = form;
+        next();
+    } catch (error) {
+        logger.error('Error loading form:', error);
+        res.status(500).json({
+            error: 'Failed to fetch form',
+            details: error.message
+        });
+    }
+}
+
+// Rejects a ?siteId that isn't a site id before it reaches a uuid column
+function validateSiteId(req, res, next) {
+    if (req.query.siteId && !isUuid(String(req.query.siteId))) {
+        return res.status(400).json({ error: 'siteId must be a site id (UUID)' });
+    }
+    next();
+}
+
+// Helper function to build the 202 response for a queued processing job
+function jobAcceptedResponse(job, sessionToken, formId, duplicateOf = null) {
+    return {
+        success: true,
+        status: 'queued',
+        jobId: job.id,
+        formId,
+        sessionToken,
+        duplicateOf,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+    };
+}
+
+// Queues OCR + AI analysis and saves the result; progress streams from /api/jobs/:jobId/events
+router.post('/upload', requirePermission('forms:submit'), receiveFile, idempotency, async (req, res) => {
     let sessionRecord = null;
     let formRecord = null;
-    let structuredResult = null;
-    
-    try {
-        logger.info('Starting form analysis (upload endpoint)');
+    let sessionToken = getOrCreateSessionToken(req);
 
+    try {
         // 1. Get or create processing session
-        const sessionToken = getOrCreateSessionToken(req);
-        const deviceInfo = extractDeviceInfo(req);
-        const locationData = extractLocationData(req);
-
         try {
-            sessionRecord = await trackingService.createProcessingSession({
-                sessionToken,
-                userIdentifier: req.ip,
-                deviceInfo,
-                locationData
-            });
+            sessionRecord = await trackingService.createProcessingSession(buildSessionData(req, sessionToken));
+            sessionToken = sessionRecord.session_token;
             logger.info(`Created processing session: ${sessionRecord.id}`);
         } catch (error) {
             logger.warn('Could not create session record, continuing without tracking:', error.message);
@@ -88,12 +290,11 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 
         // 2. Validate file upload
         if (!req.file) {
-            const error = new Error('No file uploaded');
             if (sessionRecord) {
                 await trackingService.logAuditEvent(null, sessionRecord.id, 'upload_failed', {
                     error: 'No file provided',
                     userAgent: req.headers['user-agent']
-                });
+                }, req.user.id);
             }
             return res.status(400).json({ 
                 success: false,
@@ -106,6 +307,8 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         try {
             formRecord = await trackingService.createFormProcessingRecord({
                 sessionId: sessionRecord?.id,
+                userId: req.user.id,
+                site: req.user.site,
                 originalFilename: req.file.originalname,
                 fileSizeBytes: req.file.size,
                 fileType: req.file.mimetype,
@@ -116,220 +319,226 @@ router.post('/upload', upload.single('file'), async (req, res) => {
             logger.warn('Could not create form record, continuing without tracking:', error.message);
         }
 
-        // 4. Extract text using OCR
-        const ocrStartTime = Date.now();
-        let ocrResult;
-        
-        try {
-            logger.info("Starting OCR processing");
-            ocrResult = await ocrService.extractText(req.file.buffer);
-
-            // Normalize the result to match expected format
-            ocrResult = {
-                text: ocrResult.text,
-                confidence: ocrResult.confidence,
-                provider: ocrResult.provider || "tesseract",
-                fallbackUsed: ocrResult.fallbackUsed || false,
-                ...ocrResult,
-            };
-
-            // Update form record with OCR results
-            if (formRecord) {
-                await trackingService.updateFormProcessingOCR(formRecord.id, {
-                    providerUsed: ocrResult.provider,
-                    confidenceScore: ocrResult.confidence,
-                    processingTimeMs: Date.now() - ocrStartTime,
-                    extractedTextLength: ocrResult.text?.length || 0,
-                    fallbackUsed: ocrResult.fallbackUsed || false,
-                    extractedText: ocrResult.text,
-                });
-            }
+        // 4. Keep the original for audits and check whether it was uploaded before
+        const { sha256, duplicateOf } = await storeOriginalUpload(req, formRecord?.id);
 
-            logger.info(`OCR completed with ${ocrResult.provider}, confidence: ${ocrResult.confidence}%`);
-        } catch (error) {
-            logger.error("OCR processing failed:", error);
+        // 5. Hand OCR and AI analysis to the job worker
+        const job = await jobQueue.enqueue(formPipeline.JOB_TYPE, {
+            payload: {
+                mode: formPipeline.MODES.UPLOAD,
+                sessionToken,
+                originalSha256: sha256,
+                duplicateOf,
+                location: extractLocationData(req),
+                ...extractCaptureMetadata(req)
+            },
+            file: req.file,
+            formId: formRecord?.id,
+            sessionId: sessionRecord?.id,
+            userId: req.user.id,
+            site: req.user.site
+        });
+
+        res.status(202).json(jobAcceptedResponse(job, sessionToken, formRecord?.id, duplicateOf));
 
-            if (formRecord) {
+    } catch (error) {
+        logger.error('Unexpected error queuing form upload:', error);
+        
+        if (formRecord) {
+            try {
                 await trackingService.markFormProcessingError(formRecord.id, {
-                    stage: "ocr",
+                    stage: 'queue',
                     error: error.message,
-                    stack: error.stack,
+                    stack: error.stack
                 });
+            } catch (dbError) {
+                logger.error('Could not log error to database:', dbError);
             }
-
-            return res.status(500).json({
-                success: false,
-                error: "Failed to extract text from image",
-                details: error.message,
-                sessionToken: sessionToken,
-                formId: formRecord?.id,
-            });
         }
 
-        // 5. Validate OCR results
-        if (!ocrResult.text || ocrResult.text.trim().length < 10) {
-            const error = 'Insufficient text extracted from image';
-            logger.warn(error);
-            
-            if (formRecord) {
-                await trackingService.markFormProcessingError(formRecord.id, {
-                    stage: 'ocr_validation',
-                    error: error,
-                    extractedLength: ocrResult.text?.length || 0
-                });
-            }
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error during form upload',
+            details: error.message,
+            sessionToken: sessionToken,
+            formId: formRecord?.id
+        });
+    }
+});
 
-            return res.status(400).json({
-                success: false,
-                error: error,
-                extractedText: ocrResult.text,
-                confidence: ocrResult.confidence,
-                provider: ocrResult.provider,
-                sessionToken: sessionToken,
-                formId: formRecord?.id
-            });
-        }
+// Helper function to queue OCR + AI analysis for an offline submission's form
+async function queueSubmission(req, form, sessionToken) {
+    const { sha256, duplicateOf } = await storeOriginalUpload(req, form.id);
+    const capturedAt = new Date(form.created_at).toISOString();
+    const location = extractLocationData(req);
 
-        // 6. Perform AI analysis
-        const aiStartTime = Date.now();
-        let analysisResult;
+    const job = await jobQueue.enqueue(formPipeline.JOB_TYPE, {
+        payload: {
+            mode: formPipeline.MODES.UPLOAD,
+            sessionToken,
+            submissionId: form.client_submission_id,
+            capturedAt,
+            originalSha256: sha256,
+            duplicateOf,
+            location: location && { ...location, timestamp: capturedAt },
+            ...extractCaptureMetadata(req)
+        },
+        file: req.file,
+        formId: form.id,
+        sessionId: form.session_id,
+        userId: req.user.id,
+        site: req.user.site
+    });
+    return { job, duplicateOf };
+}
 
-        try {
-            logger.info('Starting AI safety analysis');
-            analysisResult = await aiAnalysisService.analyzeSafetyForm(ocrResult.text);
-
-            // Process and structure the AI results
-            structuredResult = processAIAnalysisResult(analysisResult, ocrResult);
-
-            // Update form record with AI analysis results
-            if (formRecord) {
-                await trackingService.updateFormProcessingAI(formRecord.id, {
-                    aiProvider: 'deepseek',
-                    processingTimeMs: Date.now() - aiStartTime,
-                    formTypeDetected: structuredResult.formType,
-                    riskScore: structuredResult.riskAssessment.score,
-                    riskLevel: structuredResult.riskAssessment.level,
-                    riskEscalated: structuredResult.riskAssessment.escalated,
-                    supervisorFlagged: structuredResult.riskAssessment.level === 'HIGH' || structuredResult.riskAssessment.level === 'CRITICAL',
-                    australianStandardsReferenced: structuredResult.complianceCheck.standardsReferenced,
-                    complianceGapsIdentified: structuredResult.safetyIssues?.length || 0,
-                    analysisResult: analysisResult,
-                    hazardsIdentified: structuredResult.safetyIssues || [],
-                    recommendations: structuredResult.recommendations || []
-                });
-            }
+// Helper function to answer a submission the same way whether it is new or a retry
+function submissionResponse(form, job, sessionToken, { duplicateOf = null, replayed = false } = {}) {
+    return {
+        ...jobAcceptedResponse(job, sessionToken, form.id, duplicateOf),
+        status: replayed ? job.status.toLowerCase() : 'queued',
+        submissionId: form.client_submission_id,
+        capturedAt: form.created_at,
+        receivedAt: form.received_at,
+        replayed
+    };
+}
 
-            logger.info(`AI analysis completed: ${structuredResult.riskAssessment.level} risk (${structuredResult.riskAssessment.score}/10)`);
-        } catch (error) {
-            logger.error('AI analysis failed:', error);
-            
-            if (formRecord) {
-                await trackingService.markFormProcessingError(formRecord.id, {
-                    stage: 'ai_analysis',
-                    error: error.message,
-                    stack: error.stack
+// Idempotent upload for the mobile app's offline queue. The device picks submissionId once per
+// captured form and resends it on every retry; a retry gets the form and job from the first attempt
+// (200) rather than a new forms_processing row. capturedAt becomes the form's created_at.
+router.post('/submissions', requirePermission('forms:submit'), receiveFile, async (req, res) => {
+    const submissionId = String(req.body?.submissionId || '').trim();
+    let sessionToken = getOrCreateSessionToken(req);
+
+    if (!SUBMISSION_ID_PATTERN.test(submissionId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'submissionId is required (8-100 letters, digits, dashes or underscores)'
+        });
+    }
+
+    try {
+        // 1. Already received - report where it got to, queueing it again if that never happened
+        let form = await trackingService.getFormBySubmissionId(req.user.id, submissionId);
+
+        if (!form) {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No file uploaded',
+                    submissionId
                 });
             }
 
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to analyze safety form',
-                details: error.message,
-                ocrResult: {
-                    text: ocrResult.text,
-                    confidence: ocrResult.confidence,
-                    provider: ocrResult.provider
-                },
-                sessionToken: sessionToken,
-                formId: formRecord?.id
+            // 2. Session with the device's own description of itself
+            const sessionData = buildSessionData(req, sessionToken);
+            sessionData.deviceInfo.client = parseJsonField(req, 'deviceInfo');
+            const sessionRecord = await trackingService.createProcessingSession(sessionData);
+            sessionToken = sessionRecord.session_token;
+
+            // 3. The unique (user, submissionId) index makes this a no-op for a concurrent retry
+            const created = await trackingService.createFormProcessingRecord({
+                sessionId: sessionRecord.id,
+                userId: req.user.id,
+                site: req.user.site,
+                originalFilename: req.file.originalname,
+                fileSizeBytes: req.file.size,
+                fileType: req.file.mimetype,
+                imageDimensions: null,
+                capturedAt: parseCapturedAt(req.body.capturedAt),
+                clientSubmissionId: submissionId
             });
-        }
 
-        // 7. Update session statistics
-        if (sessionRecord) {
-            try {
-                await trackingService.updateProcessingSession(sessionRecord.id, {
-                    totalFormsProcessed: 1,
-                    totalProcessingTimeMs: Date.now() - startTime
-                });
-            } catch (error) {
-                logger.warn('Could not update session statistics:', error.message);
+            if (created) {
+                try {
+                    const { job, duplicateOf } = await queueSubmission(req, created, sessionToken);
+                    logger.info(`Submission ${submissionId} queued as form ${created.id}`);
+                    return res.status(202).json(submissionResponse(created, job, sessionToken, { duplicateOf }));
+                } catch (error) {
+                    // Marked so the device's next retry queues it again
+                    await trackingService.markFormProcessingError(created.id, {
+                        stage: 'queue',
+                        error: error.message,
+                        stack: error.stack
+                    });
+                    throw error;
+                }
             }
+            form = await trackingService.getFormBySubmissionId(req.user.id, submissionId);
         }
 
-        // 8. Return response in format your frontend expects
-        const totalProcessingTime = Date.now() - startTime;
-        const response = {
-            success: true,
-            message: 'Form processed successfully',
-            fileId: formRecord?.id,
-            sessionToken: sessionToken,
-            result: {
-                formType: structuredResult.formType,
-                riskAssessment: structuredResult.riskAssessment,
-                safetyIssues: structuredResult.safetyIssues,
-                recommendations: structuredResult.recommendations,
-                complianceCheck: structuredResult.complianceCheck,
-                analysis: analysisResult
-            },
-            processingTime: totalProcessingTime,
-            metadata: {
-                filename: req.file.originalname,
-                fileSize: req.file.size,
-                processingTimestamp: new Date().toISOString()
-            }
-        };
+        sessionToken = form.session_token || sessionToken;
+        const queueFailed = form.processing_status === 'failed' && form.error_details?.stage === 'queue';
+        const stalled = !queueFailed && Date.now() - new Date(form.received_at).getTime() > SUBMISSION_STALLED_MS;
+        let job = await jobQueue.findJobForForm(form.id);
 
-        logger.info(`Form analysis completed successfully in ${totalProcessingTime}ms`);
-        res.json(response);
+        // A concurrent retry created the form and is still queueing it
+        for (let wait = 0; !job && !queueFailed && !stalled && wait < SUBMISSION_QUEUE_WAITS; wait++) {
+            await new Promise(resolve => setTimeout(resolve, SUBMISSION_QUEUE_WAIT_MS));
+            job = await jobQueue.findJobForForm(form.id);
+        }
+        if (job) {
+            return res.json(submissionResponse(form, job, sessionToken, { replayed: true }));
+        }
 
-    } catch (error) {
-        logger.error('Unexpected error in form analysis:', error);
-        
-        if (formRecord) {
-            try {
-                await trackingService.markFormProcessingError(formRecord.id, {
-                    stage: 'unexpected_error',
-                    error: error.message,
-                    stack: error.stack
-                });
-            } catch (dbError) {
-                logger.error('Could not log error to database:', dbError);
-            }
+        const notQueued = queueFailed || stalled;
+        if (!notQueued || !req.file) {
+            return res.status(409).json({
+                success: false,
+                error: notQueued
+                    ? 'Submission was received but not queued - resend it with the file'
+                    : 'Submission is still being received - retry shortly',
+                submissionId,
+                formId: form.id
+            });
+        }
+
+        // Of several retries arriving together, only the one that claims the form queues it
+        const claimed = await trackingService.claimSubmissionRequeue(form.id, SUBMISSION_STALLED_MS);
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                error: 'Submission is still being received - retry shortly',
+                submissionId,
+                formId: form.id
+            });
+        }
+        form = { ...form, ...claimed };
+        try {
+            const { job: requeued, duplicateOf } = await queueSubmission(req, form, sessionToken);
+            logger.info(`Submission ${submissionId} queued again as form ${form.id}`);
+            res.status(202).json(submissionResponse(form, requeued, sessionToken, { duplicateOf }));
+        } catch (error) {
+            await trackingService.markFormProcessingError(form.id, {
+                stage: 'queue',
+                error: error.message,
+                stack: error.stack
+            });
+            throw error;
         }
 
+    } catch (error) {
+        logger.error(`Unexpected error receiving submission ${submissionId}:`, error);
         res.status(500).json({
             success: false,
-            error: 'Internal server error during form analysis',
+            error: 'Internal server error during form submission',
             details: error.message,
-            sessionToken: getOrCreateSessionToken(req),
-            formId: formRecord?.id
+            submissionId
         });
     }
 });
 
-// Add this to your forms.js routes (after your existing /upload endpoint)
-
-// NEW: Analysis endpoint for interactive mode (returns data for confirmation)
-router.post('/analyze', upload.single('file'), async (req, res) => {
-    const startTime = Date.now();
+// Analysis endpoint for interactive mode - the job result awaits confirmation via /confirm
+router.post('/analyze', requirePermission('forms:submit'), receiveFile, idempotency, async (req, res) => {
     let sessionRecord = null;
+    let sessionToken = getOrCreateSessionToken(req);
     
     try {
-        logger.info('Starting form analysis for interactive confirmation');
-
         // 1. Get or create processing session
-        const sessionToken = getOrCreateSessionToken(req);
-        const deviceInfo = extractDeviceInfo(req);
-        const locationData = extractLocationData(req);
-
         try {
-            sessionRecord = await trackingService.createProcessingSession({
-                sessionToken,
-                userIdentifier: req.ip,
-                deviceInfo,
-                locationData
-            });
+            sessionRecord = await trackingService.createProcessingSession(buildSessionData(req, sessionToken));
+            sessionToken = sessionRecord.session_token;
             logger.info(`Created processing session: ${sessionRecord.id}`);
         } catch (error) {
             logger.warn('Could not create session record, continuing without tracking:', error.message);
@@ -343,234 +552,114 @@ router.post('/analyze', upload.single('file'), async (req, res) => {
             });
         }
 
-        // 3. Extract text using OCR
-        const ocrStartTime = Date.now();
-        let ocrResult;
-        
-        try {
-            logger.info("Starting OCR processing for analysis");
-            ocrResult = await ocrService.extractText(req.file.buffer);
-
-            ocrResult = {
-                text: ocrResult.text,
-                confidence: ocrResult.confidence,
-                provider: ocrResult.provider || "tesseract",
-                fallbackUsed: ocrResult.fallbackUsed || false,
-                ...ocrResult,
-            };
-
-            logger.info(`OCR completed with ${ocrResult.provider}, confidence: ${ocrResult.confidence}%`);
-        } catch (error) {
-            logger.error("OCR processing failed:", error);
-            return res.status(500).json({
-                error: "Failed to extract text from image",
-                details: error.message,
-                sessionToken: sessionToken,
-            });
-        }
-
-        // 4. Validate OCR results
-        if (!ocrResult.text || ocrResult.text.trim().length < 10) {
-            return res.status(400).json({
-                error: 'Insufficient text extracted from image',
-                extractedText: ocrResult.text,
-                confidence: ocrResult.confidence,
-                provider: ocrResult.provider,
-                sessionToken: sessionToken,
-                suggestion: "Please ensure the image is clear and contains readable text"
-            });
-        }
-
-        // 5. Perform AI analysis
-        const aiStartTime = Date.now();
-        let analysisResult;
+        // 3. Keep the original now; it is linked to the form on /confirm
+        const { sha256, duplicateOf } = await storeOriginalUpload(req, null);
 
-        try {
-            logger.info('Starting AI safety analysis for interactive mode');
-            analysisResult = await aiAnalysisService.analyzeSafetyForm(ocrResult.text);
-
-            logger.info(`AI analysis completed: ${analysisResult.formType} - ${analysisResult.riskLevel} risk (${analysisResult.riskScore}/10)`);
-        } catch (error) {
-            logger.error('AI analysis failed:', error);
-            
-            return res.status(500).json({
-                error: 'Failed to analyze safety form',
-                details: error.message,
-                ocrResult: {
-                    text: ocrResult.text,
-                    confidence: ocrResult.confidence,
-                    provider: ocrResult.provider
-                },
-                sessionToken: sessionToken
-            });
-        }
-
-        // 6. Prepare response for user confirmation (DON'T save to database yet)
-        const totalProcessingTime = Date.now() - startTime;
-        const response = {
-            success: true,
-            status: 'awaiting_confirmation',
-            sessionToken: sessionToken,
-            sessionId: sessionRecord?.id,
-            processing: {
-                totalTimeMs: totalProcessingTime,
-                ocrTimeMs: Date.now() - ocrStartTime - (Date.now() - aiStartTime),
-                aiTimeMs: Date.now() - aiStartTime
-            },
-            ocr: {
-                provider: ocrResult.provider,
-                confidence: ocrResult.confidence,
-                textLength: ocrResult.text.length,
-                fallbackUsed: ocrResult.fallbackUsed,
-                extractedText: ocrResult.text.substring(0, 500) + (ocrResult.text.length > 500 ? '...' : '') // Preview only
-            },
-            analysis: {
-                formType: analysisResult.formType || 'UNKNOWN',
-                formTypeConfidence: 'HIGH', // You could enhance this based on AI confidence
-                riskScore: analysisResult.riskScore || 5,
-                riskLevel: analysisResult.riskLevel || 'MEDIUM',
-                flaggedIssues: analysisResult.flaggedIssues || [],
-                ppeRequired: [], // Add if your AI provides this
-                complianceIssues: analysisResult.complianceIssues || [],
-                summary: analysisResult.summary || 'Safety analysis completed',
-                requiresSupervisorReview: analysisResult.requiresSupervisorReview || false,
-                formCompleteness: analysisResult.formCompleteness || 'UNKNOWN',
-                missingFields: analysisResult.missingFields || [],
-                positiveFindings: analysisResult.positiveFindings || [],
-                workLocation: 'Not specified', // User can edit this
-                workActivity: 'Not specified', // User can edit this
-                workerDetails: {
-                    signaturesPresent: false, // You could detect this
-                    supervisorApproval: false,
-                    dateCompleted: null
-                },
-                emergencyProcedures: {
-                    mentioned: false,
-                    details: []
-                }
-            },
-            fileInfo: {
-                originalFilename: req.file.originalname,
-                fileSize: req.file.size,
-                mimeType: req.file.mimetype,
-                uploadTimestamp: new Date().toISOString()
-            },
-            confirmationRequired: true,
-            tempData: {
-                extractedText: ocrResult.text,
-                ocrResult: ocrResult,
-                originalAnalysis: analysisResult
+        // 4. Queue OCR and AI analysis (nothing is saved until the user confirms)
+        const job = await jobQueue.enqueue(formPipeline.JOB_TYPE, {
+            payload: {
+                mode: formPipeline.MODES.ANALYZE,
+                sessionToken,
+                uploadTimestamp: new Date().toISOString(),
+                originalSha256: sha256,
+                duplicateOf,
+                location: extractLocationData(req),
+                ...extractCaptureMetadata(req)
             },
-            message: "Please review and confirm the analysis before saving"
-        };
+            file: req.file,
+            sessionId: sessionRecord?.id,
+            userId: req.user.id,
+            site: req.user.site
+        });
 
-        logger.info(`Form analysis completed for confirmation in ${totalProcessingTime}ms`);
-        res.json(response);
+        res.status(202).json(jobAcceptedResponse(job, sessionToken, null, duplicateOf));
 
     } catch (error) {
-        logger.error('Unexpected error in interactive form analysis:', error);
+        logger.error('Unexpected error queuing interactive form analysis:', error);
         
         res.status(500).json({
             error: 'Internal server error during form analysis',
             details: error.message,
-            sessionToken: getOrCreateSessionToken(req)
+            sessionToken: sessionToken
         });
     }
 });
 
-// NEW: Confirmation endpoint (saves to database after user confirms)
-router.post('/confirm', async (req, res) => {
+// Saves a draft from /analyze once the user has checked it. Only the draft id, the user's edits to
+// the analysis and their word fixes come from the request: the text, machine analysis and files are
+// the draft's, and what the user changed is diffed by confirmationService and recorded as userCorrections.
+router.post('/confirm', requirePermission('forms:submit'), idempotency, async (req, res) => {
     const startTime = Date.now();
-    let formRecord = null;
+    let draft = null;
+    let confirmed = false;
     
     try {
-        const { 
-            sessionToken, 
-            sessionId, 
-            confirmedAnalysis, 
-            tempData, 
-            fileInfo,
-            userCorrections = {}
-        } = req.body;
-
-        logger.info('Processing form confirmation and saving to database', {
-            sessionToken,
-            sessionId,
-            hasCorrections: Object.keys(userCorrections).length > 0
-        });
+        const { draftId, textCorrections = [] } = req.body;
+
+        logger.info('Processing form confirmation and saving to database', { draftId });
 
         // Validate required data
-        if (!sessionToken || !confirmedAnalysis || !tempData) {
+        if (!draftId || !req.body.confirmedAnalysis || typeof req.body.confirmedAnalysis !== 'object') {
             return res.status(400).json({
                 error: 'Missing required confirmation data',
-                required: ['sessionToken', 'confirmedAnalysis', 'tempData']
+                required: ['draftId', 'confirmedAnalysis']
             });
         }
 
-        // Create form processing record
-        try {
-            formRecord = await trackingService.createFormProcessingRecord({
-                sessionId: sessionId,
-                originalFilename: fileInfo.originalFilename,
-                fileSizeBytes: fileInfo.fileSize,
-                fileType: fileInfo.mimeType,
-                imageDimensions: null
-            });
-            logger.info(`Created form processing record: ${formRecord.id}`);
-        } catch (error) {
-            logger.error('Could not create form record:', error);
-            return res.status(500).json({
-                error: 'Failed to create form record',
-                details: error.message
-            });
+        // Checked before the draft is claimed, so a bad edit leaves nothing half saved
+        const parsed = parseConfirmedAnalysis(req.body.confirmedAnalysis);
+        if (!parsed.success) {
+            return res.status(400).json({ error: 'Invalid confirmed analysis', issues: parsed.issues });
         }
-
-        // Update form record with OCR results
-        const ocrResult = tempData.ocrResult;
-        await trackingService.updateFormProcessingOCR(formRecord.id, {
-            providerUsed: ocrResult.provider,
-            confidenceScore: ocrResult.confidence,
-            processingTimeMs: 0, // We don't have this from temp data
-            extractedTextLength: ocrResult.text?.length || 0,
-            fallbackUsed: ocrResult.fallbackUsed || false,
-            extractedText: tempData.extractedText,
+        const confirmedAnalysis = parsed.data;
+
+        // Only one confirmation of a draft can save it
+        const claim = isUuid(String(draftId))
+            ? await analysisDraftService.claimDraft(draftId, req.user.id)
+            : { reason: 'not_found' };
+        if (!claim.draft) {
+            const [status, error] = DRAFT_CLAIM_ERRORS[claim.reason];
+            return res.status(status).json({ error, draftId, formId: claim.formId });
+        }
+        draft = claim.draft;
+
+        const saved = await confirmationService.confirmDraft(draft, {
+            user: req.user,
+            confirmedAnalysis,
+            textCorrections,
+            location: extractLocationData(req),
+            canAdjustRatings: hasPermission(req.user, 'forms:review'),
+            confirmDuplicate: req.body.confirmDuplicate === true
         });
 
-        // Update form record with AI analysis results (including user corrections)
-        await trackingService.updateFormProcessingAI(formRecord.id, {
-            aiProvider: 'deepseek',
-            processingTimeMs: 0,
-            formTypeDetected: confirmedAnalysis.formType,
-            riskScore: confirmedAnalysis.riskScore,
-            riskLevel: confirmedAnalysis.riskLevel,
-            riskEscalated: confirmedAnalysis.requiresSupervisorReview,
-            supervisorFlagged: confirmedAnalysis.riskLevel === 'HIGH' || confirmedAnalysis.riskLevel === 'CRITICAL',
-            australianStandardsReferenced: confirmedAnalysis.complianceIssues?.map(issue => issue.standard) || [],
-            complianceGapsIdentified: confirmedAnalysis.complianceIssues?.length || 0,
-            analysisResult: {
-                ...confirmedAnalysis,
-                userCorrections,
-                confirmationTimestamp: new Date().toISOString()
-            },
-            hazardsIdentified: confirmedAnalysis.flaggedIssues || [],
-            recommendations: confirmedAnalysis.flaggedIssues?.map(issue => issue.recommendation).filter(Boolean) || []
-        });
+        // A form that looks and reads like one already saved today is only saved once the user says so
+        if (!saved.saved) {
+            await analysisDraftService.releaseDraft(draft.id);
+            draft = null;
+            return res.status(409).json({
+                success: false,
+                error: 'Suspected duplicate',
+                message: 'This form looks like one already submitted today. Send confirmDuplicate: true to save it anyway.',
+                suspectedDuplicate: describeSuspectedDuplicate(req.user, saved.suspectedDuplicate)
+            });
+        }
+        confirmed = true;
 
-        // Log audit event for user confirmation
-        await trackingService.logAuditEvent(formRecord.id, sessionId, 'form_confirmed', {
-            userCorrections,
-            finalFormType: confirmedAnalysis.formType,
-            finalRiskScore: confirmedAnalysis.riskScore,
-            supervisorReviewRequired: confirmedAnalysis.requiresSupervisorReview,
-            confirmationTimestamp: new Date().toISOString()
-        });
+        // A reviewed batch item moves on once its draft is saved
+        try {
+            await batchService.markDraftConfirmed(draft.id, saved.formId);
+        } catch (error) {
+            logger.error('Could not update form batch after confirmation:', error);
+        }
 
         // Prepare final response
+        const correctionFields = changedAnalysisFields(saved.userCorrections);
         const response = {
             success: true,
             status: 'confirmed_and_saved',
-            formId: formRecord.id,
-            sessionToken: sessionToken,
+            formId: saved.formId,
+            draftId: draft.id,
+            sessionToken: draft.session_token,
             processing: {
                 confirmationTimeMs: Date.now() - startTime
             },
@@ -582,15 +671,19 @@ router.post('/confirm', async (req, res) => {
                 issueCount: confirmedAnalysis.flaggedIssues?.length || 0,
                 complianceIssueCount: confirmedAnalysis.complianceIssues?.length || 0
             },
+            site: saved.site,
+            suspectedDuplicate: describeSuspectedDuplicate(req.user, saved.suspectedDuplicate),
+            userCorrections: saved.userCorrections,
             metadata: {
                 savedAt: new Date().toISOString(),
-                userCorrections: Object.keys(userCorrections).length > 0,
-                correctionFields: Object.keys(userCorrections)
+                userCorrections: correctionFields.length > 0,
+                correctionFields,
+                textCorrections: saved.textCorrections.length
             }
         };
 
         logger.info(`Form confirmation completed and saved in ${Date.now() - startTime}ms`, {
-            formId: formRecord.id,
+            formId: saved.formId,
             formType: confirmedAnalysis.formType,
             riskLevel: confirmedAnalysis.riskLevel
         });
@@ -600,85 +693,26 @@ router.post('/confirm', async (req, res) => {
     } catch (error) {
         logger.error('Unexpected error in form confirmation:', error);
         
-        if (formRecord) {
-            try {
-                await trackingService.markFormProcessingError(formRecord.id, {
-                    stage: 'confirmation_error',
-                    error: error.message,
-                    stack: error.stack
-                });
-            } catch (dbError) {
-                logger.error('Could not log error to database:', dbError);
-            }
+        // Let the user try confirming again
+        if (draft && !confirmed) {
+            await analysisDraftService.releaseDraft(draft.id).catch(releaseError => {
+                logger.error('Could not release analysis draft:', releaseError);
+            });
         }
 
         res.status(500).json({
-            error: 'Internal server error during form confirmation',
+            error: error.formId ? 'Internal server error during form confirmation' : 'Failed to create form record',
             details: error.message,
-            formId: formRecord?.id
+            formId: error.formId
         });
     }
 });
 
-// Helper function to process and structure AI analysis results
-function processAIAnalysisResult(rawAnalysis, ocrResult) {
-    try {
-        // Use the raw analysis directly since it's already structured
-        const analysis = rawAnalysis;
-        
-        // Map to your frontend's expected format
-        const structured = {
-            formType: analysis.formType || 'UNKNOWN',
-            riskAssessment: {
-                score: analysis.riskScore || 5,
-                level: analysis.riskLevel || 'MEDIUM',
-                escalated: false,
-                reasoning: analysis.summary || 'Risk assessment completed'
-            },
-            safetyIssues: analysis.flaggedIssues || [],
-            recommendations: analysis.flaggedIssues?.map(issue => issue.recommendation).filter(Boolean) || [],
-            complianceCheck: {
-                status: analysis.complianceIssues?.length > 0 ? 'ISSUES_FOUND' : 'COMPLIANT',
-                standardsReferenced: analysis.complianceIssues?.map(issue => issue.standard) || [],
-                gaps: analysis.complianceIssues || []
-            }
-        };
-
-        // Apply risk escalation logic for incomplete forms
-        if (ocrResult.text.length < 200 && structured.riskAssessment.score < 8) {
-            structured.riskAssessment.score = Math.min(10, structured.riskAssessment.score + 2);
-            structured.riskAssessment.level = structured.riskAssessment.score >= 8 ? 'HIGH' : 'MEDIUM';
-            structured.riskAssessment.escalated = true;
-            structured.riskAssessment.reasoning += ' (Escalated due to incomplete form data)';
-        }
-
-        return structured;
-    } catch (error) {
-        logger.error('Error processing AI analysis result:', error);
-        return {
-            formType: 'UNKNOWN',
-            riskAssessment: {
-                score: 8,
-                level: 'HIGH',
-                escalated: true,
-                reasoning: 'Error processing analysis - escalated for manual review'
-            },
-            safetyIssues: [],
-            recommendations: ['Manual review required due to processing error'],
-            complianceCheck: {
-                status: 'REQUIRES_REVIEW',
-                standardsReferenced: [],
-                gaps: ['Analysis processing error']
-            }
-        };
-    }
-}
-
 // Keep all your existing endpoints
-router.get('/session/:sessionToken', async (req, res) => {
+router.get('/session/:sessionToken', requirePermission('forms:read'), async (req, res) => {
     try {
         const { sessionToken } = req.params;
-        const forms = await trackingService.getSessionForms(sessionToken);
+        const forms = await trackingService.getSessionForms(sessionToken, req.formScope);
         
         res.json({
             success: true,
@@ -703,18 +737,21 @@ router.get('/session/:sessionToken', async (req, res) => {
     }
 });
 
-router.get('/form/:formId', async (req, res) => {
+router.get('/form/:formId', requirePermission('forms:read'), requireUuidParams('formId'), async (req, res) => {
     try {
         const { formId } = req.params;
         const form = await trackingService.getFormById(formId);
         
-        if (!form) {
+        // Forms outside the caller's scope are reported as missing
+        if (!form || !canAccessForm(req.user, form)) {
             return res.status(404).json({
                 error: 'Form not found',
                 formId
             });
         }
 
+        const files = await fileStorageService.listFormFiles(form.id);
+
         res.json({
             success: true,
             form: {
@@ -725,6 +762,8 @@ router.get('/form/:formId', async (req, res) => {
                     totalTimeMs: form.total_processing_time_ms,
                     ocrProvider: form.ocr_provider_used,
                     ocrConfidence: form.ocr_confidence_score,
+                    pageCount: form.page_count || 1,
+                    pages: form.ocr_pages || [],
                     aiProvider: form.ai_provider
                 },
                 analysis: {
@@ -732,20 +771,36 @@ router.get('/form/:formId', async (req, res) => {
                     riskScore: form.risk_score,
                     riskLevel: form.risk_level,
                     riskEscalated: form.risk_escalated,
+                    riskTrace: form.risk_trace || null,
                     supervisorFlagged: form.supervisor_flagged,
                     complianceGaps: form.compliance_gaps_identified,
                     standardsReferenced: form.australian_standards_referenced
                 },
+                review: {
+                    status: form.review_status,
+                    reviewedBy: form.reviewed_by,
+                    reviewedAt: form.reviewed_at,
+                    notes: form.review_notes
+                },
                 results: {
                     extractedText: form.extracted_text,
                     aiAnalysis: form.ai_analysis_result,
                     hazards: form.hazards,
                     recommendations: form.recommendations
                 },
+                files: files.map(formatFormFile),
+                duplicateOfFormId: form.duplicate_of_form_id,
+                site: form.location_id ? {
+                    id: form.location_id,
+                    name: form.location_name,
+                    match: form.location_match
+                } : null,
                 metadata: {
                     createdAt: form.created_at,
+                    receivedAt: form.received_at,
                     updatedAt: form.updated_at,
-                    sessionToken: form.session_token
+                    sessionToken: form.session_token,
+                    submissionId: form.client_submission_id
                 }
             }
         });
@@ -758,14 +813,88 @@ router.get('/form/:formId', async (req, res) => {
     }
 });
 
-router.get('/analytics/summary', async (req, res) => {
+// Stored original and preprocessed images for a form
+router.get('/form/:formId/files', requirePermission('forms:read'), requireUuidParams('formId'), loadAccessibleForm, async (req, res) => {
+    try {
+        const files = await fileStorageService.listFormFiles(req.form.id);
+        res.json({ success: true, files: files.map(formatFormFile) });
+    } catch (error) {
+        logger.error('Error listing form files:', error);
+        res.status(500).json({
+            error: 'Failed to list form files',
+            details: error.message
+        });
+    }
+});
+
+router.get('/form/:formId/files/:fileId', requirePermission('forms:read'), requireUuidParams('formId', 'fileId'), loadAccessibleForm, async (req, res) => {
+    try {
+        const file = await fileStorageService.getFormFile(req.form.id, req.params.fileId);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const filename = file.original_filename || `${file.kind.toLowerCase()}-${file.page_number || 1}`;
+        res.set('Content-Type', file.mime_type || 'application/octet-stream');
+        res.set('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
+        // Content-addressed, so the bytes behind a file id never change
+        res.set('Cache-Control', 'private, max-age=86400, immutable');
+        res.set('ETag', `"${file.file_sha256}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        logger.error('Error fetching form file:', error);
+        res.status(500).json({
+            error: 'Failed to fetch form file',
+            details: error.message
+        });
+    }
+});
+
+// Full-text search with highlighted snippets, facets and pagination
+router.get('/search', requirePermission('forms:read'), async (req, res) => {
+    try {
+        const search = await formSearchService.search(req.formScope, req.query);
+        res.json({
+            success: true,
+            query: search.query,
+            total: search.total,
+            limit: search.limit,
+            offset: search.offset,
+            results: search.results.map(form => ({
+                id: form.id,
+                filename: form.original_filename,
+                formType: form.form_type_detected,
+                riskLevel: form.risk_level,
+                riskScore: form.risk_score,
+                site: form.site,
+                workLocation: form.work_location,
+                workActivity: form.work_activity,
+                reviewStatus: form.review_status,
+                hazardCount: parseInt(form.hazard_count) || 0,
+                processedAt: form.created_at,
+                rank: parseFloat(form.rank) || 0,
+                highlights: form.highlights
+            })),
+            facets: search.facets
+        });
+    } catch (error) {
+        logger.error('Error searching forms:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to search forms',
+            details: error.status ? undefined : error.message
+        });
+    }
+});
+
+router.get('/analytics/summary', requirePermission('analytics:read'), validateSiteId, async (req, res) => {
     try {
         const timeRange = req.query.timeRange || '24 hours';
-        const summary = await trackingService.getProcessingSummary(timeRange);
+        const summary = await trackingService.getProcessingSummary(timeRange, req.formScope, { siteId: req.query.siteId });
         
         res.json({
             success: true,
             timeRange,
+            siteId: req.query.siteId || null,
             summary: {
                 totalForms: parseInt(summary.total_forms) || 0,
                 completedForms: parseInt(summary.completed_forms) || 0,
@@ -786,14 +915,15 @@ router.get('/analytics/summary', async (req, res) => {
     }
 });
 
-router.get('/analytics/hazards', async (req, res) => {
+router.get('/analytics/hazards', requirePermission('analytics:read'), validateSiteId, async (req, res) => {
     try {
         const timeRange = req.query.timeRange || '7 days';
-        const trends = await trackingService.getHazardTrends(timeRange);
+        const trends = await trackingService.getHazardTrends(timeRange, req.formScope, { siteId: req.query.siteId });
         
         res.json({
             success: true,
             timeRange,
+            siteId: req.query.siteId || null,
             hazardTrends: trends.map(trend => ({
                 type: trend.hazard_type,
                 category: trend.hazard_category,
@@ -811,7 +941,7 @@ router.get('/analytics/hazards', async (req, res) => {
     }
 });
 
-router.get('/health', async (req, res) => {
+router.get('/health', requirePermission('system:health'), async (req, res) => {
     try {
         const health = await trackingService.healthCheck();
         res.json(health);
@@ -824,14 +954,17 @@ router.get('/health', async (req, res) => {
     }
 });
 
-router.get('/analytics/recent', async (req, res) => {
+router.get('/analytics/recent', requirePermission('analytics:read'), validateSiteId, async (req, res) => {
     try {
-        const forms = await trackingService.getRecentForms(50); // Get last 50
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const forms = await trackingService.getRecentForms(limit, req.formScope, { siteId: req.query.siteId });
         res.json({
             success: true,
             forms: forms.map(form => ({
                 id: form.id,
                 filename: form.original_filename,
+                siteId: form.location_id,
+                siteName: form.location_name,
                 formType: form.form_type_detected,
                 riskLevel: form.risk_level,
                 riskScore: form.risk_score,
@@ -845,45 +978,6 @@ router.get('/analytics/recent', async (req, res) => {
     }
 });
 
-// Add this new endpoint to your forms.js route file
-router.get('/analytics/recent', async (req, res) => {
-    try {
-        const limit = parseInt(req.query.limit) || 10;
-        
-        const recentForms = await db.query(`
-            SELECT 
-                fp.id,
-                fp.form_type,
-                fp.risk_score,
-                fp.risk_level,
-                fp.processing_status,
-                fp.created_at,
-                ps.session_id,
-                COUNT(fh.id) as hazard_count
-            FROM forms_processing fp
-            LEFT JOIN processing_sessions ps ON fp.session_id = ps.id
-            LEFT JOIN form_hazards fh ON fp.id = fh.form_id
-            WHERE fp.processing_status IN ('CONFIRMED', 'PROCESSED')
-            GROUP BY fp.id, ps.session_id
-            ORDER BY fp.created_at DESC
-            LIMIT $1
-        `, [limit]);
-        
-        res.json({
-            success: true,
-            data: recentForms.rows,
-            count: recentForms.rows.length
-        });
-        
-    } catch (error) {
-        logger.error('Recent analytics query failed', { error: error.message });
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch recent analytics'
-        });
-    }
-});
-
 module.exports = router;
 
 // // backend/src/routes/forms.js - Enhanced with Confirmation Step
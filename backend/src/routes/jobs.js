@@ -0,0 +1,179 @@
+// Processing job status and progress streaming
+const express = require('express');
+const jobQueue = require('../services/jobs/jobQueue');
+const fileStorageService = require('../services/storage/fileStorageService');
+const { requirePermission, canAccessForm } = require('../middleware/auth');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+router.use(requirePermission('forms:submit'));
+
+function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.job_type,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        nextRunAt: job.status === 'RETRYING' ? job.run_at : null,
+        lastError: job.last_error,
+        formId: job.form_processing_id,
+        filename: job.input_filename,
+        result: jobQueue.isTerminal(job.status) ? job.result : null,
+        startedAt: job.started_at,
+        completedAt: job.completed_at,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at
+    };
+}
+
+function formatEvent(event) {
+    return {
+        id: event.id,
+        type: event.event_type,
+        stage: event.stage,
+        progress: event.progress,
+        message: event.message,
+        data: event.data,
+        timestamp: event.created_at
+    };
+}
+
+// Jobs follow the same visibility rules as the forms they produce
+async function loadAccessibleJob(req, res, next) {
+    try {
+        const job = await jobQueue.getJob(req.params.jobId);
+        if (!job || !canAccessForm(req.user, job)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        req.job = job;
+        next();
+    } catch (error) {
+        logger.error('Error loading processing job:', error);
+        res.status(500).json({
+            error: 'Failed to fetch job',
+            details: error.message
+        });
+    }
+}
+
+router.get('/:jobId', loadAccessibleJob, (req, res) => {
+    res.json({ success: true, job: formatJob(req.job) });
+});
+
+// Page images for reviewing an analysis before it is confirmed (no form exists yet to attach them to).
+// Only the files the job's own result refers to can be fetched.
+router.get('/:jobId/files/:sha256', loadAccessibleJob, async (req, res) => {
+    try {
+        const result = req.job.result || {};
+        const jobFiles = [result.fileInfo?.sha256, ...(result.review?.pages || []).map(page => page.sha256)];
+        if (!jobFiles.includes(req.params.sha256)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const file = await fileStorageService.read(req.params.sha256);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        res.set('Content-Type', file.mime_type || 'application/octet-stream');
+        // Content-addressed, so the bytes never change
+        res.set('Cache-Control', 'private, max-age=86400, immutable');
+        res.set('ETag', `"${file.sha256}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        logger.error('Error fetching job file:', error);
+        res.status(500).json({
+            error: 'Failed to fetch file',
+            details: error.message
+        });
+    }
+});
+
+// Server-Sent Events: replays stored events, then streams live ones until the job finishes.
+// Reconnecting clients send Last-Event-ID to resume where they left off.
+router.get('/:jobId/events', loadAccessibleJob, async (req, res) => {
+    const jobId = req.job.id;
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+    let highestSentId = lastEventId;
+    let closed = false;
+    const pending = [];
+    let replaying = true;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    const finishIfTerminal = async (event) => {
+        if (event.event_type !== 'completed' && event.event_type !== 'failed') return;
+        const job = await jobQueue.getJob(jobId);
+        if (closed) return;
+        res.write(`event: done\ndata: ${JSON.stringify(formatJob(job))}\n\n`);
+        cleanup();
+    };
+
+    const send = async (event) => {
+        // BIGSERIAL ids arrive from pg as strings
+        const eventId = Number(event.id);
+        if (closed || eventId <= highestSentId) return;
+        highestSentId = eventId;
+        res.write(`id: ${event.id}\nevent: progress\ndata: ${JSON.stringify(formatEvent(event))}\n\n`);
+        await finishIfTerminal(event);
+    };
+
+    // Subscribe before replaying so nothing published in between is lost
+    const unsubscribe = jobQueue.subscribe(jobId, (event) => {
+        if (replaying) {
+            pending.push(event);
+        } else {
+            send(event).catch(error => logger.warn(`Job event stream error for ${jobId}:`, error.message));
+        }
+    });
+
+    req.on('close', cleanup);
+
+    try {
+        const history = await jobQueue.getEvents(jobId, lastEventId);
+        for (const event of history) {
+            await send(event);
+        }
+        while (pending.length > 0) {
+            const queued = pending.splice(0).sort((a, b) => Number(a.id) - Number(b.id));
+            for (const event of queued) {
+                await send(event);
+            }
+        }
+        replaying = false;
+
+        // Already finished before this client reconnected past its terminal event
+        if (!closed && jobQueue.isTerminal(req.job.status) && history.length === 0) {
+            res.write(`event: done\ndata: ${JSON.stringify(formatJob(req.job))}\n\n`);
+            cleanup();
+        }
+    } catch (error) {
+        logger.error(`Error streaming events for job ${jobId}:`, error);
+        res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to stream job events' })}\n\n`);
+        cleanup();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+// Supervisor review queue routes
+const express = require('express');
+const reviewService = require('../services/review/reviewService');
+const trackingService = require('../services/database/trackingService');
+const { requirePermission, canAccessForm } = require('../middleware/auth');
+const { requireUuidParams } = require('../middleware/uuidParams');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+router.use(requirePermission('forms:review'));
+router.param('formId', requireUuidParams('formId'));
+
+function sendReviewError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+function formatQueueItem(form) {
+    return {
+        id: form.id,
+        filename: form.original_filename,
+        formType: form.form_type_detected,
+        riskScore: form.risk_score,
+        riskLevel: form.risk_level,
+        riskEscalated: form.risk_escalated,
+        site: form.site,
+        summary: form.summary,
+        hazardCount: parseInt(form.hazard_count) || 0,
+        submittedBy: form.submitted_by_name,
+        submittedAt: form.created_at,
+        ageHours: Math.round(parseFloat(form.age_hours) * 10) / 10,
+        review: {
+            status: form.review_status,
+            claimedBy: form.claim_active ? form.review_claimed_by : null,
+            claimedByName: form.claim_active ? form.claimed_by_name : null,
+            claimedAt: form.claim_active ? form.review_claimed_at : null,
+            reviewedBy: form.reviewed_by,
+            reviewedAt: form.reviewed_at,
+            notes: form.review_notes
+        }
+    };
+}
+
+// Forms must exist and be inside the reviewer's scope (site for supervisors)
+async function loadAccessibleForm(req, res, next) {
+    try {
+        const form = await trackingService.getFormById(req.params.formId);
+        if (!form || !canAccessForm(req.user, form)) {
+            return res.status(404).json({
+                error: 'Form not found',
+                formId: req.params.formId
+            });
+        }
+        req.form = form;
+        next();
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to load form');
+    }
+}
+
+router.get('/queue', async (req, res) => {
+    try {
+        const queue = await reviewService.getQueue(req.formScope, {
+            status: req.query.status,
+            limit: req.query.limit,
+            offset: req.query.offset,
+            claimedBy: req.query.mine === 'true' ? req.user.id : null
+        });
+
+        res.json({
+            success: true,
+            total: queue.total,
+            limit: queue.limit,
+            offset: queue.offset,
+            forms: queue.forms.map(formatQueueItem)
+        });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to fetch review queue');
+    }
+});
+
+router.get('/:formId/history', loadAccessibleForm, async (req, res) => {
+    try {
+        const history = await reviewService.getReviewHistory(req.params.formId);
+        res.json({
+            success: true,
+            formId: req.params.formId,
+            history: history.map(event => ({
+                event: event.event_type,
+                timestamp: event.event_timestamp,
+                user: event.user_name,
+                details: event.event_details
+            }))
+        });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to fetch review history');
+    }
+});
+
+router.post('/:formId/claim', loadAccessibleForm, async (req, res) => {
+    try {
+        const form = await reviewService.claimForm(req.params.formId, req.user);
+        res.json({
+            success: true,
+            formId: form.id,
+            claimedBy: form.review_claimed_by,
+            claimedAt: form.review_claimed_at
+        });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to claim form');
+    }
+});
+
+router.post('/:formId/release', loadAccessibleForm, async (req, res) => {
+    try {
+        const form = await reviewService.releaseClaim(req.params.formId, req.user);
+        res.json({ success: true, formId: form.id });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to release claim');
+    }
+});
+
+// Body: { decision: 'APPROVE' | 'REJECT' | 'REQUEST_CHANGES', notes }
+router.post('/:formId/decision', loadAccessibleForm, async (req, res) => {
+    try {
+        const { decision, notes } = req.body || {};
+        const form = await reviewService.decide(req.params.formId, req.user, { decision, notes });
+
+        res.json({
+            success: true,
+            formId: form.id,
+            review: {
+                status: form.review_status,
+                reviewedBy: form.reviewed_by,
+                reviewedAt: form.reviewed_at,
+                notes: form.review_notes
+            }
+        });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to record review decision');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+// Risk escalation rule routes (read: supervisors, publish/activate: admins)
+const express = require('express');
+const riskRuleService = require('../services/risk/riskRuleService');
+const { validateRule } = require('../services/risk/riskRulesEngine');
+const { classifyAnalysisControls } = require('../services/risk/controlHierarchy');
+const aiAnalysisService = require('../services/ai/aiAnalysisService');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+router.use(requirePermission('risk_rules:read'));
+
+function sendRuleError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+function parseVersion(value) {
+    const version = parseInt(value);
+    if (!Number.isInteger(version) || version < 1) {
+        const error = new Error('Version must be a positive integer');
+        error.status = 400;
+        throw error;
+    }
+    return version;
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const rules = await riskRuleService.listRules({
+            includeInactive: req.query.includeInactive === 'true'
+        });
+        res.json({ rules });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to list risk rules');
+    }
+});
+
+// Score an analysis against the active rules without saving anything.
+// Draft rules in body.rules replace the active rule with the same key, so edits can be tried first.
+router.post('/evaluate', async (req, res) => {
+    try {
+        const { text, analysis = {}, formType, checkboxes, ocrConfidence, captureMethod, rules: drafts } = req.body || {};
+        if (typeof text !== 'string') {
+            return res.status(400).json({ error: 'text is required' });
+        }
+        if (analysis.analysisStatus !== 'FAILED' && !(Number.isInteger(analysis.riskScore) && analysis.riskScore >= 1 && analysis.riskScore <= 10)) {
+            return res.status(400).json({ error: 'analysis.riskScore must be a whole number from 1 to 10' });
+        }
+
+        let rules = null;
+        if (Array.isArray(drafts) && drafts.length > 0) {
+            const draftRules = drafts.map(rule => ({ ...validateRule(rule), version: null, draft: true }));
+            const draftKeys = new Set(draftRules.map(rule => rule.key));
+            const activeRules = await riskRuleService.getActiveRules();
+            rules = [...activeRules.filter(rule => !draftKeys.has(rule.key)), ...draftRules];
+        }
+
+        const scored = await aiAnalysisService.applyRiskRules(classifyAnalysisControls({
+            flaggedIssues: [],
+            hrwFactors: [],
+            missingFields: [],
+            ...analysis
+        }), text, {
+            formType,
+            checkboxes: Array.isArray(checkboxes) ? checkboxes : [],
+            ocrConfidence,
+            captureMethod,
+            rules
+        });
+
+        res.json({
+            riskScore: scored.riskScore,
+            riskLevel: scored.riskLevel,
+            trace: scored.riskTrace
+        });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to evaluate risk rules');
+    }
+});
+
+router.post('/', requirePermission('risk_rules:manage'), async (req, res) => {
+    try {
+        const rule = await riskRuleService.createRule(req.body, req.user.id);
+        res.status(201).json({ rule });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to create risk rule');
+    }
+});
+
+router.get('/:key', async (req, res) => {
+    try {
+        const versions = await riskRuleService.listVersions(req.params.key);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'Risk rule not found' });
+        }
+        res.json({ rule: versions[0], versions });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to load risk rule');
+    }
+});
+
+router.get('/:key/versions/:version', async (req, res) => {
+    try {
+        const rule = await riskRuleService.getRule(req.params.key, parseVersion(req.params.version));
+        if (!rule) {
+            return res.status(404).json({ error: 'Risk rule version not found' });
+        }
+        res.json({ rule });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to load risk rule version');
+    }
+});
+
+// Publishing an edit always creates the next version; scores keep naming the version that fired
+router.post('/:key/versions', requirePermission('risk_rules:manage'), async (req, res) => {
+    try {
+        const rule = await riskRuleService.createVersion(req.params.key, req.body, req.user.id);
+        res.status(201).json({ rule });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to publish risk rule version');
+    }
+});
+
+router.patch('/:key/versions/:version', requirePermission('risk_rules:manage'), async (req, res) => {
+    try {
+        if (typeof req.body?.isActive !== 'boolean') {
+            return res.status(400).json({ error: 'isActive must be true or false' });
+        }
+        const rule = await riskRuleService.setActive(
+            req.params.key, parseVersion(req.params.version), req.body.isActive
+        );
+        res.json({ rule });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to update risk rule version');
+    }
+});
+
+module.exports = router;
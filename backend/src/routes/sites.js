@@ -0,0 +1,85 @@
+// Site management routes - processing_locations with geofences and rollup statistics
+const express = require('express');
+const siteService = require('../services/sites/siteService');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+router.use(requirePermission('sites:read'));
+
+function sendSiteError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const sites = await siteService.listSites({ includeArchived: req.query.includeArchived === 'true' });
+        res.json({ success: true, sites });
+    } catch (error) {
+        sendSiteError(res, error, 'Failed to fetch sites');
+    }
+});
+
+router.post('/', requirePermission('sites:manage'), async (req, res) => {
+    try {
+        const site = await siteService.createSite(req.body);
+        res.status(201).json({ success: true, site });
+    } catch (error) {
+        sendSiteError(res, error, 'Failed to create site');
+    }
+});
+
+router.get('/:siteId', async (req, res) => {
+    try {
+        const site = await siteService.getSite(req.params.siteId);
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+        res.json({ success: true, site });
+    } catch (error) {
+        sendSiteError(res, error, 'Failed to fetch site');
+    }
+});
+
+router.patch('/:siteId', requirePermission('sites:manage'), async (req, res) => {
+    try {
+        const site = await siteService.updateSite(req.params.siteId, req.body);
+        res.json({ success: true, site });
+    } catch (error) {
+        sendSiteError(res, error, 'Failed to update site');
+    }
+});
+
+// Archives the site; its forms keep their site and it can be restored with PATCH { active: true }
+router.delete('/:siteId', requirePermission('sites:manage'), async (req, res) => {
+    try {
+        const site = await siteService.archiveSite(req.params.siteId);
+        res.json({ success: true, site });
+    } catch (error) {
+        sendSiteError(res, error, 'Failed to archive site');
+    }
+});
+
+// Recompute the rollup statistics (they are kept up to date as forms are placed on the site)
+router.post('/:siteId/refresh-stats', requirePermission('sites:manage'), async (req, res) => {
+    try {
+        await siteService.refreshStats([req.params.siteId]);
+        const site = await siteService.getSite(req.params.siteId);
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+        res.json({ success: true, site });
+    } catch (error) {
+        sendSiteError(res, error, 'Failed to refresh site statistics');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// System configuration routes (admin only)
+const express = require('express');
+const systemConfigService = require('../services/config/systemConfigService');
+const aiAnalysisService = require('../services/ai/aiAnalysisService');
+const providerStatsService = require('../services/ai/providerStatsService');
+const correctionService = require('../services/corrections/correctionService');
+const riskMatrixService = require('../services/risk/riskMatrixService');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+router.use(requirePermission('system:configure'));
+
+function sendConfigError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+function formatConfig(row) {
+    return {
+        key: row.key,
+        value: row.value,
+        description: row.description,
+        updatedAt: row.updated_at,
+        updatedBy: row.updated_by ? { id: row.updated_by, name: row.updated_by_name || null } : null
+    };
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const settings = await systemConfigService.list();
+        res.json({ settings: settings.map(formatConfig) });
+    } catch (error) {
+        sendConfigError(res, error, 'Failed to load system configuration');
+    }
+});
+
+// Registered AI providers with capabilities and cost, the order currently in effect,
+// how often each model's responses failed schema validation, and how often reviewers corrected them
+router.get('/ai-providers', async (req, res) => {
+    try {
+        const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+        const health = await aiAnalysisService.healthCheck();
+        res.json({
+            settingKey: aiAnalysisService.PROVIDER_ORDER_KEY,
+            configuredOrder: await systemConfigService.get(aiAnalysisService.PROVIDER_ORDER_KEY, null),
+            effectiveOrder: health.providers,
+            providers: health.providerStatus,
+            reliability: {
+                days,
+                byModel: await providerStatsService.getProviderStats({ days })
+            },
+            accuracy: await correctionService.getAccuracyReport({ days })
+        });
+    } catch (error) {
+        sendConfigError(res, error, 'Failed to load AI providers');
+    }
+});
+
+// The risk matrix in effect (stored definition or the built-in default)
+router.get('/risk-matrix', async (req, res) => {
+    try {
+        res.json({
+            settingKey: riskMatrixService.MATRIX_KEY,
+            configured: await systemConfigService.get(riskMatrixService.MATRIX_KEY, null),
+            effective: await riskMatrixService.getMatrix()
+        });
+    } catch (error) {
+        sendConfigError(res, error, 'Failed to load risk matrix');
+    }
+});
+
+router.put('/:key', async (req, res) => {
+    try {
+        const setting = await systemConfigService.set(req.params.key, req.body?.value, {
+            description: req.body?.description,
+            userId: req.user.id
+        });
+        res.json({ setting: formatConfig(setting) });
+    } catch (error) {
+        sendConfigError(res, error, 'Failed to update system configuration');
+    }
+});
+
+router.delete('/:key', async (req, res) => {
+    try {
+        await systemConfigService.remove(req.params.key);
+        res.json({ success: true });
+    } catch (error) {
+        sendConfigError(res, error, 'Failed to remove system configuration');
+    }
+});
+
+module.exports = router;
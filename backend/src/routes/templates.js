@@ -0,0 +1,116 @@
+// Form template registry routes
+const express = require('express');
+const formTemplateService = require('../services/templates/formTemplateService');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../services/utils/logger');
+
+const router = express.Router();
+
+router.use(requirePermission('templates:read'));
+
+function sendTemplateError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+function parseVersion(value) {
+    const version = parseInt(value);
+    if (!Number.isInteger(version) || version < 1) {
+        const error = new Error('Version must be a positive integer');
+        error.status = 400;
+        throw error;
+    }
+    return version;
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const templates = await formTemplateService.listTemplates({
+            includeInactive: req.query.includeInactive === 'true'
+        });
+        res.json({ templates });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to list form templates');
+    }
+});
+
+// Preview which template (if any) a block of OCR text matches and what it extracts
+router.post('/match', async (req, res) => {
+    try {
+        const { text, checkboxes } = req.body || {};
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({ error: 'text is required' });
+        }
+
+        const templates = await formTemplateService.getActiveTemplates();
+        const extraction = await formTemplateService.matchAndExtract(text, Array.isArray(checkboxes) ? checkboxes : [], templates);
+        res.json({ matched: Boolean(extraction), template: extraction });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to match form template');
+    }
+});
+
+router.post('/', requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const template = await formTemplateService.createTemplate(req.body, req.user.id);
+        res.status(201).json({ template });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to create form template');
+    }
+});
+
+router.get('/:key', async (req, res) => {
+    try {
+        const versions = await formTemplateService.listVersions(req.params.key);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ template: versions[0], versions: versions.map(({ definition, ...summary }) => summary) });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to load form template');
+    }
+});
+
+router.get('/:key/versions/:version', async (req, res) => {
+    try {
+        const template = await formTemplateService.getTemplate(req.params.key, parseVersion(req.params.version));
+        if (!template) {
+            return res.status(404).json({ error: 'Template version not found' });
+        }
+        res.json({ template });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to load form template version');
+    }
+});
+
+// Publishing an edit always creates the next version; older versions stay readable
+router.post('/:key/versions', requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const template = await formTemplateService.createVersion(req.params.key, req.body, req.user.id);
+        res.status(201).json({ template });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to publish form template version');
+    }
+});
+
+router.patch('/:key/versions/:version', requirePermission('templates:manage'), async (req, res) => {
+    try {
+        if (typeof req.body?.isActive !== 'boolean') {
+            return res.status(400).json({ error: 'isActive must be true or false' });
+        }
+        const template = await formTemplateService.setActive(
+            req.params.key, parseVersion(req.params.version), req.body.isActive
+        );
+        res.json({ template });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to update form template version');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// Seed script - creates the initial administrator account
+// Usage: ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run db:seed
+
+require('dotenv').config();
+const authService = require('./services/auth/authService');
+const pool = require('./services/database/pool');
+
+async function seed() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  const name = process.env.ADMIN_NAME || 'Administrator';
+
+  if (!email || !password) {
+    console.error('❌ ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const user = await authService.createUser({
+      email,
+      name,
+      password,
+      role: 'SUPER_ADMIN',
+      site: process.env.ADMIN_SITE || null
+    });
+    console.log(`✅ Created super admin ${user.email} (${user.id})`);
+  } catch (error) {
+    if (error.status === 409) {
+      console.log(`ℹ️  User ${email} already exists, nothing to do`);
+    } else {
+      console.error('❌ Seeding failed:', error.message);
+      process.exitCode = 1;
+    }
+  }
+}
+
+seed().finally(() => pool.end());
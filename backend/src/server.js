@@ -2,9 +2,23 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
-const path = require("path");
 require("dotenv").config();
 const formsRouter = require('./routes/forms');
+const authRouter = require('./routes/auth');
+const reviewRouter = require('./routes/review');
+const actionsRouter = require('./routes/actions');
+const jobsRouter = require('./routes/jobs');
+const templatesRouter = require('./routes/templates');
+const systemConfigRouter = require('./routes/systemConfig');
+const riskRulesRouter = require('./routes/riskRules');
+const sitesRouter = require('./routes/sites');
+const batchesRouter = require('./routes/batches');
+const correctiveActionService = require('./services/actions/correctiveActionService');
+const jobQueue = require('./services/jobs/jobQueue');
+const jobWorker = require('./services/jobs/jobWorker');
+const formPipeline = require('./services/forms/formPipeline');
+const batchService = require('./services/batches/batchService');
+const { authenticate } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -13,7 +27,7 @@ const PORT = process.env.PORT || 3001;
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Session-Token, Idempotency-Key');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -22,12 +36,15 @@ app.use((req, res, next) => {
   }
 });
 
-app.use(morgan("combined"));
+// Request logs would drown out test output
+if (process.env.NODE_ENV !== "test") {
+  app.use(morgan("combined"));
+}
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
-// Static files for uploads
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
+// Stored form images are served through GET /api/forms/form/:formId/files/:fileId (authorised),
+// never as public static files
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -48,7 +65,19 @@ app.get("/api/test", (req, res) => {
     endpoints: [
   "GET /health - Health check",
   "GET /api/test - Test endpoint", 
-  "POST /api/forms/upload - Upload and process form image",
+  "POST /api/auth/login - Obtain access and refresh tokens",
+  "POST /api/auth/refresh - Rotate refresh token",
+  "GET /api/review/queue - Supervisor review queue",
+  "GET /api/actions - Corrective actions (GET /api/actions/sites for open actions per site)",
+  "POST /api/forms/upload - Queue form image for processing (returns a job id)",
+  "GET /api/jobs/:jobId/events - Processing progress (Server-Sent Events)",
+  "GET /api/jobs/:jobId/files/:sha256 - Page images for reviewing an analysis",
+  "GET /api/forms/form/:formId/files - Stored original and preprocessed images",
+  "GET /api/forms/search?q= - Full-text search with highlights, facets and pagination",
+  "GET /api/templates - Form template registry (POST /api/templates/match to preview extraction)",
+  "GET /api/system-config - Runtime settings (GET /api/system-config/ai-providers for AI provider order, reliability and accuracy)",
+  "GET /api/risk-rules - Risk escalation rules (POST /api/risk-rules/evaluate to preview a score)",
+  "GET /api/sites - Sites with geofences and rollup statistics (analytics accept ?siteId=)",
   "GET /api/forms - Get processed forms (coming soon)",
   "GET /api/stats - Processing statistics (coming soon)",
   ]
@@ -56,7 +85,16 @@ app.get("/api/test", (req, res) => {
 });
 
 
-app.use('/api/forms', formsRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/forms', authenticate, formsRouter);
+app.use('/api/review', authenticate, reviewRouter);
+app.use('/api/actions', authenticate, actionsRouter);
+app.use('/api/jobs', authenticate, jobsRouter);
+app.use('/api/templates', authenticate, templatesRouter);
+app.use('/api/system-config', authenticate, systemConfigRouter);
+app.use('/api/risk-rules', authenticate, riskRulesRouter);
+app.use('/api/sites', authenticate, sitesRouter);
+app.use('/api/batches', authenticate, batchesRouter);
 
 // Placeholder routes for future implementation
 
@@ -106,25 +144,38 @@ app.use((req, res) => {
   });
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
-  process.exit(0);
-});
+// Only when run directly - tests load the app with require() and drive it through supertest
+if (require.main === module) {
+  // Graceful shutdown
+  process.on("SIGTERM", () => {
+    console.log("SIGTERM received, shutting down gracefully");
+    process.exit(0);
+  });
 
-process.on("SIGINT", () => {
-  console.log("SIGINT received, shutting down gracefully");
-  process.exit(0);
-});
+  process.on("SIGINT", () => {
+    console.log("SIGINT received, shutting down gracefully");
+    process.exit(0);
+  });
 
-// Start server
-app.listen(PORT, () => {
-  console.log("🚀 Safety Forms API Server Started");
-  console.log(`📍 Server running on port ${PORT}`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔗 API test: http://localhost:${PORT}/api/test`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log("─".repeat(50));
-});
+  // Start server
+  app.listen(PORT, () => {
+    console.log("🚀 Safety Forms API Server Started");
+    console.log(`📍 Server running on port ${PORT}`);
+    console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+    console.log(`🔗 API test: http://localhost:${PORT}/api/test`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
+    console.log("─".repeat(50));
+
+    correctiveActionService.startOverdueMonitor();
+
+    // Set JOB_WORKER_DISABLED=true on API-only instances when workers run separately
+    jobQueue.startListening();
+    if (process.env.JOB_WORKER_DISABLED !== 'true') {
+      jobWorker.registerHandler(formPipeline.JOB_TYPE, (job, context) => formPipeline.processJob(job, context));
+      jobWorker.registerHandler(batchService.JOB_TYPE, (job, context) => batchService.processJob(job, context));
+      jobWorker.start();
+    }
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,566 @@
+// Corrective Action Service
+// Turns identified hazards into tracked actions with owners, due dates and close-out evidence
+
+const pool = require('../database/pool');
+const trackingService = require('../database/trackingService');
+const logger = require('../utils/logger');
+
+const ACTION_STATUSES = ['OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION', 'CLOSED', 'CANCELLED'];
+
+// Days allowed to close out a hazard, keyed by form_hazards.severity_level
+const DUE_DAYS_BY_SEVERITY = {
+  4: 1, // CRITICAL
+  3: 7, // HIGH
+  2: 30, // MEDIUM
+  1: 90, // LOW
+};
+
+// Allowed transitions; `manage` marks moves only supervisors/admins may make
+const STATUS_TRANSITIONS = {
+  OPEN: { IN_PROGRESS: {}, CANCELLED: { manage: true, notesRequired: true } },
+  IN_PROGRESS: { OPEN: {}, PENDING_VERIFICATION: {}, CANCELLED: { manage: true, notesRequired: true } },
+  PENDING_VERIFICATION: { IN_PROGRESS: {}, CLOSED: { manage: true } },
+  CLOSED: { IN_PROGRESS: { manage: true, notesRequired: true } },
+  CANCELLED: { OPEN: { manage: true } },
+};
+
+const MANAGER_ROLES = ['SUPERVISOR', 'ADMIN', 'SUPER_ADMIN'];
+
+function actionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function calculateDueDate(severityLevel, from = new Date()) {
+  const days = DUE_DAYS_BY_SEVERITY[severityLevel] || DUE_DAYS_BY_SEVERITY[2];
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function truncate(text, maxLength) {
+  if (!text) return text;
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+/**
+ * Restrict action queries to what the caller can see:
+ * admins everything, supervisors their site, workers actions they own or raised.
+ */
+function buildActionScope(user, paramOffset) {
+  if (user.role === 'ADMIN' || user.role === 'SUPER_ADMIN') {
+    return { clause: '', params: [] };
+  }
+  if (user.role === 'SUPERVISOR' && user.site) {
+    return { clause: ` AND ca.site = $${paramOffset + 1}`, params: [user.site] };
+  }
+  return {
+    clause: ` AND (ca.owner_id = $${paramOffset + 1} OR fp.user_id = $${paramOffset + 1})`,
+    params: [user.id],
+  };
+}
+
+const ACTION_SELECT = `
+  SELECT ca.*,
+         owner.name as owner_name,
+         fp.original_filename as form_filename,
+         fp.user_id as form_submitted_by,
+         fh.hazard_category, fh.hazard_type, fh.recommended_action,
+         (ca.status IN ('OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION') AND ca.due_date < NOW()) as overdue
+  FROM corrective_actions ca
+  LEFT JOIN users owner ON owner.id = ca.owner_id
+  LEFT JOIN forms_processing fp ON fp.id = ca.form_processing_id
+  LEFT JOIN form_hazards fh ON fh.id = ca.form_hazard_id
+`;
+
+class CorrectiveActionService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  // Creation
+  async createFromHazards(formId, hazards, createdBy = null) {
+    if (!hazards || hazards.length === 0) return [];
+
+    const client = await this.pool.connect();
+    try {
+      const formResult = await client.query(
+        'SELECT id, site, session_id FROM forms_processing WHERE id = $1',
+        [formId]
+      );
+      const form = formResult.rows[0];
+      const ownerId = await this.findDefaultOwner(client, form?.site);
+
+      const actions = [];
+      for (const hazard of hazards) {
+        const title = truncate(hazard.recommended_action || hazard.description || `${hazard.hazard_category} hazard`, 500);
+        const result = await client.query(
+          `INSERT INTO corrective_actions (
+              form_hazard_id, form_processing_id, site, title, description,
+              severity_level, owner_id, created_by, due_date
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           ON CONFLICT (form_hazard_id) DO NOTHING
+           RETURNING *`,
+          [
+            hazard.id,
+            formId,
+            form?.site || null,
+            title,
+            hazard.description || null,
+            hazard.severity_level,
+            ownerId,
+            createdBy,
+            calculateDueDate(hazard.severity_level),
+          ]
+        );
+        if (result.rows[0]) actions.push(result.rows[0]);
+      }
+
+      if (actions.length > 0) {
+        await trackingService.logAuditEvent(formId, form?.session_id || null, 'corrective_actions_created', {
+          actionIds: actions.map(action => action.id),
+          ownerId,
+        }, createdBy);
+      }
+
+      logger.info(`Created ${actions.length} corrective actions for form ${formId}`);
+      return actions;
+    } catch (error) {
+      logger.error('Error creating corrective actions:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Hazards default to the longest-standing supervisor at the form's site
+  async findDefaultOwner(client, site) {
+    if (!site) return null;
+
+    const result = await client.query(
+      `SELECT id FROM users
+       WHERE site = $1 AND role = 'SUPERVISOR' AND active = TRUE
+       ORDER BY created_at ASC
+       LIMIT 1`,
+      [site]
+    );
+    return result.rows[0]?.id || null;
+  }
+
+  // Queries
+  async listActions(user, filters = {}) {
+    const params = [];
+    const conditions = [];
+
+    if (filters.status) {
+      const statuses = filters.status.split(',').filter(status => ACTION_STATUSES.includes(status));
+      if (statuses.length === 0) {
+        throw actionError(`Invalid status filter: ${filters.status}`, 400);
+      }
+      params.push(statuses);
+      conditions.push(`ca.status = ANY($${params.length})`);
+    }
+    if (filters.site) {
+      params.push(filters.site);
+      conditions.push(`ca.site = $${params.length}`);
+    }
+    if (filters.ownerId) {
+      params.push(filters.ownerId);
+      conditions.push(`ca.owner_id = $${params.length}`);
+    }
+    if (filters.formId) {
+      params.push(filters.formId);
+      conditions.push(`ca.form_processing_id = $${params.length}`);
+    }
+    if (filters.overdue) {
+      conditions.push(`ca.status IN ('OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION') AND ca.due_date < NOW()`);
+    }
+
+    const scope = buildActionScope(user, params.length);
+    params.push(...scope.params);
+
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const offset = parseInt(filters.offset) || 0;
+    params.push(limit, offset);
+
+    const client = await this.pool.connect();
+    try {
+      const query = `
+        ${ACTION_SELECT}
+        WHERE TRUE${conditions.map(condition => ` AND ${condition}`).join('')}${scope.clause}
+        ORDER BY
+          (ca.status IN ('OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION') AND ca.due_date < NOW()) DESC,
+          ca.due_date ASC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `;
+      const result = await client.query(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing corrective actions:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Open/overdue counts per site for the "open actions" view
+  async getOpenActionsBySite(user) {
+    const scope = buildActionScope(user, 0);
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT COALESCE(ca.site, 'Unassigned') as site,
+                COUNT(*) as open_count,
+                COUNT(*) FILTER (WHERE ca.due_date < NOW()) as overdue_count,
+                COUNT(*) FILTER (WHERE ca.status = 'PENDING_VERIFICATION') as awaiting_verification,
+                COUNT(*) FILTER (WHERE ca.severity_level >= 4) as critical_count,
+                COUNT(*) FILTER (WHERE ca.severity_level = 3) as high_count,
+                COUNT(*) FILTER (WHERE ca.owner_id IS NULL) as unassigned_count,
+                MIN(ca.due_date) as next_due
+         FROM corrective_actions ca
+         LEFT JOIN forms_processing fp ON fp.id = ca.form_processing_id
+         WHERE ca.status IN ('OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION')${scope.clause}
+         GROUP BY COALESCE(ca.site, 'Unassigned')
+         ORDER BY overdue_count DESC, open_count DESC`,
+        scope.params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting open actions by site:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getAction(actionId, user) {
+    const scope = buildActionScope(user, 1);
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `${ACTION_SELECT} WHERE ca.id = $1${scope.clause}`,
+        [actionId, ...scope.params]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getActionDetail(actionId, user) {
+    const action = await this.getAction(actionId, user);
+    if (!action) return null;
+
+    const client = await this.pool.connect();
+    try {
+      const [comments, evidence, history] = await Promise.all([
+        client.query(
+          `SELECT c.id, c.body, c.created_at, c.user_id, u.name as user_name
+           FROM corrective_action_comments c
+           LEFT JOIN users u ON u.id = c.user_id
+           WHERE c.action_id = $1
+           ORDER BY c.created_at ASC`,
+          [actionId]
+        ),
+        client.query(
+          `SELECT e.id, e.original_filename, e.mime_type, e.file_size_bytes, e.description,
+                  e.created_at, e.uploaded_by, u.name as uploaded_by_name
+           FROM corrective_action_evidence e
+           LEFT JOIN users u ON u.id = e.uploaded_by
+           WHERE e.action_id = $1
+           ORDER BY e.created_at ASC`,
+          [actionId]
+        ),
+        client.query(
+          `SELECT al.event_type, al.event_timestamp, al.event_details, u.name as user_name
+           FROM forms_audit_log al
+           LEFT JOIN users u ON u.id = al.user_id
+           WHERE al.event_type LIKE 'corrective_action_%'
+             AND al.event_details->>'actionId' = $1
+           ORDER BY al.event_timestamp ASC`,
+          [actionId]
+        ),
+      ]);
+
+      return {
+        ...action,
+        comments: comments.rows,
+        evidence: evidence.rows,
+        history: history.rows,
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Updates
+  canManage(user) {
+    return MANAGER_ROLES.includes(user.role);
+  }
+
+  assertCanWork(action, user) {
+    if (!this.canManage(user) && action.owner_id !== user.id) {
+      throw actionError('Only the action owner or a supervisor can update this action', 403);
+    }
+  }
+
+  async updateAction(actionId, user, updates) {
+    if (!this.canManage(user)) {
+      throw actionError('Only supervisors can reassign or reschedule actions', 403);
+    }
+
+    const action = await this.getAction(actionId, user);
+    if (!action) throw actionError('Corrective action not found', 404);
+
+    if (updates.dueDate && isNaN(new Date(updates.dueDate).getTime())) {
+      throw actionError('Invalid due date', 400);
+    }
+
+    const client = await this.pool.connect();
+    let updated;
+    try {
+      if (updates.ownerId) {
+        const owner = await client.query('SELECT id, active FROM users WHERE id = $1', [updates.ownerId]);
+        if (!owner.rows[0]?.active) {
+          throw actionError('Owner must be an active user', 400);
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE corrective_actions
+         SET owner_id = CASE WHEN $2::boolean THEN $3::uuid ELSE owner_id END,
+             due_date = COALESCE($4, due_date),
+             title = COALESCE($5, title),
+             description = COALESCE($6, description),
+             overdue_notified_at = CASE WHEN $4 IS NOT NULL THEN NULL ELSE overdue_notified_at END
+         WHERE id = $1
+         RETURNING *`,
+        [
+          actionId,
+          updates.ownerId !== undefined,
+          updates.ownerId || null,
+          updates.dueDate ? new Date(updates.dueDate) : null,
+          updates.title ? truncate(updates.title, 500) : null,
+          updates.description ?? null,
+        ]
+      );
+      updated = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    await trackingService.logAuditEvent(action.form_processing_id, null, 'corrective_action_updated', {
+      actionId,
+      changes: updates,
+    }, user.id);
+
+    return updated;
+  }
+
+  async transitionStatus(actionId, user, { status, notes }) {
+    if (!ACTION_STATUSES.includes(status)) {
+      throw actionError(`Invalid status: ${status}`, 400);
+    }
+
+    const action = await this.getAction(actionId, user);
+    if (!action) throw actionError('Corrective action not found', 404);
+    this.assertCanWork(action, user);
+
+    const transition = STATUS_TRANSITIONS[action.status]?.[status];
+    if (!transition) {
+      throw actionError(`Cannot move action from ${action.status} to ${status}`, 409);
+    }
+    if (transition.manage && !this.canManage(user)) {
+      throw actionError(`Only supervisors can move an action to ${status}`, 403);
+    }
+    const trimmedNotes = typeof notes === 'string' ? notes.trim() : '';
+    if (transition.notesRequired && !trimmedNotes) {
+      throw actionError(`Notes are required to move an action to ${status}`, 400);
+    }
+
+    const client = await this.pool.connect();
+    let updated;
+    try {
+      await client.query('BEGIN');
+
+      // Guard on the previous status so concurrent transitions cannot both win
+      const result = await client.query(
+        `UPDATE corrective_actions
+         SET status = $3::varchar,
+             completed_at = CASE WHEN $3::varchar = 'PENDING_VERIFICATION' THEN NOW()
+                                 WHEN $3::varchar IN ('OPEN', 'IN_PROGRESS') THEN NULL
+                                 ELSE completed_at END,
+             closed_at = CASE WHEN $3::varchar IN ('CLOSED', 'CANCELLED') THEN NOW() ELSE NULL END,
+             closed_by = CASE WHEN $3::varchar IN ('CLOSED', 'CANCELLED') THEN $4::uuid ELSE NULL END,
+             closure_notes = CASE WHEN $3::varchar IN ('CLOSED', 'CANCELLED') THEN $5 ELSE closure_notes END
+         WHERE id = $1 AND status = $2
+         RETURNING *`,
+        [actionId, action.status, status, user.id, trimmedNotes || null]
+      );
+      updated = result.rows[0];
+
+      if (!updated) {
+        throw actionError('Action was updated by someone else, please reload', 409);
+      }
+
+      // Closing the action closes out the hazard it was raised for
+      if (action.form_hazard_id && (status === 'CLOSED' || action.status === 'CLOSED')) {
+        const resolved = status === 'CLOSED';
+        await client.query(
+          `UPDATE form_hazards
+           SET resolved = $2,
+               resolved_at = CASE WHEN $2 THEN NOW() ELSE NULL END,
+               resolved_by = CASE WHEN $2 THEN $3::uuid ELSE NULL END
+           WHERE id = $1`,
+          [action.form_hazard_id, resolved, user.id]
+        );
+      }
+
+      if (trimmedNotes) {
+        await client.query(
+          'INSERT INTO corrective_action_comments (action_id, user_id, body) VALUES ($1, $2, $3)',
+          [actionId, user.id, `[${action.status} → ${status}] ${trimmedNotes}`]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await trackingService.logAuditEvent(action.form_processing_id, null, 'corrective_action_status_changed', {
+      actionId,
+      fromStatus: action.status,
+      toStatus: status,
+      notes: trimmedNotes || null,
+    }, user.id);
+
+    logger.info(`Corrective action ${actionId}: ${action.status} -> ${status} by ${user.id}`);
+    return updated;
+  }
+
+  async addComment(actionId, user, body) {
+    const trimmed = typeof body === 'string' ? body.trim() : '';
+    if (!trimmed) throw actionError('Comment body is required', 400);
+
+    const action = await this.getAction(actionId, user);
+    if (!action) throw actionError('Corrective action not found', 404);
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO corrective_action_comments (action_id, user_id, body)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [actionId, user.id, trimmed]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  async addEvidence(actionId, user, file, description) {
+    if (!file) throw actionError('No file uploaded', 400);
+
+    const action = await this.getAction(actionId, user);
+    if (!action) throw actionError('Corrective action not found', 404);
+    this.assertCanWork(action, user);
+
+    const client = await this.pool.connect();
+    let evidence;
+    try {
+      const result = await client.query(
+        `INSERT INTO corrective_action_evidence (
+            action_id, uploaded_by, original_filename, mime_type, file_size_bytes, content, description
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, action_id, original_filename, mime_type, file_size_bytes, description, created_at`,
+        [actionId, user.id, file.originalname, file.mimetype, file.size, file.buffer, description || null]
+      );
+      evidence = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    await trackingService.logAuditEvent(action.form_processing_id, null, 'corrective_action_evidence_added', {
+      actionId,
+      evidenceId: evidence.id,
+      filename: file.originalname,
+    }, user.id);
+
+    return evidence;
+  }
+
+  async getEvidenceFile(actionId, evidenceId, user) {
+    const action = await this.getAction(actionId, user);
+    if (!action) return null;
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM corrective_action_evidence WHERE id = $1 AND action_id = $2',
+        [evidenceId, actionId]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Overdue detection - flags each overdue action once until it is rescheduled
+  async detectOverdueActions() {
+    const client = await this.pool.connect();
+    let overdue;
+    try {
+      const result = await client.query(
+        `UPDATE corrective_actions
+         SET overdue_notified_at = NOW()
+         WHERE status IN ('OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION')
+           AND due_date < NOW()
+           AND overdue_notified_at IS NULL
+         RETURNING id, form_processing_id, site, owner_id, due_date, severity_level, title`
+      );
+      overdue = result.rows;
+    } finally {
+      client.release();
+    }
+
+    for (const action of overdue) {
+      logger.warn(`Corrective action overdue: ${action.id} (${action.site || 'no site'}, due ${new Date(action.due_date).toISOString()})`);
+      await trackingService.logAuditEvent(action.form_processing_id, null, 'corrective_action_overdue', {
+        actionId: action.id,
+        ownerId: action.owner_id,
+        dueDate: action.due_date,
+        severityLevel: action.severity_level,
+      });
+    }
+
+    return overdue;
+  }
+
+  startOverdueMonitor(intervalMinutes = parseInt(process.env.ACTIONS_OVERDUE_CHECK_MINUTES) || 15) {
+    if (this.overdueTimer) return;
+
+    const run = () => this.detectOverdueActions().catch(error => {
+      logger.error('Overdue action check failed:', error.message);
+    });
+
+    this.overdueTimer = setInterval(run, intervalMinutes * 60 * 1000);
+    this.overdueTimer.unref();
+    run();
+  }
+
+  stopOverdueMonitor() {
+    clearInterval(this.overdueTimer);
+    this.overdueTimer = null;
+  }
+}
+
+const correctiveActionService = new CorrectiveActionService();
+correctiveActionService.ACTION_STATUSES = ACTION_STATUSES;
+correctiveActionService.calculateDueDate = calculateDueDate;
+module.exports = correctiveActionService;
@@ -1,137 +1,170 @@
 const logger = require('../utils/logger');
+const systemConfigService = require('../config/systemConfigService');
+const { AIProviderRegistry, createDefaultProviders } = require('./providers/providerRegistry');
+const { parseAnalysisResponse } = require('./analysisSchema');
+const providerStatsService = require('./providerStatsService');
+const providerRecorder = require('../recording/providerRecorder');
+const correctionService = require('../corrections/correctionService');
+const riskRuleService = require('../risk/riskRuleService');
+const riskMatrixService = require('../risk/riskMatrixService');
+const { classifyAnalysisControls } = require('../risk/controlHierarchy');
+const { getRiskLevel } = require('../risk/riskRulesEngine');
+const { normalizeFormType } = require('../forms/formTypes');
+
+// Checklist items whose box being crossed (or answered "No") is a safety violation
+// The escalation for each lives in the CHECKBOX_<key> risk rule (see risk/defaultRiskRules.js)
+const CRITICAL_CHECKBOX_ITEMS = [
+    { key: 'H2S_MONITOR', pattern: /H2S monitor/i, category: 'CHEMICAL', type: 'Chemical', severity: 'CRITICAL', description: 'H2S monitor not worn in breathing zone - CRITICAL gas exposure risk', recommendation: 'Immediately require H2S monitor to be worn in breathing zone' },
+    { key: 'HEARING_PROTECTION', pattern: /hearing protection/i, category: 'PPE', type: 'PPE', severity: 'MEDIUM', description: 'Hearing protection not worn in high noise area', recommendation: 'Ensure hearing protection is worn in high noise areas' },
+    { key: 'WEATHER_CONDITIONS', pattern: /weather conditions/i, category: 'ENVIRONMENTAL', type: 'Environmental', severity: 'HIGH', description: 'Weather conditions not properly considered', recommendation: 'Assess weather conditions before starting work' },
+    { key: 'WORK_SURFACES', pattern: /work surfaces|surfaces.*level/i, category: 'PROCEDURE', type: 'Physical', severity: 'HIGH', description: 'Work surfaces loose, uneven or unsafe', recommendation: 'Secure all work surfaces and ensure stable footing' },
+    { key: 'BARRICADING', pattern: /barricad/i, category: 'PROCEDURE', type: 'Physical', severity: 'HIGH', description: 'Barricading/exclusion zones not established', recommendation: 'Establish barricading and no-go zones before work starts' },
+    { key: 'TOOLS_SECURED', pattern: /tools.*secured|securing.*tools/i, category: 'FALL_PROTECTION', type: 'Physical', severity: 'HIGH', description: 'Tools not secured at height - falling object hazard', recommendation: 'Secure tools with lanyards when working at height' },
+    { key: 'LADDER', pattern: /ladder/i, category: 'FALL_PROTECTION', type: 'Fall Protection', severity: 'HIGH', description: 'Ladder safety requirements not met', recommendation: 'Inspect and secure ladders before use' },
+    { key: 'FALL_PROTECTION', pattern: /fall protection|fall prevention/i, category: 'FALL_PROTECTION', type: 'Fall Protection', severity: 'CRITICAL', description: 'Fall protection equipment missing or inadequate', recommendation: 'Stop work at height until fall protection is in place' }
+];
+
+// Detected checkboxes below this confidence are shown to the AI but never escalate on their own
+const CHECKBOX_MIN_CONFIDENCE = 0.5;
+
+// Setting (system_config) listing provider names in the order they are tried
+const PROVIDER_ORDER_KEY = 'ai.provider_order';
+
+// Extra round-trips asking a model to fix a response that failed schema validation
+const MAX_REPAIR_ATTEMPTS = Number.isInteger(parseInt(process.env.AI_REPAIR_ATTEMPTS))
+    ? parseInt(process.env.AI_REPAIR_ATTEMPTS)
+    : 1;
+
+const SYSTEM_PROMPT = 'You are an expert Australian workplace safety officer with deep knowledge of Take 5, SWMS, JSA, JHA, and Hazard Assessment forms. Analyze workplace safety documentation and provide structured analysis in valid JSON format only.';
+
+function estimateCost(cost, usage) {
+    if (!cost || !usage) return null;
+    const amount = (usage.promptTokens / 1000) * cost.inputPer1kTokens +
+        (usage.completionTokens / 1000) * cost.outputPer1kTokens;
+    return { currency: cost.currency, amount: Math.round(amount * 1e6) / 1e6 };
+}
 
 class MultiProviderAIService {
     constructor() {
-        this.providers = [];
+        this.PROVIDER_ORDER_KEY = PROVIDER_ORDER_KEY;
+        this.registry = new AIProviderRegistry();
         this.initializeProviders();
+
+        systemConfigService.registerValidator(
+            PROVIDER_ORDER_KEY,
+            order => this.validateProviderOrder(order),
+            'AI providers tried for form analysis, in order. Providers left out are never used.'
+        );
     }
 
     initializeProviders() {
-        // Initialize DeepSeek
-        const deepSeekKey = process.env.DEEPSEEK_API_KEY;
-        if (deepSeekKey) {
-            this.deepseek = { apiKey: deepSeekKey };
-            this.providers.push('deepseek');
-            logger.info('DeepSeek provider initialized');
+        for (const provider of createDefaultProviders()) {
+            this.registerProvider(provider);
+        }
+
+        logger.info('AI Analysis Service initialized with providers: ' + this.providers.join(', '));
+    }
+
+    // Extension point for additional providers (see providers/providerRegistry.js for the interface)
+    registerProvider(provider) {
+        // Recording/replay of responses (PROVIDER_RECORDING) wraps every provider, built-in or not
+        const registered = this.registry.register(providerRecorder.wrapProvider(provider));
+        if (registered.isConfigured()) {
+            logger.info(`${provider.label || provider.name} provider initialized`);
         } else {
-            logger.warn('DeepSeek provider unavailable: DEEPSEEK_API_KEY is required');
+            logger.warn(`${provider.label || provider.name} provider unavailable: not configured`);
         }
+        return provider;
+    }
 
-        // Initialize Gemini
-        const geminiKey = process.env.GOOGLE_API_KEY;
-        try {
-            if (!geminiKey) {
-                logger.info('No Gemini API key found, attempting to use Google Cloud ADC');
-                this.gemini = null; // Will handle via fetch in the analysis method
-            } else {
-                const { GoogleGenerativeAI } = require('@google/generative-ai');
-                this.gemini = new GoogleGenerativeAI(geminiKey);
-            }
-            this.providers.push('gemini');
-            logger.info('Gemini provider initialized');
-        } catch (error) {
-            logger.warn('Gemini provider initialization failed', { error: error.message });
+    // Names of the configured providers, in registration order
+    get providers() {
+        return this.registry.list().filter(provider => provider.isConfigured()).map(provider => provider.name);
+    }
+
+    validateProviderOrder(order) {
+        if (typeof order === 'string') {
+            order = order.split(',');
+        }
+        if (!Array.isArray(order) || order.length === 0) {
+            throw new Error('Provider order must be a non-empty list of provider names');
         }
 
-        // Initialize OpenAI
-        const openaiKey = process.env.OPENAI_API_KEY;
-        if (openaiKey) {
-            this.openai = { apiKey: openaiKey };
-            this.providers.push('openai');
-            logger.info('OpenAI provider initialized');
-        } else {
-            logger.warn('OpenAI provider unavailable: OPENAI_API_KEY is required');
+        const names = order.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+        const unknown = names.filter(name => !this.registry.get(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown AI provider(s): ${unknown.join(', ')}. Registered: ${this.registry.names().join(', ')}`);
         }
+        return [...new Set(names)];
+    }
 
-        logger.info('AI Analysis Service initialized with providers: ' + this.providers.join(', '));
+    // SystemConfig first, then AI_PROVIDER_ORDER, then registration order
+    async getProviderOrder() {
+        let order = await systemConfigService.get(PROVIDER_ORDER_KEY, null);
+        if (!Array.isArray(order) && process.env.AI_PROVIDER_ORDER) {
+            order = process.env.AI_PROVIDER_ORDER.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        }
+        return this.registry.resolveOrder(order);
     }
 
     async analyzeSafetyForm(text, formType = null, metadata = {}) {
-        logger.info('Starting multi-provider safety form analysis', {
-            textLength: text.length,
-            formType,
-            availableProviders: this.providers
+        // Checkboxes detected in the image (see ocr/checkboxDetector) feed the prompt and risk rules;
+        // fields already transcribed by a matching form template (see templates/) are passed as facts
+        const { checkboxes = [], template = null, ...analysisMetadata } = metadata;
+        const providers = await this.getProviderOrder();
+        const matrix = await riskMatrixService.getMatrix();
+        // What reviewers corrected on similar forms, shown to the model as examples
+        const corrections = await correctionService.findRelevantCorrections(text, {
+            formType: formType || template?.formType || null
         });
 
-        // DEBUG: Log the extracted text to see what OCR captured
-        logger.info('OCR EXTRACTED TEXT DEBUG:', {
-            textPreview: text.substring(0, 500),
+        logger.info('Starting multi-provider safety form analysis', {
             textLength: text.length,
-            containsCheckmarks: text.includes('✓') || text.includes('✔'),
-            containsXmarks: text.includes('✗') || text.includes('X') || text.includes('x'),
-            checkmarkCount: (text.match(/[✓✔]/g) || []).length,
-            xmarkCount: (text.match(/[✗xX]/g) || []).length
-        });
-
-        // DEBUG: Log specific violations we're looking for
-        logger.info('PATTERN ANALYSIS DEBUG:', {
-            h2sMonitorMissing: /H2S monitor worn within breathing zone(?!\s*☑)/i.test(text),
-            hearingProtectionZero: /hearing protection worn\s*0/i.test(text),
-            looseWorkSurfaces: /loose or uneven work surfaces/i.test(text),
-            barricadeRemoval: /barricades.*removed/i.test(text),
-            weatherConsidered: /weather conditions considered\s*☑/i.test(text),
-            fallPreventionInPlace: /fall prevention in place/i.test(text),
-            h2sLineFound: text.includes('H2S monitor'),
-            hearingLineFound: text.includes('hearing protection'),
-            sampleH2SContext: text.includes('H2S monitor') ? 'H2S monitor found in text' : 'H2S monitor not found',
-            sampleHearingContext: text.includes('hearing protection') ? 'hearing protection found in text' : 'hearing protection not found'
+            formType,
+            checkboxes: checkboxes.length,
+            templateKey: template?.templateKey,
+            pastCorrections: corrections.length,
+            availableProviders: providers.map(provider => provider.name)
         });
 
-        logger.info("TESTING VIOLATION DETECTION:", {
-          h2sViolation: /H2S monitor worn within breathing zone(?!\s*☑)/i.test(
-            text
-          ),
-          testFunctionExists:
-            typeof this.detectCriticalViolations === "function",
-        });
         const startTime = Date.now();
         let lastError = null;
 
         // Try each provider in order
-        for (const provider of this.providers) {
+        for (const provider of providers) {
             try {
-                logger.info(`Attempting analysis with ${provider}`);
-                let result;
-
-                switch (provider) {
-                    case 'deepseek':
-                        result = await this.analyzeWithDeepSeek(text, formType);
-                        break;
-                    case 'gemini':
-                        result = await this.analyzeWithGemini(text, formType);
-                        break;
-                    case 'openai':
-                        result = await this.analyzeWithOpenAI(text, formType);
-                        break;
-                    default:
-                        logger.debug(`Provider ${provider} not available, skipping`);
-                        continue;
-                }
+                logger.info(`Attempting analysis with ${provider.name}`);
+                const result = await this.analyzeWithProvider(provider, text, formType, checkboxes, template, matrix, corrections);
 
                 if (result && result.formType && result.formType !== 'UNKNOWN') {
                     // Enhance the analysis with metadata
                     result.metadata = {
                         ...result.metadata,
                         processingTimeMs: Date.now() - startTime,
-                        provider,
-                        ...metadata
+                        provider: provider.name,
+                        ...analysisMetadata
                     };
+                    classifyAnalysisControls(result);
+                    await this.applyRiskRules(result, text, { ...analysisMetadata, formType, checkboxes });
+                    await riskMatrixService.rateAnalysis(result, matrix);
 
-                    logger.info(`Analysis successful with ${provider}`, {
+                    logger.info(`Analysis successful with ${provider.name}`, {
                         formType: result.formType,
                         riskScore: result.riskScore,
                         hazardCount: result.flaggedIssues?.length || result.hazards?.length || 0,
                         confidence: result.confidence || result.formTypeConfidence,
+                        estimatedCost: result.metadata.estimatedCost,
                         processingTime: `${Date.now() - startTime}ms`
                     });
                     
                     return result;
                 }
 
+                lastError = new Error(`${provider.label || provider.name} returned invalid or unknown result`);
             } catch (error) {
                 lastError = error;
-                logger.warn(`Provider ${provider} failed, trying next provider`, {
-                    provider,
+                logger.warn(`Provider ${provider.name} failed, trying next provider`, {
+                    provider: provider.name,
                     error: error.message,
                     errorType: error.constructor.name
                 });
@@ -141,146 +174,195 @@ class MultiProviderAIService {
 
         logger.error('All AI providers failed', {
             lastError: lastError?.message,
-            attemptedProviders: this.providers
+            attemptedProviders: providers.map(provider => provider.name)
         });
 
         // Return enhanced fallback result
-        return this.getFallbackAnalysis(text, lastError, Date.now() - startTime);
+        const fallback = classifyAnalysisControls(this.getFallbackAnalysis(text, lastError, Date.now() - startTime, checkboxes));
+        await this.applyRiskRules(fallback, text, { ...analysisMetadata, formType, checkboxes });
+        return riskMatrixService.rateAnalysis(fallback, matrix);
     }
 
-    async analyzeWithDeepSeek(text, formType) {
-        logger.info('Attempting DeepSeek safety form analysis', { provider: 'deepseek', textLength: text.length });
-        
-        const response = await fetch('https://api.deepseek.com/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.deepseek.apiKey}`
+    /**
+     * Turn the AI's base score into the final score with the active risk rules (see risk/).
+     * Sets riskScore, riskLevel and riskTrace - the rules that fired and the points each added.
+     * options: { formType, checkboxes, ocrConfidence, ocrProvider, captureMethod, rules }
+     */
+    async applyRiskRules(analysis, text, { formType = null, checkboxes = [], ocrConfidence, ocrProvider, captureMethod, rules = null } = {}) {
+        const fallback = analysis.analysisStatus === 'FAILED';
+        const context = {
+            text,
+            textLength: text.length,
+            formType: analysis.formType && analysis.formType !== 'UNKNOWN' ? analysis.formType : normalizeFormType(formType),
+            analysis,
+            checkboxViolations: this.findCheckboxViolations(checkboxes).map(violation => ({
+                key: violation.key,
+                label: violation.checkbox.label,
+                state: violation.checkbox.state,
+                answer: violation.checkbox.answer || null,
+                pageNumber: violation.checkbox.pageNumber || null,
+                severity: violation.severity
+            })),
+            ocr: {
+                confidence: typeof ocrConfidence === 'number' ? ocrConfidence : null,
+                provider: ocrProvider || null
             },
-            body: JSON.stringify({
-                model: 'deepseek-chat',
-                messages: [{
-                    role: 'system',
-                    content: 'You are an expert Australian workplace safety officer with deep knowledge of Take 5, SWMS, JSA, JHA, and Hazard Assessment forms. Analyze workplace safety documentation and provide structured analysis in valid JSON format only.'
-                }, {
-                    role: 'user',
-                    content: this.createEnhancedSafetyPrompt(text, formType)
-                }],
-                temperature: 0.1,
-                max_tokens: 3000
-            })
-        });
+            capture: { method: captureMethod || null }
+        };
 
-        if (!response.ok) {
-            throw new Error(`DeepSeek API error: ${response.status} ${response.statusText}`);
-        }
+        // Without an AI opinion the score starts at the minimum and the fallback rules build it up
+        const result = await riskRuleService.score(context, fallback ? 1 : analysis.riskScore, { rules });
 
-        const data = await response.json();
-        const responseText = data.choices[0].message.content;
-        
-        const result = this.parseEnhancedAIResponse(responseText, text);
-        
-        if (result && result.formType && result.formType !== 'UNKNOWN') {
-            logger.info('DeepSeek analysis successful', { 
-                provider: 'deepseek', 
-                formType: result.formType, 
-                riskScore: result.riskScore,
-                hazardCount: result.flaggedIssues?.length || 0,
-                confidence: result.formTypeConfidence
-            });
-            
-            return result;
+        analysis.riskScore = result.score;
+        analysis.riskLevel = result.level;
+        analysis.riskAssessment = analysis.riskAssessment || {
+            initialRisk: result.initialLevel,
+            controlsImplemented: [],
+            residualRisk: result.level
+        };
+        if (!fallback) {
+            analysis.requiresSupervisorReview = this.calculateSupervisorReview(analysis, result.score);
         }
-        
-        throw new Error('DeepSeek returned invalid or unknown result');
+        analysis.riskTrace = {
+            ...result,
+            baseSource: fallback ? 'fallback' : 'ai',
+            evaluatedAt: new Date().toISOString()
+        };
+        return analysis;
     }
 
-    async analyzeWithGemini(text, formType) {
-        logger.info('Attempting Gemini safety form analysis (fallback)', { provider: 'gemini', textLength: text.length });
-        
-        if (!this.gemini) {
-            // Use Google Cloud ADC via REST API
-            const { GoogleAuth } = require('google-auth-library');
-            const auth = new GoogleAuth({
-                scopes: ['https://www.googleapis.com/auth/cloud-platform']
-            });
-            
-            const authClient = await auth.getClient();
-            
-            const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent`;
-            
-            const response = await authClient.request({
-                url,
-                method: 'POST',
-                data: {
-                    contents: [{
-                        parts: [{ text: this.createEnhancedSafetyPrompt(text, formType) }]
-                    }],
-                    generationConfig: {
-                        temperature: 0.1,
-                        maxOutputTokens: 3000
-                    }
+    async analyzeWithProvider(provider, text, formType, checkboxes = [], template = null, matrix = null, corrections = []) {
+        const label = provider.label || provider.name;
+        logger.info(`Attempting ${label} safety form analysis`, { provider: provider.name, textLength: text.length });
+        const startTime = Date.now();
+
+        const prompt = this.createEnhancedSafetyPrompt(text, formType, checkboxes, template, matrix, corrections);
+        const usage = { promptTokens: 0, completionTokens: 0 };
+        let model = provider.model || null;
+        let attempts = 0;
+        let firstIssues = null;
+        let validation;
+
+        try {
+            let request = prompt;
+            for (;;) {
+                attempts++;
+                const completion = await this.completeWithTimeout(provider, {
+                    systemPrompt: SYSTEM_PROMPT,
+                    prompt: request,
+                    temperature: 0.1,
+                    maxTokens: 3000
+                });
+                model = completion.model || model;
+                usage.promptTokens += completion.usage?.promptTokens || 0;
+                usage.completionTokens += completion.usage?.completionTokens || 0;
+
+                validation = parseAnalysisResponse(completion.text);
+                if (validation.success) break;
+
+                firstIssues = firstIssues || validation.issues;
+                logger.warn(`${label} response failed ${validation.stage} validation`, {
+                    provider: provider.name,
+                    attempt: attempts,
+                    issues: validation.issues.slice(0, 10)
+                });
+
+                if (attempts > MAX_REPAIR_ATTEMPTS) {
+                    const error = new Error(`${label} response failed schema validation: ${validation.issues.slice(0, 3).join('; ')}`);
+                    error.validationIssues = validation.issues;
+                    throw error;
                 }
+                request = this.createRepairPrompt(prompt, completion.text, validation.issues);
+            }
+        } catch (error) {
+            await providerStatsService.recordCall({
+                provider: provider.name,
+                model,
+                outcome: error.validationIssues ? providerStatsService.OUTCOMES.INVALID : providerStatsService.OUTCOMES.ERROR,
+                attempts: Math.max(attempts, 1),
+                issues: error.validationIssues || firstIssues,
+                errorMessage: error.message,
+                latencyMs: Date.now() - startTime,
+                usage,
+                estimatedCost: estimateCost(provider.cost, usage)
             });
-            
-            const responseText = response.data.candidates[0].content.parts[0].text;
-            return this.parseEnhancedAIResponse(responseText, text);
+            throw error;
         }
-        
-        // Use API key method
-        const model = this.gemini.getGenerativeModel({ model: 'gemini-1.5-flash' });
-        
-        const result = await model.generateContent({
-            contents: [{ parts: [{ text: this.createEnhancedSafetyPrompt(text, formType) }] }],
-            generationConfig: {
-                temperature: 0.1,
-                maxOutputTokens: 3000
-            }
+
+        const outcome = attempts > 1 ? providerStatsService.OUTCOMES.REPAIRED : providerStatsService.OUTCOMES.VALID;
+        const estimatedCost = estimateCost(provider.cost, usage);
+        await providerStatsService.recordCall({
+            provider: provider.name,
+            model,
+            outcome,
+            attempts,
+            issues: firstIssues,
+            latencyMs: Date.now() - startTime,
+            usage,
+            estimatedCost
         });
-        
-        const responseText = result.response.text();
-        return this.parseEnhancedAIResponse(responseText, text);
+        if (outcome === providerStatsService.OUTCOMES.REPAIRED) {
+            logger.info(`${label} response repaired after ${attempts - 1} repair attempt(s)`, { provider: provider.name });
+        }
+
+        const result = this.buildAnalysisResult(validation.data, text, checkboxes);
+        result.metadata = {
+            ...result.metadata,
+            model,
+            usage,
+            estimatedCost,
+            providerLatencyMs: Date.now() - startTime,
+            validation: { outcome, attempts, issues: firstIssues || [] }
+        };
+        return result;
     }
 
-    async analyzeWithOpenAI(text, formType) {
-        logger.info('Attempting OpenAI safety form analysis (final fallback)', { provider: 'openai', textLength: text.length });
-        
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.openai.apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [{
-                    role: 'system',
-                    content: 'You are an expert Australian workplace safety officer with deep knowledge of Take 5, SWMS, JSA, JHA, and Hazard Assessment forms. Analyze workplace safety documentation and provide structured analysis in valid JSON format only.'
-                }, {
-                    role: 'user',
-                    content: this.createEnhancedSafetyPrompt(text, formType)
-                }],
-                temperature: 0.1,
-                max_tokens: 3000
-            })
+    // Same instructions again, plus the rejected response and what was wrong with it
+    createRepairPrompt(originalPrompt, previousResponse, issues) {
+        return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE DID NOT MATCH THE REQUIRED JSON FORMAT.
+
+PREVIOUS RESPONSE:
+${String(previousResponse || '').substring(0, 8000)}
+
+PROBLEMS FOUND:
+${issues.slice(0, 20).map(issue => `- ${issue}`).join('\n')}
+
+Return ONLY the corrected JSON object. Use exactly the field names and allowed values listed above, and keep your assessment unchanged unless a value was invalid.`;
+    }
+
+    // Aborts the request once the provider's timeoutMs has passed
+    async completeWithTimeout(provider, request) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(`${provider.label || provider.name} timed out after ${provider.timeoutMs}ms`));
+            }, provider.timeoutMs);
         });
 
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+        try {
+            return await Promise.race([
+                provider.complete({ ...request, signal: controller.signal }),
+                timeout
+            ]);
+        } finally {
+            clearTimeout(timer);
         }
-
-        const data = await response.json();
-        const responseText = data.choices[0].message.content;
-        
-        return this.parseEnhancedAIResponse(responseText, text);
     }
 
-    createEnhancedSafetyPrompt(extractedText, formType) {
+    createEnhancedSafetyPrompt(extractedText, formType, checkboxes = [], template = null, matrix = null, corrections = []) {
         return `Analyze this Australian workplace safety form and provide comprehensive safety assessment.
 
 EXTRACTED TEXT FROM FORM:
 ${extractedText}
 
+CHECKBOXES DETECTED IN THE FORM IMAGE:
+${this.formatCheckboxesForPrompt(checkboxes)}
+${this.formatTemplateForPrompt(template, formType)}${this.formatCorrectionsForPrompt(corrections)}
+
 ANALYSIS REQUIREMENTS:
 
 1. **FORM TYPE DETECTION** - Identify the specific type:
@@ -315,6 +397,19 @@ ANALYSIS REQUIREMENTS:
    - Hard hats, safety glasses, hearing protection, high-vis, safety boots
    - Gloves (specify type), respirators, fall arrest harnesses, face shields
 
+5. **RISK MATRIX** - Rate every flagged issue on the company's 5x5 matrix (risk rating = consequence x likelihood):
+   - inherentRisk: before any controls; residualRisk: with the controls recorded on the form in place
+${this.formatRiskMatrixForPrompt(matrix || riskMatrixService.defaultMatrix)}
+
+6. **HIERARCHY OF CONTROLS** - Classify every control measure, most to least effective:
+   - ELIMINATION: hazard removed entirely (e.g. work done at ground level)
+   - SUBSTITUTION: replaced with something less hazardous (e.g. EWP instead of ladder, water-based product)
+   - ISOLATION: people separated from the hazard (e.g. lockout/tagout, barricades, exclusion zones)
+   - ENGINEERING: physical change to plant or work area (e.g. guardrails, machine guards, ventilation, RCDs)
+   - ADMINISTRATIVE: procedures, permits, training, signage, supervision, spotters
+   - PPE: personal protective equipment (e.g. harness, gloves, respirator, hearing protection)
+   - A CRITICAL hazard controlled only by ADMINISTRATIVE and PPE controls is not adequately controlled
+
 Return ONLY valid JSON in this exact format:
 {
   "formType": "[TAKE_5|SWMS|JSA|JHA|JSEA|PTB|HAZARD_ASSESSMENT|PERMIT_TO_WORK|TOOLBOX_TALK|INCIDENT_REPORT|SAFETY_INDUCTION|UNKNOWN]",
@@ -327,10 +422,13 @@ Return ONLY valid JSON in this exact format:
       "description": "specific safety concern identified",
       "severity": "[LOW|MEDIUM|HIGH|CRITICAL]", 
       "recommendation": "specific corrective action required",
-      "location": "where in form this issue was found",
-      "controlMeasures": ["existing controls mentioned"],
-      "additionalControls": ["recommended additional safety controls"],
-      "isControlled": true/false
+      "location": "where in form this issue was found - start with the page (e.g. \"page 3 - Hazard controls\") when the text has === Page N of M === markers",
+      "sourceText": "the words from the form text this issue is based on, copied exactly (empty if the issue is something missing from the form)",
+      "controlMeasures": [{ "control": "existing control mentioned", "hierarchy": "[ELIMINATION|SUBSTITUTION|ISOLATION|ENGINEERING|ADMINISTRATIVE|PPE]" }],
+      "additionalControls": [{ "control": "recommended additional safety control", "hierarchy": "[ELIMINATION|SUBSTITUTION|ISOLATION|ENGINEERING|ADMINISTRATIVE|PPE]" }],
+      "isControlled": true/false,
+      "inherentRisk": { "consequence": [1-5], "likelihood": [1-5] },
+      "residualRisk": { "consequence": [1-5], "likelihood": [1-5] }
     }
   ],
   "hrwFactors": [
@@ -365,6 +463,10 @@ Return ONLY valid JSON in this exact format:
       "consequence": [1-5],
       "likelihood": [1-5],
       "riskRating": [1-25]
+    },
+    "residualMatrix": {
+      "consequence": [1-5],
+      "likelihood": [1-5]
     }
   },
   "summary": "comprehensive assessment of safety risks and form completeness",
@@ -386,14 +488,16 @@ Return ONLY valid JSON in this exact format:
 }
 
 **CRITICAL CHECKBOX INTERPRETATION RULES:**
-- **X or cross marks (✗) = PROBLEM/HAZARD IDENTIFIED** - These are SAFETY ISSUES that need correction
-- **Tick marks (✓) = CONTROLLED/SAFE** - These are good safety practices
-- **Empty boxes = UNCONTROLLED** - These are missing controls that need attention
-- **"N/A" = NOT APPLICABLE** - These don't apply to this work
+Checkbox states above were read from the form image. Use them instead of guessing from symbols such as X, ✓ or ✗ in the extracted text.
+- **CROSSED = PROBLEM/HAZARD IDENTIFIED** - These are SAFETY ISSUES that need correction
+- **TICKED = CONTROLLED/SAFE** - These are good safety practices
+- **EMPTY = UNCONTROLLED** - These are missing controls that need attention
+- **NOT_APPLICABLE** - These don't apply to this work
+- A marked box in a "NO" column means the answer to that item is No
 
-**IMPORTANT**: If you see "Barricading and no-go zones ✗" this means barricading is MISSING/INADEQUATE, not established!
-If you see "H2S monitor worn ✗" this means the monitor is NOT being worn - this is a CRITICAL safety violation!
-If you see "Tools secured at height ✗" this means tools are NOT secured - this is a fall hazard!
+**IMPORTANT**: If "Barricading and no-go zones" is CROSSED this means barricading is MISSING/INADEQUATE, not established!
+If "H2S monitor worn" is CROSSED this means the monitor is NOT being worn - this is a CRITICAL safety violation!
+If "Tools secured at height" is CROSSED this means tools are NOT secured - this is a fall hazard!
 
 RISK SCORING GUIDELINES:
 - 1-2: MINIMAL risk - Standard precautions adequate
@@ -402,208 +506,167 @@ RISK SCORING GUIDELINES:
 - 7-8: HIGH risk - Supervisor review required, comprehensive controls needed
 - 9-10: CRITICAL risk - Stop work, immediate management intervention
 
-**ESCALATION TRIGGERS:**
-- Any H2S monitor not worn (✗) = +3 risk escalation (CRITICAL gas exposure)
-- Tools not secured at height (✗) = +2 risk escalation (falling object hazard)
-- Missing barricading (✗) = +2 risk escalation (pedestrian safety)
-- Missing fall protection (✗) = +3 risk escalation (fatal fall risk)
-
 Focus on Australian workplace safety standards and construction/industrial best practices.`;
     }
 
-    parseEnhancedAIResponse(responseText, originalText) {
-        try {
-            // Clean the response text to extract JSON
-            let cleanResponse = responseText.trim();
-            
-            // Remove markdown code blocks if present
-            cleanResponse = cleanResponse.replace(/```json\s*|\s*```/g, '');
-            cleanResponse = cleanResponse.replace(/```\s*|\s*```/g, '');
-            
-            // Find JSON in the response
-            const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                throw new Error('No JSON found in AI response');
+    formatCheckboxesForPrompt(checkboxes = []) {
+        if (checkboxes.length === 0) {
+            return 'None detected - do not infer checkbox states from stray characters in the text';
+        }
+
+        return checkboxes.map(checkbox => {
+            const page = checkbox.pageNumber ? `page ${checkbox.pageNumber}: ` : '';
+            const column = checkbox.answer ? ` (in ${checkbox.answer} column)` : '';
+            return `- ${page}"${checkbox.label || 'unlabelled'}"${column}: ${checkbox.state} (confidence ${checkbox.confidence})`;
+        }).join('\n');
+    }
+
+    formatRiskMatrixForPrompt(matrix) {
+        const axis = entries => entries.map(entry => `${entry.value} ${entry.label}${entry.description ? ` (${entry.description})` : ''}`).join('; ');
+        return `   - Consequence: ${axis(matrix.consequences)}
+   - Likelihood: ${axis(matrix.likelihoods)}`;
+    }
+
+    // Transcription is already done when a template matched - the AI should judge, not re-read fields
+    formatTemplateForPrompt(template, formType) {
+        if (!template) {
+            return formType && formType !== 'UNKNOWN' ? `\nEXPECTED FORM TYPE: ${formType}\n` : '';
+        }
+
+        const fields = Object.entries(template.fields).map(([key, field]) =>
+            `- ${field.label}: ${field.found ? JSON.stringify(field.value) : 'NOT FOUND'}${template.missingRequired.includes(key) ? ' (required)' : ''}`
+        );
+        const checklist = template.checklist.map(item =>
+            `- ${item.label}: ${item.answer || 'NO ANSWER'} (expected ${item.expectedAnswer}${item.critical ? ', critical' : ''})` +
+            (item.compliant === false ? ' - DEVIATION' : '')
+        );
+
+        return `
+FORM TEMPLATE MATCHED: ${template.templateName} v${template.templateVersion} (form type ${template.formType})
+These values were transcribed from the form against the template. Treat them as given - do not re-transcribe them.
+Focus on judgment: are the hazards adequately controlled, do the deviations or missing fields create risk, and what should the supervisor do?
+
+TRANSCRIBED FIELDS:
+${fields.join('\n') || '- none'}
+
+CHECKLIST ANSWERS:
+${checklist.join('\n') || '- none'}
+`;
+    }
+
+    // Past reviewer corrections on similar forms (see corrections/correctionService) as few-shot examples
+    formatCorrectionsForPrompt(corrections = []) {
+        if (corrections.length === 0) return '';
+
+        const describeIssue = issue => `${issue.category || 'UNCATEGORISED'} (${issue.severity || 'unrated'}) - ${issue.description}`;
+        const examples = corrections.map((correction, index) => {
+            const lines = [`Example ${index + 1} - form text began: "${correction.excerpt}"`];
+            if (correction.formType) {
+                lines.push(`- Form type was ${correction.formType.from}, reviewer corrected it to ${correction.formType.to}`);
             }
-            
-            const parsed = JSON.parse(jsonMatch[0]);
-            // CRITICAL: Direct violation detection - override AI's findings
-            const detectedViolations = [];
-
-            // H2S Monitor Critical Violation
-            if (/H2S monitor worn within breathing zone(?!\s*☑)/i.test(originalText)) {
-              detectedViolations.push({
-                category: "CHEMICAL",
-                description:
-                  "H2S monitor not worn within breathing zone - CRITICAL gas exposure risk",
-                severity: "CRITICAL",
-                recommendation:
-                  "Immediately require H2S monitor to be worn in breathing zone",
-                location: "Personal Protective Equipment section",
-                controlMeasures: [],
-                additionalControls: ["H2S monitor must be worn", "Gas detection protocols"],
-                isControlled: false,
-              });
+            if (correction.riskScore) {
+                lines.push(`- Risk score was ${correction.riskScore.from}, reviewer corrected it to ${correction.riskScore.to}`);
             }
+            correction.issuesAdded.forEach(issue => lines.push(`- Missed issue the reviewer added: ${describeIssue(issue)}`));
+            correction.issuesRemoved.forEach(issue => lines.push(`- Issue the reviewer removed as not supported by the form: ${describeIssue(issue)}`));
+            correction.issuesChanged.forEach(change => lines.push(
+                `- Issue re-rated by the reviewer: ${describeIssue(change.from)} -> ${change.to.category} (${change.to.severity})`
+            ));
+            return lines.join('\n');
+        });
 
-            // Hearing Protection Violation
-            if (/hearing protection worn\s*0/i.test(originalText)) {
-              detectedViolations.push({
-                category: "PPE",
-                description: "Hearing protection not worn (marked with 0)",
-                severity: "HIGH",
-                recommendation: "Ensure hearing protection is worn in high noise areas",
-                location: "Personal Protective Equipment section",
-                controlMeasures: [],
-                additionalControls: ["Hearing protection mandatory"],
-                isControlled: false,
-              });
-            }
+        return `
+PAST REVIEWER CORRECTIONS ON SIMILAR FORMS:
+Safety reviewers corrected earlier analyses of forms like this one. Learn from these corrections, but assess this form on its own content.
 
-            // Loose Work Surfaces
-            if (/loose or uneven work surfaces/i.test(originalText)) {
-              detectedViolations.push({
-                category: "PHYSICAL",
-                description: "Loose or uneven work surfaces with slip/trip potential",
-                severity: "HIGH",
-                recommendation: "Secure all work surfaces and ensure stable footing",
-                location: "Work environment assessment",
-                controlMeasures: [],
-                additionalControls: ["Surface stabilization", "Non-slip materials"],
-                isControlled: false,
-              });
-            }
+${examples.join('\n\n')}
+`;
+    }
 
-            // Inject our violations into AI response
-            if (detectedViolations.length > 0) {
-              parsed.flaggedIssues = [
-                ...detectedViolations,
-                ...(parsed.flaggedIssues || []),
-              ];
-
-              // Escalate risk score
-              let violationEscalation = detectedViolations.length * 2; // +2 per violation
-              parsed.riskScore = Math.min(10, parsed.riskScore + violationEscalation);
-
-              logger.info("Risk score escalated due to pattern detection", {
-                originalScore: parsed.riskScore - violationEscalation,
-                violationEscalation,
-                finalScore: parsed.riskScore,
-                detectedViolations: detectedViolations.length,
-              });
-            }
-            // Validate required fields
-            if (!parsed.formType || !parsed.riskScore) {
-                throw new Error('Missing required fields in AI response');
+    // A cross, or a mark in the "No" column, against one of the critical checklist items
+    findCheckboxViolations(checkboxes = []) {
+        const violations = [];
+
+        CRITICAL_CHECKBOX_ITEMS.forEach(item => {
+            const checkbox = checkboxes.find(box =>
+                box.label && item.pattern.test(box.label) &&
+                box.confidence >= CHECKBOX_MIN_CONFIDENCE &&
+                (box.state === 'CROSSED' || (box.answer === 'NO' && box.state === 'TICKED'))
+            );
+
+            if (checkbox) {
+                violations.push({ ...item, checkbox });
             }
-            
-            // Ensure arrays exist with defaults
-            parsed.flaggedIssues = parsed.flaggedIssues || [];
-            parsed.hrwFactors = parsed.hrwFactors || [];
-            parsed.ppeRequired = parsed.ppeRequired || [];
-            parsed.complianceIssues = parsed.complianceIssues || [];
-            
-            // Calculate enhanced risk score with HRW escalation
-            const enhancedResult = this.enhanceAnalysisResult(parsed, originalText);
-            
-            return enhancedResult;
-            
-        } catch (error) {
-            logger.error('Failed to parse enhanced AI response', { 
-                error: error.message, 
-                responseText: responseText.substring(0, 500) 
+        });
+
+        return violations;
+    }
+
+    parseEnhancedAIResponse(responseText, originalText, checkboxes = []) {
+        const validation = parseAnalysisResponse(responseText);
+        if (!validation.success) {
+            logger.error('Failed to parse enhanced AI response', {
+                stage: validation.stage,
+                issues: validation.issues.slice(0, 10),
+                responseText: String(responseText || '').substring(0, 500)
             });
-            
+
             // Fallback to basic analysis
-            return this.getFallbackAnalysis(originalText, error, 0);
+            const error = new Error(`AI response failed ${validation.stage} validation: ${validation.issues.slice(0, 3).join('; ')}`);
+            return this.getFallbackAnalysis(originalText, error, 0, checkboxes);
         }
+
+        return this.buildAnalysisResult(validation.data, originalText, checkboxes);
     }
 
-    enhanceAnalysisResult(analysis, originalText) {
-        // Calculate base risk score
-        const baseScore = analysis.riskScore || this.calculateBaseRiskScore(originalText);
-        
-        // Apply HRW escalation
-        let escalation = 0;
-        
-        // HRW activity escalation
-        if (analysis.hrwFactors && analysis.hrwFactors.length > 0) {
-            const maxEscalation = Math.max(...analysis.hrwFactors.map(f => f.riskEscalation || 2));
-            escalation += maxEscalation;
-            logger.info('HRW escalation applied', { hrwCount: analysis.hrwFactors.length, escalation: maxEscalation });
-        }
-        
-        // Fatal Five escalation
-        const fatalFivePatterns = [
-            /mobile plant|vehicle|machinery|crane|forklift/i,
-            /height|fall|ladder|scaffold|roof/i,
-            /electric|electrical|power|voltage/i,
-            /H2S|hydrogen sulfide|gas|chemical|hazardous substance/i,
-            /manual handling|lifting|ergonomic/i
-        ];
-        
-        const fatalFiveDetected = fatalFivePatterns.some(pattern => pattern.test(originalText));
-        if (fatalFiveDetected) {
-            escalation += 1;
-            logger.info('Fatal Five escalation applied', { escalation: 1 });
+    // parsed has already been validated against analysisSchema, so every list is present
+    buildAnalysisResult(parsed, originalText, checkboxes = []) {
+        // CRITICAL: Violations read from the form's checkboxes override the AI's findings
+        const detectedViolations = this.findCheckboxViolations(checkboxes).map(violation => ({
+            category: violation.category,
+            description: violation.description,
+            severity: violation.severity,
+            recommendation: violation.recommendation,
+            location: violation.checkbox.pageNumber
+                ? `page ${violation.checkbox.pageNumber} - ${violation.checkbox.label}`
+                : violation.checkbox.label,
+            controlMeasures: [],
+            additionalControls: [],
+            isControlled: false
+        }));
+
+        // Inject our violations into AI response; their escalation comes from the risk rules
+        if (detectedViolations.length > 0) {
+            parsed.flaggedIssues = [...detectedViolations, ...parsed.flaggedIssues];
+            logger.info('Checkbox violations added to flagged issues', { detectedViolations: detectedViolations.length });
         }
-        
-        // Critical uncontrolled hazards
-        if (analysis.flaggedIssues && analysis.flaggedIssues.length > 0) {
-            const criticalUncontrolled = analysis.flaggedIssues.filter(h => 
-                h.severity === 'CRITICAL' && !h.isControlled
-            ).length;
-            
-            if (criticalUncontrolled > 0) {
-                escalation += criticalUncontrolled;
-                logger.info('Critical uncontrolled hazard escalation', { 
-                    count: criticalUncontrolled, 
-                    escalation: criticalUncontrolled 
-                });
-            }
-        }
-        
-        const finalScore = Math.min(10, baseScore + escalation);
-        
-        logger.info('Enhanced risk score calculation', {
-            baseScore,
-            escalation,
-            finalScore,
-            riskLevel: this.getRiskLevel(finalScore)
-        });
-        
+
+        return this.enhanceAnalysisResult(parsed, originalText, checkboxes);
+    }
+
+    // Final score, level and trace are set afterwards by applyRiskRules
+    enhanceAnalysisResult(analysis, originalText, checkboxes = []) {
         // Enhanced result with all fields
         const enhanced = {
             formType: analysis.formType,
-            formTypeConfidence: analysis.formTypeConfidence || 'HIGH',
-            riskScore: finalScore,
-            riskLevel: this.getRiskLevel(finalScore),
+            formTypeConfidence: analysis.formTypeConfidence,
+            riskScore: analysis.riskScore,
+            riskLevel: getRiskLevel(analysis.riskScore),
             flaggedIssues: analysis.flaggedIssues,
             hrwFactors: analysis.hrwFactors,
             ppeRequired: analysis.ppeRequired,
             complianceIssues: analysis.complianceIssues,
-            riskAssessment: analysis.riskAssessment || {
-                initialRisk: this.getRiskLevel(baseScore),
-                controlsImplemented: [],
-                residualRisk: this.getRiskLevel(finalScore),
-                riskMatrix: { consequence: 3, likelihood: 3, riskRating: 9 }
-            },
-            summary: analysis.summary || 'Enhanced safety analysis completed',
-            requiresSupervisorReview: this.calculateSupervisorReview(analysis, finalScore),
-            formCompleteness: analysis.formCompleteness || 'PARTIALLY_COMPLETE',
-            missingFields: analysis.missingFields || [],
-            positiveFindings: analysis.positiveFindings || [],
+            riskAssessment: analysis.riskAssessment || null,
+            summary: analysis.summary,
+            requiresSupervisorReview: this.calculateSupervisorReview(analysis, analysis.riskScore),
+            formCompleteness: analysis.formCompleteness,
+            missingFields: analysis.missingFields,
+            positiveFindings: analysis.positiveFindings,
             workLocation: analysis.workLocation || 'Not specified',
             workActivity: analysis.workActivity || 'Not specified',
-            workerDetails: analysis.workerDetails || {
-                signaturesPresent: false,
-                supervisorApproval: false,
-                dateCompleted: null
-            },
-            emergencyProcedures: analysis.emergencyProcedures || {
-                mentioned: false,
-                details: []
-            },
+            workerDetails: analysis.workerDetails,
+            emergencyProcedures: analysis.emergencyProcedures,
+            checkboxes,
             
             // Legacy compatibility fields
             hazards: analysis.flaggedIssues, // For backward compatibility
@@ -636,17 +699,16 @@ Focus on Australian workplace safety standards and construction/industrial best
         return false;
     }
 
-    getFallbackAnalysis(text, error, processingTime) {
-        const baseScore = this.calculateBaseRiskScore(text);
+    getFallbackAnalysis(text, error, processingTime, checkboxes = []) {
         const hrwFactors = this.detectHRWFactors(text);
-        const hazards = this.extractBasicHazards(text);
-        const finalScore = this.applyHRWEscalation(baseScore, hrwFactors, hazards, text);
+        const hazards = this.extractBasicHazards(text, checkboxes);
 
+        // Scored from the minimum by applyRiskRules (the FALLBACK_* rules stand in for the AI's score)
         return {
             formType: 'UNKNOWN',
             formTypeConfidence: 'LOW',
-            riskScore: finalScore,
-            riskLevel: this.getRiskLevel(finalScore),
+            riskScore: 1,
+            riskLevel: getRiskLevel(1),
             flaggedIssues: hazards.map(h => ({
                 category: h.type,
                 description: h.description,
@@ -665,12 +727,7 @@ Focus on Australian workplace safety standards and construction/industrial best
                 action: 'Please review form manually and verify all safety requirements',
                 severity: 'HIGH'
             }],
-            riskAssessment: {
-                initialRisk: this.getRiskLevel(baseScore),
-                controlsImplemented: [],
-                residualRisk: this.getRiskLevel(finalScore),
-                riskMatrix: { consequence: 3, likelihood: 3, riskRating: 9 }
-            },
+            riskAssessment: null,
             summary: error ? `Analysis failed: ${error.message} - requires immediate manual safety review` : 'Fallback analysis completed',
             requiresSupervisorReview: true,
             formCompleteness: 'REQUIRES_REVIEW',
@@ -687,6 +744,7 @@ Focus on Australian workplace safety standards and construction/industrial best
                 mentioned: false,
                 details: []
             },
+            checkboxes,
             
             // Legacy compatibility
             hazards: hazards,
@@ -704,139 +762,6 @@ Focus on Australian workplace safety standards and construction/industrial best
         };
     }
 
-    applyHRWEscalation(baseScore, hrwFactors, hazards, originalText) {
-        let escalation = 0;
-        
-        // HRW activity escalation
-        if (hrwFactors && hrwFactors.length > 0) {
-            const maxEscalation = Math.max(...hrwFactors.map(f => f.riskEscalation || 2));
-            escalation += maxEscalation;
-            logger.info('HRW escalation applied', { hrwCount: hrwFactors.length, escalation: maxEscalation });
-        }
-        
-        // Fatal Five escalation
-        const fatalFivePatterns = [
-            /mobile plant|vehicle|machinery|crane|forklift/i,
-            /height|fall|ladder|scaffold|roof/i,
-            /electric|electrical|power|voltage/i,
-            /H2S|hydrogen sulfide|gas|chemical|hazardous substance/i,
-            /manual handling|lifting|ergonomic/i
-        ];
-        
-        const fatalFiveDetected = fatalFivePatterns.some(pattern => pattern.test(originalText));
-        if (fatalFiveDetected) {
-            escalation += 1;
-            logger.info('Fatal Five escalation applied', { escalation: 1 });
-        }
-        
-        // Critical checkbox violations (X marks indicating problems)
-        // const criticalViolations = [
-        //     { pattern: /H2S monitor.*[✗xX]|[✗xX].*H2S monitor/i, escalation: 4, description: 'H2S monitor not worn - CRITICAL gas exposure risk' },
-        //     { pattern: /hearing protection.*[✗xX]|[✗xX].*hearing protection/i, escalation: 1, description: 'Hearing protection not worn - noise exposure' },
-        //     { pattern: /weather conditions.*[✗xX]|[✗xX].*weather conditions/i, escalation: 2, description: 'Weather conditions not considered - environmental risk' },
-        //     { pattern: /work surfaces.*[✗xX]|[✗xX].*work surfaces|surfaces.*level.*[✗xX]/i, escalation: 2, description: 'Work surfaces unsafe - slip/trip hazard' },
-        //     { pattern: /barricad.*[✗xX]|[✗xX].*barricad/i, escalation: 2, description: 'Barricading missing - pedestrian safety risk' },
-        //     { pattern: /tools.*secured.*[✗xX]|[✗xX].*tools.*secured/i, escalation: 2, description: 'Tools not secured - falling object hazard' },
-        //     { pattern: /ladder.*safety.*[✗xX]|[✗xX].*ladder/i, escalation: 2, description: 'Ladder safety requirements not met' },
-        //     // Note: Only flag fall protection if it's marked with X, not if it has checkmark
-        //     { pattern: /fall protection.*[✗xX]|[✗xX].*fall protection/i, escalation: 3, description: 'Fall protection missing - fatal fall risk' }
-        // ];
-        
-        // DEBUG: Log what patterns are being matched for Google Vision
-        logger.info('GOOGLE VISION VIOLATION PATTERN DEBUG:', {
-            textLength: originalText.length,
-            h2sMonitorPattern: /H2S monitor worn within breathing zone(?!\s*☑)/i.test(originalText),
-            hearingProtectionZero: /hearing protection worn\s*0/i.test(originalText), 
-            looseWorkSurfaces: /loose or uneven work surfaces/i.test(originalText),
-            barricadePatterns: {
-                barricadeInPlace: /barricade.*in place/i.test(originalText),
-                barricadeRemoval: /barricades.*removed/i.test(originalText)
-            },
-            weatherConsidered: /weather conditions considered\s*☑/i.test(originalText),
-            fallPreventionInPlace: /fall prevention in place/i.test(originalText)
-        });
-
-        // Google Vision specific violations (look for missing confirmations)
-        // const googleVisionViolations = [
-        //     { pattern: /H2S monitor worn within breathing zone(?!\s*☑)/i, escalation: 4, description: 'H2S monitor not worn - CRITICAL gas exposure risk' },
-        //     { pattern: /hearing protection worn\s*0/i, escalation: 2, description: 'Hearing protection not worn (marked with 0)' },
-        //     { pattern: /loose or uneven work surfaces/i, escalation: 2, description: 'Work surfaces unsafe - slip/trip hazard identified' },
-        //     { pattern: /barricades.*removed/i, escalation: 2, description: 'Barricading issues - removal mentioned without confirmation of replacement' }
-        // ];
-        
-        // googleVisionViolations.forEach(violation => {
-        //     if (violation.pattern.test(originalText)) {
-        //         escalation += violation.escalation;
-        //         logger.warn('Google Vision safety violation detected', { 
-        //             violation: violation.description, 
-        //             escalation: violation.escalation 
-        //         });
-        //     }
-        // });
-        
-        // Original critical violations (for X mark detection)
-        const criticalViolations = [
-            { pattern: /H2S monitor.*[✗xX]|[✗xX].*H2S monitor/i, escalation: 4, description: 'H2S monitor not worn - CRITICAL gas exposure risk' },
-            { pattern: /hearing protection.*[✗xX]|[✗xX].*hearing protection/i, escalation: 1, description: 'Hearing protection not worn - noise exposure' },
-            { pattern: /weather conditions.*[✗xX]|[✗xX].*weather conditions/i, escalation: 2, description: 'Weather conditions not considered - environmental risk' },
-            { pattern: /work surfaces.*[✗xX]|[✗xX].*work surfaces|surfaces.*level.*[✗xX]/i, escalation: 2, description: 'Work surfaces unsafe - slip/trip hazard' },
-            { pattern: /barricad.*[✗xX]|[✗xX].*barricad/i, escalation: 2, description: 'Barricading missing - pedestrian safety risk' },
-            { pattern: /tools.*secured.*[✗xX]|[✗xX].*tools.*secured/i, escalation: 2, description: 'Tools not secured - falling object hazard' },
-            { pattern: /ladder.*safety.*[✗xX]|[✗xX].*ladder/i, escalation: 2, description: 'Ladder safety requirements not met' },
-            // Note: Only flag fall protection if it's marked with X, not if it has checkmark
-            { pattern: /fall protection.*[✗xX]|[✗xX].*fall protection/i, escalation: 3, description: 'Fall protection missing - fatal fall risk' }
-        ];
-        
-        criticalViolations.forEach(violation => {
-            if (violation.pattern.test(originalText)) {
-                // Double-check that this isn't a positive finding (has checkmark)
-                const positivePattern = new RegExp(violation.pattern.source.replace(/\[✗xX\]/g, '[✓✔]'), 'i');
-                if (!positivePattern.test(originalText)) {
-                    escalation += violation.escalation;
-                    logger.warn('Critical safety violation detected', { 
-                        violation: violation.description, 
-                        escalation: violation.escalation 
-                    });
-                }
-            }
-        });
-        
-        // Critical uncontrolled hazards from AI analysis
-        if (hazards && hazards.length > 0) {
-            const criticalUncontrolled = hazards.filter(h => 
-                h.severity === 'CRITICAL' && !h.isControlled
-            ).length;
-            
-            if (criticalUncontrolled > 0) {
-                escalation += criticalUncontrolled;
-                logger.info('Critical uncontrolled hazard escalation', { count: criticalUncontrolled, escalation: criticalUncontrolled });
-            }
-        }
-        
-        const finalScore = Math.min(10, baseScore + escalation);
-        
-        logger.info('Risk score calculation', {
-            baseScore,
-            escalation,
-            finalScore,
-            riskLevel: this.getRiskLevel(finalScore)
-        });
-        
-        return finalScore;
-    }
-
-    calculateBaseRiskScore(text) {
-        let score = 1;
-        
-        // Increase score based on complexity indicators
-        if (text.length > 1000) score++;
-        if (/hazard|risk|danger/gi.test(text)) score++;
-        if (/emergency|incident|accident/gi.test(text)) score++;
-        if (/control|mitigation|prevention/gi.test(text)) score++;
-        
-        return Math.min(6, score);
-    }
-
     detectHRWFactors(text) {
         const hrwActivities = [
             { pattern: /working at height|height work|fall protection/i, activity: 'Working at Height', category: 'HEIGHT_WORK', riskEscalation: 3 },
@@ -853,7 +778,7 @@ Focus on Australian workplace safety standards and construction/industrial best
         return hrwActivities.filter(hrw => hrw.pattern.test(text));
     }
 
-    extractBasicHazards(text) {
+    extractBasicHazards(text, checkboxes = []) {
         const hazardPatterns = [
             { pattern: /slip|trip|fall/i, type: 'Physical', description: 'Slip, trip, or fall hazard', severity: 'MEDIUM' },
             { pattern: /chemical|toxic|corrosive/i, type: 'Chemical', description: 'Chemical exposure hazard', severity: 'HIGH' },
@@ -862,28 +787,6 @@ Focus on Australian workplace safety standards and construction/industrial best
             { pattern: /manual handling|lifting/i, type: 'Ergonomic', description: 'Manual handling injury risk', severity: 'MEDIUM' }
         ];
         
-        // Critical checkbox violations - X marks indicating problems
-        const checkboxViolations = [
-            { pattern: /H2S monitor.*[✗xX]|[✗xX].*H2S monitor/i, type: 'Chemical', description: 'H2S monitor not worn in breathing zone - CRITICAL gas exposure risk', severity: 'CRITICAL' },
-            { pattern: /hearing protection.*[✗xX]|[✗xX].*hearing protection/i, type: 'PPE', description: 'Hearing protection not worn in high noise area', severity: 'MEDIUM' },
-            { pattern: /weather conditions.*[✗xX]|[✗xX].*weather conditions/i, type: 'Environmental', description: 'Weather conditions not properly considered', severity: 'HIGH' },
-            { pattern: /work surfaces.*[✗xX]|[✗xX].*work surfaces|surfaces.*level.*[✗xX]|loose.*uneven.*[✗xX]/i, type: 'Physical', description: 'Work surfaces loose, uneven or unsafe', severity: 'HIGH' },
-            { pattern: /barricad.*[✗xX]|[✗xX].*barricad/i, type: 'Physical', description: 'Barricading/exclusion zones not established', severity: 'HIGH' },
-            { pattern: /tools.*secured.*[✗xX]|[✗xX].*tools.*secured/i, type: 'Physical', description: 'Tools not secured at height - falling object hazard', severity: 'HIGH' },
-            { pattern: /ladder.*safety.*[✗xX]|[✗xX].*ladder(?!.*✓)/i, type: 'Fall Protection', description: 'Ladder safety requirements not met', severity: 'HIGH' },
-            // Only flag fall protection if specifically marked with X (not when it has checkmark)
-            { pattern: /fall protection.*[✗xX](?!.*✓)|[✗xX].*fall protection(?!.*✓)/i, type: 'Fall Protection', description: 'Fall protection equipment missing or inadequate', severity: 'CRITICAL' }
-        ];
-        
-        // Positive findings - checkmarked items (don't add as hazards)
-        const positivePatterns = [
-            /fall prevention.*place.*✓|✓.*fall prevention/i,
-            /moving parts.*controlled.*✓|✓.*moving parts.*controlled/i,
-            /communication.*work groups.*✓|✓.*communication/i,
-            /safe access.*✓|✓.*safe access/i,
-            /tool.*securing.*✓|✓.*tool.*securing/i
-        ];
-        
         const detectedHazards = [];
         
         // Check standard hazard patterns
@@ -900,57 +803,49 @@ Focus on Australian workplace safety standards and construction/industrial best
         });
         
         // Check critical checkbox violations
-        checkboxViolations.forEach(violation => {
-            if (violation.pattern.test(text)) {
-                detectedHazards.push({
-                    type: violation.type,
-                    description: violation.description,
-                    severity: violation.severity,
-                    controlMeasures: [],
-                    isControlled: false // X marks always indicate uncontrolled hazards
-                });
-            }
+        this.findCheckboxViolations(checkboxes).forEach(violation => {
+            detectedHazards.push({
+                type: violation.type,
+                description: violation.description,
+                severity: violation.severity,
+                controlMeasures: [],
+                isControlled: false // Crossed boxes always indicate uncontrolled hazards
+            });
         });
         
         return detectedHazards;
     }
 
-    getRiskLevel(score) {
-        if (score <= 3) return 'LOW';
-        if (score <= 6) return 'MEDIUM';
-        if (score <= 8) return 'HIGH';
-        return 'CRITICAL';
-    }
-
     // Health check method
     async healthCheck() {
         try {
+            const order = await this.getProviderOrder();
             const providerStatus = {};
-            
+
             // Check each provider status
-            if (this.providers.includes('deepseek')) {
-                providerStatus.deepseek = this.deepseek?.apiKey ? 'READY' : 'NO_API_KEY';
-            }
-            
-            if (this.providers.includes('gemini')) {
-                providerStatus.gemini = 'READY'; // ADC or API key
-            }
-            
-            if (this.providers.includes('openai')) {
-                providerStatus.openai = this.openai?.apiKey ? 'READY' : 'NO_API_KEY';
+            for (const provider of this.registry.list()) {
+                providerStatus[provider.name] = {
+                    status: provider.isConfigured() ? 'READY' : 'NOT_CONFIGURED',
+                    label: provider.label || provider.name,
+                    model: provider.model,
+                    capabilities: provider.capabilities || {},
+                    timeoutMs: provider.timeoutMs,
+                    cost: provider.cost || null
+                };
             }
             
             return { 
                 status: 'OK', 
-                providers: this.providers,
+                providers: order.map(provider => provider.name),
                 providerStatus,
                 capabilities: 'Enhanced multi-provider Australian safety form analysis',
                 version: '3.0-enhanced-multi-provider',
                 timestamp: new Date().toISOString(),
                 features: [
-                    'Multi-provider fallback (DeepSeek → Gemini → OpenAI)',
+                    'Multi-provider fallback in configurable order (ai.provider_order)',
+                    'Local OpenAI-compatible provider for offline sites',
                     'HRW & Fatal Five detection',
-                    'Enhanced risk escalation logic',
+                    'Configurable risk escalation rules with explanation trace',
                     'Comprehensive safety analysis',
                     'Australian standards compliance (AS/NZS)',
                     'PPE requirement detection',
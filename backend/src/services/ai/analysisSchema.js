@@ -0,0 +1,288 @@
+// Zod schema for the JSON contract in createEnhancedSafetyPrompt
+// Enum drift (case, spacing, known synonyms such as TAKE5 or MODERATE) is coerced; anything
+// else fails validation so the analysis service can ask the model to repair its response.
+
+const { z } = require('zod');
+const { normalizeFormType } = require('../forms/formTypes');
+const { normalizeLevel } = require('../risk/controlHierarchy');
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const CONFIDENCE_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+const ISSUE_CATEGORIES = [
+    'ELECTRICAL', 'FALL_PROTECTION', 'MECHANICAL', 'CHEMICAL', 'MANUAL_HANDLING',
+    'CONFINED_SPACE', 'VEHICLE_MOVEMENT', 'ENVIRONMENTAL', 'PPE', 'PROCEDURE'
+];
+const HRW_CATEGORIES = ['HEIGHT_WORK', 'ELECTRICAL', 'CONFINED_SPACE', 'MOBILE_PLANT', 'EXCAVATION', 'OTHER'];
+const PPE_TYPES = [
+    'HARD_HAT', 'SAFETY_GLASSES', 'HEARING_PROTECTION', 'HIGH_VIS', 'SAFETY_BOOTS',
+    'GLOVES', 'RESPIRATOR', 'HARNESS', 'FACE_SHIELD'
+];
+const COMPLETENESS_LEVELS = ['COMPLETE', 'INCOMPLETE', 'PARTIALLY_COMPLETE'];
+
+const SEVERITY_ALIASES = {
+    MINIMAL: 'LOW',
+    MODERATE: 'MEDIUM',
+    MED: 'MEDIUM',
+    SEVERE: 'HIGH',
+    VERY_HIGH: 'CRITICAL',
+    EXTREME: 'CRITICAL'
+};
+
+const CATEGORY_ALIASES = {
+    ELECTRICITY: 'ELECTRICAL',
+    FALL: 'FALL_PROTECTION',
+    FALLS: 'FALL_PROTECTION',
+    WORKING_AT_HEIGHT: 'FALL_PROTECTION',
+    HEIGHT: 'FALL_PROTECTION',
+    HAZARDOUS_SUBSTANCES: 'CHEMICAL',
+    HAZARDOUS_SUBSTANCE: 'CHEMICAL',
+    MOBILE_PLANT: 'VEHICLE_MOVEMENT',
+    VEHICLE: 'VEHICLE_MOVEMENT',
+    VEHICLES: 'VEHICLE_MOVEMENT',
+    PROCEDURAL: 'PROCEDURE',
+    PROCEDURES: 'PROCEDURE',
+    PERSONAL_PROTECTIVE_EQUIPMENT: 'PPE'
+};
+
+const HRW_ALIASES = {
+    HEIGHT: 'HEIGHT_WORK',
+    WORKING_AT_HEIGHT: 'HEIGHT_WORK',
+    WORK_AT_HEIGHT: 'HEIGHT_WORK',
+    ELECTRICAL_WORK: 'ELECTRICAL',
+    CRANE: 'MOBILE_PLANT',
+    TRENCHING: 'EXCAVATION'
+};
+
+const PPE_ALIASES = {
+    HARDHAT: 'HARD_HAT',
+    HELMET: 'HARD_HAT',
+    SAFETY_HELMET: 'HARD_HAT',
+    GLASSES: 'SAFETY_GLASSES',
+    EYE_PROTECTION: 'SAFETY_GLASSES',
+    EAR_PROTECTION: 'HEARING_PROTECTION',
+    EARMUFFS: 'HEARING_PROTECTION',
+    EAR_PLUGS: 'HEARING_PROTECTION',
+    HI_VIS: 'HIGH_VIS',
+    HIVIS: 'HIGH_VIS',
+    HIGH_VISIBILITY: 'HIGH_VIS',
+    BOOTS: 'SAFETY_BOOTS',
+    STEEL_CAP_BOOTS: 'SAFETY_BOOTS',
+    FALL_ARREST_HARNESS: 'HARNESS'
+};
+
+const COMPLETENESS_ALIASES = {
+    PARTIAL: 'PARTIALLY_COMPLETE',
+    PARTIALLY: 'PARTIALLY_COMPLETE',
+    PARTLY_COMPLETE: 'PARTIALLY_COMPLETE',
+    COMPLETED: 'COMPLETE'
+};
+
+function enumKey(value) {
+    return String(value).trim().toUpperCase().replace(/[\s\-/]+/g, '_');
+}
+
+function driftEnum(values, aliases = {}) {
+    return z.preprocess(value => {
+        if (typeof value !== 'string') return value;
+        const key = enumKey(value);
+        return aliases[key] || key;
+    }, z.enum(values));
+}
+
+// "7", 7.4 -> 7; anything non-numeric is left for the schema to reject
+function integerIn(min, max) {
+    return z.preprocess(value => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) ? Math.round(number) : value;
+    }, z.number().int().min(min).max(max));
+}
+
+const flexibleBoolean = z.preprocess(value => {
+    if (typeof value !== 'string') return value;
+    const key = value.trim().toLowerCase();
+    if (['true', 'yes', 'y'].includes(key)) return true;
+    if (['false', 'no', 'n'].includes(key)) return false;
+    return value;
+}, z.boolean());
+
+// null or a lone value where a list was asked for
+function listOf(item) {
+    return z.preprocess(value => {
+        if (value === null || value === undefined) return [];
+        return Array.isArray(value) ? value : [value];
+    }, z.array(item));
+}
+
+const optionalText = z.preprocess(value => (value === null ? undefined : value), z.string().optional());
+
+function optionalObject(shape, defaults) {
+    return z.preprocess(value => (value === null ? undefined : value), z.object(shape).default(defaults));
+}
+
+// One cell of the 5x5 consequence x likelihood matrix (see risk/riskMatrix.js)
+const matrixRatingSchema = z.preprocess(value => (value === null ? undefined : value), z.object({
+    consequence: integerIn(1, 5),
+    likelihood: integerIn(1, 5)
+}).optional());
+
+// A control measure and where it sits in the hierarchy of controls (see risk/controlHierarchy.js);
+// plain strings are still accepted and an unrecognised level is left for keyword classification
+const controlSchema = z.preprocess(value => (typeof value === 'string' ? { control: value } : value), z.object({
+    control: z.string().min(1),
+    hierarchy: z.preprocess(value => normalizeLevel(value) || undefined, z.string().optional())
+}));
+
+const flaggedIssueSchema = z.object({
+    category: driftEnum(ISSUE_CATEGORIES, CATEGORY_ALIASES),
+    description: z.string().min(1),
+    severity: driftEnum(RISK_LEVELS, SEVERITY_ALIASES),
+    recommendation: z.string(),
+    location: optionalText.default(''),
+    // Words copied from the form, used to highlight where the issue came from
+    sourceText: optionalText.default(''),
+    controlMeasures: listOf(controlSchema),
+    additionalControls: listOf(controlSchema),
+    isControlled: flexibleBoolean.default(false),
+    inherentRisk: matrixRatingSchema,
+    residualRisk: matrixRatingSchema
+});
+
+const hrwFactorSchema = z.object({
+    activity: z.string().min(1),
+    category: driftEnum(HRW_CATEGORIES, HRW_ALIASES),
+    riskEscalation: integerIn(2, 4).default(2),
+    controls: listOf(z.string())
+});
+
+const ppeSchema = z.object({
+    type: driftEnum(PPE_TYPES, PPE_ALIASES),
+    specification: optionalText.default(''),
+    mandatory: flexibleBoolean.default(false),
+    mentioned: flexibleBoolean.default(false)
+});
+
+const complianceIssueSchema = z.object({
+    standard: z.string().min(1),
+    issue: z.string().min(1),
+    action: optionalText.default(''),
+    severity: driftEnum(RISK_LEVELS, SEVERITY_ALIASES).default('MEDIUM')
+});
+
+const riskAssessmentSchema = z.object({
+    initialRisk: driftEnum(RISK_LEVELS, SEVERITY_ALIASES),
+    controlsImplemented: listOf(z.string()),
+    residualRisk: driftEnum(RISK_LEVELS, SEVERITY_ALIASES),
+    riskMatrix: z.object({
+        consequence: integerIn(1, 5),
+        likelihood: integerIn(1, 5),
+        riskRating: integerIn(1, 25)
+    }).optional(),
+    residualMatrix: matrixRatingSchema
+});
+
+const analysisResponseSchema = z.object({
+    formType: z.preprocess(value => (typeof value === 'string' ? normalizeFormType(value) : value), z.string()),
+    formTypeConfidence: driftEnum(CONFIDENCE_LEVELS, SEVERITY_ALIASES).default('MEDIUM'),
+    riskScore: integerIn(1, 10),
+    riskLevel: driftEnum(RISK_LEVELS, SEVERITY_ALIASES),
+    flaggedIssues: listOf(flaggedIssueSchema),
+    hrwFactors: listOf(hrwFactorSchema),
+    ppeRequired: listOf(ppeSchema),
+    complianceIssues: listOf(complianceIssueSchema),
+    riskAssessment: z.preprocess(value => (value === null ? undefined : value), riskAssessmentSchema.optional()),
+    summary: z.string().min(1),
+    requiresSupervisorReview: flexibleBoolean.default(false),
+    formCompleteness: driftEnum(COMPLETENESS_LEVELS, COMPLETENESS_ALIASES).default('PARTIALLY_COMPLETE'),
+    missingFields: listOf(z.string()),
+    positiveFindings: listOf(z.string()),
+    workLocation: optionalText,
+    workActivity: optionalText,
+    workerDetails: optionalObject({
+        signaturesPresent: flexibleBoolean.default(false),
+        supervisorApproval: flexibleBoolean.default(false),
+        dateCompleted: z.string().nullish().default(null)
+    }, {}),
+    emergencyProcedures: optionalObject({
+        mentioned: flexibleBoolean.default(false),
+        details: listOf(z.string())
+    }, {})
+});
+
+// An analysis a user sends back on /confirm. Categories and completeness are kept exactly as
+// sent, since the rule-based fallback analysis uses its own (e.g. 'Fire/Explosion',
+// 'REQUIRES_REVIEW'), and the score must be a whole number as entered. The risk assessment, template, rules trace and
+// metadata are not the user's to edit and are stripped (see confirmationService.confirmDraft).
+// Controls come back as the AI wrote them or as classified by risk/controlHierarchy.js
+const confirmedControlSchema = z.union([
+    z.string(),
+    z.object({ description: z.string().optional(), control: z.string().optional() }).passthrough()
+]);
+
+const confirmedIssueSchema = flaggedIssueSchema.extend({
+    category: z.string().min(1),
+    controlMeasures: listOf(confirmedControlSchema),
+    additionalControls: listOf(confirmedControlSchema)
+}).passthrough();
+
+const confirmedAnalysisSchema = analysisResponseSchema.omit({ riskAssessment: true }).extend({
+    riskScore: z.number().int().min(1).max(10),
+    flaggedIssues: listOf(confirmedIssueSchema),
+    formCompleteness: z.string().min(1).default('PARTIALLY_COMPLETE')
+});
+
+// Pull the JSON object out of a model response (markdown fences, leading prose)
+function extractJson(responseText) {
+    const cleaned = String(responseText || '').trim()
+        .replace(/```json\s*|\s*```/g, '')
+        .replace(/```\s*|\s*```/g, '');
+
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+        throw new Error('No JSON found in AI response');
+    }
+    return JSON.parse(jsonMatch[0]);
+}
+
+function formatIssues(error) {
+    return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
+
+/**
+ * Parse and validate a provider response.
+ * Returns { success: true, data } or { success: false, stage: 'json' | 'schema', issues: [text] }.
+ */
+function parseAnalysisResponse(responseText) {
+    let raw;
+    try {
+        raw = extractJson(responseText);
+    } catch (error) {
+        return { success: false, stage: 'json', issues: [error.message] };
+    }
+
+    const result = analysisResponseSchema.safeParse(raw);
+    if (!result.success) {
+        return { success: false, stage: 'schema', issues: formatIssues(result.error) };
+    }
+    return { success: true, data: result.data };
+}
+
+/**
+ * Validate an analysis confirmed by the user.
+ * Returns { success: true, data } or { success: false, issues: [text] }.
+ */
+function parseConfirmedAnalysis(value) {
+    const result = confirmedAnalysisSchema.safeParse(value);
+    if (!result.success) {
+        return { success: false, issues: formatIssues(result.error) };
+    }
+    return { success: true, data: result.data };
+}
+
+module.exports = {
+    analysisResponseSchema,
+    parseAnalysisResponse,
+    parseConfirmedAnalysis,
+    extractJson,
+    RISK_LEVELS,
+    ISSUE_CATEGORIES
+};
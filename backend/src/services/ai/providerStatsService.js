@@ -0,0 +1,98 @@
+// Per-provider call log: schema validation outcome, repairs, latency and estimated cost
+// Used to see which models return unreliable JSON (GET /api/system-config/ai-providers)
+
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+
+const OUTCOMES = {
+    VALID: 'VALID',         // passed schema validation first time
+    REPAIRED: 'REPAIRED',   // passed after asking the model to fix its response
+    INVALID: 'INVALID',     // still failing validation after the repair attempts
+    ERROR: 'ERROR'          // request failed (HTTP error, timeout, empty response)
+};
+
+class ProviderStatsService {
+    constructor() {
+        this.pool = pool;
+        this.OUTCOMES = OUTCOMES;
+    }
+
+    // Never fatal - analysis carries on if the log can't be written
+    async recordCall({ provider, model, outcome, attempts = 1, issues = null, errorMessage = null, latencyMs, usage, estimatedCost }) {
+        try {
+            const client = await this.pool.connect();
+            try {
+                await client.query(
+                    `INSERT INTO ai_provider_calls (
+                        provider, model, outcome, attempts, validation_issues, error_message,
+                        latency_ms, prompt_tokens, completion_tokens, estimated_cost
+                     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+                    [
+                        provider,
+                        model || null,
+                        outcome,
+                        attempts,
+                        issues && issues.length > 0 ? JSON.stringify(issues) : null,
+                        errorMessage ? String(errorMessage).substring(0, 1000) : null,
+                        latencyMs ?? null,
+                        usage?.promptTokens ?? null,
+                        usage?.completionTokens ?? null,
+                        estimatedCost?.amount ?? null
+                    ]
+                );
+            } finally {
+                client.release();
+            }
+        } catch (error) {
+            logger.warn('Could not record AI provider call', { provider, outcome, error: error.message });
+        }
+    }
+
+    async getProviderStats({ days = 30 } = {}) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                `SELECT
+                    provider,
+                    model,
+                    COUNT(*) as total_calls,
+                    COUNT(*) FILTER (WHERE outcome = 'VALID') as valid_calls,
+                    COUNT(*) FILTER (WHERE outcome = 'REPAIRED') as repaired_calls,
+                    COUNT(*) FILTER (WHERE outcome = 'INVALID') as invalid_calls,
+                    COUNT(*) FILTER (WHERE outcome = 'ERROR') as error_calls,
+                    ROUND(AVG(latency_ms)) as avg_latency_ms,
+                    COALESCE(SUM(estimated_cost), 0) as total_estimated_cost,
+                    MAX(created_at) FILTER (WHERE outcome IN ('INVALID', 'REPAIRED')) as last_validation_failure_at
+                 FROM ai_provider_calls
+                 WHERE created_at >= NOW() - ($1::integer * INTERVAL '1 day')
+                 GROUP BY provider, model
+                 ORDER BY provider, model`,
+                [days]
+            );
+
+            return result.rows.map(row => {
+                const total = parseInt(row.total_calls);
+                const repaired = parseInt(row.repaired_calls);
+                const invalid = parseInt(row.invalid_calls);
+                return {
+                    provider: row.provider,
+                    model: row.model,
+                    totalCalls: total,
+                    validCalls: parseInt(row.valid_calls),
+                    repairedCalls: repaired,
+                    invalidCalls: invalid,
+                    errorCalls: parseInt(row.error_calls),
+                    // Share of responses that failed validation at least once
+                    validationFailureRate: total > 0 ? Math.round(((repaired + invalid) / total) * 1000) / 10 : 0,
+                    avgLatencyMs: row.avg_latency_ms !== null ? Number(row.avg_latency_ms) : null,
+                    totalEstimatedCost: Number(row.total_estimated_cost),
+                    lastValidationFailureAt: row.last_validation_failure_at
+                };
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new ProviderStatsService();
@@ -0,0 +1,78 @@
+// OpenAI-compatible chat completions provider
+// Used for DeepSeek, OpenAI and local servers (llama.cpp, Ollama, vLLM) that expose /v1/chat/completions
+
+class ChatCompletionsProvider {
+    constructor({ name, label, baseUrl, apiKey, model, timeoutMs, capabilities = {}, cost = null, requiresApiKey = true }) {
+        if (!name || !baseUrl || !model) {
+            throw new Error('Chat completions provider requires a name, baseUrl and model');
+        }
+
+        this.name = name;
+        this.label = label || name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey || null;
+        this.model = model;
+        this.timeoutMs = timeoutMs || 60000;
+        this.requiresApiKey = requiresApiKey;
+        this.capabilities = {
+            jsonMode: false,
+            offline: false,
+            dataStaysOnSite: false,
+            ...capabilities
+        };
+        this.cost = cost;
+    }
+
+    isConfigured() {
+        return !this.requiresApiKey || Boolean(this.apiKey);
+    }
+
+    async complete({ systemPrompt, prompt, temperature = 0.1, maxTokens = 3000, signal }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const messages = [];
+        if (systemPrompt) {
+            messages.push({ role: 'system', content: systemPrompt });
+        }
+        messages.push({ role: 'user', content: prompt });
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal,
+            body: JSON.stringify({
+                model: this.model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                ...(this.capabilities.jsonMode ? { response_format: { type: 'json_object' } } : {})
+            })
+        });
+
+        if (!response.ok) {
+            const error = new Error(`${this.label} API error: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (!text) {
+            throw new Error(`${this.label} returned an empty response`);
+        }
+
+        return {
+            text,
+            model: data.model || this.model,
+            usage: {
+                promptTokens: data.usage?.prompt_tokens || 0,
+                completionTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+module.exports = ChatCompletionsProvider;
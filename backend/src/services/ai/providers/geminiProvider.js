@@ -0,0 +1,77 @@
+// Google Gemini provider - API key via @google/generative-ai, otherwise Google Cloud ADC over REST
+
+class GeminiProvider {
+    constructor({ apiKey, model = 'gemini-1.5-flash', timeoutMs, cost = null } = {}) {
+        this.name = 'gemini';
+        this.label = 'Gemini';
+        this.apiKey = apiKey || null;
+        this.model = model;
+        this.timeoutMs = timeoutMs || 60000;
+        this.capabilities = {
+            jsonMode: false,
+            offline: false,
+            dataStaysOnSite: false
+        };
+        this.cost = cost;
+        this.client = null;
+
+        if (this.apiKey) {
+            const { GoogleGenerativeAI } = require('@google/generative-ai');
+            this.client = new GoogleGenerativeAI(this.apiKey);
+        }
+    }
+
+    // Without an API key the provider relies on Application Default Credentials at request time
+    isConfigured() {
+        return true;
+    }
+
+    async complete({ prompt, temperature = 0.1, maxTokens = 3000, signal }) {
+        const request = {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+                temperature,
+                maxOutputTokens: maxTokens
+            }
+        };
+
+        let text;
+        let usageMetadata;
+        if (this.client) {
+            const model = this.client.getGenerativeModel({ model: this.model });
+            const result = await model.generateContent(request, { signal });
+            text = result.response.text();
+            usageMetadata = result.response.usageMetadata;
+        } else {
+            const { GoogleAuth } = require('google-auth-library');
+            const auth = new GoogleAuth({
+                scopes: ['https://www.googleapis.com/auth/cloud-platform']
+            });
+            const authClient = await auth.getClient();
+
+            const response = await authClient.request({
+                url: `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`,
+                method: 'POST',
+                data: request,
+                signal
+            });
+            text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+            usageMetadata = response.data.usageMetadata;
+        }
+
+        if (!text) {
+            throw new Error('Gemini returned an empty response');
+        }
+
+        return {
+            text,
+            model: this.model,
+            usage: {
+                promptTokens: usageMetadata?.promptTokenCount || 0,
+                completionTokens: usageMetadata?.candidatesTokenCount || 0
+            }
+        };
+    }
+}
+
+module.exports = GeminiProvider;
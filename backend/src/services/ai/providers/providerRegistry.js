@@ -0,0 +1,148 @@
+// AI provider registry
+//
+// A provider is any object with:
+//   name, label      - identifier used in the ai.provider_order setting and logs; display name
+//   capabilities     - { jsonMode, offline, dataStaysOnSite }
+//   timeoutMs        - per-request limit, enforced by the analysis service
+//   cost             - { currency, inputPer1kTokens, outputPer1kTokens }, or null when unknown
+//   isConfigured()   - false when credentials or an endpoint are missing
+//   complete({ systemPrompt, prompt, temperature, maxTokens, signal }) -> { text, model, usage }
+
+const ChatCompletionsProvider = require('./chatCompletionsProvider');
+const GeminiProvider = require('./geminiProvider');
+const logger = require('../../utils/logger');
+
+// List prices per 1k tokens, used only for the cost estimate recorded with each analysis
+const DEFAULT_COSTS = {
+    deepseek: { currency: 'USD', inputPer1kTokens: 0.00027, outputPer1kTokens: 0.0011 },
+    gemini: { currency: 'USD', inputPer1kTokens: 0.000075, outputPer1kTokens: 0.0003 },
+    openai: { currency: 'USD', inputPer1kTokens: 0.00015, outputPer1kTokens: 0.0006 },
+    local: { currency: 'USD', inputPer1kTokens: 0, outputPer1kTokens: 0 }
+};
+
+function parseTimeout(value, fallback) {
+    const timeoutMs = parseInt(value);
+    return Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : fallback;
+}
+
+class AIProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        if (!provider?.name || typeof provider.complete !== 'function' || typeof provider.isConfigured !== 'function') {
+            throw new Error('AI providers need a name, complete() and isConfigured()');
+        }
+        if (this.providers.has(provider.name)) {
+            throw new Error(`AI provider ${provider.name} is already registered`);
+        }
+
+        this.providers.set(provider.name, provider);
+        return provider;
+    }
+
+    unregister(name) {
+        return this.providers.delete(name);
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    names() {
+        return [...this.providers.keys()];
+    }
+
+    list() {
+        return [...this.providers.values()];
+    }
+
+    /**
+     * Configured providers in the requested order. An explicit order is exclusive -
+     * providers left out are never tried, so an offline site can list only "local".
+     * Without one, every configured provider is tried in registration order.
+     */
+    resolveOrder(order = null) {
+        if (!Array.isArray(order) || order.length === 0) {
+            return this.list().filter(provider => provider.isConfigured());
+        }
+
+        const resolved = [];
+        for (const name of order) {
+            const provider = this.get(name);
+            if (!provider) {
+                logger.warn(`AI provider ${name} in provider order is not registered, skipping`);
+            } else if (!provider.isConfigured()) {
+                logger.warn(`AI provider ${name} in provider order is not configured, skipping`);
+            } else if (!resolved.includes(provider)) {
+                resolved.push(provider);
+            }
+        }
+        return resolved;
+    }
+}
+
+// Built-in providers, configured from the environment
+function createDefaultProviders(env = process.env) {
+    const providers = [];
+
+    providers.push(new ChatCompletionsProvider({
+        name: 'deepseek',
+        label: 'DeepSeek',
+        baseUrl: env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+        apiKey: env.DEEPSEEK_API_KEY,
+        model: env.DEEPSEEK_MODEL || 'deepseek-chat',
+        timeoutMs: parseTimeout(env.DEEPSEEK_TIMEOUT_MS, 60000),
+        cost: DEFAULT_COSTS.deepseek
+    }));
+
+    try {
+        providers.push(new GeminiProvider({
+            apiKey: env.GOOGLE_API_KEY,
+            model: env.GEMINI_MODEL || 'gemini-1.5-flash',
+            timeoutMs: parseTimeout(env.GEMINI_TIMEOUT_MS, 60000),
+            cost: DEFAULT_COSTS.gemini
+        }));
+    } catch (error) {
+        logger.warn('Gemini provider initialization failed', { error: error.message });
+    }
+
+    providers.push(new ChatCompletionsProvider({
+        name: 'openai',
+        label: 'OpenAI',
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-4o-mini',
+        timeoutMs: parseTimeout(env.OPENAI_TIMEOUT_MS, 60000),
+        capabilities: { jsonMode: true },
+        cost: DEFAULT_COSTS.openai
+    }));
+
+    // Any OpenAI-compatible server on the site network, e.g. http://localhost:11434/v1 for Ollama
+    if (env.LOCAL_LLM_BASE_URL) {
+        providers.push(new ChatCompletionsProvider({
+            name: 'local',
+            label: 'Local model',
+            baseUrl: env.LOCAL_LLM_BASE_URL,
+            apiKey: env.LOCAL_LLM_API_KEY,
+            model: env.LOCAL_LLM_MODEL || 'llama3.1',
+            // CPU-only site servers can take minutes per form
+            timeoutMs: parseTimeout(env.LOCAL_LLM_TIMEOUT_MS, 180000),
+            requiresApiKey: false,
+            capabilities: {
+                jsonMode: env.LOCAL_LLM_JSON_MODE === 'true',
+                offline: true,
+                dataStaysOnSite: true
+            },
+            cost: DEFAULT_COSTS.local
+        }));
+    }
+
+    return providers;
+}
+
+module.exports = {
+    AIProviderRegistry,
+    createDefaultProviders
+};
@@ -0,0 +1,345 @@
+// Authentication Service
+// Password hashing, JWT access tokens and rotating refresh tokens
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+
+const USER_ROLES = ['WORKER', 'SUPERVISOR', 'ADMIN', 'SUPER_ADMIN'];
+
+const BCRYPT_ROUNDS = 12;
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 7;
+// A token used again this soon after it was rotated is another tab refreshing at the same time, not a leak
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.JWT_REFRESH_REUSE_GRACE_SECONDS) || 10;
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toPublicUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    site: row.site,
+    active: row.active,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at
+  };
+}
+
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class AuthService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  getJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('JWT_SECRET environment variable is required');
+    }
+    return secret;
+  }
+
+  async hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  getDummyHash() {
+    if (!this.dummyHashPromise) {
+      this.dummyHashPromise = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyHashPromise;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    if (!password || !passwordHash) return false;
+    return bcrypt.compare(password, passwordHash);
+  }
+
+  validatePassword(password) {
+    if (!password || password.length < 10) {
+      throw authError('Password must be at least 10 characters', 400);
+    }
+  }
+
+  // User Management
+  async createUser({ email, name, password, role = 'WORKER', site = null }) {
+    if (!email || !name) {
+      throw authError('Email and name are required', 400);
+    }
+    if (!USER_ROLES.includes(role)) {
+      throw authError(`Invalid role: ${role}`, 400);
+    }
+    this.validatePassword(password);
+
+    const client = await this.pool.connect();
+    try {
+      const passwordHash = await this.hashPassword(password);
+      const result = await client.query(
+        `INSERT INTO users (email, name, role, site, password_hash)
+         VALUES (LOWER($1), $2, $3, $4, $5)
+         RETURNING *`,
+        [email.trim(), name, role, site, passwordHash]
+      );
+
+      logger.info(`User created: ${result.rows[0].id} (${role})`);
+      return toPublicUser(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw authError('A user with this email already exists', 409);
+      }
+      logger.error("Error creating user:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateUser(userId, updates) {
+    if (updates.role && !USER_ROLES.includes(updates.role)) {
+      throw authError(`Invalid role: ${updates.role}`, 400);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      let passwordHash = null;
+      if (updates.password) {
+        this.validatePassword(updates.password);
+        passwordHash = await this.hashPassword(updates.password);
+      }
+
+      const result = await client.query(
+        `UPDATE users
+         SET name = COALESCE($2, name),
+             role = COALESCE($3, role),
+             site = CASE WHEN $4::boolean THEN $5 ELSE site END,
+             active = COALESCE($6, active),
+             password_hash = COALESCE($7, password_hash)
+         WHERE id = $1
+         RETURNING *`,
+        [
+          userId,
+          updates.name,
+          updates.role,
+          updates.site !== undefined,
+          updates.site ?? null,
+          updates.active,
+          passwordHash
+        ]
+      );
+
+      // Deactivated users lose every outstanding refresh token
+      if (updates.active === false || passwordHash) {
+        await client.query(
+          'UPDATE auth_refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+          [userId]
+        );
+      }
+
+      return toPublicUser(result.rows[0]);
+    } catch (error) {
+      logger.error("Error updating user:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getUserById(userId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+      return toPublicUser(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  async listUsers({ site } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = site
+        ? await client.query('SELECT * FROM users WHERE site = $1 ORDER BY name', [site])
+        : await client.query('SELECT * FROM users ORDER BY name');
+      return result.rows.map(toPublicUser);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Login / Token Lifecycle
+  async login(email, password, context = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM users WHERE email = LOWER($1)',
+        [(email || '').trim()]
+      );
+      const user = result.rows[0];
+
+      // Always run bcrypt so response time does not reveal whether the email exists
+      const passwordValid = await this.verifyPassword(
+        password,
+        user?.password_hash || await this.getDummyHash()
+      );
+
+      if (!user || !passwordValid) {
+        throw authError('Invalid email or password');
+      }
+      if (!user.active) {
+        throw authError('Account is disabled', 403);
+      }
+
+      await client.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+      logger.info(`User logged in: ${user.id}`);
+
+      return this.issueTokens(toPublicUser(user), context);
+    } finally {
+      client.release();
+    }
+  }
+
+  signAccessToken(user) {
+    return jwt.sign(
+      { sub: user.id, email: user.email, role: user.role, site: user.site },
+      this.getJwtSecret(),
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getJwtSecret());
+      return {
+        id: payload.sub,
+        email: payload.email,
+        role: payload.role,
+        site: payload.site || null
+      };
+    } catch (error) {
+      throw authError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+  }
+
+  async issueTokens(user, context = {}, replacesTokenId = null) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO auth_refresh_tokens (user_id, token_hash, expires_at, user_agent)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [user.id, hashRefreshToken(refreshToken), expiresAt, context.userAgent || null]
+      );
+
+      if (replacesTokenId) {
+        await client.query(
+          'UPDATE auth_refresh_tokens SET revoked_at = COALESCE(revoked_at, NOW()), replaced_by = $2 WHERE id = $1',
+          [replacesTokenId, result.rows[0].id]
+        );
+      }
+    } finally {
+      client.release();
+    }
+
+    return {
+      user,
+      accessToken: this.signAccessToken(user),
+      refreshToken,
+      refreshTokenExpiresAt: expiresAt.toISOString()
+    };
+  }
+
+  async refresh(refreshToken, context = {}) {
+    if (!refreshToken) {
+      throw authError('Refresh token is required', 400);
+    }
+
+    const client = await this.pool.connect();
+    let tokenRow;
+    try {
+      const result = await client.query(
+        `SELECT rt.*, u.active,
+                rt.revoked_at > NOW() - ($2 * INTERVAL '1 second') AS recently_revoked
+         FROM auth_refresh_tokens rt
+         JOIN users u ON u.id = rt.user_id
+         WHERE rt.token_hash = $1`,
+        [hashRefreshToken(refreshToken), REFRESH_REUSE_GRACE_SECONDS]
+      );
+      tokenRow = result.rows[0];
+
+      if (!tokenRow) {
+        throw authError('Invalid refresh token');
+      }
+
+      // A revoked token being replayed means it leaked - revoke the whole family
+      const revokeFamily = async () => {
+        logger.warn(`Refresh token reuse detected for user ${tokenRow.user_id}, revoking all sessions`);
+        await client.query(
+          'UPDATE auth_refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+          [tokenRow.user_id]
+        );
+        throw authError('Refresh token has been revoked');
+      };
+      // Another request rotated it moments ago: this one loses, but the new token stays live
+      const alreadyRotated = () => authError('Refresh token has already been used');
+      if (tokenRow.revoked_at) {
+        if (tokenRow.recently_revoked) throw alreadyRotated();
+        await revokeFamily();
+      }
+
+      if (new Date(tokenRow.expires_at) < new Date()) {
+        throw authError('Refresh token expired');
+      }
+      if (!tokenRow.active) {
+        throw authError('Account is disabled', 403);
+      }
+
+      // Revoke it here, only if still live, so two requests can't both rotate the same token
+      const rotated = await client.query(
+        'UPDATE auth_refresh_tokens SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+        [tokenRow.id]
+      );
+      if (rotated.rows.length === 0) {
+        throw alreadyRotated();
+      }
+    } finally {
+      client.release();
+    }
+
+    const user = await this.getUserById(tokenRow.user_id);
+    return this.issueTokens(user, context, tokenRow.id);
+  }
+
+  async logout(refreshToken) {
+    if (!refreshToken) return;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        'UPDATE auth_refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL',
+        [hashRefreshToken(refreshToken)]
+      );
+    } finally {
+      client.release();
+    }
+  }
+}
+
+const authService = new AuthService();
+authService.USER_ROLES = USER_ROLES;
+module.exports = authService;
@@ -0,0 +1,609 @@
+// Form Batch Service
+// Bulk and Smart Batch uploads: the files of a batch are stored up front, then a 'form_batch' job
+// analyses them a few at a time (FormProcessor.processBatch) with the same pipeline as /analyze.
+// BULK saves every form; BATCH saves the forms that need no attention and leaves flagged ones as
+// drafts for the user to review through /api/forms/confirm. The batch and its items live in the
+// database, so progress and the summary survive a refresh or a worker restart.
+
+const pool = require('../database/pool');
+const jobQueue = require('../jobs/jobQueue');
+const fileStorageService = require('../storage/fileStorageService');
+const formPipeline = require('../forms/formPipeline');
+const FormProcessor = require('../forms/formProcessor');
+const analysisDraftService = require('../forms/analysisDraftService');
+const confirmationService = require('../forms/confirmationService');
+const logger = require('../utils/logger');
+
+const JOB_TYPE = 'form_batch';
+
+const MODES = ['BULK', 'BATCH'];
+const MAX_CONCURRENT = parseInt(process.env.BATCH_MAX_CONCURRENT) || 3;
+const MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
+// Each job analyses this many items and queues a follow-up for the rest, staying well inside the job lock timeout
+const ITEMS_PER_RUN = parseInt(process.env.BATCH_ITEMS_PER_RUN) || 10;
+
+// Items still to be analysed, by this run or another
+const PENDING_STATUSES = ['QUEUED', 'PROCESSING'];
+
+// Items a run may take: queued ones, and ones left PROCESSING by a run that is no longer running
+// (its job has finished, failed, or moved on to another attempt). An item a live run is working on
+// is never taken, so BULK can't save a form twice.
+const CLAIMABLE_ITEM = `(i.status = 'QUEUED'
+  OR (i.status = 'PROCESSING' AND NOT EXISTS (
+    SELECT 1 FROM processing_jobs j
+    WHERE j.id = i.run_job_id AND j.status = 'PROCESSING' AND j.attempts = i.run_attempt)))`;
+
+const DUPLICATE_REASON = 'Looks like a form already submitted today';
+const OTHER_USERS_DUPLICATE_REASON = "Looks like another user's form submitted today";
+
+// Per-item progress stays inside the batch job's own events
+const ITEM_CONTEXT = {
+  attempt: 1,
+  isFinalAttempt: true,
+  progress: async () => {}
+};
+
+// Why an analysed form should be looked at before it is saved (Smart Batch pauses on these)
+function reviewReasonsFor(analysis = {}) {
+  const reasons = [];
+  if (analysis.riskLevel === 'HIGH' || analysis.riskLevel === 'CRITICAL') {
+    reasons.push(`${analysis.riskLevel} risk`);
+  } else if (analysis.riskScore >= 7) {
+    reasons.push(`Risk score ${analysis.riskScore}/10`);
+  }
+  if (analysis.requiresSupervisorReview) reasons.push('Supervisor review required');
+  if (analysis.formCompleteness === 'INCOMPLETE') reasons.push('Form incomplete');
+  if (analysis.complianceIssues?.length > 0) {
+    reasons.push(`${analysis.complianceIssues.length} compliance issue${analysis.complianceIssues.length === 1 ? '' : 's'}`);
+  }
+  return reasons;
+}
+
+function clampConcurrency(value) {
+  const requested = parseInt(value) || MAX_CONCURRENT;
+  return Math.max(1, Math.min(requested, MAX_CONCURRENT));
+}
+
+// Item columns for listings; the stored analysis is only sent for a single item
+const ITEM_COLUMNS = `id, batch_id, position, original_filename, mime_type, file_size_bytes, file_sha256, status,
+  draft_id, form_processing_id, form_type, risk_level, risk_score, review_reasons, error,
+  created_at, processed_at, updated_at`;
+
+class BatchService {
+  constructor() {
+    this.pool = pool;
+    this.JOB_TYPE = JOB_TYPE;
+    this.MODES = MODES;
+    this.MAX_ITEMS = MAX_ITEMS;
+    this.formProcessor = new FormProcessor();
+  }
+
+  async createBatch({ userId, site = null, sessionId = null, sessionToken = null, mode, maxConcurrent }) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO form_batches (user_id, site, session_id, session_token, mode, max_concurrent)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [userId, site, sessionId, sessionToken, mode, clampConcurrency(maxConcurrent)]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // files: multer files; the originals are stored now so the job only carries the batch id
+  async addItems(batch, files) {
+    const stored = [];
+    for (const file of files) {
+      const { sha256 } = await fileStorageService.store(file.buffer, { mimeType: file.mimetype, userId: batch.user_id });
+      stored.push({ file, sha256 });
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [{ next_position: nextPosition }] } = await client.query(
+        'SELECT COALESCE(MAX(position), 0) + 1 AS next_position FROM form_batch_items WHERE batch_id = $1',
+        [batch.id]
+      );
+
+      const items = [];
+      for (const [index, { file, sha256 }] of stored.entries()) {
+        const result = await client.query(
+          `INSERT INTO form_batch_items (batch_id, position, original_filename, mime_type, file_size_bytes, file_sha256)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING ${ITEM_COLUMNS}`,
+          [batch.id, nextPosition + index, file.originalname, file.mimetype, file.size, sha256]
+        );
+        items.push(result.rows[0]);
+      }
+      await client.query('UPDATE form_batches SET updated_at = NOW() WHERE id = $1', [batch.id]);
+      await client.query('COMMIT');
+      return items;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The user's batch without its items, or null
+  async findBatch(batchId, userId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM form_batches WHERE id = $1 AND user_id = $2', [batchId, userId]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The user's batch with its items and a count per item status, or null
+  async getBatch(batchId, userId) {
+    const batch = await this.findBatch(batchId, userId);
+    if (!batch) return null;
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${ITEM_COLUMNS} FROM form_batch_items WHERE batch_id = $1 ORDER BY position`,
+        [batchId]
+      );
+      return { ...batch, items: result.rows, summary: this.summarize(result.rows) };
+    } finally {
+      client.release();
+    }
+  }
+
+  summarize(items) {
+    const summary = {
+      total: items.length,
+      queued: 0,
+      processing: 0,
+      needsReview: 0,
+      saved: 0,
+      skipped: 0,
+      failed: 0,
+      riskLevels: {}
+    };
+    const keys = {
+      QUEUED: 'queued',
+      PROCESSING: 'processing',
+      NEEDS_REVIEW: 'needsReview',
+      SAVED: 'saved',
+      SKIPPED: 'skipped',
+      FAILED: 'failed'
+    };
+    for (const item of items) {
+      summary[keys[item.status]] += 1;
+      if (item.status === 'SAVED' && item.risk_level) {
+        summary.riskLevels[item.risk_level] = (summary.riskLevels[item.risk_level] || 0) + 1;
+      }
+    }
+    return summary;
+  }
+
+  async listBatches(userId, { limit = 20 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT b.*,
+                COUNT(i.id)::int AS item_count,
+                COUNT(i.id) FILTER (WHERE i.status = 'NEEDS_REVIEW')::int AS needs_review_count
+         FROM form_batches b
+         LEFT JOIN form_batch_items i ON i.batch_id = b.id
+         WHERE b.user_id = $1
+         GROUP BY b.id
+         ORDER BY b.created_at DESC
+         LIMIT $2`,
+        [userId, limit]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  // One item including the analysis kept for review, or null
+  async getItem(batchId, itemId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${ITEM_COLUMNS}, result FROM form_batch_items WHERE id = $1 AND batch_id = $2`,
+        [itemId, batchId]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Only an open batch can be deleted; its items go with it
+  async deleteOpenBatch(batchId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `DELETE FROM form_batches WHERE id = $1 AND status = 'OPEN' RETURNING id`,
+        [batchId]
+      );
+      return result.rows.length > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Queue the batch's items for analysis; only an open batch with items can start
+  async startBatch(batch) {
+    const client = await this.pool.connect();
+    let started;
+    try {
+      const result = await client.query(
+        `UPDATE form_batches SET status = 'PROCESSING', started_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'OPEN'
+           AND EXISTS (SELECT 1 FROM form_batch_items WHERE batch_id = $1)
+         RETURNING *`,
+        [batch.id]
+      );
+      started = result.rows[0];
+    } finally {
+      client.release();
+    }
+    if (!started) return null;
+
+    return this.queueRun(started);
+  }
+
+  async queueRun(batch) {
+    const job = await jobQueue.enqueue(JOB_TYPE, {
+      payload: { batchId: batch.id },
+      sessionId: batch.session_id,
+      userId: batch.user_id,
+      site: batch.site
+    });
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'UPDATE form_batches SET job_id = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [batch.id, job.id]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Job handler registered with the worker
+  async processJob(job, context) {
+    const { batchId } = job.payload || {};
+    const client = await this.pool.connect();
+    let batch;
+    let total;
+    try {
+      batch = (await client.query('SELECT * FROM form_batches WHERE id = $1', [batchId])).rows[0];
+      if (!batch) {
+        const error = new Error(`Batch ${batchId} not found`);
+        error.stage = 'queued';
+        error.retryable = false;
+        throw error;
+      }
+      total = (await client.query(
+        'SELECT COUNT(*)::int AS count FROM form_batch_items WHERE batch_id = $1',
+        [batchId]
+      )).rows[0].count;
+    } finally {
+      client.release();
+    }
+
+    const items = await this.claimItems(batchId, job);
+    let done = total - (await this.countPending(batchId));
+    await context.progress('processing', Math.round((done / Math.max(total, 1)) * 100), `Processed ${done} of ${total} forms`, { done, total });
+
+    const results = await this.formProcessor.processBatch(items, {
+      maxConcurrent: batch.max_concurrent,
+      delayMs: 0,
+      processItem: async item => {
+        const outcome = await this.processItem(batch, job, item);
+        done += 1;
+        await context.progress('processing', Math.round((done / Math.max(total, 1)) * 100), `Processed ${done} of ${total} forms`, {
+          done,
+          total,
+          itemId: item.id,
+          status: outcome.status
+        });
+        return outcome;
+      }
+    });
+
+    // Hand the rest of a large batch to a fresh job; items another run holds are left to it
+    const remaining = await this.countClaimable(batchId);
+    if (remaining > 0) {
+      await this.queueRun(batch);
+    } else {
+      await this.refreshStatus(batchId);
+    }
+
+    return {
+      batchId,
+      processed: results.length,
+      remaining,
+      statuses: results.map(result => ({ itemId: result.item.id, status: result.status }))
+    };
+  }
+
+  // Take up to ITEMS_PER_RUN items for this run of the job, in upload order
+  async claimItems(batchId, job) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE form_batch_items
+         SET status = 'PROCESSING', run_job_id = $2, run_attempt = $3, updated_at = NOW()
+         WHERE id IN (
+           SELECT i.id FROM form_batch_items i
+           WHERE i.batch_id = $1 AND ${CLAIMABLE_ITEM}
+           ORDER BY i.position
+           LIMIT $4
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [batchId, job.id, job.attempts, ITEMS_PER_RUN]
+      );
+      return result.rows.sort((a, b) => a.position - b.position);
+    } finally {
+      client.release();
+    }
+  }
+
+  async countClaimable(batchId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT COUNT(*)::int AS count FROM form_batch_items i WHERE i.batch_id = $1 AND ${CLAIMABLE_ITEM}`,
+        [batchId]
+      );
+      return result.rows[0].count;
+    } finally {
+      client.release();
+    }
+  }
+
+  async countPending(batchId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT COUNT(*)::int AS count FROM form_batch_items WHERE batch_id = $1 AND status = ANY($2)',
+        [batchId, PENDING_STATUSES]
+      );
+      return result.rows[0].count;
+    } finally {
+      client.release();
+    }
+  }
+
+  async processItem(batch, job, item) {
+    // A run that died after saving this item's draft as a form already did the work
+    if (item.draft_id) {
+      const previous = await analysisDraftService.claimDraft(item.draft_id, batch.user_id);
+      if (previous.reason === 'confirmed') {
+        return this.updateItem(item.id, { status: 'SAVED', formId: previous.formId });
+      }
+      if (previous.draft) {
+        await analysisDraftService.releaseDraft(previous.draft.id);
+      }
+    }
+
+    let result;
+    try {
+      const stored = await fileStorageService.read(item.file_sha256);
+      const file = {
+        buffer: stored.buffer,
+        originalname: item.original_filename,
+        mimetype: item.mime_type,
+        size: item.file_size_bytes
+      };
+      // Same analysis as /analyze: the item's job carries the batch's session and its own file URLs
+      const itemJob = {
+        id: job.id,
+        user_id: batch.user_id,
+        session_id: batch.session_id,
+        site: batch.site,
+        payload: {
+          mode: formPipeline.MODES.ANALYZE,
+          sessionToken: batch.session_token,
+          uploadTimestamp: new Date(item.created_at).toISOString(),
+          originalSha256: item.file_sha256,
+          captureMethod: 'file_upload',
+          filesUrl: `/api/batches/${batch.id}/items/${item.id}/files`
+        }
+      };
+      result = await formPipeline.analyzeForConfirmation(itemJob, file, ITEM_CONTEXT);
+    } catch (error) {
+      logger.warn(`Batch ${batch.id} item ${item.position} failed: ${error.message}`);
+      return this.updateItem(item.id, { status: 'FAILED', error: error.message });
+    }
+
+    return this.settleItem(batch, item, result);
+  }
+
+  // Save the analysed form, or hold it for review
+  async settleItem(batch, item, result) {
+    const { analysis } = result;
+    const reviewReasons = reviewReasonsFor(analysis);
+    const analysed = {
+      draftId: result.draftId,
+      formType: analysis.formType,
+      riskLevel: analysis.riskLevel,
+      riskScore: analysis.riskScore,
+      reviewReasons
+    };
+
+    const holdDuplicate = () => (batch.mode === 'BATCH'
+      ? this.updateItem(item.id, {
+        ...analysed,
+        status: 'NEEDS_REVIEW',
+        reviewReasons: [DUPLICATE_REASON, ...reviewReasons],
+        result
+      })
+      : this.updateItem(item.id, {
+        ...analysed,
+        status: 'SKIPPED',
+        reviewReasons: [DUPLICATE_REASON, ...reviewReasons]
+      }));
+
+    // A second photo of the user's own form is left out of BULK; a match with someone else's form
+    // is saved and goes to a supervisor (see duplicateService)
+    if (result.suspectedDuplicate) {
+      if (batch.mode === 'BATCH' || result.suspectedDuplicate.sameUser) {
+        return holdDuplicate();
+      }
+      analysed.reviewReasons = [OTHER_USERS_DUPLICATE_REASON, ...reviewReasons];
+    }
+    if (batch.mode === 'BATCH' && reviewReasons.length > 0) {
+      return this.updateItem(item.id, { ...analysed, status: 'NEEDS_REVIEW', result });
+    }
+
+    // Record the draft before saving it, so a run that picks this item up again can tell it was saved
+    await this.updateItem(item.id, { ...analysed, status: 'PROCESSING' });
+
+    const claim = await analysisDraftService.claimDraft(result.draftId, batch.user_id);
+    if (!claim.draft) {
+      return this.updateItem(item.id, { ...analysed, status: 'FAILED', error: `Draft could not be saved (${claim.reason})` });
+    }
+
+    try {
+      // Nobody checked this analysis, so it is saved exactly as the machine produced it
+      const saved = await confirmationService.confirmDraft(claim.draft, {
+        user: { id: batch.user_id, site: batch.site },
+        confirmedAnalysis: analysis,
+        acceptOtherUsersDuplicate: true
+      });
+      if (!saved.saved) {
+        await analysisDraftService.releaseDraft(claim.draft.id);
+        return holdDuplicate();
+      }
+      return this.updateItem(item.id, { ...analysed, status: 'SAVED', formId: saved.formId });
+    } catch (error) {
+      logger.error(`Could not save batch ${batch.id} item ${item.position}:`, error);
+      if (!error.formId) {
+        await analysisDraftService.releaseDraft(claim.draft.id).catch(() => {});
+      }
+      return this.updateItem(item.id, { ...analysed, status: 'FAILED', error: error.message, formId: error.formId });
+    }
+  }
+
+  async updateItem(itemId, { status, draftId, formId, formType, riskLevel, riskScore, reviewReasons, result, error }) {
+    const client = await this.pool.connect();
+    try {
+      const updated = await client.query(
+        `UPDATE form_batch_items
+         SET status = $2,
+             draft_id = COALESCE($3, draft_id),
+             form_processing_id = COALESCE($4, form_processing_id),
+             form_type = COALESCE($5, form_type),
+             risk_level = COALESCE($6, risk_level),
+             risk_score = COALESCE($7, risk_score),
+             review_reasons = COALESCE($8, review_reasons),
+             result = COALESCE($9, result),
+             error = $10,
+             processed_at = CASE WHEN $11 THEN NOW() ELSE processed_at END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${ITEM_COLUMNS}`,
+        [
+          itemId,
+          status,
+          draftId || null,
+          formId || null,
+          formType || null,
+          riskLevel || null,
+          Number.isFinite(riskScore) ? Math.round(riskScore) : null,
+          reviewReasons ? JSON.stringify(reviewReasons) : null,
+          result ? JSON.stringify(result) : null,
+          error || null,
+          status !== 'PROCESSING'
+        ]
+      );
+      return updated.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Work out the batch status from its items once nothing is being analysed
+  async refreshStatus(batchId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE form_batches b
+         SET status = CASE
+               WHEN EXISTS (SELECT 1 FROM form_batch_items WHERE batch_id = b.id AND status IN ('QUEUED', 'PROCESSING')) THEN 'PROCESSING'
+               WHEN EXISTS (SELECT 1 FROM form_batch_items WHERE batch_id = b.id AND status = 'NEEDS_REVIEW') THEN 'NEEDS_REVIEW'
+               ELSE 'COMPLETED'
+             END,
+             updated_at = NOW()
+         WHERE id = $1 AND status <> 'OPEN'
+         RETURNING *`,
+        [batchId]
+      );
+      const batch = result.rows[0];
+      if (batch?.status === 'COMPLETED' && !batch.completed_at) {
+        await client.query('UPDATE form_batches SET completed_at = NOW() WHERE id = $1', [batchId]);
+      }
+      return batch || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Called by /confirm: a reviewed item is saved and the batch may now be complete
+  async markDraftConfirmed(draftId, formId) {
+    const client = await this.pool.connect();
+    let item;
+    try {
+      const result = await client.query(
+        `UPDATE form_batch_items i
+         SET status = 'SAVED', form_processing_id = $2, result = NULL, error = NULL,
+             risk_level = COALESCE(f.risk_level, i.risk_level),
+             risk_score = COALESCE(f.risk_score, i.risk_score),
+             processed_at = NOW(), updated_at = NOW()
+         FROM forms_processing f
+         WHERE i.draft_id = $1 AND i.status = 'NEEDS_REVIEW' AND f.id = $2
+         RETURNING i.batch_id`,
+        [draftId, formId]
+      );
+      item = result.rows[0];
+    } finally {
+      client.release();
+    }
+    if (!item) return null;
+    return this.refreshStatus(item.batch_id);
+  }
+
+  // Leave a flagged or failed item out of the batch
+  async skipItem(batchId, itemId) {
+    const client = await this.pool.connect();
+    let item;
+    try {
+      const result = await client.query(
+        `UPDATE form_batch_items SET status = 'SKIPPED', result = NULL, updated_at = NOW()
+         WHERE id = $1 AND batch_id = $2 AND status IN ('NEEDS_REVIEW', 'FAILED')
+         RETURNING ${ITEM_COLUMNS}`,
+        [itemId, batchId]
+      );
+      item = result.rows[0];
+    } finally {
+      client.release();
+    }
+    if (!item) return null;
+    await this.refreshStatus(batchId);
+    return item;
+  }
+}
+
+const batchService = new BatchService();
+batchService.reviewReasonsFor = reviewReasonsFor;
+
+module.exports = batchService;
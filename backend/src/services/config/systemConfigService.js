@@ -0,0 +1,130 @@
+// System configuration - admin-editable runtime settings stored in system_config
+// Services register a validator for the keys they own (e.g. ai.provider_order in aiAnalysisService)
+
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+
+// Settings are re-read at most this often; writes through this service clear the cache
+const CACHE_TTL_MS = parseInt(process.env.SYSTEM_CONFIG_CACHE_TTL_MS) || 30 * 1000;
+
+function configError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class SystemConfigService {
+  constructor() {
+    this.pool = pool;
+    this.cache = new Map();
+    this.validators = new Map();
+  }
+
+  /**
+   * Register a validator for a key. It receives the proposed value and returns the value to
+   * store, or throws; errors without a status are reported as 400.
+   */
+  registerValidator(key, validate, description = null) {
+    this.validators.set(key, { validate, description });
+  }
+
+  describe(key) {
+    return this.validators.get(key)?.description || null;
+  }
+
+  // Falls back to defaultValue when the key is unset or the database is unreachable
+  async get(key, defaultValue = null) {
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.value ?? defaultValue;
+    }
+
+    try {
+      const client = await this.pool.connect();
+      try {
+        const result = await client.query('SELECT value FROM system_config WHERE key = $1', [key]);
+        const value = result.rows[0] ? result.rows[0].value : null;
+        this.cache.set(key, { value, loadedAt: Date.now() });
+        return value ?? defaultValue;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.warn(`Could not read system config ${key}, using default`, { error: error.message });
+      return defaultValue;
+    }
+  }
+
+  async list() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT sc.key, sc.value, sc.description, sc.updated_at, sc.updated_by, u.name as updated_by_name
+         FROM system_config sc
+         LEFT JOIN users u ON u.id = sc.updated_by
+         ORDER BY sc.key`
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async set(key, value, { description, userId } = {}) {
+    if (!key || typeof key !== 'string' || key.length > 100) {
+      throw configError('Config key must be a string of at most 100 characters', 400);
+    }
+    if (value === undefined) {
+      throw configError('value is required', 400);
+    }
+
+    let storedValue = value;
+    const validator = this.validators.get(key);
+    if (validator) {
+      try {
+        storedValue = await validator.validate(value);
+      } catch (error) {
+        if (!error.status) error.status = 400;
+        throw error;
+      }
+    }
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO system_config (key, value, description, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (key) DO UPDATE SET
+           value = EXCLUDED.value,
+           description = COALESCE(EXCLUDED.description, system_config.description),
+           updated_by = EXCLUDED.updated_by,
+           updated_at = NOW()
+         RETURNING *`,
+        [key, JSON.stringify(storedValue), description || this.describe(key), userId || null]
+      );
+
+      this.cache.delete(key);
+      logger.info(`System config ${key} updated`, { userId });
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  async remove(key) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('DELETE FROM system_config WHERE key = $1 RETURNING key', [key]);
+      if (!result.rows[0]) {
+        throw configError('Config key not found', 404);
+      }
+
+      this.cache.delete(key);
+      return true;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new SystemConfigService();
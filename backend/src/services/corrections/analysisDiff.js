@@ -0,0 +1,111 @@
+// Analysis diff - what a reviewer changed between the machine analysis and the one they confirmed
+// Pure functions. Flagged issues are paired by description (exact, then by shared words) so a
+// reworded issue counts as kept rather than as one removed and one added.
+
+// Issues sharing at least this share of their description words are treated as the same issue
+const MIN_ISSUE_SIMILARITY = 0.5;
+
+function descriptionTokens(issue) {
+  return new Set(String(issue?.description || '').toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 1));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// The parts of an issue worth keeping in a correction record
+function summarizeIssue(issue) {
+  return {
+    category: issue?.category || null,
+    severity: issue?.severity || null,
+    description: issue?.description || ''
+  };
+}
+
+function change(from, to) {
+  const normalizedFrom = from ?? null;
+  const normalizedTo = to ?? null;
+  return normalizedFrom === normalizedTo ? null : { from: normalizedFrom, to: normalizedTo };
+}
+
+/**
+ * Pair the original and confirmed flagged issues.
+ * Returns { kept: [{ original, confirmed }], added: [confirmed], removed: [original] }.
+ */
+function matchIssues(originalIssues = [], confirmedIssues = []) {
+  const originals = originalIssues.map(issue => ({ issue, tokens: descriptionTokens(issue), matched: false }));
+  const kept = [];
+  const added = [];
+  const unmatched = [];
+
+  for (const issue of confirmedIssues) {
+    const text = String(issue?.description || '').trim().toLowerCase();
+    const exact = originals.find(entry => !entry.matched && String(entry.issue?.description || '').trim().toLowerCase() === text);
+    if (exact) {
+      exact.matched = true;
+      kept.push({ original: exact.issue, confirmed: issue });
+    } else {
+      unmatched.push(issue);
+    }
+  }
+
+  for (const issue of unmatched) {
+    const tokens = descriptionTokens(issue);
+    let best = null;
+    for (const entry of originals) {
+      if (entry.matched) continue;
+      // Same category breaks ties between equally similar descriptions
+      const score = similarity(tokens, entry.tokens) + (entry.issue?.category === issue?.category ? 0.01 : 0);
+      if (score >= MIN_ISSUE_SIMILARITY && (!best || score > best.score)) {
+        best = { entry, score };
+      }
+    }
+    if (best) {
+      best.entry.matched = true;
+      kept.push({ original: best.entry.issue, confirmed: issue });
+    } else {
+      added.push(issue);
+    }
+  }
+
+  return {
+    kept,
+    added,
+    removed: originals.filter(entry => !entry.matched).map(entry => entry.issue)
+  };
+}
+
+/**
+ * Diff the machine analysis against the confirmed one. Returns
+ * { formType, riskScore, riskLevel, issues: { added, removed, changed }, originalIssueCount, hasChanges }
+ * where formType/riskScore/riskLevel are { from, to } or null when unchanged.
+ */
+function diffAnalysis(original = {}, confirmed = {}) {
+  const { kept, added, removed } = matchIssues(original?.flaggedIssues || [], confirmed?.flaggedIssues || []);
+  const changed = kept
+    .filter(({ original: before, confirmed: after }) => before.severity !== after.severity || before.category !== after.category)
+    .map(({ original: before, confirmed: after }) => ({ from: summarizeIssue(before), to: summarizeIssue(after) }));
+
+  const diff = {
+    formType: change(original?.formType, confirmed?.formType),
+    riskScore: change(original?.riskScore, confirmed?.riskScore),
+    riskLevel: change(original?.riskLevel, confirmed?.riskLevel),
+    issues: {
+      added: added.map(summarizeIssue),
+      removed: removed.map(summarizeIssue),
+      changed
+    },
+    originalIssueCount: (original?.flaggedIssues || []).length
+  };
+  diff.hasChanges = Boolean(diff.formType || diff.riskScore || diff.riskLevel ||
+    added.length > 0 || removed.length > 0 || changed.length > 0);
+  return diff;
+}
+
+module.exports = {
+  matchIssues,
+  diffAnalysis
+};
@@ -0,0 +1,263 @@
+// Correction Service
+// Every confirmed analysis is recorded against the machine analysis it started from: what the
+// reviewer changed, which AI and OCR provider produced it, and the form's keywords. From that come
+// per-provider accuracy figures and the past corrections shown to the AI as examples for similar forms.
+
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+const { diffAnalysis } = require('./analysisDiff');
+
+const MAX_KEYWORDS = 25;
+const EXCERPT_LENGTH = 300;
+// A past correction must share this many keywords with a form to count as similar
+// (a matching form type is enough on its own)
+const MIN_SHARED_KEYWORDS = 3;
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'been', 'before', 'being', 'below', 'does', 'done', 'each', 'form', 'from',
+  'have', 'into', 'more', 'must', 'name', 'only', 'other', 'page', 'some', 'such', 'than', 'that', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'time', 'under', 'what', 'when', 'where',
+  'which', 'while', 'will', 'with', 'work', 'your', 'date', 'signature', 'sign', 'signed'
+]);
+
+// The form's most frequent distinctive words, used to find similar forms
+function extractKeywords(text) {
+  const counts = new Map();
+  String(text || '').toLowerCase().split(/[^a-z]+/).forEach(word => {
+    if (word.length >= 4 && !STOP_WORDS.has(word)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_KEYWORDS)
+    .map(([word]) => word);
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function toExample(row) {
+  return {
+    excerpt: row.text_excerpt,
+    formType: row.original_form_type === row.corrected_form_type
+      ? null
+      : { from: row.original_form_type, to: row.corrected_form_type },
+    riskScore: row.original_risk_score === row.corrected_risk_score
+      ? null
+      : { from: row.original_risk_score, to: row.corrected_risk_score },
+    issuesAdded: row.issues_added || [],
+    issuesRemoved: row.issues_removed || [],
+    issuesChanged: row.issues_changed || []
+  };
+}
+
+class CorrectionService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Record a confirmation: diffs the machine analysis against the confirmed one and stores it with
+   * the providers that produced it. Never fatal - returns the diff, or null if it couldn't be stored.
+   */
+  async recordConfirmation(formId, { userId = null, originalAnalysis, confirmedAnalysis, ocrProvider = null, text = '', textCorrections = [] }) {
+    const diff = diffAnalysis(originalAnalysis, confirmedAnalysis);
+    try {
+      const client = await this.pool.connect();
+      try {
+        await client.query(`
+          INSERT INTO analysis_corrections (
+            form_processing_id, user_id, ai_provider, ai_model, ocr_provider,
+            original_form_type, corrected_form_type, original_risk_score, corrected_risk_score,
+            original_risk_level, corrected_risk_level, original_issue_count,
+            issues_added, issues_removed, issues_changed, ocr_word_corrections,
+            has_changes, text_keywords, text_excerpt
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        `, [
+          formId,
+          userId,
+          originalAnalysis?.metadata?.provider || 'unknown',
+          originalAnalysis?.metadata?.model || null,
+          ocrProvider,
+          originalAnalysis?.formType || null,
+          confirmedAnalysis?.formType || null,
+          Number.isFinite(Number(originalAnalysis?.riskScore)) ? Math.round(originalAnalysis.riskScore) : null,
+          Number.isFinite(Number(confirmedAnalysis?.riskScore)) ? Math.round(confirmedAnalysis.riskScore) : null,
+          originalAnalysis?.riskLevel || null,
+          confirmedAnalysis?.riskLevel || null,
+          diff.originalIssueCount,
+          JSON.stringify(diff.issues.added),
+          JSON.stringify(diff.issues.removed),
+          JSON.stringify(diff.issues.changed),
+          textCorrections.length,
+          diff.hasChanges,
+          extractKeywords(text),
+          String(text || '').replace(/\s+/g, ' ').trim().substring(0, EXCERPT_LENGTH)
+        ]);
+      } finally {
+        client.release();
+      }
+
+      if (diff.hasChanges) {
+        logger.info(`Recorded reviewer corrections for form ${formId}`, {
+          formType: diff.formType,
+          riskScore: diff.riskScore,
+          issuesAdded: diff.issues.added.length,
+          issuesRemoved: diff.issues.removed.length
+        });
+      }
+      return diff;
+    } catch (error) {
+      logger.warn('Could not record analysis corrections', { formId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Past corrections on forms most like this one, as prompt examples: shared keywords, with a
+   * matching form type counting extra. Only confirmations where the reviewer changed something.
+   * Never fatal - returns [] when the store can't be read.
+   */
+  async findRelevantCorrections(text, { formType = null, limit = 3 } = {}) {
+    const keywords = extractKeywords(text);
+    if (keywords.length === 0 && !formType) return [];
+
+    try {
+      const client = await this.pool.connect();
+      try {
+        const result = await client.query(`
+          SELECT * FROM (
+            SELECT ac.*,
+                   (SELECT COUNT(*) FROM unnest(ac.text_keywords) keyword WHERE keyword = ANY($1::text[])) as shared_keywords,
+                   (ac.original_form_type = $2 OR ac.corrected_form_type = $2) as same_form_type
+            FROM analysis_corrections ac
+            WHERE ac.has_changes
+              AND (ac.text_keywords && $1::text[] OR ac.original_form_type = $2 OR ac.corrected_form_type = $2)
+          ) candidates
+          WHERE shared_keywords >= $3 OR same_form_type
+          ORDER BY shared_keywords + CASE WHEN same_form_type THEN $3 ELSE 0 END DESC, created_at DESC
+          LIMIT $4
+        `, [keywords, formType, MIN_SHARED_KEYWORDS, limit]);
+        return result.rows.map(toExample);
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.warn('Could not load past corrections for the prompt', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * How often reviewers accept each provider's analysis as it was, over the last `days` days.
+   * issuePrecision: share of flagged issues reviewers kept; issueRecall: share of the confirmed
+   * issues the AI had found. Also the most common form type changes and the hazard categories
+   * reviewers add or remove most, and OCR word corrections per OCR provider.
+   */
+  async getAccuracyReport({ days = 30 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const params = [days];
+      const window = `created_at >= NOW() - ($1::integer * INTERVAL '1 day')`;
+
+      const providers = await client.query(`
+        SELECT ai_provider, ai_model,
+               COUNT(*) as confirmations,
+               COUNT(*) FILTER (WHERE has_changes) as corrected,
+               COUNT(*) FILTER (WHERE original_form_type IS NOT DISTINCT FROM corrected_form_type) as form_type_matches,
+               COUNT(*) FILTER (WHERE original_risk_level IS NOT DISTINCT FROM corrected_risk_level) as risk_level_matches,
+               AVG(ABS(corrected_risk_score - original_risk_score)) as mean_risk_score_error,
+               AVG(corrected_risk_score - original_risk_score) as mean_risk_score_shift,
+               COALESCE(SUM(original_issue_count), 0) as issues_flagged,
+               COALESCE(SUM(jsonb_array_length(issues_removed)), 0) as issues_removed,
+               COALESCE(SUM(jsonb_array_length(issues_added)), 0) as issues_added
+        FROM analysis_corrections
+        WHERE ${window}
+        GROUP BY ai_provider, ai_model
+        ORDER BY ai_provider, ai_model
+      `, params);
+
+      const formTypeChanges = await client.query(`
+        SELECT original_form_type, corrected_form_type, COUNT(*) as count
+        FROM analysis_corrections
+        WHERE ${window} AND original_form_type IS DISTINCT FROM corrected_form_type
+        GROUP BY original_form_type, corrected_form_type
+        ORDER BY count DESC
+        LIMIT 10
+      `, params);
+
+      const categories = await client.query(`
+        SELECT category, SUM(added) as added, SUM(removed) as removed
+        FROM (
+          SELECT issue->>'category' as category, 1 as added, 0 as removed
+          FROM analysis_corrections, jsonb_array_elements(issues_added) issue
+          WHERE ${window}
+          UNION ALL
+          SELECT issue->>'category' as category, 0 as added, 1 as removed
+          FROM analysis_corrections, jsonb_array_elements(issues_removed) issue
+          WHERE ${window}
+        ) changes
+        GROUP BY category
+        ORDER BY SUM(added) + SUM(removed) DESC
+      `, params);
+
+      const ocr = await client.query(`
+        SELECT ocr_provider, COUNT(*) as forms,
+               COUNT(*) FILTER (WHERE ocr_word_corrections > 0) as forms_corrected,
+               COALESCE(SUM(ocr_word_corrections), 0) as words_corrected
+        FROM analysis_corrections
+        WHERE ${window} AND ocr_provider IS NOT NULL
+        GROUP BY ocr_provider
+        ORDER BY ocr_provider
+      `, params);
+
+      return {
+        days,
+        providers: providers.rows.map(row => {
+          const confirmations = parseInt(row.confirmations);
+          const flagged = parseInt(row.issues_flagged);
+          const removed = parseInt(row.issues_removed);
+          const added = parseInt(row.issues_added);
+          const keptIssues = flagged - removed;
+          return {
+            provider: row.ai_provider,
+            model: row.ai_model,
+            confirmations,
+            acceptedUnchanged: ratio(confirmations - parseInt(row.corrected), confirmations),
+            formTypeAccuracy: ratio(parseInt(row.form_type_matches), confirmations),
+            riskLevelAccuracy: ratio(parseInt(row.risk_level_matches), confirmations),
+            meanRiskScoreError: row.mean_risk_score_error === null ? null : Math.round(parseFloat(row.mean_risk_score_error) * 100) / 100,
+            // Positive when reviewers raise the AI's scores, negative when they lower them
+            meanRiskScoreShift: row.mean_risk_score_shift === null ? null : Math.round(parseFloat(row.mean_risk_score_shift) * 100) / 100,
+            issuePrecision: ratio(keptIssues, flagged),
+            issueRecall: ratio(keptIssues, keptIssues + added),
+            issuesAdded: added,
+            issuesRemoved: removed
+          };
+        }),
+        formTypeChanges: formTypeChanges.rows.map(row => ({
+          from: row.original_form_type,
+          to: row.corrected_form_type,
+          count: parseInt(row.count)
+        })),
+        issueCategories: categories.rows.map(row => ({
+          category: row.category,
+          added: parseInt(row.added),
+          removed: parseInt(row.removed)
+        })),
+        ocrProviders: ocr.rows.map(row => ({
+          provider: row.ocr_provider,
+          forms: parseInt(row.forms),
+          formsCorrected: parseInt(row.forms_corrected),
+          wordsCorrected: parseInt(row.words_corrected)
+        }))
+      };
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new CorrectionService();
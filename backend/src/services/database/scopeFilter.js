@@ -0,0 +1,43 @@
+// Row-level access scoping for forms_processing queries
+// Turns a scope produced by the auth middleware into a SQL fragment
+
+/**
+ * Build a WHERE fragment restricting forms to what the caller may see.
+ * scope = {} (everything), { userId } (own forms) or { site } (site forms).
+ * Returns { clause, params } where clause starts with " AND " or is empty.
+ */
+function buildScopeFilter(scope = {}, { alias = 'fp', paramOffset = 0 } = {}) {
+  const prefix = alias ? `${alias}.` : '';
+
+  if (scope.userId) {
+    return {
+      clause: ` AND ${prefix}user_id = $${paramOffset + 1}`,
+      params: [scope.userId],
+    };
+  }
+
+  if (scope.site) {
+    return {
+      clause: ` AND ${prefix}site = $${paramOffset + 1}`,
+      params: [scope.site],
+    };
+  }
+
+  return { clause: '', params: [] };
+}
+
+/**
+ * WHERE fragment for an analytics site filter (forms_processing.location_id, see services/sites/).
+ * Applied on top of the scope filter; an empty siteId means every site.
+ */
+function buildSiteFilter(siteId, { alias = 'fp', paramOffset = 0 } = {}) {
+  if (!siteId) return { clause: '', params: [] };
+
+  const prefix = alias ? `${alias}.` : '';
+  return {
+    clause: ` AND ${prefix}location_id = $${paramOffset + 1}`,
+    params: [siteId],
+  };
+}
+
+module.exports = { buildScopeFilter, buildSiteFilter };
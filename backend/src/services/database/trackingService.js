@@ -1,8 +1,9 @@
 // Database Tracking Service
 // Handles all database operations for safety forms processing tracking
 
-const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
+const pool = require('./pool');
+const { buildScopeFilter, buildSiteFilter } = require('./scopeFilter');
 const logger = require('../utils/logger');
 
 function mapSeverityToInteger(severity) {
@@ -29,20 +30,11 @@ function mapPriorityToInteger(priority) {
 
 class TrackingService {
   constructor() {
-    // Initialize PostgreSQL connection pool
-    this.pool = new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl:
-        process.env.NODE_ENV === "production"
-          ? { rejectUnauthorized: false }
-          : false,
-      max: 20,
-      idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 2000,
-    });
-
-    // Test connection on initialization
-    this.testConnection();
+    // Shared PostgreSQL connection pool
+    this.pool = pool;
+
+    // Test connection on initialization (failures are logged; queries report their own errors)
+    this.testConnection().catch(() => {});
   }
 
   async testConnection() {
@@ -64,20 +56,32 @@ class TrackingService {
       const sessionToken = sessionData.sessionToken || uuidv4();
       const query = `
                 INSERT INTO processing_sessions (
-                    session_token, user_identifier, device_info, location_data
-                ) VALUES ($1, $2, $3, $4)
+                    session_token, user_identifier, user_id, device_info, location_data
+                ) VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (session_token) DO UPDATE
+                    SET updated_at = NOW()
+                    WHERE processing_sessions.user_id IS NOT DISTINCT FROM EXCLUDED.user_id
                 RETURNING *
             `;
       const values = [
         sessionToken,
         sessionData.userIdentifier,
+        sessionData.userId || null,
         sessionData.deviceInfo ? JSON.stringify(sessionData.deviceInfo) : null,
         sessionData.locationData
           ? JSON.stringify(sessionData.locationData)
           : null,
       ];
 
-      const result = await client.query(query, values);
+      let result = await client.query(query, values);
+
+      // Token already belongs to another user - never attach to their session
+      if (result.rows.length === 0) {
+        logger.warn("Session token owned by another user, issuing a new one");
+        values[0] = uuidv4();
+        result = await client.query(query, values);
+      }
+
       logger.info(`Processing session created: ${result.rows[0].id}`);
       return result.rows[0];
     } catch (error) {
@@ -119,18 +123,23 @@ class TrackingService {
   }
 
   // Form Processing Tracking
+  // capturedAt (when the form was photographed) replaces the receive time as created_at. Returns
+  // null when the user already has a form with this clientSubmissionId.
   async createFormProcessingRecord(formData) {
     const client = await this.pool.connect();
     try {
       const query = `
                 INSERT INTO forms_processing (
-                    session_id, original_filename, file_size_bytes, file_type,
-                    image_dimensions, processing_start_time
-                ) VALUES ($1, $2, $3, $4, $5, $6)
+                    session_id, user_id, site, original_filename, file_size_bytes, file_type,
+                    image_dimensions, processing_start_time, created_at, client_submission_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), $10)
+                ON CONFLICT (user_id, client_submission_id) WHERE client_submission_id IS NOT NULL DO NOTHING
                 RETURNING *
             `;
       const values = [
         formData.sessionId,
+        formData.userId || null,
+        formData.site || null,
         formData.originalFilename,
         formData.fileSizeBytes,
         formData.fileType,
@@ -138,9 +147,15 @@ class TrackingService {
           ? JSON.stringify(formData.imageDimensions)
           : null,
         new Date(),
+        formData.capturedAt || null,
+        formData.clientSubmissionId || null,
       ];
 
       const result = await client.query(query, values);
+      if (result.rows.length === 0) {
+        logger.info(`Submission ${formData.clientSubmissionId} already received`);
+        return null;
+      }
       const formId = result.rows[0].id;
 
       // Log audit event
@@ -164,6 +179,46 @@ class TrackingService {
     }
   }
 
+  // The form a user's device submitted under clientSubmissionId, if it has been received
+  async getFormBySubmissionId(userId, clientSubmissionId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT fp.*, ps.session_token
+         FROM forms_processing fp
+         LEFT JOIN processing_sessions ps ON ps.id = fp.session_id
+         WHERE fp.user_id = $1 AND fp.client_submission_id = $2`,
+        [userId, clientSubmissionId]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Claim a received submission that never got its job, so it can be queued again. Only one of
+   * several concurrent retries gets the row back; received_at restarts so the others see it as
+   * being received rather than stalled.
+   */
+  async claimSubmissionRequeue(formId, stalledMs) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE forms_processing
+         SET processing_status = 'processing', error_details = NULL, received_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+           AND ((processing_status = 'failed' AND error_details->>'stage' = 'queue')
+                OR received_at < NOW() - ($2 * INTERVAL '1 millisecond'))
+         RETURNING *`,
+        [formId, stalledMs]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
   async updateFormProcessingOCR(formId, ocrData) {
     const client = await this.pool.connect();
     try {
@@ -176,6 +231,8 @@ class TrackingService {
                     extracted_text_length = $5,
                     ocr_fallback_used = $6,
                     extracted_text = $7,
+                    page_count = $8,
+                    ocr_pages = $9,
                     updated_at = NOW()
                 WHERE id = $1
                 RETURNING *
@@ -188,6 +245,8 @@ class TrackingService {
         ocrData.extractedTextLength,
         ocrData.fallbackUsed || false,
         ocrData.extractedText,
+        ocrData.pageCount || 1,
+        ocrData.pages ? JSON.stringify(ocrData.pages) : null,
       ];
 
       const result = await client.query(query, values);
@@ -198,6 +257,7 @@ class TrackingService {
         confidence: ocrData.confidenceScore,
         textLength: ocrData.extractedTextLength,
         fallbackUsed: ocrData.fallbackUsed,
+        pageCount: ocrData.pageCount || 1,
       });
 
       return result.rows[0];
@@ -227,7 +287,11 @@ class TrackingService {
                     ai_analysis_result = $11,
                     hazards_identified = $12,
                     recommendations = $13,
+                    template_id = COALESCE($14, template_id),
+                    extracted_fields = COALESCE($15, extracted_fields),
+                    risk_trace = COALESCE($16, risk_trace),
                     processing_status = 'completed',
+                    review_status = CASE WHEN $8 THEN 'PENDING_REVIEW' ELSE 'NOT_REQUIRED' END,
                     processing_end_time = NOW(),
                     total_processing_time_ms = EXTRACT(EPOCH FROM (NOW() - processing_start_time)) * 1000,
                     updated_at = NOW()
@@ -248,6 +312,9 @@ class TrackingService {
         JSON.stringify(aiData.analysisResult),
         JSON.stringify(aiData.hazardsIdentified),
         JSON.stringify(aiData.recommendations),
+        aiData.templateId || null,
+        aiData.extractedFields ? JSON.stringify(aiData.extractedFields) : null,
+        aiData.riskTrace ? JSON.stringify(aiData.riskTrace) : null,
       ];
 
       const result = await client.query(query, values);
@@ -258,6 +325,8 @@ class TrackingService {
         riskLevel: aiData.riskLevel,
         formType: aiData.formTypeDetected,
         hazardCount: aiData.hazardsIdentified?.length || 0,
+        templateId: aiData.templateId || null,
+        riskRules: aiData.riskTrace?.rules?.map((rule) => `${rule.key}${rule.version ? ` v${rule.version}` : ""}`) || [],
       });
 
       // Store individual hazards
@@ -276,6 +345,7 @@ class TrackingService {
 
   async storeFormHazards(formId, hazards) {
     const client = await this.pool.connect();
+    const storedHazards = [];
     try {
       for (const hazard of hazards) {
         const query = `
@@ -283,8 +353,13 @@ class TrackingService {
                     form_processing_id, hazard_type, hazard_category,
                     severity_level, description, location_on_form,
                     australian_standard_violated, regulatory_requirement,
-                    recommended_action, action_priority, estimated_cost_impact
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                    recommended_action, action_priority, estimated_cost_impact,
+                    inherent_consequence, inherent_likelihood, inherent_risk_level,
+                    residual_consequence, residual_likelihood, residual_risk_level,
+                    control_measures, additional_controls, highest_control_level,
+                    lower_order_controls_only
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+                RETURNING *
             `;
         const values = [
           formId,
@@ -298,9 +373,20 @@ class TrackingService {
           hazard.recommendation || hazard.recommendedAction || "",
           mapPriorityToInteger(hazard.actionPriority || "MEDIUM"), // FIX: Convert text to integer
           hazard.estimatedCostImpact || null,
+          hazard.inherentRisk?.consequence || null,
+          hazard.inherentRisk?.likelihood || null,
+          hazard.inherentRisk?.level || null,
+          hazard.residualRisk?.consequence || null,
+          hazard.residualRisk?.likelihood || null,
+          hazard.residualRisk?.level || null,
+          JSON.stringify(hazard.controlMeasures || []),
+          JSON.stringify(hazard.additionalControls || []),
+          hazard.controlHierarchy?.highestLevel || null,
+          hazard.controlHierarchy?.lowerOrderOnly || false,
         ];
 
-        await client.query(query, values);
+        const result = await client.query(query, values);
+        storedHazards.push(result.rows[0]);
       }
 
       logger.info(`Stored ${hazards.length} hazards for form ${formId}`);
@@ -310,6 +396,17 @@ class TrackingService {
     } finally {
       client.release();
     }
+
+    // Every stored hazard gets a corrective action so it can be closed out.
+    // Required lazily: the corrective action service depends on this module.
+    try {
+      const correctiveActionService = require("../actions/correctiveActionService");
+      await correctiveActionService.createFromHazards(formId, storedHazards);
+    } catch (error) {
+      logger.error("Error creating corrective actions for hazards:", error);
+    }
+
+    return storedHazards;
   }
 
   async markFormProcessingError(formId, errorDetails) {
@@ -342,15 +439,35 @@ class TrackingService {
     }
   }
 
+  // Re-upload of a photo that was already processed as another form
+  async markDuplicateUpload(formId, duplicateOfFormId, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        "UPDATE forms_processing SET duplicate_of_form_id = $2, updated_at = NOW() WHERE id = $1",
+        [formId, duplicateOfFormId]
+      );
+
+      await this.logAuditEvent(formId, null, "duplicate_upload_detected", {
+        duplicateOfFormId,
+      }, userId);
+    } catch (error) {
+      logger.error("Error marking duplicate upload:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Audit Logging
-  async logAuditEvent(formId, sessionId, eventType, eventDetails) {
+  async logAuditEvent(formId, sessionId, eventType, eventDetails, userId = null) {
     const client = await this.pool.connect();
     try {
       const query = `
                 INSERT INTO forms_audit_log (
                     form_processing_id, session_id, event_type, event_details,
-                    server_instance, api_version
-                ) VALUES ($1, $2, $3, $4, $5, $6)
+                    server_instance, api_version, user_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
             `;
       const values = [
         formId,
@@ -359,6 +476,7 @@ class TrackingService {
         JSON.stringify(eventDetails),
         process.env.SERVER_INSTANCE || "local",
         process.env.API_VERSION || "1.0.0",
+        userId,
       ];
 
       await client.query(query, values);
@@ -371,9 +489,11 @@ class TrackingService {
   }
 
   // Analytics Queries
-  async getProcessingSummary(timeRange = "24 hours") {
+  async getProcessingSummary(timeRange = "24 hours", scope = {}, { siteId = null } = {}) {
     const client = await this.pool.connect();
     try {
+      const scopeFilter = buildScopeFilter(scope, { alias: "", paramOffset: 1 });
+      const siteFilter = buildSiteFilter(siteId, { alias: "", paramOffset: 1 + scopeFilter.params.length });
       const query = `
                 SELECT 
                     COUNT(*) as total_forms,
@@ -385,10 +505,10 @@ class TrackingService {
                     COUNT(DISTINCT session_id) as unique_sessions,
                     STRING_AGG(DISTINCT form_type_detected, ', ') as form_types_processed
                 FROM forms_processing 
-                WHERE created_at >= NOW() - INTERVAL '${timeRange}'
+                WHERE created_at >= NOW() - $1::interval${scopeFilter.clause}${siteFilter.clause}
             `;
 
-      const result = await client.query(query);
+      const result = await client.query(query, [timeRange, ...scopeFilter.params, ...siteFilter.params]);
       return result.rows[0];
     } catch (error) {
       logger.error("Error getting processing summary:", error);
@@ -398,24 +518,27 @@ class TrackingService {
     }
   }
 
-  async getHazardTrends(timeRange = "7 days") {
+  async getHazardTrends(timeRange = "7 days", scope = {}, { siteId = null } = {}) {
     const client = await this.pool.connect();
     try {
+      const scopeFilter = buildScopeFilter(scope, { alias: "fp", paramOffset: 1 });
+      const siteFilter = buildSiteFilter(siteId, { alias: "fp", paramOffset: 1 + scopeFilter.params.length });
       const query = `
                 SELECT 
-                    hazard_type,
-                    hazard_category,
+                    fh.hazard_type,
+                    fh.hazard_category,
                     COUNT(*) as occurrence_count,
-                    AVG(severity_level) as average_severity,
-                    STRING_AGG(DISTINCT australian_standard_violated, ', ') as standards_violated
-                FROM form_hazards 
-                WHERE created_at >= NOW() - INTERVAL '${timeRange}'
-                GROUP BY hazard_type, hazard_category
+                    AVG(fh.severity_level) as average_severity,
+                    STRING_AGG(DISTINCT fh.australian_standard_violated, ', ') as standards_violated
+                FROM form_hazards fh
+                JOIN forms_processing fp ON fp.id = fh.form_processing_id
+                WHERE fh.created_at >= NOW() - $1::interval${scopeFilter.clause}${siteFilter.clause}
+                GROUP BY fh.hazard_type, fh.hazard_category
                 ORDER BY occurrence_count DESC
                 LIMIT 20
             `;
 
-      const result = await client.query(query);
+      const result = await client.query(query, [timeRange, ...scopeFilter.params, ...siteFilter.params]);
       return result.rows;
     } catch (error) {
       logger.error("Error getting hazard trends:", error);
@@ -425,12 +548,43 @@ class TrackingService {
     }
   }
 
+  async getRecentForms(limit = 50, scope = {}, { siteId = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const scopeFilter = buildScopeFilter(scope, { alias: "fp", paramOffset: 1 });
+      const siteFilter = buildSiteFilter(siteId, { alias: "fp", paramOffset: 1 + scopeFilter.params.length });
+      const query = `
+                SELECT fp.*, pl.location_name,
+                       COALESCE(
+                           json_agg(json_build_object('id', fh.id))
+                           FILTER (WHERE fh.id IS NOT NULL),
+                           '[]'
+                       ) as hazards
+                FROM forms_processing fp
+                LEFT JOIN form_hazards fh ON fp.id = fh.form_processing_id
+                LEFT JOIN processing_locations pl ON pl.id = fp.location_id
+                WHERE TRUE${scopeFilter.clause}${siteFilter.clause}
+                GROUP BY fp.id, pl.location_name
+                ORDER BY fp.created_at DESC
+                LIMIT $1
+            `;
+
+      const result = await client.query(query, [limit, ...scopeFilter.params, ...siteFilter.params]);
+      return result.rows;
+    } catch (error) {
+      logger.error("Error getting recent forms:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async getFormById(formId) {
     const client = await this.pool.connect();
     try {
       const query = `
                 SELECT fp.*, 
-                       ps.session_token, ps.user_identifier,
+                       ps.session_token, ps.user_identifier, pl.location_name,
                        COALESCE(
                            json_agg(
                                json_build_object(
@@ -440,7 +594,23 @@ class TrackingService {
                                    'severity', fh.severity_level,
                                    'description', fh.description,
                                    'recommendedAction', fh.recommended_action,
-                                   'actionPriority', fh.action_priority
+                                   'actionPriority', fh.action_priority,
+                                   'inherentRisk', CASE WHEN fh.inherent_consequence IS NULL THEN NULL ELSE json_build_object(
+                                       'consequence', fh.inherent_consequence,
+                                       'likelihood', fh.inherent_likelihood,
+                                       'level', fh.inherent_risk_level
+                                   ) END,
+                                   'residualRisk', CASE WHEN fh.residual_consequence IS NULL THEN NULL ELSE json_build_object(
+                                       'consequence', fh.residual_consequence,
+                                       'likelihood', fh.residual_likelihood,
+                                       'level', fh.residual_risk_level
+                                   ) END,
+                                   'controlMeasures', fh.control_measures,
+                                   'additionalControls', fh.additional_controls,
+                                   'controlHierarchy', json_build_object(
+                                       'highestLevel', fh.highest_control_level,
+                                       'lowerOrderOnly', fh.lower_order_controls_only
+                                   )
                                )
                            ) FILTER (WHERE fh.id IS NOT NULL), 
                            '[]'
@@ -448,8 +618,9 @@ class TrackingService {
                 FROM forms_processing fp
                 LEFT JOIN processing_sessions ps ON fp.session_id = ps.id
                 LEFT JOIN form_hazards fh ON fp.id = fh.form_processing_id
+                LEFT JOIN processing_locations pl ON pl.id = fp.location_id
                 WHERE fp.id = $1
-                GROUP BY fp.id, ps.session_token, ps.user_identifier
+                GROUP BY fp.id, ps.session_token, ps.user_identifier, pl.location_name
             `;
 
       const result = await client.query(query, [formId]);
@@ -462,18 +633,19 @@ class TrackingService {
     }
   }
 
-  async getSessionForms(sessionToken) {
+  async getSessionForms(sessionToken, scope = {}) {
     const client = await this.pool.connect();
     try {
+      const scopeFilter = buildScopeFilter(scope, { alias: "fp", paramOffset: 1 });
       const query = `
                 SELECT fp.*, ps.session_token
                 FROM forms_processing fp
                 JOIN processing_sessions ps ON fp.session_id = ps.id
-                WHERE ps.session_token = $1
+                WHERE ps.session_token = $1${scopeFilter.clause}
                 ORDER BY fp.created_at DESC
             `;
 
-      const result = await client.query(query, [sessionToken]);
+      const result = await client.query(query, [sessionToken, ...scopeFilter.params]);
       return result.rows;
     } catch (error) {
       logger.error("Error getting session forms:", error);
@@ -0,0 +1,146 @@
+// Duplicate Service
+// Near-duplicate detection: a form that looks like (perceptual image hash) and reads like (extracted
+// text) one already submitted on the same site and day is linked to it as a suspected duplicate.
+// A second photo of the user's own form is not processed again; a match with someone else's form
+// (another crew on the same printed template) is still analysed and goes to a supervisor. Exact
+// re-uploads of the same file are caught earlier by their SHA-256 (see storage/fileStorageService.js).
+
+const pool = require('../database/pool');
+const trackingService = require('../database/trackingService');
+const logger = require('../utils/logger');
+const { imageHash, hammingDistance, textSimilarity } = require('./similarity');
+
+// Both have to match: forms filled in on the same printed template read much alike, and photos of
+// different forms of one layout can hash alike, but not both at once
+const MAX_IMAGE_DISTANCE = parseInt(process.env.DUPLICATE_MAX_IMAGE_DISTANCE) || 10;
+const MIN_TEXT_SIMILARITY = parseFloat(process.env.DUPLICATE_MIN_TEXT_SIMILARITY) || 0.9;
+// Without a usable image hash (PDFs) the text alone has to be this close
+const MIN_TEXT_ONLY_SIMILARITY = 0.97;
+const MAX_CANDIDATES = 200;
+
+class DuplicateService {
+  constructor() {
+    this.pool = pool;
+    this.imageHash = imageHash;
+  }
+
+  // How a candidate compares; null when it isn't close enough to count
+  compare(candidate, { hash, text }) {
+    const imageDistance = hammingDistance(hash, candidate.image_hash);
+    const similarity = textSimilarity(text, candidate.extracted_text);
+    if (similarity === null) return null;
+
+    const suspected = imageDistance === null
+      ? similarity >= MIN_TEXT_ONLY_SIMILARITY
+      : imageDistance <= MAX_IMAGE_DISTANCE && similarity >= MIN_TEXT_SIMILARITY;
+    if (!suspected) return null;
+
+    return {
+      formId: candidate.id,
+      filename: candidate.original_filename,
+      submittedAt: candidate.created_at,
+      userId: candidate.user_id,
+      site: candidate.site,
+      imageDistance,
+      textSimilarity: similarity
+    };
+  }
+
+  /**
+   * The closest earlier form from the same site (the same user when there is no site) on the day of
+   * `date` that matches on image hash and text. Forms already linked as duplicates are skipped in
+   * favour of their original. Returns null or { formId, filename, submittedAt, userId, site,
+   * imageDistance, textSimilarity }.
+   */
+  async findSuspectedDuplicate({ site = null, userId = null, date = new Date(), hash = null, text, excludeFormId = null }) {
+    if (!text || (!site && !userId)) return null;
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id, original_filename, created_at, user_id, site, image_hash, extracted_text
+         FROM forms_processing
+         WHERE ${site ? 'site = $1' : 'site IS NULL AND user_id = $1'}
+           AND created_at >= date_trunc('day', $2::timestamptz)
+           AND created_at < date_trunc('day', $2::timestamptz) + INTERVAL '1 day'
+           AND ($3::uuid IS NULL OR id <> $3::uuid)
+           AND extracted_text IS NOT NULL
+           AND processing_status NOT IN ('failed', 'duplicate')
+         ORDER BY created_at DESC
+         LIMIT ${MAX_CANDIDATES}`,
+        [site || userId, date, excludeFormId]
+      );
+
+      const matches = result.rows
+        .map(candidate => this.compare(candidate, { hash, text }))
+        .filter(Boolean)
+        .sort((a, b) => b.textSimilarity - a.textSimilarity || (a.imageDistance ?? 64) - (b.imageDistance ?? 64));
+      return matches[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async saveImageHash(formId, hash) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('UPDATE forms_processing SET image_hash = $2 WHERE id = $1', [formId, hash]);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Link a form to the earlier form it duplicates. Unless `confirmed` (the user saved it anyway) or
+   * `flagged` (it matches another user's form, so it is analysed and reviewed instead) the form is
+   * closed as a duplicate and not analysed or counted.
+   */
+  async linkSuspectedDuplicate(formId, duplicate, { userId = null, confirmed = false, flagged = false } = {}) {
+    const keepOpen = confirmed || flagged;
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        `UPDATE forms_processing
+         SET duplicate_of_form_id = $2,
+             duplicate_check = $3,
+             processing_status = CASE WHEN $4 THEN processing_status ELSE 'duplicate' END,
+             processing_end_time = CASE WHEN $4 THEN processing_end_time ELSE NOW() END,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [formId, duplicate.formId, JSON.stringify(duplicate), keepOpen]
+      );
+    } finally {
+      client.release();
+    }
+
+    const eventType = confirmed
+      ? 'suspected_duplicate_confirmed'
+      : flagged ? 'suspected_duplicate_flagged' : 'suspected_duplicate_linked';
+    await trackingService.logAuditEvent(formId, null, eventType, {
+      duplicateOfFormId: duplicate.formId,
+      imageDistance: duplicate.imageDistance,
+      textSimilarity: duplicate.textSimilarity
+    }, userId);
+    logger.info(`Form ${formId} linked to ${duplicate.formId} as a suspected duplicate`, {
+      imageDistance: duplicate.imageDistance,
+      textSimilarity: duplicate.textSimilarity,
+      confirmed,
+      flagged
+    });
+  }
+
+  // The match as shown to the submitter; forms they can't open are only described
+  describe(duplicate, { userId, accessible = false }) {
+    if (!duplicate) return null;
+    return {
+      formId: accessible ? duplicate.formId : null,
+      filename: accessible ? duplicate.filename : null,
+      uploadedAt: duplicate.submittedAt,
+      sameUser: duplicate.userId === userId,
+      imageDistance: duplicate.imageDistance,
+      textSimilarity: duplicate.textSimilarity
+    };
+  }
+}
+
+module.exports = new DuplicateService();
@@ -0,0 +1,85 @@
+// Fingerprints for spotting the same form submitted twice: a perceptual hash of the page image and
+// word-trigram overlap of the extracted text. Two photos of one form hash alike even when resized,
+// recompressed or lit differently; the text catches a scan and a photo of the same page.
+
+const sharp = require('sharp');
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const SHINGLE_SIZE = 3;
+
+/**
+ * 64-bit difference hash (dHash) of an image as 16 hex characters: shrink to 9x8 greyscale and
+ * record whether each pixel is brighter than its right-hand neighbour. Null for anything sharp
+ * can't read (PDFs, corrupt files).
+ */
+async function imageHash(buffer) {
+  try {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+      let nibble = 0;
+      for (let x = 0; x < HASH_WIDTH - 1; x++) {
+        const bit = pixels[y * HASH_WIDTH + x] > pixels[y * HASH_WIDTH + x + 1] ? 1 : 0;
+        nibble = (nibble << 1) | bit;
+        if (x % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return hash;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Number of differing bits between two hashes (0-64), null when either is missing
+function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return null;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+function shingles(text) {
+  const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (words.length < SHINGLE_SIZE) return new Set(words);
+
+  const result = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+}
+
+// Jaccard similarity (0-1) of the two texts' word trigrams, null when either has no words
+function textSimilarity(a, b) {
+  const first = shingles(a);
+  const second = shingles(b);
+  if (first.size === 0 || second.size === 0) return null;
+
+  let shared = 0;
+  first.forEach(shingle => {
+    if (second.has(shingle)) shared++;
+  });
+  return Math.round((shared / (first.size + second.size - shared)) * 1000) / 1000;
+}
+
+module.exports = {
+  imageHash,
+  hammingDistance,
+  textSimilarity
+};
@@ -0,0 +1,112 @@
+// Analysis Draft Service
+// What /analyze produced for a form, kept server-side until the user confirms it. The client only
+// holds the draft id: /confirm saves the form from the stored text and machine analysis, and what the
+// user changed is worked out here rather than taken from the request.
+
+const pool = require('../database/pool');
+
+const DRAFT_TTL_HOURS = parseInt(process.env.ANALYSIS_DRAFT_TTL_HOURS) || 24;
+// A draft still being confirmed after this long belongs to a request that died, and may be retried
+const CLAIM_TIMEOUT_SECONDS = 300;
+
+class AnalysisDraftService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  async createDraft({ userId, sessionId = null, sessionToken = null, jobId = null, extractedText, ocrResult, originalAnalysis, fileInfo = null, location = null }) {
+    const client = await this.pool.connect();
+    try {
+      // Expired drafts are cleared out per user as they analyse more forms
+      await client.query(
+        `DELETE FROM analysis_drafts WHERE user_id = $1 AND status <> 'CONFIRMED' AND expires_at < NOW()`,
+        [userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO analysis_drafts (
+            user_id, session_id, session_token, job_id, extracted_text, ocr_result,
+            original_analysis, file_info, location, expires_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(hours => $10))
+         RETURNING id, expires_at`,
+        [
+          userId,
+          sessionId,
+          sessionToken,
+          jobId,
+          extractedText,
+          JSON.stringify(ocrResult),
+          JSON.stringify(originalAnalysis),
+          fileInfo ? JSON.stringify(fileInfo) : null,
+          location ? JSON.stringify(location) : null,
+          DRAFT_TTL_HOURS
+        ]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Take a user's draft for confirmation so two confirmations can't both save it. Returns
+   * { draft } on success, otherwise { reason } - 'not_found', 'expired', 'confirming' or
+   * 'confirmed' (with formId).
+   */
+  async claimDraft(draftId, userId) {
+    const client = await this.pool.connect();
+    try {
+      const claimed = await client.query(
+        `UPDATE analysis_drafts
+         SET status = 'CONFIRMING', claimed_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND expires_at > NOW()
+           AND (status = 'PENDING'
+                OR (status = 'CONFIRMING' AND claimed_at < NOW() - make_interval(secs => $3)))
+         RETURNING *`,
+        [draftId, userId, CLAIM_TIMEOUT_SECONDS]
+      );
+      if (claimed.rows.length > 0) return { draft: claimed.rows[0] };
+
+      const existing = await client.query(
+        'SELECT status, expires_at, form_processing_id FROM analysis_drafts WHERE id = $1 AND user_id = $2',
+        [draftId, userId]
+      );
+      const draft = existing.rows[0];
+      if (!draft) return { reason: 'not_found' };
+      if (draft.status === 'CONFIRMED') return { reason: 'confirmed', formId: draft.form_processing_id };
+      if (new Date(draft.expires_at) <= new Date()) return { reason: 'expired' };
+      return { reason: 'confirming' };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Hand a claimed draft back, e.g. when the user still has to confirm a suspected duplicate
+  async releaseDraft(draftId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        `UPDATE analysis_drafts SET status = 'PENDING', claimed_at = NULL WHERE id = $1 AND status = 'CONFIRMING'`,
+        [draftId]
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  async completeDraft(draftId, formId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        `UPDATE analysis_drafts
+         SET status = 'CONFIRMED', form_processing_id = $2, confirmed_at = NOW()
+         WHERE id = $1`,
+        [draftId, formId]
+      );
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new AnalysisDraftService();
@@ -0,0 +1,257 @@
+// Confirmation Service
+// Saves a claimed analysis draft (see analysisDraftService) as a form: used by /confirm once the user
+// has checked the analysis, and by form batches for items that didn't need a review. Claiming and
+// releasing the draft is left to the caller.
+
+const trackingService = require('../database/trackingService');
+const duplicateService = require('../duplicates/duplicateService');
+const correctionService = require('../corrections/correctionService');
+const { diffAnalysis } = require('../corrections/analysisDiff');
+const fileStorageService = require('../storage/fileStorageService');
+const siteService = require('../sites/siteService');
+const riskMatrixService = require('../risk/riskMatrixService');
+const { copyRatings } = require('../risk/riskMatrix');
+const { classifyAnalysisControls } = require('../risk/controlHierarchy');
+const { applyTextCorrections } = require('../ocr/wordLayout');
+const { RISK_LEVELS } = require('../ai/analysisSchema');
+const analysisDraftService = require('./analysisDraftService');
+const logger = require('../utils/logger');
+
+function flagsForReview(analysis) {
+  return Boolean(analysis?.requiresSupervisorReview) ||
+    analysis?.riskLevel === 'HIGH' || analysis?.riskLevel === 'CRITICAL';
+}
+
+// A lower risk level or score than the analysis gave, or an issue taken out, by someone who isn't a reviewer
+function isDowngrade(originalAnalysis, confirmedAnalysis, userCorrections) {
+  const originalLevel = RISK_LEVELS.indexOf(originalAnalysis?.riskLevel);
+  const confirmedLevel = RISK_LEVELS.indexOf(confirmedAnalysis?.riskLevel);
+  const originalScore = Number(originalAnalysis?.riskScore);
+  const confirmedScore = Number(confirmedAnalysis?.riskScore);
+  return (originalLevel >= 0 && confirmedLevel < originalLevel) ||
+    (Number.isFinite(originalScore) && !(confirmedScore >= originalScore)) ||
+    userCorrections.issues.removed.length > 0;
+}
+
+class ConfirmationService {
+  /**
+   * user: { id, site }. canAdjustRatings is whether the user may move hazards on the risk matrix;
+   * location is a GPS fix sent with the confirmation. Returns { saved: false, suspectedDuplicate }
+   * when the form looks like one already saved today and confirmDuplicate isn't set (or, with
+   * acceptOtherUsersDuplicate, only when it looks like one of the user's own forms), otherwise
+   * { saved: true, formId, site, suspectedDuplicate, userCorrections, textCorrections }.
+   * Errors after the form record exists carry it as error.formId.
+   */
+  async confirmDraft(draft, { user, confirmedAnalysis, textCorrections = [], location = null, canAdjustRatings = false, confirmDuplicate = false, acceptOtherUsersDuplicate = false }) {
+    const fileInfo = draft.file_info || {};
+    const ocrResult = draft.ocr_result;
+    const originalAnalysis = draft.original_analysis;
+    // The user edits the findings; the risk assessment, template, rules trace and metadata stay the machine's
+    confirmedAnalysis = {
+      ...originalAnalysis,
+      ...confirmedAnalysis,
+      riskAssessment: originalAnalysis?.riskAssessment,
+      template: originalAnalysis?.template,
+      riskTrace: originalAnalysis?.riskTrace,
+      metadata: originalAnalysis?.metadata
+    };
+
+    // Misread words the reviewer fixed against the page image
+    const corrected = applyTextCorrections(draft.extracted_text, Array.isArray(textCorrections) ? textCorrections : []);
+    if (corrected.skipped.length > 0) {
+      logger.warn(`Skipped ${corrected.skipped.length} text corrections that no longer match the extracted text`, {
+        draftId: draft.id
+      });
+    }
+
+    // A form that looks and reads like one already saved today is only saved once the user says so
+    const imageHash = fileInfo.imageHash || null;
+    let suspectedDuplicate = null;
+    try {
+      suspectedDuplicate = await duplicateService.findSuspectedDuplicate({
+        site: user.site,
+        userId: user.id,
+        hash: imageHash,
+        text: corrected.text
+      });
+    } catch (error) {
+      logger.warn('Could not check for duplicate forms:', error.message);
+    }
+    const otherUsersDuplicate = Boolean(suspectedDuplicate) && suspectedDuplicate.userId !== user.id;
+    if (suspectedDuplicate && !confirmDuplicate && !(acceptOtherUsersDuplicate && otherUsersDuplicate)) {
+      return { saved: false, suspectedDuplicate };
+    }
+
+    const formRecord = await trackingService.createFormProcessingRecord({
+      sessionId: draft.session_id,
+      userId: user.id,
+      site: user.site,
+      originalFilename: fileInfo.originalFilename,
+      fileSizeBytes: fileInfo.fileSize,
+      fileType: fileInfo.mimeType,
+      imageDimensions: null
+    });
+    logger.info(`Created form processing record: ${formRecord.id}`);
+
+    try {
+      const result = await this.saveAnalysis(formRecord.id, draft, {
+        user, confirmedAnalysis, corrected, location, canAdjustRatings, imageHash, suspectedDuplicate
+      });
+      return { saved: true, formId: formRecord.id, suspectedDuplicate, ...result };
+    } catch (error) {
+      try {
+        await trackingService.markFormProcessingError(formRecord.id, {
+          stage: 'confirmation_error',
+          error: error.message,
+          stack: error.stack
+        });
+      } catch (dbError) {
+        logger.error('Could not log error to database:', dbError);
+      }
+      error.formId = formRecord.id;
+      throw error;
+    }
+  }
+
+  async saveAnalysis(formId, draft, { user, confirmedAnalysis, corrected, location, canAdjustRatings, imageHash, suspectedDuplicate }) {
+    const fileInfo = draft.file_info || {};
+    const ocrResult = draft.ocr_result;
+    const originalAnalysis = draft.original_analysis;
+
+    await trackingService.updateFormProcessingOCR(formId, {
+      providerUsed: ocrResult.provider,
+      confidenceScore: ocrResult.confidence,
+      processingTimeMs: ocrResult.processingTimeMs || 0,
+      extractedTextLength: corrected.text.length,
+      fallbackUsed: ocrResult.fallbackUsed || false,
+      extractedText: corrected.text,
+      pageCount: ocrResult.pageCount,
+      pages: ocrResult.pages
+    });
+
+    // Link the stored original and page images kept when the draft was analysed
+    try {
+      if (fileInfo.sha256) {
+        await fileStorageService.linkToForm(formId, fileInfo.sha256, {
+          kind: 'ORIGINAL',
+          originalFilename: fileInfo.originalFilename
+        });
+        for (const image of fileInfo.preprocessedFiles || []) {
+          await fileStorageService.linkToForm(formId, image.sha256, {
+            kind: 'PREPROCESSED',
+            pageNumber: image.pageNumber
+          });
+        }
+
+        const [previousForm] = await fileStorageService.findPreviousUploads(fileInfo.sha256, {
+          excludeFormId: formId,
+          limit: 1
+        });
+        if (previousForm) {
+          await trackingService.markDuplicateUpload(formId, previousForm.id, user.id);
+        }
+      }
+    } catch (error) {
+      logger.error('Could not link stored files to confirmed form:', error);
+    }
+
+    // Saved anyway: keep the link to the form it looked like; a match with another user's form goes to a supervisor
+    const otherUsersDuplicate = Boolean(suspectedDuplicate) && suspectedDuplicate.userId !== user.id;
+    try {
+      if (imageHash) {
+        await duplicateService.saveImageHash(formId, imageHash);
+      }
+      if (suspectedDuplicate) {
+        await duplicateService.linkSuspectedDuplicate(formId, suspectedDuplicate, {
+          userId: user.id,
+          confirmed: true,
+          flagged: otherUsersDuplicate
+        });
+      }
+    } catch (error) {
+      logger.error('Could not record duplicate check for confirmed form:', error);
+    }
+
+    // Only reviewers may move hazards on the risk matrix; ratings are re-derived from the company matrix
+    if (!canAdjustRatings) {
+      copyRatings(confirmedAnalysis, originalAnalysis);
+    }
+    // Controls are re-summarised here so the residual limit for admin/PPE-only controls can't be skipped
+    classifyAnalysisControls(confirmedAnalysis);
+    await riskMatrixService.rateAnalysis(confirmedAnalysis);
+
+    // What the user changed from the machine analysis
+    const userCorrections = diffAnalysis(originalAnalysis, confirmedAnalysis);
+
+    // The risk level and review flag come from the client: a worker can't clear a flag the analysis
+    // raised, and lowering the risk or dropping an issue sends the form to a supervisor
+    let supervisorFlagged = flagsForReview(confirmedAnalysis) || otherUsersDuplicate;
+    if (!canAdjustRatings) {
+      supervisorFlagged = supervisorFlagged || flagsForReview(originalAnalysis) ||
+        isDowngrade(originalAnalysis, confirmedAnalysis, userCorrections);
+    }
+
+    // Update form record with AI analysis results (including user corrections)
+    await trackingService.updateFormProcessingAI(formId, {
+      aiProvider: originalAnalysis?.metadata?.provider || 'unknown',
+      processingTimeMs: 0,
+      formTypeDetected: confirmedAnalysis.formType,
+      riskScore: confirmedAnalysis.riskScore,
+      riskLevel: confirmedAnalysis.riskLevel,
+      riskEscalated: supervisorFlagged,
+      supervisorFlagged,
+      australianStandardsReferenced: confirmedAnalysis.complianceIssues?.map(issue => issue.standard) || [],
+      complianceGapsIdentified: confirmedAnalysis.complianceIssues?.length || 0,
+      analysisResult: {
+        ...confirmedAnalysis,
+        userCorrections,
+        textCorrections: corrected.applied,
+        confirmationTimestamp: new Date().toISOString()
+      },
+      hazardsIdentified: confirmedAnalysis.flaggedIssues || [],
+      recommendations: confirmedAnalysis.flaggedIssues?.map(issue => issue.recommendation).filter(Boolean) || [],
+      templateId: confirmedAnalysis.template?.templateId,
+      extractedFields: confirmedAnalysis.template,
+      // Trace of the score the rules produced, even if the user then changed the score
+      riskTrace: confirmedAnalysis.riskTrace
+    });
+
+    // What the reviewer changed, for provider accuracy and as examples for future analyses
+    await correctionService.recordConfirmation(formId, {
+      userId: user.id,
+      originalAnalysis,
+      confirmedAnalysis,
+      ocrProvider: ocrResult.provider || null,
+      text: corrected.text,
+      textCorrections: corrected.applied
+    });
+
+    // Place the form on a site: a fix sent with the confirmation or with the analysis, then the confirmed work location
+    let site = null;
+    try {
+      site = await siteService.assignForm(formId, {
+        location: location || draft.location,
+        workLocation: confirmedAnalysis.workLocation
+      });
+    } catch (error) {
+      logger.warn('Could not assign form to a site:', error.message);
+    }
+
+    await analysisDraftService.completeDraft(draft.id, formId);
+
+    // Log audit event for user confirmation
+    await trackingService.logAuditEvent(formId, draft.session_id, 'form_confirmed', {
+      draftId: draft.id,
+      userCorrections,
+      textCorrections: corrected.applied,
+      finalFormType: confirmedAnalysis.formType,
+      finalRiskScore: confirmedAnalysis.riskScore,
+      supervisorReviewRequired: supervisorFlagged,
+      confirmationTimestamp: new Date().toISOString()
+    }, user.id);
+
+    return { site, userCorrections, textCorrections: corrected.applied };
+  }
+}
+
+module.exports = new ConfirmationService();
@@ -0,0 +1,553 @@
+// backend/src/services/forms/formPipeline.js - OCR + AI analysis run by the job worker
+const documentService = require('../ocr/documentService');
+const aiAnalysisService = require('../ai/aiAnalysisService');
+const trackingService = require('../database/trackingService');
+const fileStorageService = require('../storage/fileStorageService');
+const formTemplateService = require('../templates/formTemplateService');
+const riskMatrixService = require('../risk/riskMatrixService');
+const siteService = require('../sites/siteService');
+const duplicateService = require('../duplicates/duplicateService');
+const analysisDraftService = require('./analysisDraftService');
+const { locateWords, attachIssueRegions } = require('../ocr/wordLayout');
+const logger = require('../utils/logger');
+
+const JOB_TYPE = 'form_processing';
+
+// 'upload' saves straight to forms_processing; 'analyze' returns a draft for the user to confirm
+const MODES = {
+  UPLOAD: 'upload',
+  ANALYZE: 'analyze'
+};
+
+function pipelineError(message, { stage, retryable = true, details } = {}) {
+  const error = new Error(message);
+  error.stage = stage;
+  error.retryable = retryable;
+  error.details = details;
+  return error;
+}
+
+// First extracted value among the given template field keys
+function templateFieldValue(template, keys) {
+  for (const key of keys) {
+    const field = template?.fields?.[key];
+    if (field?.found && field.value !== null && field.value !== '') {
+      return field.value;
+    }
+  }
+  return null;
+}
+
+// Helper function to process and structure AI analysis results
+// Score, level and escalation come from the risk rules already applied by the AI service
+function processAIAnalysisResult(rawAnalysis) {
+  try {
+    // Use the raw analysis directly since it's already structured
+    const analysis = rawAnalysis;
+    const firedRules = (analysis.riskTrace?.rules || []).filter(rule => rule.points > 0);
+
+    // Map to your frontend's expected format
+    const structured = {
+      formType: analysis.formType || 'UNKNOWN',
+      riskAssessment: {
+        score: analysis.riskScore || 5,
+        level: analysis.riskLevel || 'MEDIUM',
+        escalated: firedRules.length > 0,
+        reasoning: (analysis.summary || 'Risk assessment completed') +
+          (firedRules.length > 0 ? ` (Escalated by: ${firedRules.map(rule => rule.name).join(', ')})` : ''),
+        trace: analysis.riskTrace || null
+      },
+      safetyIssues: analysis.flaggedIssues || [],
+      recommendations: analysis.flaggedIssues?.map(issue => issue.recommendation).filter(Boolean) || [],
+      complianceCheck: {
+        status: analysis.complianceIssues?.length > 0 ? 'ISSUES_FOUND' : 'COMPLIANT',
+        standardsReferenced: analysis.complianceIssues?.map(issue => issue.standard) || [],
+        gaps: analysis.complianceIssues || []
+      }
+    };
+
+    return structured;
+  } catch (error) {
+    logger.error('Error processing AI analysis result:', error);
+    return {
+      formType: 'UNKNOWN',
+      riskAssessment: {
+        score: 8,
+        level: 'HIGH',
+        escalated: true,
+        reasoning: 'Error processing analysis - escalated for manual review'
+      },
+      safetyIssues: [],
+      recommendations: ['Manual review required due to processing error'],
+      complianceCheck: {
+        status: 'REQUIRES_REVIEW',
+        standardsReferenced: [],
+        gaps: ['Analysis processing error']
+      }
+    };
+  }
+}
+
+class FormPipeline {
+  constructor() {
+    this.JOB_TYPE = JOB_TYPE;
+    this.MODES = MODES;
+  }
+
+  // Job handler registered with the worker
+  async processJob(job, context) {
+    const payload = job.payload || {};
+    const file = {
+      buffer: job.input_file,
+      originalname: job.input_filename,
+      mimetype: job.input_mime_type,
+      size: job.input_size_bytes
+    };
+
+    if (!file.buffer) {
+      throw pipelineError('Job has no input file', { stage: 'queued', retryable: false });
+    }
+
+    try {
+      if (payload.mode === MODES.ANALYZE) {
+        return await this.analyzeForConfirmation(job, file, context);
+      }
+      return await this.processUpload(job, file, context);
+    } catch (error) {
+      // Only the last attempt marks the form as errored; earlier attempts will retry
+      const willRetry = error.retryable !== false && !context.isFinalAttempt;
+      if (job.form_processing_id && !willRetry) {
+        try {
+          await trackingService.markFormProcessingError(job.form_processing_id, {
+            stage: error.stage || 'unexpected_error',
+            error: error.message,
+            stack: error.stack,
+            attempts: job.attempts
+          });
+        } catch (dbError) {
+          logger.error('Could not log error to database:', dbError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * capture: { captureMethod, imageQuality } from the upload - phone photos and low quality
+   * images are cleaned up before OCR (see ocrService.preprocessImage).
+   */
+  async runOCR(file, context, { captureMethod, imageQuality } = {}) {
+    await context.progress('ocr', 10, 'Extracting text from document');
+    const ocrStartTime = Date.now();
+
+    // Spread the OCR stage (10-45%) across the pages of multi-page documents
+    const onPage = (pageNumber, pageCount) => context.progress(
+      'ocr',
+      10 + Math.round(((pageNumber - 1) / pageCount) * 35),
+      `Reading page ${pageNumber} of ${pageCount}`,
+      { pageNumber, pageCount }
+    );
+
+    let extracted;
+    try {
+      extracted = await documentService.extractText(file.buffer, { mimetype: file.mimetype, onPage, captureMethod, imageQuality });
+    } catch (error) {
+      logger.error('OCR processing failed:', error);
+      // Unreadable or oversized documents fail the same way on every attempt
+      throw pipelineError(`Failed to extract text from document: ${error.message}`, {
+        stage: 'ocr',
+        retryable: error.retryable !== false
+      });
+    }
+
+    // Word boxes are kept out of ocrResult, which is saved with the /analyze draft and returned for review
+    const { images = [], words = [], pageSizes = [], ...documentResult } = extracted;
+
+    // Normalize the result to match expected format
+    const ocrResult = {
+      text: documentResult.text,
+      confidence: documentResult.confidence,
+      provider: documentResult.provider || 'tesseract',
+      fallbackUsed: documentResult.fallbackUsed || false,
+      pageCount: documentResult.pageCount || 1,
+      ...documentResult,
+      processingTimeMs: Date.now() - ocrStartTime
+    };
+
+    logger.info(`OCR completed with ${ocrResult.provider}, confidence: ${ocrResult.confidence}%`);
+    await context.progress('ocr', 45, `Text extracted with ${ocrResult.provider}`, {
+      provider: ocrResult.provider,
+      confidence: ocrResult.confidence,
+      textLength: ocrResult.text?.length || 0,
+      pageCount: ocrResult.pageCount
+    });
+
+    // A blank or unreadable photo will not improve on retry
+    if (!ocrResult.text || ocrResult.text.trim().length < 10) {
+      throw pipelineError('Insufficient text extracted from image', {
+        stage: 'ocr_validation',
+        retryable: false,
+        details: {
+          extractedText: ocrResult.text,
+          confidence: ocrResult.confidence,
+          provider: ocrResult.provider,
+          suggestion: 'Please ensure the image is clear and contains readable text'
+        }
+      });
+    }
+
+    return { ocrResult, images, layout: { words, pageSizes } };
+  }
+
+  async runAnalysis(ocrResult, context, { captureMethod } = {}) {
+    // Transcribe fields from the matching template first so the AI only has to judge them
+    await context.progress('template_matching', 50, 'Matching form template');
+    const template = await formTemplateService.matchAndExtract(ocrResult.text, ocrResult.checkboxes || []);
+    if (template) {
+      await context.progress('template_matching', 52, `Matched ${template.templateName} v${template.templateVersion}`, {
+        templateKey: template.templateKey,
+        templateVersion: template.templateVersion,
+        missingRequired: template.missingRequired.length,
+        deviations: template.deviations.length
+      });
+    }
+
+    await context.progress('ai_analysis', 55, 'Analysing safety content');
+    const aiStartTime = Date.now();
+
+    let analysisResult;
+    try {
+      analysisResult = await aiAnalysisService.analyzeSafetyForm(ocrResult.text, template?.formType || null, {
+        checkboxes: ocrResult.checkboxes || [],
+        template,
+        // Inputs to the OCR and capture risk rules
+        ocrConfidence: ocrResult.confidence,
+        ocrProvider: ocrResult.provider,
+        captureMethod
+      });
+    } catch (error) {
+      logger.error('AI analysis failed:', error);
+      throw pipelineError(`Failed to analyze safety form: ${error.message}`, { stage: 'ai_analysis' });
+    }
+
+    // Every provider failed - retry while attempts remain, then accept the fallback analysis
+    if (analysisResult.analysisStatus === 'FAILED' && !context.isFinalAttempt) {
+      throw pipelineError(`All AI providers failed: ${analysisResult.metadata?.error || 'no provider returned a result'}`, {
+        stage: 'ai_analysis'
+      });
+    }
+
+    await context.progress('ai_analysis', 85, `Analysis completed: ${analysisResult.riskLevel || 'UNKNOWN'} risk`, {
+      provider: analysisResult.metadata?.provider,
+      formType: analysisResult.formType
+    });
+
+    return { analysisResult, template, aiTimeMs: Date.now() - aiStartTime };
+  }
+
+  /**
+   * Perceptual hash of the form (the upload itself for photos, the rendered first page for PDFs) and
+   * the closest earlier form from the same site and day that looks and reads the same, if any.
+   */
+  async checkForDuplicate(job, file, images, ocrResult, { excludeFormId = null } = {}) {
+    const pageImage = file.mimetype?.startsWith('image/') ? file.buffer : images.find(image => image.pageNumber === 1)?.buffer;
+    const hash = pageImage ? await duplicateService.imageHash(pageImage) : null;
+
+    let duplicate = null;
+    try {
+      duplicate = await duplicateService.findSuspectedDuplicate({
+        site: job.site,
+        userId: job.user_id,
+        date: job.payload.capturedAt ? new Date(job.payload.capturedAt) : new Date(),
+        hash,
+        text: ocrResult.text,
+        excludeFormId
+      });
+    } catch (error) {
+      logger.warn('Could not check for duplicate forms:', error.message);
+    }
+    return { hash, duplicate };
+  }
+
+  async processUpload(job, file, context) {
+    const startTime = Date.now();
+    const { sessionToken } = job.payload;
+    const formId = job.form_processing_id;
+
+    const { ocrResult, images } = await this.runOCR(file, context, job.payload);
+    let crossUserDuplicate = null;
+
+    if (formId) {
+      for (const image of images) {
+        await fileStorageService.storeForForm(formId, image.buffer, {
+          kind: 'PREPROCESSED',
+          pageNumber: image.pageNumber,
+          mimeType: image.mimeType,
+          userId: job.user_id
+        });
+      }
+
+      await trackingService.updateFormProcessingOCR(formId, {
+        providerUsed: ocrResult.provider,
+        confidenceScore: ocrResult.confidence,
+        processingTimeMs: ocrResult.processingTimeMs,
+        extractedTextLength: ocrResult.text?.length || 0,
+        fallbackUsed: ocrResult.fallbackUsed || false,
+        extractedText: ocrResult.text,
+        pageCount: ocrResult.pageCount,
+        pages: ocrResult.pages
+      });
+
+      // Another photo of the user's own form is linked to it rather than analysed again. A match with
+      // someone else's form may be a different crew on the same template, so it is analysed and flagged
+      await context.progress('duplicate_check', 48, 'Checking for duplicate submissions');
+      const { hash, duplicate } = await this.checkForDuplicate(job, file, images, ocrResult, { excludeFormId: formId });
+      if (hash) await duplicateService.saveImageHash(formId, hash);
+      if (duplicate && duplicate.userId !== job.user_id) {
+        await duplicateService.linkSuspectedDuplicate(formId, duplicate, { userId: job.user_id, flagged: true });
+        crossUserDuplicate = duplicate;
+      } else if (duplicate) {
+        await duplicateService.linkSuspectedDuplicate(formId, duplicate, { userId: job.user_id });
+        return {
+          success: true,
+          status: 'suspected_duplicate',
+          message: 'This form looks like one already submitted, so it was linked to it instead of being analysed again',
+          fileId: formId,
+          sessionToken,
+          duplicateOf: job.payload.duplicateOf || null,
+          suspectedDuplicate: duplicateService.describe(duplicate, { userId: job.user_id, accessible: duplicate.userId === job.user_id }),
+          result: null,
+          processingTime: Date.now() - startTime,
+          metadata: {
+            filename: file.originalname,
+            fileSize: file.size,
+            pageCount: ocrResult.pageCount,
+            processingTimestamp: new Date().toISOString()
+          }
+        };
+      }
+    }
+
+    const { analysisResult, template, aiTimeMs } = await this.runAnalysis(ocrResult, context, job.payload);
+
+    // Process and structure the AI results
+    const structuredResult = processAIAnalysisResult(analysisResult);
+
+    await context.progress('saving', 90, 'Saving results');
+    if (formId) {
+      await trackingService.updateFormProcessingAI(formId, {
+        aiProvider: analysisResult.metadata?.provider || 'unknown',
+        processingTimeMs: aiTimeMs,
+        formTypeDetected: structuredResult.formType,
+        riskScore: structuredResult.riskAssessment.score,
+        riskLevel: structuredResult.riskAssessment.level,
+        riskEscalated: structuredResult.riskAssessment.escalated,
+        supervisorFlagged: structuredResult.riskAssessment.level === 'HIGH' || structuredResult.riskAssessment.level === 'CRITICAL' ||
+          Boolean(analysisResult.requiresSupervisorReview) || Boolean(crossUserDuplicate),
+        australianStandardsReferenced: structuredResult.complianceCheck.standardsReferenced,
+        complianceGapsIdentified: structuredResult.safetyIssues?.length || 0,
+        analysisResult: analysisResult,
+        hazardsIdentified: structuredResult.safetyIssues || [],
+        recommendations: structuredResult.recommendations || [],
+        templateId: template?.templateId,
+        extractedFields: template,
+        riskTrace: analysisResult.riskTrace
+      });
+
+      // GPS fix from the upload request first, then the site named on the form
+      try {
+        await siteService.assignForm(formId, {
+          location: job.payload.location,
+          workLocation: templateFieldValue(template, ['site', 'location', 'project']) || analysisResult.workLocation
+        });
+      } catch (error) {
+        logger.warn('Could not assign form to a site:', error.message);
+      }
+    }
+
+    if (job.session_id) {
+      try {
+        await trackingService.updateProcessingSession(job.session_id, {
+          totalFormsProcessed: 1,
+          totalProcessingTimeMs: Date.now() - startTime
+        });
+      } catch (error) {
+        logger.warn('Could not update session statistics:', error.message);
+      }
+    }
+
+    logger.info(`AI analysis completed: ${structuredResult.riskAssessment.level} risk (${structuredResult.riskAssessment.score}/10)`);
+
+    // Same shape the synchronous /upload endpoint used to return
+    return {
+      success: true,
+      message: 'Form processed successfully',
+      fileId: formId,
+      sessionToken,
+      duplicateOf: job.payload.duplicateOf || null,
+      suspectedDuplicate: duplicateService.describe(crossUserDuplicate, { userId: job.user_id }),
+      result: {
+        formType: structuredResult.formType,
+        riskAssessment: structuredResult.riskAssessment,
+        safetyIssues: structuredResult.safetyIssues,
+        recommendations: structuredResult.recommendations,
+        complianceCheck: structuredResult.complianceCheck,
+        template,
+        analysis: analysisResult
+      },
+      processingTime: Date.now() - startTime,
+      metadata: {
+        filename: file.originalname,
+        fileSize: file.size,
+        pageCount: ocrResult.pageCount,
+        processingTimestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  async analyzeForConfirmation(job, file, context) {
+    const startTime = Date.now();
+    const { sessionToken, uploadTimestamp, originalSha256, duplicateOf } = job.payload;
+
+    const { ocrResult, images, layout } = await this.runOCR(file, context, job.payload);
+
+    // No form exists until /confirm, so keep the images now and link them then
+    const preprocessedFiles = [];
+    for (const image of images) {
+      try {
+        const stored = await fileStorageService.store(image.buffer, { mimeType: image.mimeType, userId: job.user_id });
+        preprocessedFiles.push({ sha256: stored.sha256, pageNumber: image.pageNumber });
+      } catch (error) {
+        logger.warn('Could not store preprocessed image:', error.message);
+      }
+    }
+    // Only a warning here: the user decides on /confirm whether it really is a different form
+    const { hash, duplicate } = await this.checkForDuplicate(job, file, images, ocrResult);
+
+    const { analysisResult, template, aiTimeMs } = await this.runAnalysis(ocrResult, context, job.payload);
+    const signatureFields = Object.values(template?.fields || {}).filter(field => field.type === 'signature');
+
+    logger.info(`AI analysis completed: ${analysisResult.formType} - ${analysisResult.riskLevel} risk (${analysisResult.riskScore}/10)`);
+
+    // Word boxes for the side-by-side review; each flagged issue points at the words it came from.
+    // Batch items are served from their batch rather than from the job that ran them.
+    const filesUrl = job.payload.filesUrl || `/api/jobs/${job.id}/files`;
+    const words = locateWords(ocrResult.text, layout.words);
+    attachIssueRegions(analysisResult.flaggedIssues, words);
+    const review = {
+      words,
+      pages: layout.pageSizes.map(size => {
+        // Page images are the preprocessed/rendered ones; an untouched photo was OCR'd as uploaded
+        const stored = preprocessedFiles.find(image => image.pageNumber === size.pageNumber);
+        const sha256 = stored?.sha256 ||
+          (size.pageNumber === 1 && file.mimetype?.startsWith('image/') ? originalSha256 : null);
+        return {
+          ...size,
+          sha256,
+          url: sha256 ? `${filesUrl}/${sha256}` : null
+        };
+      })
+    };
+
+    const fileInfo = {
+      originalFilename: file.originalname,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      uploadTimestamp,
+      sha256: originalSha256,
+      preprocessedFiles,
+      captureMethod: job.payload.captureMethod || null,
+      captureQuality: job.payload.captureQuality || null,
+      imageHash: hash
+    };
+
+    // The form is saved from this draft on /confirm (nothing goes into forms_processing yet)
+    await context.progress('saving', 90, 'Saving draft for review');
+    const { text: extractedText, ...ocrDetails } = ocrResult;
+    let draft;
+    try {
+      draft = await analysisDraftService.createDraft({
+        userId: job.user_id,
+        sessionId: job.session_id,
+        sessionToken,
+        jobId: job.id,
+        extractedText,
+        ocrResult: ocrDetails,
+        originalAnalysis: analysisResult,
+        fileInfo,
+        // GPS fix sent with /analyze, used to place the form on a site on /confirm
+        location: job.payload.location || null
+      });
+    } catch (error) {
+      logger.error('Could not save analysis draft:', error);
+      throw pipelineError(`Failed to save analysis draft: ${error.message}`, { stage: 'saving' });
+    }
+
+    return {
+      success: true,
+      status: 'awaiting_confirmation',
+      draftId: draft.id,
+      draftExpiresAt: draft.expires_at,
+      sessionToken,
+      sessionId: job.session_id,
+      processing: {
+        totalTimeMs: Date.now() - startTime,
+        ocrTimeMs: ocrResult.processingTimeMs,
+        aiTimeMs
+      },
+      ocr: {
+        provider: ocrResult.provider,
+        confidence: ocrResult.confidence,
+        textLength: ocrResult.text.length,
+        fallbackUsed: ocrResult.fallbackUsed,
+        pageCount: ocrResult.pageCount,
+        pages: ocrResult.pages,
+        extractedText: ocrResult.text.substring(0, 500) + (ocrResult.text.length > 500 ? '...' : '') // Preview only
+      },
+      analysis: {
+        formType: analysisResult.formType || 'UNKNOWN',
+        formTypeConfidence: 'HIGH', // You could enhance this based on AI confidence
+        riskScore: analysisResult.riskScore || 5,
+        riskLevel: analysisResult.riskLevel || 'MEDIUM',
+        riskTrace: analysisResult.riskTrace || null,
+        riskAssessment: analysisResult.riskAssessment || null,
+        flaggedIssues: analysisResult.flaggedIssues || [],
+        ppeRequired: [], // Add if your AI provides this
+        complianceIssues: analysisResult.complianceIssues || [],
+        summary: analysisResult.summary || 'Safety analysis completed',
+        requiresSupervisorReview: analysisResult.requiresSupervisorReview || false,
+        formCompleteness: analysisResult.formCompleteness || 'UNKNOWN',
+        missingFields: analysisResult.missingFields || [],
+        positiveFindings: analysisResult.positiveFindings || [],
+        // Pre-filled from the matched template where possible; the user can edit these
+        workLocation: templateFieldValue(template, ['site', 'location', 'project']) || analysisResult.workLocation || 'Not specified',
+        workActivity: templateFieldValue(template, ['task', 'activity', 'workDescription']) || analysisResult.workActivity || 'Not specified',
+        workerDetails: {
+          signaturesPresent: signatureFields.some(field => field.found),
+          supervisorApproval: Boolean(templateFieldValue(template, ['supervisorSignature', 'issuedBy'])),
+          dateCompleted: templateFieldValue(template, ['date', 'validFrom'])
+        },
+        template,
+        emergencyProcedures: {
+          mentioned: false,
+          details: []
+        }
+      },
+      fileInfo,
+      duplicateOf: duplicateOf || null,
+      suspectedDuplicate: duplicateService.describe(duplicate, { userId: job.user_id, accessible: duplicate?.userId === job.user_id }),
+      review,
+      // Company matrix definition for the heat map in the confirmation modal
+      riskMatrix: await riskMatrixService.getMatrix(),
+      confirmationRequired: true,
+      // Full text for checking against the page image; corrections go back as textCorrections
+      extractedText,
+      message: 'Please review and confirm the analysis before saving'
+    };
+  }
+}
+
+const formPipeline = new FormPipeline();
+formPipeline.processAIAnalysisResult = processAIAnalysisResult;
+
+module.exports = formPipeline;
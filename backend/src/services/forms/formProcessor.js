@@ -1,14 +1,16 @@
 // backend/src/services/forms/formProcessor.js - Enhanced with buffer support
 const fs = require('fs');
-const OCRService = require('../ocr/ocrService');
-const AIAnalysisService = require('../ai/aiAnalysisService');
+const ocrService = require('../ocr/ocrService');
+const aiAnalysisService = require('../ai/aiAnalysisService');
 const logger = require('../utils/logger');
-const { calculateRiskScore } = require('../utils/riskScoring');
+const formTemplateService = require('../templates/formTemplateService');
+const { detectFormType, normalizeFormType } = require('./formTypes');
 
 class FormProcessor {
   constructor() {
-    this.ocrService = new OCRService();
-    this.aiService = new AIAnalysisService();
+    // Both services are shared instances, not classes
+    this.ocrService = ocrService;
+    this.aiService = aiAnalysisService;
   }
 
   // Enhanced buffer-based processing method
@@ -43,12 +45,14 @@ class FormProcessor {
         provider: ocrResult.provider
       });
 
-      // Step 2: Determine form type (enhanced with OCR provider info)
-      const formType = metadata.formType && metadata.formType !== 'UNKNOWN' 
-        ? metadata.formType 
-        : this.detectFormType(ocrResult.text);
+      // Step 2: Determine form type - caller's choice, then matching template, then keywords
+      const template = await formTemplateService.matchAndExtract(ocrResult.text, ocrResult.checkboxes || []);
+      const requestedType = normalizeFormType(metadata.formType);
+      const formType = requestedType !== 'UNKNOWN'
+        ? requestedType
+        : template?.formType || this.detectFormType(ocrResult.text);
       
-      logger.info('Form type detected', { formType });
+      logger.info('Form type detected', { formType, templateKey: template?.templateKey });
 
       // Step 3: Enhanced AI Analysis with preprocessing
       logger.info('Starting AI analysis');
@@ -63,12 +67,14 @@ class FormProcessor {
           captureMethod: metadata.captureMethod,
           deviceType: metadata.deviceType,
           originalTextLength: ocrResult.text.length,
+          checkboxes: ocrResult.checkboxes || [],
+          template,
           ...metadata
         }
       );
 
-      // Step 4: Calculate final risk score (combine AI + OCR confidence + context)
-      const finalRiskScore = this.calculateEnhancedRiskScore(analysis, ocrResult, metadata);
+      // Step 4: Final risk score - the risk rules already weighed OCR confidence and capture method
+      const finalRiskScore = analysis.riskScore;
 
       const processingTime = Date.now() - startTime;
 
@@ -76,6 +82,7 @@ class FormProcessor {
         success: true,
         processingTime,
         formType,
+        template,
         
         // Enhanced OCR results
         ocrProvider: ocrResult.provider,
@@ -231,108 +238,9 @@ class FormProcessor {
     return Math.max(0.1, Math.min(1.0, quality));
   }
 
-  // Enhanced risk score calculation with more context
-  calculateEnhancedRiskScore(analysis, ocrResult, metadata) {
-    let riskScore = analysis.riskScore || 5;
-    
-    // OCR confidence adjustments
-    if (ocrResult.confidence < 30) {
-      riskScore = Math.min(10, riskScore + 2);
-      logger.warn('Very low OCR confidence, increasing risk score', {
-        originalScore: analysis.riskScore,
-        adjustedScore: riskScore,
-        ocrConfidence: ocrResult.confidence
-      });
-    } else if (ocrResult.confidence < 50) {
-      riskScore = Math.min(10, riskScore + 1);
-    }
-
-    // Mobile capture adjustments (mobile photos might miss details)
-    if (metadata.captureMethod === 'mobile_camera' && ocrResult.confidence < 80) {
-      riskScore = Math.min(10, riskScore + 1);
-      logger.info('Mobile capture with moderate OCR confidence, increasing risk score', {
-        captureMethod: metadata.captureMethod,
-        ocrConfidence: ocrResult.confidence
-      });
-    }
-
-    // Form completeness adjustments
-    if (analysis.formCompleteness === 'INCOMPLETE') {
-      riskScore = Math.min(10, riskScore + 1);
-    }
-
-    // Critical missing fields
-    if (analysis.missingFields && analysis.missingFields.length > 2) {
-      riskScore = Math.min(10, riskScore + 1);
-    }
-
-    return riskScore;
-  }
-
+  // Same canonical names as the AI prompt and the template registry
   detectFormType(text) {
-    if (!text) return 'UNKNOWN';
-    
-    const upperText = text.toUpperCase();
-    
-    // Enhanced form type detection patterns
-    const formPatterns = {
-      'SWMS': [
-        /SAFE\s+WORK\s+METHOD\s+STATEMENT/i,
-        /SWMS/i,
-        /WORK\s+METHOD/i
-      ],
-      'JSA': [
-        /JOB\s+SAFETY\s+ANALYSIS/i,
-        /JSA/i,
-        /JOB\s+HAZARD\s+ANALYSIS/i
-      ],
-      'JHA': [
-        /JOB\s+HAZARD\s+ANALYSIS/i,
-        /JHA/i
-      ],
-      'TAKE5': [
-        /TAKE\s*5/i,
-        /TAKE\s+FIVE/i,
-        /5\s+MINUTE/i
-      ],
-      'PERMIT': [
-        /WORK\s+PERMIT/i,
-        /PERMIT\s+TO\s+WORK/i,
-        /HOT\s+WORK\s+PERMIT/i
-      ],
-      'INSPECTION': [
-        /SAFETY\s+INSPECTION/i,
-        /INSPECTION\s+CHECKLIST/i,
-        /PRE.*INSPECTION/i
-      ],
-      'HAZARD_ASSESSMENT': [
-        /HAZARD\s+ASSESSMENT/i,
-        /RISK\s+ASSESSMENT/i,
-        /HAZARD.*IDENTIFICATION/i
-      ]
-    };
-
-    // Check for form type patterns
-    for (const [formType, patterns] of Object.entries(formPatterns)) {
-      for (const pattern of patterns) {
-        if (pattern.test(upperText)) {
-          logger.info('Form type detected', { formType, pattern: pattern.toString() });
-          return formType;
-        }
-      }
-    }
-
-    // Fallback: look for safety-related keywords
-    const safetyKeywords = ['HAZARD', 'RISK', 'PPE', 'SAFETY', 'WORK', 'PROCEDURE'];
-    const keywordCount = safetyKeywords.filter(keyword => 
-      upperText.includes(keyword)
-    ).length;
-
-    if (keywordCount >= 2) {
-      return 'SAFETY_FORM';
-    }
-
-    return 'UNKNOWN';
+    return detectFormType(text);
   }
 
   // Enhanced text preprocessing for better AI analysis
@@ -390,10 +298,11 @@ class FormProcessor {
     return headerPatterns.some(pattern => pattern.test(text.trim()));
   }
 
-  // Helper method for batch processing (enhanced)
+  // Helper method for batch processing (enhanced). processItem(item, index) replaces the
+  // built-in OCR + AI run, e.g. for the form batches in services/batches/.
   async processBatch(items, options = {}) {
     const results = [];
-    const { maxConcurrent = 1, isBufferBased = false } = options;
+    const { maxConcurrent = 1, isBufferBased = false, processItem = null, delayMs = 500 } = options;
 
     for (let i = 0; i < items.length; i += maxConcurrent) {
       const batch = items.slice(i, i + maxConcurrent);
@@ -401,7 +310,9 @@ class FormProcessor {
       const batchPromises = batch.map(async (item, index) => {
         try {
           let result;
-          if (isBufferBased) {
+          if (processItem) {
+            result = await processItem(item, i + index);
+          } else if (isBufferBased) {
             // item should be { buffer, metadata }
             result = await this.processFormBuffer(item.buffer, item.metadata);
           } else {
@@ -428,8 +339,8 @@ class FormProcessor {
       results.push(...batchResults);
       
       // Small delay between batches to be gentle on resources
-      if (i + maxConcurrent < items.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+      if (i + maxConcurrent < items.length && delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
       }
     }
 
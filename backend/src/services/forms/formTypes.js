@@ -0,0 +1,74 @@
+// Canonical safety form types
+// One set of names shared by the AI prompt, templates, OCR and the frontend form type picker
+
+const FORM_TYPES = [
+  'TAKE_5',
+  'SWMS',
+  'JSA',
+  'JHA',
+  'JSEA',
+  'PTB',
+  'HAZARD_ASSESSMENT',
+  'PERMIT_TO_WORK',
+  'TOOLBOX_TALK',
+  'INCIDENT_REPORT',
+  'SAFETY_INDUCTION',
+  'UNKNOWN'
+];
+
+// Names older code (and some AI responses) used for the same forms
+const FORM_TYPE_ALIASES = {
+  TAKE5: 'TAKE_5',
+  TAKE_FIVE: 'TAKE_5',
+  PERMIT: 'PERMIT_TO_WORK',
+  WORK_PERMIT: 'PERMIT_TO_WORK',
+  RISK_ASSESSMENT: 'HAZARD_ASSESSMENT',
+  PRE_TASK_BRIEF: 'PTB',
+  SAFETY_FORM: 'UNKNOWN',
+  INSPECTION: 'UNKNOWN'
+};
+
+// Checked in order - more specific titles first (JSEA before JSA, JHA before "hazard assessment")
+const DETECTION_PATTERNS = [
+  ['TAKE_5', [/TAKE\s*5/i, /TAKE\s+FIVE/i, /5\s+MINUTE/i]],
+  ['SWMS', [/SAFE\s+WORK\s+METHOD\s+STATEMENT/i, /\bSWMS\b/i]],
+  ['JSEA', [/JOB\s+SAFETY\s+(AND|&)\s+ENVIRONMENT(AL)?\s+ANALYSIS/i, /\bJSEA\b/i]],
+  ['JHA', [/JOB\s+HAZARD\s+ANALYSIS/i, /\bJHA\b/i]],
+  ['JSA', [/JOB\s+SAFETY\s+ANALYSIS/i, /\bJSA\b/i]],
+  ['PERMIT_TO_WORK', [/PERMIT\s+TO\s+WORK/i, /WORK\s+PERMIT/i, /HOT\s+WORK\s+PERMIT/i]],
+  ['PTB', [/PRE[-\s]?TASK\s+BRIEF/i, /\bPTB\b/i]],
+  ['TOOLBOX_TALK', [/TOOLBOX\s+(TALK|MEETING)/i]],
+  ['INCIDENT_REPORT', [/INCIDENT\s+REPORT/i, /ACCIDENT\s+REPORT/i, /NEAR\s+MISS/i]],
+  ['SAFETY_INDUCTION', [/SITE\s+INDUCTION/i, /SAFETY\s+INDUCTION/i]],
+  ['HAZARD_ASSESSMENT', [/HAZARD\s+ASSESSMENT/i, /RISK\s+ASSESSMENT/i, /HAZARD.*IDENTIFICATION/i]]
+];
+
+/**
+ * Map any spelling of a form type onto FORM_TYPES ("Take 5", "TAKE5" -> "TAKE_5").
+ * Unrecognised values become UNKNOWN.
+ */
+function normalizeFormType(value) {
+  if (!value) return 'UNKNOWN';
+
+  const key = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (FORM_TYPES.includes(key)) return key;
+  return FORM_TYPE_ALIASES[key] || 'UNKNOWN';
+}
+
+// Keyword-based detection for forms that did not match a template
+function detectFormType(text) {
+  if (!text) return 'UNKNOWN';
+
+  for (const [formType, patterns] of DETECTION_PATTERNS) {
+    if (patterns.some(pattern => pattern.test(text))) {
+      return formType;
+    }
+  }
+  return 'UNKNOWN';
+}
+
+module.exports = {
+  FORM_TYPES,
+  normalizeFormType,
+  detectFormType
+};
@@ -0,0 +1,98 @@
+// Idempotency Service
+// Stores the response to each request sent with an Idempotency-Key header so a client retrying after
+// a dropped connection gets the original response back instead of the form being processed twice.
+// Keys are scoped to the user and kept for KEY_TTL_HOURS.
+
+const pool = require('../database/pool');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// A key still in progress after this long belongs to a request that died, and may be reused
+const IN_PROGRESS_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS) || 600;
+
+class IdempotencyService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Claim a key for a request. Returns { state } where state is
+   *   'started'     - first use, the caller should process the request and complete() or release() it
+   *   'completed'   - already processed; responseStatus and responseBody hold what was sent
+   *   'in_progress' - the first request with this key hasn't finished yet
+   *   'mismatch'    - the key was used for a different request
+   */
+  async begin(userId, key, { method, path, requestHash }) {
+    const client = await this.pool.connect();
+    try {
+      // Expired keys are cleared out per user as they come back
+      await client.query(
+        `DELETE FROM idempotency_keys
+         WHERE user_id = $1
+           AND (created_at < NOW() - make_interval(hours => $3)
+                OR (idempotency_key = $2 AND status = 'IN_PROGRESS'
+                    AND created_at < NOW() - make_interval(secs => $4)))`,
+        [userId, key, KEY_TTL_HOURS, IN_PROGRESS_TIMEOUT_SECONDS]
+      );
+
+      const inserted = await client.query(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, request_method, request_path, request_hash)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (user_id, idempotency_key) DO NOTHING
+         RETURNING id`,
+        [userId, key, method, path, requestHash]
+      );
+      if (inserted.rows.length > 0) return { state: 'started' };
+
+      const existing = await client.query(
+        `SELECT request_method, request_path, request_hash, status, response_status, response_body
+         FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2`,
+        [userId, key]
+      );
+      const record = existing.rows[0];
+      // Released between the insert and the select: the caller can simply retry
+      if (!record) return { state: 'in_progress' };
+
+      if (record.request_hash !== requestHash || record.request_method !== method || record.request_path !== path) {
+        return { state: 'mismatch' };
+      }
+      if (record.status === 'IN_PROGRESS') return { state: 'in_progress' };
+
+      return {
+        state: 'completed',
+        responseStatus: record.response_status,
+        responseBody: record.response_body
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  async complete(userId, key, responseStatus, responseBody) {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        `UPDATE idempotency_keys
+         SET status = 'COMPLETED', response_status = $3, response_body = $4, completed_at = NOW()
+         WHERE user_id = $1 AND idempotency_key = $2`,
+        [userId, key, responseStatus, JSON.stringify(responseBody)]
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  // Forget a key whose request failed, so a retry is processed afresh
+  async release(userId, key) {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        `DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND status = 'IN_PROGRESS'`,
+        [userId, key]
+      );
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,394 @@
+// Processing Job Queue
+// Postgres-backed queue: jobs are claimed with FOR UPDATE SKIP LOCKED, retried with
+// exponential backoff, and publish progress events via LISTEN/NOTIFY
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+
+const NOTIFY_CHANNEL = 'processing_job_events';
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED'];
+
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 5 * 60 * 1000;
+// Jobs locked longer than this are assumed to belong to a crashed worker
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS) || 600;
+const ABANDONED_MESSAGE = 'Worker stopped responding and no attempts are left';
+
+function calculateBackoff(attempt) {
+  const exponential = RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempt - 1));
+  const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(RETRY_MAX_DELAY_MS, exponential + jitter);
+}
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.pool = pool;
+    this.instanceId = uuidv4();
+    this.listenClient = null;
+    this.setMaxListeners(0);
+  }
+
+  async enqueue(jobType, { payload = {}, file = null, formId = null, sessionId = null, userId = null, site = null, maxAttempts = 3, priority = 0 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO processing_jobs (
+            job_type, payload, input_file, input_filename, input_mime_type, input_size_bytes,
+            form_processing_id, session_id, user_id, site, max_attempts, priority
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id, job_type, status, stage, progress, attempts, max_attempts,
+                   form_processing_id, session_id, user_id, site, created_at`,
+        [
+          jobType,
+          JSON.stringify(payload),
+          file?.buffer || null,
+          file?.originalname || null,
+          file?.mimetype || null,
+          file?.size || null,
+          formId,
+          sessionId,
+          userId,
+          site,
+          maxAttempts,
+          priority,
+        ]
+      );
+      const job = result.rows[0];
+
+      await this.recordEvent(job.id, { eventType: 'queued', stage: 'queued', progress: 0, message: 'Waiting for a worker' });
+      this.emit('enqueued', job);
+
+      logger.info(`Job enqueued: ${job.id} (${jobType})`);
+      return job;
+    } catch (error) {
+      logger.error('Error enqueuing job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Claims the next runnable job, including jobs abandoned by a crashed worker with attempts left
+  async claimNext(workerId, jobTypes) {
+    await this.failAbandoned(jobTypes);
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE processing_jobs
+         SET status = 'PROCESSING',
+             attempts = attempts + 1,
+             locked_at = NOW(),
+             locked_by = $1,
+             started_at = COALESCE(started_at, NOW())
+         WHERE id = (
+           SELECT id FROM processing_jobs
+           WHERE job_type = ANY($2)
+             AND (
+               (status IN ('QUEUED', 'RETRYING') AND run_at <= NOW())
+               OR (status = 'PROCESSING' AND locked_at < NOW() - make_interval(secs => $3)
+                   AND attempts < max_attempts)
+             )
+           ORDER BY priority DESC, run_at ASC
+           FOR UPDATE SKIP LOCKED
+           LIMIT 1
+         )
+         RETURNING *`,
+        [workerId, jobTypes, LOCK_TIMEOUT_SECONDS]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Jobs whose worker stopped responding on their last attempt fail instead of running again
+  async failAbandoned(jobTypes) {
+    const client = await this.pool.connect();
+    let failed;
+    try {
+      const result = await client.query(
+        `UPDATE processing_jobs
+         SET status = 'FAILED', last_error = $3, result = $4, completed_at = NOW(),
+             locked_at = NULL, locked_by = NULL, input_file = NULL
+         WHERE job_type = ANY($1)
+           AND status = 'PROCESSING'
+           AND locked_at < NOW() - make_interval(secs => $2)
+           AND attempts >= max_attempts
+         RETURNING id, stage, attempts`,
+        [jobTypes, LOCK_TIMEOUT_SECONDS, ABANDONED_MESSAGE, JSON.stringify({ error: ABANDONED_MESSAGE })]
+      );
+      failed = result.rows;
+    } finally {
+      client.release();
+    }
+
+    for (const job of failed) {
+      logger.error(`Job ${job.id} failed after ${job.attempts} attempt(s): ${ABANDONED_MESSAGE}`);
+      await this.recordEvent(job.id, {
+        eventType: 'failed',
+        stage: job.stage,
+        message: ABANDONED_MESSAGE,
+        data: { error: ABANDONED_MESSAGE, stage: job.stage },
+      });
+    }
+    return failed.length;
+  }
+
+  async reportProgress(jobId, stage, progress, message = null, data = null) {
+    return this.recordEvent(jobId, { eventType: 'progress', stage, progress, message, data });
+  }
+
+  // Keeps a long-running job's lock fresh so it isn't taken for abandoned
+  async heartbeat(job) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE processing_jobs SET locked_at = NOW()
+         WHERE id = $1 AND status = 'PROCESSING' AND locked_by = $2`,
+        [job.id, job.locked_by]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Only the worker holding the lock records the outcome; a job reclaimed from it belongs to the new worker
+  async complete(job, result) {
+    const client = await this.pool.connect();
+    let updated;
+    try {
+      updated = await client.query(
+        `UPDATE processing_jobs
+         SET status = 'COMPLETED', stage = 'completed', progress = 100, result = $2,
+             completed_at = NOW(), locked_at = NULL, locked_by = NULL, input_file = NULL
+         WHERE id = $1 AND locked_by = $3`,
+        [job.id, JSON.stringify(result), job.locked_by]
+      );
+    } finally {
+      client.release();
+    }
+
+    if (updated.rowCount === 0) {
+      logger.warn(`Job ${job.id} finished after its lock passed to another worker, result discarded`);
+      return false;
+    }
+
+    await this.recordEvent(job.id, { eventType: 'completed', stage: 'completed', progress: 100, message: 'Processing complete' });
+    logger.info(`Job completed: ${job.id}`);
+    return true;
+  }
+
+  /**
+   * Record a failed attempt. Retryable errors are rescheduled with exponential
+   * backoff until max_attempts is reached; everything else fails the job.
+   */
+  async fail(job, error) {
+    const retryable = error.retryable !== false && job.attempts < job.max_attempts;
+    const failureDetails = {
+      error: error.message,
+      stage: error.stage || job.stage,
+      ...(error.details || {}),
+    };
+    const delayMs = retryable ? calculateBackoff(job.attempts) : 0;
+    const runAt = new Date(Date.now() + delayMs);
+
+    const client = await this.pool.connect();
+    let updated;
+    try {
+      if (retryable) {
+        updated = await client.query(
+          `UPDATE processing_jobs
+           SET status = 'RETRYING', run_at = $2, last_error = $3, locked_at = NULL, locked_by = NULL
+           WHERE id = $1 AND locked_by = $4`,
+          [job.id, runAt, error.message, job.locked_by]
+        );
+      } else {
+        updated = await client.query(
+          `UPDATE processing_jobs
+           SET status = 'FAILED', last_error = $2, result = $3, completed_at = NOW(),
+               locked_at = NULL, locked_by = NULL, input_file = NULL
+           WHERE id = $1 AND locked_by = $4`,
+          [job.id, error.message, JSON.stringify(failureDetails), job.locked_by]
+        );
+      }
+    } finally {
+      client.release();
+    }
+
+    if (updated.rowCount === 0) {
+      logger.warn(`Job ${job.id} failed after its lock passed to another worker: ${error.message}`);
+      return { retrying: false, lost: true };
+    }
+
+    if (retryable) {
+      const delaySeconds = Math.round(delayMs / 1000);
+      logger.warn(`Job ${job.id} attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${delaySeconds}s: ${error.message}`);
+      await this.recordEvent(job.id, {
+        eventType: 'retrying',
+        stage: failureDetails.stage,
+        message: `Attempt ${job.attempts} failed: ${error.message}. Retrying in ${delaySeconds}s`,
+        data: { attempt: job.attempts, maxAttempts: job.max_attempts, nextRunAt: runAt.toISOString() },
+      });
+      return { retrying: true, runAt };
+    }
+
+    logger.error(`Job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+    await this.recordEvent(job.id, {
+      eventType: 'failed',
+      stage: failureDetails.stage,
+      message: error.message,
+      data: failureDetails,
+    });
+    return { retrying: false };
+  }
+
+  async recordEvent(jobId, { eventType, stage = null, progress = null, message = null, data = null }) {
+    const client = await this.pool.connect();
+    let event;
+    try {
+      const result = await client.query(
+        `INSERT INTO processing_job_events (job_id, event_type, stage, progress, message, data)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [jobId, eventType, stage, progress, message, data ? JSON.stringify(data) : null]
+      );
+      event = result.rows[0];
+
+      if (eventType === 'progress') {
+        await client.query(
+          'UPDATE processing_jobs SET stage = $2, progress = COALESCE($3, progress) WHERE id = $1',
+          [jobId, stage, progress]
+        );
+      }
+
+      // Other API instances relay this to their SSE clients
+      await client.query('SELECT pg_notify($1, $2)', [
+        NOTIFY_CHANNEL,
+        JSON.stringify({ origin: this.instanceId, jobId, eventId: event.id }),
+      ]);
+    } catch (error) {
+      logger.error('Error recording job event:', error);
+      return null;
+    } finally {
+      client.release();
+    }
+
+    this.emit(`job:${jobId}`, event);
+    return event;
+  }
+
+  async getJob(jobId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id, job_type, status, stage, progress, attempts, max_attempts, run_at,
+                last_error, result, form_processing_id, session_id, user_id, site,
+                input_filename, started_at, completed_at, created_at, updated_at
+         FROM processing_jobs WHERE id = $1`,
+        [jobId]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Most recent job processing a form
+  async findJobForForm(formId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id, job_type, status, stage, progress, attempts, max_attempts, run_at,
+                last_error, result, form_processing_id, session_id, user_id, site,
+                input_filename, started_at, completed_at, created_at, updated_at
+         FROM processing_jobs WHERE form_processing_id = $1
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [formId]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getEvents(jobId, afterEventId = 0) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM processing_job_events WHERE job_id = $1 AND id > $2 ORDER BY id ASC',
+        [jobId, afterEventId]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getEvent(eventId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM processing_job_events WHERE id = $1', [eventId]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  subscribe(jobId, listener) {
+    this.on(`job:${jobId}`, listener);
+    return () => this.off(`job:${jobId}`, listener);
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  // Relay events published by other instances (workers may run elsewhere)
+  async startListening() {
+    if (this.listenClient) return;
+
+    try {
+      const client = await this.pool.connect();
+      client.on('notification', async (message) => {
+        if (message.channel !== NOTIFY_CHANNEL) return;
+        try {
+          const { origin, jobId, eventId } = JSON.parse(message.payload);
+          if (origin === this.instanceId || this.listenerCount(`job:${jobId}`) === 0) return;
+
+          const event = await this.getEvent(eventId);
+          if (event) this.emit(`job:${jobId}`, event);
+        } catch (error) {
+          logger.warn('Could not relay job notification:', error.message);
+        }
+      });
+      client.on('error', (error) => {
+        logger.error('Job notification listener error:', error.message);
+        this.listenClient = null;
+      });
+
+      await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+      this.listenClient = client;
+      logger.info('Listening for processing job events');
+    } catch (error) {
+      logger.warn('Job event LISTEN unavailable, only in-process events will stream:', error.message);
+    }
+  }
+
+  async stopListening() {
+    if (!this.listenClient) return;
+    try {
+      await this.listenClient.query(`UNLISTEN ${NOTIFY_CHANNEL}`);
+    } finally {
+      this.listenClient.release();
+      this.listenClient = null;
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,103 @@
+// Processing Job Worker
+// Polls the job queue and runs registered handlers, reporting progress as it goes
+
+const os = require('os');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+class JobWorker {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.activeJobs = 0;
+    this.concurrency = 1;
+    this.pollTimer = null;
+    this.onEnqueued = () => this.poll();
+  }
+
+  /**
+   * Handlers receive (job, context) where context.progress(stage, percent, message, data)
+   * publishes a progress event. Throw an error with `retryable = false` for failures
+   * that another attempt will not fix.
+   */
+  registerHandler(jobType, handler) {
+    this.handlers.set(jobType, handler);
+  }
+
+  start({ concurrency, pollIntervalMs } = {}) {
+    if (this.running) return;
+
+    this.concurrency = concurrency || parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+    const interval = pollIntervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.running = true;
+
+    jobQueue.on('enqueued', this.onEnqueued);
+    this.pollTimer = setInterval(() => this.poll(), interval);
+    this.pollTimer.unref();
+
+    logger.info(`Job worker ${this.workerId} started (concurrency ${this.concurrency}, types: ${[...this.handlers.keys()].join(', ')})`);
+    this.poll();
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    jobQueue.off('enqueued', this.onEnqueued);
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    logger.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  async poll() {
+    while (this.running && this.activeJobs < this.concurrency) {
+      // Reserve the slot before the claim so concurrent polls cannot overshoot
+      this.activeJobs++;
+      let job = null;
+      try {
+        job = await jobQueue.claimNext(this.workerId, [...this.handlers.keys()]);
+      } catch (error) {
+        logger.error('Error claiming job:', error);
+      }
+
+      if (!job) {
+        this.activeJobs--;
+        return;
+      }
+
+      this.runJob(job).finally(() => {
+        this.activeJobs--;
+        this.poll();
+      });
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.job_type);
+    const context = {
+      attempt: job.attempts,
+      isFinalAttempt: job.attempts >= job.max_attempts,
+      // Each progress report also renews the lock, so a long job isn't reclaimed while it's running
+      progress: async (stage, percent, message, data) => {
+        await jobQueue.heartbeat(job);
+        return jobQueue.reportProgress(job.id, stage, percent, message, data);
+      },
+    };
+
+    logger.info(`Running job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    try {
+      const result = await handler(job, context);
+      await jobQueue.complete(job, result);
+    } catch (error) {
+      try {
+        await jobQueue.fail(job, error);
+      } catch (failError) {
+        // Lock timeout will hand the job to another worker
+        logger.error(`Could not record failure for job ${job.id}:`, failError);
+      }
+    }
+  }
+}
+
+module.exports = new JobWorker();
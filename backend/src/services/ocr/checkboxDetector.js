@@ -0,0 +1,422 @@
+// backend/src/services/ocr/checkboxDetector.js - Find checkboxes in the page image and read their state
+// Boxes are located from image geometry (square outlines of dark pixels), their interiors are
+// classified as ticked / crossed / empty, and each box is labelled with the nearest OCR text.
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+const STATES = {
+  TICKED: 'TICKED',
+  CROSSED: 'CROSSED',
+  EMPTY: 'EMPTY',
+  NOT_APPLICABLE: 'NOT_APPLICABLE'
+};
+
+// Images are analysed at most this wide; results are scaled back to the original coordinates
+const WORK_WIDTH = parseInt(process.env.CHECKBOX_WORK_WIDTH) || 1600;
+// Below this share of dark interior pixels a box is considered empty
+const EMPTY_MAX_INK = 0.04;
+// Above this the "box" is a solid block or bullet rather than a checkbox
+const FILLED_MIN_INK = 0.75;
+// Both diagonals need at least this coverage for a cross
+const CROSS_MIN_DIAGONAL = 0.5;
+// Shapes up to this share of the median word height are taken for letters, not boxes
+const GLYPH_MAX_HEIGHT = 0.6;
+
+// Column headers and inline options ("[ ] Yes [ ] No [ ] N/A")
+const ANSWER_TOKENS = {
+  yes: 'YES',
+  y: 'YES',
+  no: 'NO',
+  n: 'NO',
+  'n/a': 'N/A',
+  na: 'N/A'
+};
+
+function answerToken(text) {
+  return ANSWER_TOKENS[String(text || '').trim().toLowerCase().replace(/[.:]$/, '')] || null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Otsu's method over a greyscale histogram
+function otsuThreshold(pixels, channels) {
+  const histogram = new Array(256).fill(0);
+  let total = 0;
+  for (let i = 0; i < pixels.length; i += channels) {
+    histogram[pixels[i]]++;
+    total++;
+  }
+
+  let sum = 0;
+  for (let value = 0; value < 256; value++) sum += value * histogram[value];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = 0;
+  let threshold = 128;
+  for (let value = 0; value < 256; value++) {
+    weightBackground += histogram[value];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += value * histogram[value];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = value;
+    }
+  }
+  return threshold;
+}
+
+class CheckboxDetector {
+  constructor() {
+    this.STATES = STATES;
+  }
+
+  /**
+   * Detect checkboxes in an image.
+   * words: [{ text, bbox: { x0, y0, x1, y1 } }] in the same image's pixel coordinates
+   * (from extractWordBoxes). Returns [{ label, state, confidence, bbox, answer? }] where
+   * bbox is { x, y, width, height } and answer is the YES/NO/N/A column the box sits in.
+   */
+  async detect(imageBuffer, words = []) {
+    const startTime = Date.now();
+
+    const { data, info } = await sharp(imageBuffer)
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize({ width: WORK_WIDTH, withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const { width: originalWidth } = await sharp(imageBuffer).metadata();
+    const scale = originalWidth ? width / originalWidth : 1;
+
+    const threshold = otsuThreshold(data, channels);
+    const dark = new Uint8Array(width * height);
+    for (let i = 0, p = 0; p < dark.length; i += channels, p++) {
+      dark[p] = data[i] <= threshold ? 1 : 0;
+    }
+
+    const workWords = words
+      .filter(word => word.text && word.bbox)
+      .map(word => ({
+        text: word.text.trim(),
+        answer: answerToken(word.text),
+        x0: word.bbox.x0 * scale,
+        y0: word.bbox.y0 * scale,
+        x1: word.bbox.x1 * scale,
+        y1: word.bbox.y1 * scale
+      }));
+
+    // Checkboxes are drawn at roughly text size; lower-case letters are about half a word box high
+    const wordHeight = median(workWords.map(word => word.y1 - word.y0).filter(h => h > 0));
+    const minSide = wordHeight ? Math.max(6, wordHeight * GLYPH_MAX_HEIGHT) : Math.max(6, width * 0.008);
+    const maxSide = wordHeight ? wordHeight * 3 : width * 0.05;
+
+    // Letters such as "m" or "o" can close into a small hollow square; one inside a word is part of it
+    const boxes = this.findBoxes(dark, width, height, minSide, maxSide)
+      .filter(box => !workWords.some(word => this.isLetterOf(box, word)));
+
+    // Words printed inside a box ("N/A" written in) are its content, not a label
+    for (const box of boxes) {
+      const inside = workWords.filter(word => this.centreInside(word, box));
+      inside.forEach(word => { word.insideBox = true; });
+      if (inside.some(word => word.answer === 'N/A')) {
+        box.state = STATES.NOT_APPLICABLE;
+      }
+    }
+
+    const checkboxes = boxes.map(box => {
+      const answer = this.findAnswerColumn(box, workWords);
+      const { label } = this.findLabel(box, boxes, workWords, wordHeight || box.y1 - box.y0);
+
+      let state = box.state;
+      if (answer === 'N/A' && state !== STATES.EMPTY) {
+        state = STATES.NOT_APPLICABLE;
+      }
+
+      const labelScore = label ? 1 : 0.6;
+      const result = {
+        label: label || null,
+        state,
+        confidence: Math.round(box.shapeScore * box.stateScore * labelScore * 100) / 100,
+        bbox: {
+          x: Math.round(box.x0 / scale),
+          y: Math.round(box.y0 / scale),
+          width: Math.round((box.x1 - box.x0 + 1) / scale),
+          height: Math.round((box.y1 - box.y0 + 1) / scale)
+        }
+      };
+      if (answer) result.answer = answer;
+      return result;
+    });
+
+    // Reading order: top to bottom, left to right within a row
+    checkboxes.sort((a, b) => (Math.abs(a.bbox.y - b.bbox.y) > a.bbox.height / 2 ? a.bbox.y - b.bbox.y : a.bbox.x - b.bbox.x));
+
+    logger.info('Checkbox detection completed', {
+      checkboxes: checkboxes.length,
+      states: checkboxes.reduce((counts, box) => ({ ...counts, [box.state]: (counts[box.state] || 0) + 1 }), {}),
+      wordBoxes: words.length,
+      processingTime: `${Date.now() - startTime}ms`
+    });
+
+    return checkboxes;
+  }
+
+  // Connected components of dark pixels whose outline is a hollow square
+  findBoxes(dark, width, height, minSide, maxSide) {
+    const labels = new Int32Array(width * height);
+    const stack = new Int32Array(width * height);
+    const boxes = [];
+    let nextLabel = 1;
+
+    for (let start = 0; start < dark.length; start++) {
+      if (!dark[start] || labels[start]) continue;
+
+      let x0 = width;
+      let y0 = height;
+      let x1 = -1;
+      let y1 = -1;
+      let size = 0;
+      let top = 0;
+      stack[top++] = start;
+      labels[start] = nextLabel;
+
+      while (top > 0) {
+        const p = stack[--top];
+        const x = p % width;
+        const y = (p - x) / width;
+        size++;
+        if (x < x0) x0 = x;
+        if (x > x1) x1 = x;
+        if (y < y0) y0 = y;
+        if (y > y1) y1 = y;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            if (nx < 0 || nx >= width) continue;
+            const q = ny * width + nx;
+            if (dark[q] && !labels[q]) {
+              labels[q] = nextLabel;
+              stack[top++] = q;
+            }
+          }
+        }
+      }
+      nextLabel++;
+
+      const boxWidth = x1 - x0 + 1;
+      const boxHeight = y1 - y0 + 1;
+      if (boxWidth < minSide || boxHeight < minSide || boxWidth > maxSide || boxHeight > maxSide) continue;
+      if (boxWidth / boxHeight < 0.7 || boxWidth / boxHeight > 1.4) continue;
+      // An outline has far fewer pixels than its area; this skips solid blobs cheaply
+      if (size > boxWidth * boxHeight * 0.9) continue;
+
+      const box = this.classifyBox(dark, width, { x0, y0, x1, y1 });
+      if (box) boxes.push(box);
+    }
+
+    return boxes;
+  }
+
+  classifyBox(dark, width, { x0, y0, x1, y1 }) {
+    const side = Math.min(x1 - x0, y1 - y0) + 1;
+    const band = Math.max(2, Math.round(side * 0.12));
+    const isDark = (x, y) => dark[y * width + x] === 1;
+
+    // Share of positions along an edge with ink within `band` pixels of that edge
+    const edgeCoverage = (length, probe) => {
+      let covered = 0;
+      for (let i = 0; i < length; i++) {
+        for (let depth = 0; depth < band; depth++) {
+          if (probe(i, depth)) {
+            covered++;
+            break;
+          }
+        }
+      }
+      return covered / length;
+    };
+
+    const edges = [
+      edgeCoverage(x1 - x0 + 1, (i, d) => isDark(x0 + i, y0 + d)),
+      edgeCoverage(x1 - x0 + 1, (i, d) => isDark(x0 + i, y1 - d)),
+      edgeCoverage(y1 - y0 + 1, (i, d) => isDark(x0 + d, y0 + i)),
+      edgeCoverage(y1 - y0 + 1, (i, d) => isDark(x1 - d, y0 + i))
+    ].sort((a, b) => a - b);
+
+    // A tick overshooting the box can pull one edge away from the outline
+    if (edges[1] < 0.85 || edges[0] < 0.5) return null;
+
+    const inset = band + Math.max(1, Math.round(side * 0.08));
+    const ix0 = x0 + inset;
+    const iy0 = y0 + inset;
+    const ix1 = x1 - inset;
+    const iy1 = y1 - inset;
+    if (ix1 - ix0 < 2 || iy1 - iy0 < 2) return null;
+
+    let ink = 0;
+    for (let y = iy0; y <= iy1; y++) {
+      for (let x = ix0; x <= ix1; x++) {
+        ink += dark[y * width + x];
+      }
+    }
+    const inkRatio = ink / ((ix1 - ix0 + 1) * (iy1 - iy0 + 1));
+    if (inkRatio >= FILLED_MIN_INK) return null;
+
+    const shapeScore = edges.reduce((sum, coverage) => sum + coverage, 0) / edges.length;
+    const box = { x0, y0, x1, y1, inkRatio, shapeScore };
+
+    if (inkRatio < EMPTY_MAX_INK) {
+      return { ...box, state: STATES.EMPTY, stateScore: 1 - inkRatio / (EMPTY_MAX_INK * 2) };
+    }
+
+    // Sample both diagonals of the interior, allowing for stroke wobble
+    const radius = Math.max(1, Math.round((ix1 - ix0) * 0.08));
+    const diagonalCoverage = (fromX, fromY, toX, toY) => {
+      const steps = Math.max(ix1 - ix0, iy1 - iy0);
+      let covered = 0;
+      for (let step = 0; step <= steps; step++) {
+        const cx = Math.round(fromX + ((toX - fromX) * step) / steps);
+        const cy = Math.round(fromY + ((toY - fromY) * step) / steps);
+        let hit = false;
+        for (let dy = -radius; dy <= radius && !hit; dy++) {
+          for (let dx = -radius; dx <= radius && !hit; dx++) {
+            const x = cx + dx;
+            const y = cy + dy;
+            if (x >= ix0 && x <= ix1 && y >= iy0 && y <= iy1 && isDark(x, y)) hit = true;
+          }
+        }
+        if (hit) covered++;
+      }
+      return covered / (steps + 1);
+    };
+
+    const mainDiagonal = diagonalCoverage(ix0, iy0, ix1, iy1);
+    const antiDiagonal = diagonalCoverage(ix0, iy1, ix1, iy0);
+
+    if (Math.min(mainDiagonal, antiDiagonal) >= CROSS_MIN_DIAGONAL) {
+      return { ...box, state: STATES.CROSSED, stateScore: 0.6 + 0.4 * Math.min(1, Math.min(mainDiagonal, antiDiagonal)) };
+    }
+
+    // Any other mark counts as a tick; faint marks are less certain
+    return { ...box, state: STATES.TICKED, stateScore: Math.min(0.95, 0.6 + inkRatio * 3) };
+  }
+
+  // The box lies on the word's text line, within a word at least twice its width
+  isLetterOf(box, word) {
+    const cx = (box.x0 + box.x1) / 2;
+    const slack = (box.y1 - box.y0) * 0.2;
+    return word.x1 - word.x0 >= (box.x1 - box.x0 + 1) * 2 &&
+      cx >= word.x0 && cx <= word.x1 &&
+      box.y0 >= word.y0 - slack && box.y1 <= word.y1 + slack;
+  }
+
+  centreInside(word, box) {
+    const cx = (word.x0 + word.x1) / 2;
+    const cy = (word.y0 + word.y1) / 2;
+    return cx >= box.x0 && cx <= box.x1 && cy >= box.y0 && cy <= box.y1;
+  }
+
+  // The YES/NO/N/A header above the box's column, if the form is laid out that way
+  findAnswerColumn(box, words) {
+    const boxWidth = box.x1 - box.x0;
+    const cx = (box.x0 + box.x1) / 2;
+    let nearest = null;
+    for (const word of words) {
+      if (!word.answer || word.insideBox || word.y1 > box.y0) continue;
+      const wordCx = (word.x0 + word.x1) / 2;
+      if (Math.abs(wordCx - cx) > Math.max(boxWidth, (word.x1 - word.x0) / 2)) continue;
+      if (!nearest || word.y1 > nearest.y1) nearest = word;
+    }
+    return nearest ? nearest.answer : null;
+  }
+
+  /**
+   * Label a box with the nearest run of words on its row. Runs with another checkbox in between
+   * only win when nothing else is on the row, which labels "Item ... [ ] Yes [ ] No" style rows.
+   */
+  findLabel(box, boxes, words, lineHeight) {
+    const boxHeight = box.y1 - box.y0;
+    const rowWords = words.filter(word => {
+      if (word.insideBox || word.answer) return false;
+      const overlap = Math.min(word.y1, box.y1) - Math.max(word.y0, box.y0);
+      return overlap >= Math.min(word.y1 - word.y0, boxHeight) * 0.4;
+    });
+
+    const maxGap = lineHeight * 2.5;
+    const runsFrom = sortedWords => {
+      const runs = [];
+      for (const word of sortedWords) {
+        const run = runs[runs.length - 1];
+        const gap = run ? Math.max(word.x0 - run.x1, run.x0 - word.x1) : Infinity;
+        if (run && gap <= maxGap) {
+          run.words.push(word);
+          run.x0 = Math.min(run.x0, word.x0);
+          run.x1 = Math.max(run.x1, word.x1);
+        } else {
+          runs.push({ words: [word], x0: word.x0, x1: word.x1 });
+        }
+      }
+      return runs;
+    };
+
+    const right = runsFrom(rowWords.filter(word => word.x0 >= box.x1 - 2).sort((a, b) => a.x0 - b.x0));
+    const left = runsFrom(rowWords.filter(word => word.x1 <= box.x0 + 2).sort((a, b) => b.x1 - a.x1));
+
+    const blocked = (from, to) => boxes.some(other => other !== box &&
+      other.x0 >= from && other.x1 <= to &&
+      Math.min(other.y1, box.y1) - Math.max(other.y0, box.y0) > boxHeight * 0.4);
+
+    const candidates = [
+      ...(right[0] ? [{ run: right[0], distance: right[0].x0 - box.x1, blocked: blocked(box.x1, right[0].x0) }] : []),
+      ...(left[0] ? [{ run: left[0], distance: box.x0 - left[0].x1, blocked: blocked(left[0].x1, box.x0) }] : [])
+    ].sort((a, b) => (a.blocked - b.blocked) || (a.distance - b.distance));
+
+    const best = candidates[0];
+    if (!best) return { label: null };
+
+    const label = [...best.run.words].sort((a, b) => a.x0 - b.x0).map(word => word.text).join(' ');
+    return { label };
+  }
+
+  /**
+   * Normalise OCR provider output into [{ text, bbox: { x0, y0, x1, y1 } }].
+   * Google Vision: textAnnotations (first entry is the full text). Tesseract: data.words.
+   */
+  extractWordBoxes(provider, raw) {
+    if (provider === 'google_vision') {
+      return (raw || []).slice(1).map(annotation => {
+        const vertices = annotation.boundingPoly?.vertices || [];
+        const xs = vertices.map(vertex => vertex.x || 0);
+        const ys = vertices.map(vertex => vertex.y || 0);
+        return {
+          text: annotation.description,
+          bbox: { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) }
+        };
+      }).filter(word => word.text && Number.isFinite(word.bbox.x0));
+    }
+
+    if (provider === 'tesseract') {
+      return (raw || []).map(word => ({ text: word.text, bbox: word.bbox })).filter(word => word.text && word.bbox);
+    }
+
+    return [];
+  }
+}
+
+module.exports = new CheckboxDetector();
@@ -0,0 +1,235 @@
+// backend/src/services/ocr/documentService.js - Multi-page PDF / TIFF ingestion
+const sharp = require('sharp');
+const ocrService = require('./ocrService');
+const logger = require('../utils/logger');
+
+const PDF_MIME_TYPE = 'application/pdf';
+const TIFF_MIME_TYPES = ['image/tiff', 'image/tif'];
+
+const MAX_PAGES = parseInt(process.env.DOCUMENT_MAX_PAGES) || 30;
+// Pages whose embedded text layer is shorter than this are treated as scans and OCR'd
+const MIN_TEXT_LAYER_CHARS = parseInt(process.env.PDF_MIN_TEXT_LAYER_CHARS) || 40;
+// ~200 DPI, a good balance between OCR accuracy and memory per page
+const PDF_RENDER_SCALE = parseFloat(process.env.PDF_RENDER_SCALE) || 200 / 72;
+
+let pdfjsPromise = null;
+
+// pdfjs-dist only ships as an ES module
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+function pageMarker(pageNumber, pageCount) {
+  return `=== Page ${pageNumber} of ${pageCount} ===`;
+}
+
+function documentError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = false;
+  return error;
+}
+
+class DocumentService {
+  constructor() {
+    this.MAX_PAGES = MAX_PAGES;
+  }
+
+  isSupported(mimetype) {
+    return Boolean(mimetype) && (mimetype.startsWith('image/') || mimetype === PDF_MIME_TYPE);
+  }
+
+  isMultiPageType(mimetype) {
+    return mimetype === PDF_MIME_TYPE || TIFF_MIME_TYPES.includes(mimetype);
+  }
+
+  /**
+   * Split a document into pages. Each page either carries text from a PDF text layer
+   * or an image buffer that still needs OCR.
+   */
+  async splitPages(buffer, mimetype) {
+    if (mimetype === PDF_MIME_TYPE) {
+      return this.splitPdf(buffer);
+    }
+    if (TIFF_MIME_TYPES.includes(mimetype)) {
+      return this.splitTiff(buffer);
+    }
+    return [{ pageNumber: 1, imageBuffer: buffer }];
+  }
+
+  async splitTiff(buffer) {
+    const { pages = 1 } = await sharp(buffer).metadata();
+    if (pages > MAX_PAGES) {
+      throw documentError(`Document has ${pages} pages; the maximum is ${MAX_PAGES}`);
+    }
+
+    const result = [];
+    for (let page = 0; page < pages; page++) {
+      const imageBuffer = await sharp(buffer, { page }).png().toBuffer();
+      result.push({ pageNumber: page + 1, imageBuffer });
+    }
+    return result;
+  }
+
+  async splitPdf(buffer) {
+    const pdfjs = await loadPdfjs();
+
+    let pdf;
+    try {
+      pdf = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        useSystemFonts: false,
+        verbosity: 0
+      }).promise;
+    } catch (error) {
+      throw documentError(`Could not read PDF: ${error.message}`);
+    }
+
+    try {
+      if (pdf.numPages > MAX_PAGES) {
+        throw documentError(`Document has ${pdf.numPages} pages; the maximum is ${MAX_PAGES}`);
+      }
+
+      const result = [];
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const text = await this.extractPdfTextLayer(page);
+
+        if (text.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+          result.push({ pageNumber, text });
+        } else {
+          result.push({ pageNumber, imageBuffer: await this.renderPdfPage(pdf, page) });
+        }
+        page.cleanup();
+      }
+      return result;
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  // Rebuilds lines from positioned text items so checklists keep one item per line
+  async extractPdfTextLayer(page) {
+    const content = await page.getTextContent();
+    let text = '';
+    for (const item of content.items) {
+      if (typeof item.str !== 'string') continue;
+      text += item.str;
+      if (item.hasEOL) text += '\n';
+      else if (item.str && !item.str.endsWith(' ')) text += ' ';
+    }
+    return text.replace(/[ \t]+\n/g, '\n').trim();
+  }
+
+  async renderPdfPage(pdf, page) {
+    const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+    const canvasAndContext = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    try {
+      await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+      return canvasAndContext.canvas.toBuffer('image/png');
+    } finally {
+      pdf.canvasFactory.destroy(canvasAndContext);
+    }
+  }
+
+  /**
+   * Extract text from an image, PDF or multi-page TIFF. Multi-page documents are joined with
+   * "=== Page N of M ===" markers so the analysis can cite page numbers.
+   * onPage(pageNumber, pageCount) is called before each page is processed. Checkboxes detected
+   * on OCR'd pages carry their pageNumber, as do the OCR word boxes in `words`. `images` holds the
+   * preprocessed/rendered page images as Buffers - strip it before serialising the result.
+   * captureMethod and imageQuality are passed on to OCR preprocessing for every page.
+   */
+  async extractText(buffer, { mimetype, onPage, captureMethod, imageQuality } = {}) {
+    const capture = { captureMethod, imageQuality };
+    if (!this.isMultiPageType(mimetype)) {
+      const { processedImage, words = [], imageSize, ...ocrResult } = await ocrService.extractText(buffer, 'auto', capture);
+      return {
+        ...ocrResult,
+        words: words.map(word => ({ ...word, pageNumber: 1 })),
+        pageSizes: imageSize ? [{ pageNumber: 1, ...imageSize }] : [],
+        images: processedImage ? [{ pageNumber: 1, buffer: processedImage, mimeType: 'image/png' }] : []
+      };
+    }
+
+    const pages = await this.splitPages(buffer, mimetype);
+    if (pages.length === 0) {
+      throw documentError('Document has no pages');
+    }
+
+    const pageResults = [];
+    const images = [];
+    const checkboxes = [];
+    const words = [];
+    const pageSizes = [];
+    for (const page of pages) {
+      if (onPage) await onPage(page.pageNumber, pages.length);
+
+      if (page.text !== undefined) {
+        pageResults.push({
+          pageNumber: page.pageNumber,
+          source: 'text_layer',
+          provider: 'pdf_text_layer',
+          confidence: 100,
+          text: page.text
+        });
+        continue;
+      }
+
+      const ocrResult = await ocrService.extractText(page.imageBuffer, 'auto', capture);
+      // Rendered/split pages are kept alongside the original so reviewers see what was OCR'd
+      images.push({ pageNumber: page.pageNumber, buffer: ocrResult.processedImage || page.imageBuffer, mimeType: 'image/png' });
+      checkboxes.push(...(ocrResult.checkboxes || []).map(checkbox => ({ ...checkbox, pageNumber: page.pageNumber })));
+      words.push(...(ocrResult.words || []).map(word => ({ ...word, pageNumber: page.pageNumber })));
+      if (ocrResult.imageSize) pageSizes.push({ pageNumber: page.pageNumber, ...ocrResult.imageSize });
+      pageResults.push({
+        pageNumber: page.pageNumber,
+        source: 'ocr',
+        provider: ocrResult.provider,
+        confidence: ocrResult.confidence,
+        fallbackUsed: ocrResult.fallbackUsed || false,
+        text: ocrResult.text || ''
+      });
+    }
+
+    // Single-page documents are returned exactly like a plain image
+    const text = pageResults.length === 1
+      ? pageResults[0].text
+      : pageResults.map(page => `${pageMarker(page.pageNumber, pageResults.length)}\n${page.text}`).join('\n\n');
+
+    // Weight confidence by how much text each page contributed
+    const totalChars = pageResults.reduce((sum, page) => sum + page.text.length, 0);
+    const confidence = totalChars > 0
+      ? Math.round(pageResults.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / totalChars)
+      : 0;
+
+    const providers = [...new Set(pageResults.map(page => page.provider))];
+
+    logger.info('Document text extraction completed', {
+      mimetype,
+      pageCount: pageResults.length,
+      providers,
+      textLength: text.length
+    });
+
+    return {
+      text,
+      confidence,
+      provider: providers.join('+'),
+      fallbackUsed: pageResults.some(page => page.fallbackUsed),
+      pageCount: pageResults.length,
+      pages: pageResults.map(({ text: pageText, ...page }) => ({ ...page, textLength: pageText.length })),
+      checkboxes,
+      words,
+      pageSizes,
+      images
+    };
+  }
+}
+
+module.exports = new DocumentService();
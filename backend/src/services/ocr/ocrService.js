@@ -4,6 +4,10 @@ const vision = require('@google-cloud/vision');
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
+const checkboxDetector = require('./checkboxDetector');
+const providerRecorder = require('../recording/providerRecorder');
+const formTemplateService = require('../templates/formTemplateService');
+const { detectFormType } = require('../forms/formTypes');
 
 class OCRService {
   constructor() {
@@ -15,18 +19,23 @@ class OCRService {
 
   async initializeProviders() {
     try {
-      // Initialize Google Vision if credentials available
-      if (process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_CLOUD_PROJECT) {
+      // Initialize Google Vision if credentials available (or recorded responses are replayed)
+      if (providerRecorder.mode === providerRecorder.MODES.REPLAY) {
+        this.visionClient = providerRecorder.wrapVisionClient(null);
+      } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_CLOUD_PROJECT) {
         try {
-          this.visionClient = new vision.ImageAnnotatorClient();
+          this.visionClient = providerRecorder.wrapVisionClient(new vision.ImageAnnotatorClient());
           logger.info('Google Vision API initialized successfully');
         } catch (visionError) {
           logger.warn('Google Vision initialization failed', { error: visionError.message });
         }
       }
 
-      // Initialize Tesseract worker
-      await this.initializeTesseract();
+      // Initialize Tesseract worker (TESSERACT_ENABLED=false skips it, e.g. offline where the
+      // language data can't be downloaded)
+      if (process.env.TESSERACT_ENABLED !== 'false') {
+        await this.initializeTesseract();
+      }
       
       this.isInitialized = true;
       logger.info('OCR Service initialized with available providers', {
@@ -84,7 +93,7 @@ class OCRService {
 
       // Only preprocess if it's a mobile capture or low quality image
       const shouldPreprocess = metadata.captureMethod === 'mobile_camera' || 
-                               metadata.imageQuality < 0.7;
+                               (typeof metadata.imageQuality === 'number' && metadata.imageQuality < 0.7);
 
       if (shouldPreprocess) {
         const image = sharp(imageBuffer);
@@ -163,6 +172,7 @@ class OCRService {
           confidence: 0,
           provider: 'google_vision',
           processingTime,
+          words: [],
           metadata: { annotations: 0 }
         };
       }
@@ -175,19 +185,15 @@ class OCRService {
 
       const cleanedText = this.cleanSafetyFormText(fullText);
 
-      // DEBUG: Analyze checkboxes in Google Vision output too
-      const checkboxInfo = this.analyzeCheckboxes(cleanedText);
-      logger.info('Google Vision checkbox detection analysis', checkboxInfo);
-
       return {
         text: cleanedText,
         confidence,
         provider: 'google_vision',
         processingTime,
+        words: checkboxDetector.extractWordBoxes('google_vision', annotations),
         metadata: {
           annotations: annotations.length,
-          fullTextAnnotation: result.fullTextAnnotation ? 'available' : 'none',
-          checkboxes: checkboxInfo
+          fullTextAnnotation: result.fullTextAnnotation ? 'available' : 'none'
         }
       };
 
@@ -229,21 +235,17 @@ class OCRService {
       const cleanedText = this.cleanSafetyFormText(data.text);
       const enhancedConfidence = this.calculateEnhancedConfidence(data);
 
-      // DEBUG: Log checkbox detection
-      const checkboxInfo = this.analyzeCheckboxes(cleanedText);
-      logger.info('Checkbox detection analysis', checkboxInfo);
-
       return {
         text: cleanedText,
         confidence: enhancedConfidence,
         provider: 'tesseract',
         processingTime,
+        words: checkboxDetector.extractWordBoxes('tesseract', data.words),
         metadata: {
           words: data.words?.length || 0,
           lines: data.lines?.length || 0,
           paragraphs: data.paragraphs?.length || 0,
-          originalConfidence: Math.round(data.confidence || 0),
-          checkboxes: checkboxInfo
+          originalConfidence: Math.round(data.confidence || 0)
         }
       };
 
@@ -253,63 +255,14 @@ class OCRService {
     }
   }
 
-  analyzeCheckboxes(text) {
-    // Primary checkbox detection
-    const symbolCheckmarks = (text.match(/[✓✔√]/g) || []).length;
-    const symbolXmarks = (text.match(/[✗✘×]/g) || []).length;
-    const symbolBoxes = (text.match(/[☐☑☒]/g) || []).length;
-    const regularX = (text.match(/\bX\b/g) || []).length;
-    
-    // Alternative detection - look for text patterns that might indicate checkboxes
-    const textPatterns = {
-      // Look for safety items followed by potential checkbox indicators
-      h2sWithX: /H2S.*?(?:X|x|N\/A|\[\s*X\s*\])/i.test(text),
-      hearingWithX: /hearing.*?(?:X|x|N\/A|\[\s*X\s*\])/i.test(text),
-      weatherWithX: /weather.*?(?:X|x|N\/A|\[\s*X\s*\])/i.test(text),
-      barricadWithX: /barricad.*?(?:X|x|N\/A|\[\s*X\s*\])/i.test(text),
-      fallProtectionWithTick: /fall.*protection.*?(?:✓|√|tick|yes|\[\s*✓\s*\])/i.test(text),
-      
-      // Look for checkbox-like patterns in text
-      bracketsWithX: (text.match(/\[\s*[Xx]\s*\]/g) || []).length,
-      bracketsWithTick: (text.match(/\[\s*[✓√]\s*\]/g) || []).length,
-      isolatedX: (text.match(/\s+[Xx]\s+/g) || []).length,
-      
-      // Line-by-line analysis for safety items
-      h2sLine: this.extractLineContaining(text, 'H2S'),
-      hearingLine: this.extractLineContaining(text, 'hearing'),
-      weatherLine: this.extractLineContaining(text, 'weather'),
-      barricadLine: this.extractLineContaining(text, 'barricad'),
-      fallLine: this.extractLineContaining(text, 'fall')
-    };
-    
-    return {
-      // Original symbol detection
-      checkmarks: symbolCheckmarks,
-      xmarks: symbolXmarks,
-      boxes: symbolBoxes,
-      regularX: regularX,
-      
-      // Content detection
-      containsH2S: /H2S/i.test(text),
-      containsHearing: /hearing/i.test(text),
-      containsWeather: /weather/i.test(text),
-      containsBarricad: /barricad/i.test(text),
-      
-      // Pattern analysis
-      textPatterns: textPatterns,
-      
-      // Sample for debugging
-      sampleText: text.substring(0, 500),
-      fullTextLength: text.length
-    };
-  }
-
-  extractLineContaining(text, keyword) {
-    const lines = text.split('\n');
-    const matchingLine = lines.find(line => 
-      line.toLowerCase().includes(keyword.toLowerCase())
-    );
-    return matchingLine ? matchingLine.trim() : null;
+  // Checkbox state comes from the image itself; OCR glyphs like ✓ / X are too unreliable
+  async detectCheckboxes(imageBuffer, words) {
+    try {
+      return await checkboxDetector.detect(imageBuffer, words);
+    } catch (error) {
+      logger.warn('Checkbox detection failed', { error: error.message });
+      return [];
+    }
   }
 
   cleanSafetyFormText(rawText) {
@@ -406,19 +359,28 @@ class OCRService {
         throw new Error('All OCR providers failed');
       }
 
-      // Return best result
-      const bestResult = this.selectBestResult(results);
+      // Return best result; its word boxes label checkboxes and drive the side-by-side review
+      const { words, ...bestResult } = this.selectBestResult(results);
+      const checkboxes = await this.detectCheckboxes(processedBuffer, words);
+      const imageSize = await this.getImageSize(processedBuffer);
       
       logger.info('OCR extraction completed', {
         provider: bestResult.provider,
         confidence: bestResult.confidence,
         textLength: bestResult.text.length,
+        checkboxes: checkboxes.length,
         totalProvidersTried: results.length
       });
 
       return {
         ...bestResult,
-        allResults: results.length > 1 ? results : undefined,
+        checkboxes,
+        // Word boxes are in the pixels of the image that was OCR'd (processedImage when set)
+        words,
+        imageSize,
+        allResults: results.length > 1 ? results.map(({ words: _words, ...result }) => result) : undefined,
+        // Only set when preprocessing changed the image; callers store it, not serialise it
+        processedImage: preprocessing.length > 0 ? processedBuffer : undefined,
         extractedAt: new Date().toISOString()
       };
 
@@ -431,12 +393,25 @@ class OCRService {
         confidence: 0,
         provider: 'none',
         processingTime: 0,
+        checkboxes: [],
+        words: [],
+        imageSize: null,
         error: error.message,
         extractedAt: new Date().toISOString()
       };
     }
   }
 
+  async getImageSize(imageBuffer) {
+    try {
+      const { width, height } = await sharp(imageBuffer).metadata();
+      return width && height ? { width, height } : null;
+    } catch (error) {
+      logger.warn('Could not read image size', { error: error.message });
+      return null;
+    }
+  }
+
   getProviderPriority(preferredProvider, metadata) {
     // Smart provider selection based on context
     if (preferredProvider === 'google_vision') {
@@ -525,18 +500,26 @@ class OCRService {
   async extractSafetyFormData(imageBuffer, metadata = {}) {
     const ocrResult = await this.extractText(imageBuffer, 'auto', metadata);
     const text = ocrResult.text.toLowerCase();
+
+    // Typed values from the matching template; the generic prefixes cover unregistered forms
+    const template = await formTemplateService.matchAndExtract(ocrResult.text, ocrResult.checkboxes || []);
+    const templateValue = (...keys) => {
+      const field = keys.map(key => template?.fields?.[key]).find(candidate => candidate?.found);
+      return field ? field.value : null;
+    };
     
     // Enhanced field extraction patterns
     const extractedData = {
       raw_text: ocrResult.text,
       confidence: ocrResult.confidence,
       provider: ocrResult.provider,
+      template,
       
       // Common safety form fields
-      worker_name: this.extractField(text, ['name:', 'worker:', 'employee:', 'person:']),
-      date: this.extractField(text, ['date:', 'on:', 'day:']),
-      location: this.extractField(text, ['location:', 'site:', 'area:', 'workplace:']),
-      task_description: this.extractField(text, ['task:', 'work:', 'job:', 'activity:']),
+      worker_name: templateValue('workerName') ?? this.extractField(text, ['name:', 'worker:', 'employee:', 'person:']),
+      date: templateValue('date', 'validFrom') ?? this.extractField(text, ['date:', 'on:', 'day:']),
+      location: templateValue('site', 'location', 'project') ?? this.extractField(text, ['location:', 'site:', 'area:', 'workplace:']),
+      task_description: templateValue('task', 'activity', 'workDescription') ?? this.extractField(text, ['task:', 'work:', 'job:', 'activity:']),
       supervisor: this.extractField(text, ['supervisor:', 'manager:', 'foreman:']),
       
       // Safety-specific fields
@@ -545,7 +528,7 @@ class OCRService {
       ppe_required: this.extractPPE(text),
       
       // Form type detection
-      form_type: this.detectFormType(text),
+      form_type: template?.formType || this.detectFormType(text),
       
       // Risk indicators
       risk_level: this.extractRiskLevel(text),
@@ -615,14 +598,9 @@ class OCRService {
     return emergencyKeywords.filter(keyword => text.includes(keyword));
   }
 
+  // Shared with FormProcessor so both report the same canonical type names
   detectFormType(text) {
-    if (text.includes('take 5') || text.includes('take five')) return 'TAKE5';
-    if (text.includes('swms') || text.includes('safe work method')) return 'SWMS';
-    if (text.includes('jsa') || text.includes('job safety analysis')) return 'JSA';
-    if (text.includes('jha') || text.includes('job hazard analysis')) return 'JHA';
-    if (text.includes('risk assessment') || text.includes('hazard assessment')) return 'HAZARD_ASSESSMENT';
-    if (text.includes('permit to work') || text.includes('work permit')) return 'WORK_PERMIT';
-    return 'UNKNOWN';
+    return detectFormType(text);
   }
 
   async cleanup() {
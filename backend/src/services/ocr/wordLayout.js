@@ -0,0 +1,154 @@
+// Word layout - ties OCR word boxes to the extracted text for the side-by-side review
+// Pure functions: words are [{ text, bbox: { x0, y0, x1, y1 }, pageNumber }] in page image pixels.
+
+// A quote matches a run of words when at least this share of its words are found in the run
+const MIN_QUOTE_COVERAGE = 0.6;
+// Extra words allowed inside a run (OCR splits, ticks and stray marks between the quoted words)
+const RUN_SLACK = 3;
+
+// "Isolation," -> "isolation"
+function normalizeToken(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function tokenize(text) {
+  return String(text || '').split(/\s+/).map(normalizeToken).filter(Boolean);
+}
+
+/**
+ * Give each word its character offset in the extracted text so corrections made on the image
+ * can be applied to the text. Words are searched for in reading order; a word that can't be
+ * found (the provider's text and boxes disagree) gets offset null and doesn't move the cursor.
+ */
+function locateWords(text, words) {
+  const source = String(text || '');
+  let cursor = 0;
+  return (words || []).map((word, index) => {
+    const offset = word.text ? source.indexOf(word.text, cursor) : -1;
+    if (offset !== -1) cursor = offset + word.text.length;
+    return {
+      index,
+      text: word.text,
+      pageNumber: word.pageNumber || 1,
+      bbox: word.bbox,
+      offset: offset === -1 ? null : offset
+    };
+  });
+}
+
+function unionBox(boxes) {
+  return {
+    x0: Math.min(...boxes.map(box => box.x0)),
+    y0: Math.min(...boxes.map(box => box.y0)),
+    x1: Math.max(...boxes.map(box => box.x1)),
+    y1: Math.max(...boxes.map(box => box.y1))
+  };
+}
+
+/**
+ * Find the run of words a quote came from. Slides a window over each page's words and keeps the
+ * one containing the most quote words, trimmed to its first and last matching word.
+ * Returns { pageNumber, bbox, wordIndexes } or null when no run covers enough of the quote.
+ */
+function findQuoteRegion(words, quote, { pageNumber = null } = {}) {
+  const quoteTokens = tokenize(quote);
+  if (quoteTokens.length === 0) return null;
+
+  const candidates = (words || [])
+    .map((word, index) => ({ word, index, token: normalizeToken(word.text) }))
+    .filter(entry => entry.token && entry.word.bbox && (!pageNumber || (entry.word.pageNumber || 1) === pageNumber));
+
+  const windowSize = quoteTokens.length + RUN_SLACK;
+  let best = null;
+  for (let start = 0; start < candidates.length; start++) {
+    if (!quoteTokens.includes(candidates[start].token)) continue;
+
+    const remaining = [...quoteTokens];
+    const matched = [];
+    const page = candidates[start].word.pageNumber || 1;
+    for (let position = start; position < Math.min(candidates.length, start + windowSize); position++) {
+      const entry = candidates[position];
+      if ((entry.word.pageNumber || 1) !== page) break;
+      const tokenIndex = remaining.indexOf(entry.token);
+      if (tokenIndex !== -1) {
+        remaining.splice(tokenIndex, 1);
+        matched.push(entry);
+      }
+    }
+
+    const coverage = matched.length / quoteTokens.length;
+    if (coverage >= MIN_QUOTE_COVERAGE && (!best || coverage > best.coverage)) {
+      best = { coverage, matched, page };
+    }
+  }
+
+  if (!best) return null;
+  const first = best.matched[0].index;
+  const last = best.matched[best.matched.length - 1].index;
+  const run = candidates.filter(entry => entry.index >= first && entry.index <= last);
+  return {
+    pageNumber: best.page,
+    bbox: unionBox(run.map(entry => entry.word.bbox)),
+    wordIndexes: run.map(entry => entry.index)
+  };
+}
+
+// "page 3 - Hazard controls" -> { pageNumber: 3, text: 'Hazard controls' }
+function parseIssueLocation(location) {
+  const match = /^\s*page\s+(\d+)\s*[-:,]?\s*(.*)$/i.exec(location || '');
+  if (!match) return { pageNumber: null, text: location || '' };
+  return { pageNumber: Number(match[1]), text: match[2] };
+}
+
+/**
+ * Where on the form each flagged issue came from: the quoted sourceText first, then the
+ * section named in its location. Sets issue.sourceRegion ({ pageNumber, bbox, wordIndexes }
+ * or null) and returns the issues.
+ */
+function attachIssueRegions(flaggedIssues, words) {
+  for (const issue of flaggedIssues || []) {
+    const location = parseIssueLocation(issue.location);
+    issue.sourceRegion = findQuoteRegion(words, issue.sourceText, { pageNumber: location.pageNumber }) ||
+      findQuoteRegion(words, issue.sourceText) ||
+      findQuoteRegion(words, location.text, { pageNumber: location.pageNumber }) ||
+      null;
+  }
+  return flaggedIssues;
+}
+
+/**
+ * Apply reviewer corrections to the extracted text. Each correction is
+ * { offset, original, corrected }; one whose original no longer sits at its offset (stale or
+ * tampered) is skipped. Returns { text, applied, skipped }.
+ */
+function applyTextCorrections(text, corrections) {
+  let result = String(text || '');
+  const applied = [];
+  const skipped = [];
+
+  // Work from the end so earlier offsets stay valid
+  const ordered = [...(corrections || [])].sort((a, b) => (b.offset ?? -1) - (a.offset ?? -1));
+  let limit = Infinity;
+  for (const correction of ordered) {
+    const { offset, original, corrected } = correction || {};
+    const valid = Number.isInteger(offset) && typeof original === 'string' && original.length > 0 &&
+      typeof corrected === 'string' && offset + original.length <= limit &&
+      result.slice(offset, offset + original.length) === original;
+    if (!valid) {
+      skipped.push(correction);
+      continue;
+    }
+    result = result.slice(0, offset) + corrected + result.slice(offset + original.length);
+    limit = offset;
+    applied.push({ offset, original, corrected, wordIndex: correction.wordIndex ?? null });
+  }
+
+  return { text: result, applied: applied.reverse(), skipped };
+}
+
+module.exports = {
+  locateWords,
+  findQuoteRegion,
+  attachIssueRegions,
+  applyTextCorrections
+};
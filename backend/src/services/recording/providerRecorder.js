@@ -0,0 +1,160 @@
+// Provider recorder - capture real OCR and AI provider responses to fixture files and replay them
+// PROVIDER_RECORDING=record passes calls through to Google Vision and the AI providers and saves
+// each response; PROVIDER_RECORDING=replay answers from the saved responses without credentials
+// or network, so scripts and tests run offline and give the same result every time.
+// Fixtures live in PROVIDER_FIXTURES_DIR (default: fixtures/providers under the working directory).
+//
+// Responses are keyed by request: the image bytes for Vision; provider, model and both prompts for
+// AI providers. A changed prompt therefore needs a new recording - replay reports the missing key.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+const VISION_PROVIDER = 'google_vision';
+
+function recordingError(message) {
+  const error = new Error(message);
+  error.code = 'RECORDING_NOT_FOUND';
+  return error;
+}
+
+function requestKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').substring(0, 16);
+}
+
+class ProviderRecorder {
+  constructor() {
+    this.MODES = MODES;
+    this.configure();
+  }
+
+  /**
+   * Set the mode and fixture directory (both default to the environment). Only affects clients
+   * and providers wrapped afterwards.
+   */
+  configure({ mode = process.env.PROVIDER_RECORDING, dir = process.env.PROVIDER_FIXTURES_DIR } = {}) {
+    const normalized = String(mode || MODES.OFF).trim().toLowerCase();
+    if (!Object.values(MODES).includes(normalized)) {
+      throw new Error(`Unknown provider recording mode "${mode}" - use ${Object.values(MODES).join(', ')}`);
+    }
+    this.mode = normalized;
+    this.dir = path.resolve(dir || path.join(process.cwd(), 'fixtures', 'providers'));
+    if (this.mode !== MODES.OFF) {
+      logger.info(`Provider recording: ${this.mode} (${this.dir})`);
+    }
+    return this;
+  }
+
+  get enabled() {
+    return this.mode !== MODES.OFF;
+  }
+
+  fixturePath(provider, key) {
+    return path.join(this.dir, provider, `${key}.json`);
+  }
+
+  read(provider, key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.fixturePath(provider, key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  write(provider, key, request, response) {
+    const file = this.fixturePath(provider, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      provider,
+      key,
+      recordedAt: new Date().toISOString(),
+      request,
+      response
+    }, null, 2) + '\n');
+    logger.info(`Recorded ${provider} response`, { key });
+  }
+
+  // Whether any response has been recorded for a provider
+  hasRecordings(provider) {
+    try {
+      return fs.readdirSync(path.join(this.dir, provider)).some(file => file.endsWith('.json'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  replay(provider, key, description) {
+    const fixture = this.read(provider, key);
+    if (!fixture) {
+      throw recordingError(`No recorded ${provider} response for ${description} (${this.fixturePath(provider, key)}) - ` +
+        'run once with PROVIDER_RECORDING=record to capture it');
+    }
+    return fixture.response;
+  }
+
+  /**
+   * Wrap a Google Vision ImageAnnotatorClient (only textDetection is used). In replay mode no real
+   * client is needed - pass null - and the result is null when nothing has been recorded.
+   */
+  wrapVisionClient(client) {
+    if (this.mode === MODES.OFF) return client;
+    if (this.mode === MODES.REPLAY && !this.hasRecordings(VISION_PROVIDER)) return null;
+
+    return {
+      textDetection: async (request) => {
+        const content = request?.image?.content;
+        const key = requestKey([VISION_PROVIDER, crypto.createHash('sha256').update(content || '').digest('hex')]);
+
+        if (this.mode === MODES.REPLAY) {
+          return [this.replay(VISION_PROVIDER, key, 'this image')];
+        }
+
+        const [result] = await client.textDetection(request);
+        // Only the word annotations are read (see ocrService.extractTextWithGoogleVision)
+        this.write(VISION_PROVIDER, key, { imageBytes: content?.length || 0 }, {
+          textAnnotations: result?.textAnnotations || []
+        });
+        return [result];
+      }
+    };
+  }
+
+  /**
+   * Wrap an AI provider (see ai/providers/providerRegistry.js). In replay mode a provider counts
+   * as configured when it has recordings, whether or not its credentials are set.
+   */
+  wrapProvider(provider) {
+    if (this.mode === MODES.OFF) return provider;
+
+    const wrapped = Object.create(provider);
+    wrapped.isConfigured = () => (this.mode === MODES.REPLAY ? this.hasRecordings(provider.name) : provider.isConfigured());
+    wrapped.complete = async (request) => {
+      const key = requestKey([provider.name, provider.model || null, request.systemPrompt || null, request.prompt]);
+
+      if (this.mode === MODES.REPLAY) {
+        return this.replay(provider.name, key, 'this prompt');
+      }
+
+      const completion = await provider.complete(request);
+      // The prompts are kept so a recording can be matched up by eye when a key goes missing
+      this.write(provider.name, key, {
+        model: provider.model || null,
+        systemPrompt: request.systemPrompt || null,
+        prompt: request.prompt
+      }, completion);
+      return completion;
+    };
+    return wrapped;
+  }
+}
+
+module.exports = new ProviderRecorder();
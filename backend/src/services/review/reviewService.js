@@ -0,0 +1,258 @@
+// Supervisor Review Service
+// Review queue, claiming and approve/reject/request-changes decisions for flagged forms
+
+const pool = require('../database/pool');
+const trackingService = require('../database/trackingService');
+const { buildScopeFilter } = require('../database/scopeFilter');
+const logger = require('../utils/logger');
+
+const REVIEW_STATUSES = ['PENDING_REVIEW', 'APPROVED', 'REJECTED', 'CHANGES_REQUESTED', 'NOT_REQUIRED'];
+
+const REVIEW_DECISIONS = {
+  APPROVE: { status: 'APPROVED', event: 'review_approved', notesRequired: false },
+  REJECT: { status: 'REJECTED', event: 'review_rejected', notesRequired: true },
+  REQUEST_CHANGES: { status: 'CHANGES_REQUESTED', event: 'review_changes_requested', notesRequired: true },
+};
+
+// Claims older than this are treated as abandoned and can be taken over
+const CLAIM_TIMEOUT_MINUTES = parseInt(process.env.REVIEW_CLAIM_TIMEOUT_MINUTES) || 30;
+
+function reviewError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isAdmin(user) {
+  return user.role === 'ADMIN' || user.role === 'SUPER_ADMIN';
+}
+
+class ReviewService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Forms awaiting review, highest risk first and oldest first within a risk band.
+   */
+  async getQueue(scope = {}, options = {}) {
+    const status = options.status || 'PENDING_REVIEW';
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw reviewError(`Invalid review status: ${status}`, 400);
+    }
+
+    const limit = Math.min(parseInt(options.limit) || 50, 200);
+    const offset = parseInt(options.offset) || 0;
+    const params = [status, limit, offset];
+
+    let claimFilter = '';
+    if (options.claimedBy) {
+      params.push(options.claimedBy);
+      claimFilter = ` AND fp.review_claimed_by = $${params.length}`;
+    }
+
+    const scopeFilter = buildScopeFilter(scope, { alias: 'fp', paramOffset: params.length });
+    params.push(...scopeFilter.params);
+
+    const client = await this.pool.connect();
+    try {
+      const query = `
+        SELECT fp.id, fp.original_filename, fp.form_type_detected, fp.risk_score, fp.risk_level,
+               fp.risk_escalated, fp.site, fp.created_at, fp.review_status,
+               fp.review_claimed_by, fp.review_claimed_at, fp.reviewed_by, fp.reviewed_at, fp.review_notes,
+               fp.ai_analysis_result->>'summary' as summary,
+               submitter.name as submitted_by_name,
+               claimer.name as claimed_by_name,
+               (fp.review_claimed_at IS NOT NULL
+                 AND fp.review_claimed_at > NOW() - make_interval(mins => ${CLAIM_TIMEOUT_MINUTES})) as claim_active,
+               (SELECT COUNT(*) FROM form_hazards fh WHERE fh.form_processing_id = fp.id) as hazard_count,
+               EXTRACT(EPOCH FROM (NOW() - fp.created_at)) / 3600 as age_hours,
+               COUNT(*) OVER() as total_count
+        FROM forms_processing fp
+        LEFT JOIN users submitter ON submitter.id = fp.user_id
+        LEFT JOIN users claimer ON claimer.id = fp.review_claimed_by
+        WHERE fp.review_status = $1${claimFilter}${scopeFilter.clause}
+        ORDER BY
+          CASE fp.risk_level
+            WHEN 'CRITICAL' THEN 4
+            WHEN 'HIGH' THEN 3
+            WHEN 'MEDIUM' THEN 2
+            WHEN 'LOW' THEN 1
+            ELSE 0
+          END DESC,
+          fp.risk_score DESC NULLS LAST,
+          fp.created_at ASC
+        LIMIT $2 OFFSET $3
+      `;
+
+      const result = await client.query(query, params);
+      return {
+        forms: result.rows,
+        total: parseInt(result.rows[0]?.total_count) || 0,
+        limit,
+        offset,
+      };
+    } catch (error) {
+      logger.error('Error fetching review queue:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async claimForm(formId, user) {
+    const client = await this.pool.connect();
+    let form;
+    try {
+      const result = await client.query(
+        `UPDATE forms_processing
+         SET review_claimed_by = $2, review_claimed_at = NOW()
+         WHERE id = $1
+           AND review_status = 'PENDING_REVIEW'
+           AND (user_id IS DISTINCT FROM $2 OR $3::boolean)
+           AND (review_claimed_by IS NULL
+                OR review_claimed_by = $2
+                OR review_claimed_at < NOW() - make_interval(mins => ${CLAIM_TIMEOUT_MINUTES}))
+         RETURNING *`,
+        [formId, user.id, isAdmin(user)]
+      );
+      form = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    if (!form) {
+      await this.explainUnavailable(formId, user);
+    }
+
+    await trackingService.logAuditEvent(formId, form.session_id, 'review_claimed', {
+      reviewerId: user.id,
+      reviewerEmail: user.email,
+    }, user.id);
+
+    logger.info(`Form ${formId} claimed for review by ${user.id}`);
+    return form;
+  }
+
+  async releaseClaim(formId, user) {
+    const client = await this.pool.connect();
+    let form;
+    try {
+      const result = await client.query(
+        `UPDATE forms_processing
+         SET review_claimed_by = NULL, review_claimed_at = NULL
+         WHERE id = $1
+           AND review_status = 'PENDING_REVIEW'
+           AND (review_claimed_by = $2 OR $3::boolean)
+         RETURNING *`,
+        [formId, user.id, isAdmin(user)]
+      );
+      form = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    if (!form) {
+      throw reviewError('Form is not claimed by you', 409);
+    }
+
+    await trackingService.logAuditEvent(formId, form.session_id, 'review_released', {
+      reviewerId: user.id,
+    }, user.id);
+
+    return form;
+  }
+
+  async decide(formId, user, { decision, notes }) {
+    const decisionConfig = REVIEW_DECISIONS[decision];
+    if (!decisionConfig) {
+      throw reviewError(`Invalid decision: ${decision}. Expected one of ${Object.keys(REVIEW_DECISIONS).join(', ')}`, 400);
+    }
+
+    const trimmedNotes = typeof notes === 'string' ? notes.trim() : '';
+    if (decisionConfig.notesRequired && !trimmedNotes) {
+      throw reviewError('Notes are required when rejecting or requesting changes', 400);
+    }
+
+    const client = await this.pool.connect();
+    let form;
+    try {
+      // The reviewer must hold the claim, or the form must be unclaimed / claim expired
+      const result = await client.query(
+        `UPDATE forms_processing
+         SET review_status = $3,
+             review_notes = $4,
+             reviewed_by = $2,
+             reviewed_at = NOW(),
+             review_claimed_by = NULL,
+             review_claimed_at = NULL
+         WHERE id = $1
+           AND review_status = 'PENDING_REVIEW'
+           AND (user_id IS DISTINCT FROM $2 OR $5::boolean)
+           AND (review_claimed_by IS NULL
+                OR review_claimed_by = $2
+                OR review_claimed_at < NOW() - make_interval(mins => ${CLAIM_TIMEOUT_MINUTES}))
+         RETURNING *`,
+        [formId, user.id, decisionConfig.status, trimmedNotes || null, isAdmin(user)]
+      );
+      form = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    if (!form) {
+      await this.explainUnavailable(formId, user);
+    }
+
+    await trackingService.logAuditEvent(formId, form.session_id, decisionConfig.event, {
+      decision,
+      reviewStatus: decisionConfig.status,
+      notes: trimmedNotes || null,
+      reviewerId: user.id,
+      reviewerEmail: user.email,
+      riskLevel: form.risk_level,
+      riskScore: form.risk_score,
+    }, user.id);
+
+    logger.info(`Form ${formId} review decision ${decision} by ${user.id}`);
+    return form;
+  }
+
+  async getReviewHistory(formId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT al.event_type, al.event_timestamp, al.event_details, u.name as user_name
+         FROM forms_audit_log al
+         LEFT JOIN users u ON u.id = al.user_id
+         WHERE al.form_processing_id = $1 AND al.event_type LIKE 'review_%'
+         ORDER BY al.event_timestamp ASC`,
+        [formId]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Works out why a claim/decision update matched no rows and throws accordingly
+  async explainUnavailable(formId, user) {
+    const form = await trackingService.getFormById(formId);
+
+    if (!form) {
+      throw reviewError('Form not found', 404);
+    }
+    if (form.review_status !== 'PENDING_REVIEW') {
+      throw reviewError(`Form is not awaiting review (status: ${form.review_status})`, 409);
+    }
+    if (form.user_id === user.id && !isAdmin(user)) {
+      throw reviewError('You cannot review a form you submitted', 403);
+    }
+    throw reviewError('Form is currently claimed by another reviewer', 409);
+  }
+}
+
+const reviewService = new ReviewService();
+reviewService.REVIEW_STATUSES = REVIEW_STATUSES;
+reviewService.REVIEW_DECISIONS = Object.keys(REVIEW_DECISIONS);
+module.exports = reviewService;
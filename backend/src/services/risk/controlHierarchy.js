@@ -0,0 +1,149 @@
+// Hierarchy of controls - classify each control measure from most to least effective
+// Pure functions; the AI classifies controls in its response and these keyword patterns cover
+// anything it left out (and the fallback analysis, which has no AI at all).
+//
+// Classified control shape: { description, level: CONTROL_HIERARCHY entry | null, source: 'ai' | 'keyword' | null }
+
+// Most to least effective
+const CONTROL_HIERARCHY = ['ELIMINATION', 'SUBSTITUTION', 'ISOLATION', 'ENGINEERING', 'ADMINISTRATIVE', 'PPE'];
+
+// Administrative controls and PPE rely on people doing the right thing every time
+const LOWER_ORDER_CONTROLS = ['ADMINISTRATIVE', 'PPE'];
+
+// Checked most effective first, so "replace ladder with EWP and wear harness" counts as substitution
+const CONTROL_PATTERNS = {
+  ELIMINATION: [
+    /\beliminat/i,
+    /\bremov(e|ed|al of)\b.*\bhazard/i,
+    /\bdesign(ed)? out\b/i,
+    /\b(work|assemble|done) (from|at) ground level\b/i,
+    /\bno (longer|work at height|hot work) required\b/i
+  ],
+  SUBSTITUTION: [
+    /\bsubstitut/i,
+    /\breplac(e|ed|ing)\b.*\bwith\b/i,
+    /\b(less|non)[- ]?(hazardous|toxic)\b/i,
+    /\bwater[- ]based\b/i,
+    /\blow(er)?[- ]voltage\b/i,
+    /\b(elevated work platform|EWP|scissor lift|boom lift)\b/i
+  ],
+  ISOLATION: [
+    /\bisolat/i,
+    /\block[- ]?out\b|\btag[- ]?out\b|\bLOTO\b/i,
+    /\bde-?energi[sz]/i,
+    /\bbarricad/i,
+    /\bexclusion zone\b|\bno[- ]go zone\b/i,
+    /\bfenc(e|ed|ing)\b|\bsegregat/i,
+    /\bpedestrian separation\b/i
+  ],
+  ENGINEERING: [
+    /\bguard(s|ed|ing|rail|rails)?\b/i,
+    /\bhandrail|\bedge protection\b|\bscaffold/i,
+    /\bventilat|\bextraction\b|\bfume extract/i,
+    /\binterlock/i,
+    /\b(RCD|residual current device|earth leakage)\b/i,
+    /\bshoring\b|\btrench (shield|box)\b|\bbenching\b/i,
+    /\bmechanical aid|\bhoist\b|\btrolley\b|\blifting device\b/i,
+    /\bstatic line\b|\banchor point/i
+  ],
+  ADMINISTRATIVE: [
+    /\bprocedure|\bSWMS\b|\bJSA\b|\bsafe work method\b/i,
+    /\btrain(ed|ing)\b|\binduct(ed|ion)\b|\bcompeten(t|cy)\b|\blicen[cs]e/i,
+    /\bpermit\b|\bsign(s|age)?\b|\bsupervis/i,
+    /\btoolbox\b|\bbriefing\b|\bspotter\b|\bobserver\b|\bstandby\b/i,
+    /\binspect|\bcheck(ed|list)?\b|\bpre[- ]start\b/i,
+    /\bgas (test|detector|monitor)|\batmospheric (test|monitoring)\b/i,
+    /\bjob rotation\b|\brest breaks?\b|\bwork schedul/i,
+    /\bcommunicat|\bradio\b|\bemergency (plan|procedure)\b/i
+  ],
+  PPE: [
+    /\bPPE\b|\bpersonal protective\b/i,
+    /\bgloves?\b|\bgoggles?\b|\bglasses\b|\bface shield\b|\bvisor\b/i,
+    /\bhard ?hat\b|\bhelmet\b/i,
+    /\bharness\b|\blanyard\b|\bfall arrest\b/i,
+    /\brespirator\b|\bdust mask\b|\bP2 mask\b|\bBA set\b|\bbreathing apparatus\b/i,
+    /\bear ?(plugs?|muffs?)\b|\bhearing protection\b/i,
+    /\bhi[- ]?vis\b|\bhigh[- ]visibility\b|\b(safety|steel[- ]cap(ped)?) (boots|shoes)\b|\bcoveralls?\b/i
+  ]
+};
+
+const LEVEL_ALIASES = {
+  ELIMINATE: 'ELIMINATION',
+  SUBSTITUTE: 'SUBSTITUTION',
+  ISOLATE: 'ISOLATION',
+  ENGINEERING_CONTROL: 'ENGINEERING',
+  ENGINEERING_CONTROLS: 'ENGINEERING',
+  ADMIN: 'ADMINISTRATIVE',
+  ADMINISTRATION: 'ADMINISTRATIVE',
+  ADMINISTRATIVE_CONTROL: 'ADMINISTRATIVE',
+  ADMINISTRATIVE_CONTROLS: 'ADMINISTRATIVE',
+  PERSONAL_PROTECTIVE_EQUIPMENT: 'PPE'
+};
+
+function normalizeLevel(level) {
+  if (typeof level !== 'string') return null;
+  const key = level.trim().toUpperCase().replace(/[\s\-/]+/g, '_');
+  const normalized = LEVEL_ALIASES[key] || key;
+  return CONTROL_HIERARCHY.includes(normalized) ? normalized : null;
+}
+
+// Keyword classification of one control; null when nothing matches
+function classifyControl(text) {
+  if (!text) return null;
+  return CONTROL_HIERARCHY.find(level => CONTROL_PATTERNS[level].some(pattern => pattern.test(text))) || null;
+}
+
+// A string, the AI's { control, hierarchy } or an already classified control -> classified control
+function normalizeControl(control) {
+  const description = typeof control === 'string'
+    ? control
+    : String(control?.description || control?.control || '');
+  const aiLevel = typeof control === 'object' ? normalizeLevel(control?.level || control?.hierarchy) : null;
+  if (aiLevel) {
+    return { description, level: aiLevel, source: control.source || 'ai' };
+  }
+
+  const level = classifyControl(description);
+  return { description, level, source: level ? 'keyword' : null };
+}
+
+/**
+ * Classify an issue's existing and recommended controls, and summarise the existing ones:
+ * controlHierarchy: { highestLevel, levels, lowerOrderOnly }
+ * lowerOrderOnly is true only when every existing control is classified as administrative or PPE.
+ */
+function classifyIssueControls(issue) {
+  const controlMeasures = (issue.controlMeasures || []).map(normalizeControl).filter(control => control.description);
+  const additionalControls = (issue.additionalControls || []).map(normalizeControl).filter(control => control.description);
+
+  const levels = [...new Set(controlMeasures.map(control => control.level).filter(Boolean))]
+    .sort((a, b) => CONTROL_HIERARCHY.indexOf(a) - CONTROL_HIERARCHY.indexOf(b));
+
+  return {
+    ...issue,
+    controlMeasures,
+    additionalControls,
+    controlHierarchy: {
+      highestLevel: levels[0] || null,
+      levels,
+      lowerOrderOnly: controlMeasures.length > 0 &&
+        controlMeasures.every(control => LOWER_ORDER_CONTROLS.includes(control.level))
+    }
+  };
+}
+
+// Mutates and returns the analysis
+function classifyAnalysisControls(analysis) {
+  analysis.flaggedIssues = (analysis.flaggedIssues || []).map(classifyIssueControls);
+  return analysis;
+}
+
+module.exports = {
+  CONTROL_HIERARCHY,
+  LOWER_ORDER_CONTROLS,
+  normalizeLevel,
+  classifyControl,
+  normalizeControl,
+  classifyIssueControls,
+  classifyAnalysisControls
+};
@@ -0,0 +1,161 @@
+// Starter risk escalation rules, seeded as version 1 by setupDatabase.js
+// Admins tune them (or add their own) through /api/risk-rules; every edit creates a new version.
+// These reproduce the escalations that used to be hard-coded in the AI service, form processor
+// and upload pipeline. See riskRulesEngine.js for the condition language.
+
+const FATAL_FIVE_PATTERNS = [
+  'mobile plant|vehicle|machinery|crane|forklift',
+  'height|fall|ladder|scaffold|roof',
+  'electric|electrical|power|voltage',
+  'H2S|hydrogen sulfide|gas|chemical|hazardous substance',
+  'manual handling|lifting|ergonomic'
+];
+
+// Crossed (or "No") critical checklist boxes - keys match CRITICAL_CHECKBOX_ITEMS in aiAnalysisService
+function checkboxRule(checkboxKey, name, severity, points) {
+  return {
+    key: `CHECKBOX_${checkboxKey}`,
+    name,
+    description: 'Critical checklist item marked as not done on the form image',
+    severity,
+    points,
+    forEach: 'checkboxViolations',
+    when: { field: 'key', op: 'eq', value: checkboxKey },
+    label: 'label'
+  };
+}
+
+// Only used when every AI provider failed and the score starts from the minimum
+function fallbackRule(key, name, when) {
+  return {
+    key,
+    name,
+    description: 'Keyword heuristic applied when no AI analysis is available',
+    severity: 'LOW',
+    points: 1,
+    when: { all: [{ field: 'analysis.analysisStatus', op: 'eq', value: 'FAILED' }, when] }
+  };
+}
+
+module.exports = [
+  {
+    key: 'HRW_ACTIVITY',
+    name: 'High risk work activity',
+    description: 'Adds the highest escalation of any high risk work activity identified (height, electrical, confined space, mobile plant, excavation)',
+    severity: 'HIGH',
+    points: 2,
+    forEach: 'analysis.hrwFactors',
+    when: { field: 'activity', op: 'exists', value: true },
+    pointsFrom: 'riskEscalation',
+    aggregate: 'max',
+    label: 'activity'
+  },
+  {
+    key: 'FATAL_FIVE',
+    name: 'Fatal Five hazard mentioned',
+    description: 'Form text mentions one of the WorkSafe Fatal Five: mobile plant, falls, electricity, hazardous substances, manual handling',
+    severity: 'MEDIUM',
+    points: 1,
+    when: { field: 'text', matches: FATAL_FIVE_PATTERNS }
+  },
+  {
+    key: 'CRITICAL_UNCONTROLLED_HAZARD',
+    name: 'Critical hazard without controls',
+    description: 'One point for every CRITICAL issue that is not controlled',
+    severity: 'CRITICAL',
+    points: 1,
+    forEach: 'analysis.flaggedIssues',
+    when: {
+      all: [
+        { field: 'severity', op: 'eq', value: 'CRITICAL' },
+        { field: 'isControlled', op: 'ne', value: true }
+      ]
+    },
+    label: 'description'
+  },
+  {
+    key: 'CRITICAL_LOWER_ORDER_CONTROLS',
+    name: 'Critical hazard controlled only by admin or PPE',
+    description: 'Two points for every CRITICAL issue whose controls are all administrative or PPE (bottom of the hierarchy of controls)',
+    severity: 'CRITICAL',
+    points: 2,
+    forEach: 'analysis.flaggedIssues',
+    when: {
+      all: [
+        { field: 'severity', op: 'eq', value: 'CRITICAL' },
+        { field: 'controlHierarchy.lowerOrderOnly', op: 'eq', value: true }
+      ]
+    },
+    label: 'description'
+  },
+  checkboxRule('H2S_MONITOR', 'H2S monitor not worn', 'CRITICAL', 4),
+  checkboxRule('HEARING_PROTECTION', 'Hearing protection not worn', 'MEDIUM', 1),
+  checkboxRule('WEATHER_CONDITIONS', 'Weather conditions not considered', 'HIGH', 2),
+  checkboxRule('WORK_SURFACES', 'Work surfaces unsafe', 'HIGH', 2),
+  checkboxRule('BARRICADING', 'No barricading or exclusion zone', 'HIGH', 2),
+  checkboxRule('TOOLS_SECURED', 'Tools not secured at height', 'HIGH', 2),
+  checkboxRule('LADDER', 'Ladder requirements not met', 'HIGH', 2),
+  checkboxRule('FALL_PROTECTION', 'Fall protection missing', 'CRITICAL', 3),
+  {
+    key: 'SHORT_FORM_TEXT',
+    name: 'Very little text on the form',
+    description: 'Under 200 characters were read - the form is probably incomplete or unreadable',
+    severity: 'MEDIUM',
+    points: 2,
+    when: { field: 'textLength', op: 'lt', value: 200 }
+  },
+  {
+    key: 'OCR_CONFIDENCE_VERY_LOW',
+    name: 'Very low OCR confidence',
+    description: 'Text recognition confidence under 30% - hazards may have been missed',
+    severity: 'HIGH',
+    points: 2,
+    when: { field: 'ocr.confidence', op: 'lt', value: 30 }
+  },
+  {
+    key: 'OCR_CONFIDENCE_LOW',
+    name: 'Low OCR confidence',
+    description: 'Text recognition confidence between 30% and 50%',
+    severity: 'MEDIUM',
+    points: 1,
+    when: {
+      all: [
+        { field: 'ocr.confidence', op: 'gte', value: 30 },
+        { field: 'ocr.confidence', op: 'lt', value: 50 }
+      ]
+    }
+  },
+  {
+    key: 'MOBILE_CAPTURE_LOW_CONFIDENCE',
+    name: 'Phone photo with moderate OCR confidence',
+    description: 'Phone photos under 80% confidence often miss handwritten details',
+    severity: 'LOW',
+    points: 1,
+    when: {
+      all: [
+        { field: 'capture.method', op: 'eq', value: 'mobile_camera' },
+        { field: 'ocr.confidence', op: 'lt', value: 80 }
+      ]
+    }
+  },
+  {
+    key: 'FORM_INCOMPLETE',
+    name: 'Form incomplete',
+    description: 'The analysis found the form incomplete',
+    severity: 'MEDIUM',
+    points: 1,
+    when: { field: 'analysis.formCompleteness', op: 'eq', value: 'INCOMPLETE' }
+  },
+  {
+    key: 'MISSING_FIELDS',
+    name: 'Several critical fields missing',
+    description: 'More than two critical fields are missing',
+    severity: 'MEDIUM',
+    points: 1,
+    when: { field: 'analysis.missingFields.length', op: 'gt', value: 2 }
+  },
+  fallbackRule('FALLBACK_LONG_FORM', 'Long form (no AI analysis)', { field: 'textLength', op: 'gt', value: 1000 }),
+  fallbackRule('FALLBACK_HAZARD_TERMS', 'Hazard language (no AI analysis)', { field: 'text', matches: 'hazard|risk|danger' }),
+  fallbackRule('FALLBACK_INCIDENT_TERMS', 'Incident language (no AI analysis)', { field: 'text', matches: 'emergency|incident|accident' }),
+  fallbackRule('FALLBACK_CONTROL_TERMS', 'Control language (no AI analysis)', { field: 'text', matches: 'control|mitigation|prevention' })
+];
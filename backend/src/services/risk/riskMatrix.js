@@ -0,0 +1,236 @@
+// 5x5 consequence x likelihood risk matrix - definition and rating
+// Pure functions; the company's definition is stored in system_config (see riskMatrixService).
+//
+// Definition shape:
+//   consequences: [{ value: 1-5, label, description }]   columns, least to most severe
+//   likelihoods:  [{ value: 1-5, label, description }]   rows, least to most likely
+//   bands:        [{ level: LOW|MEDIUM|HIGH|CRITICAL, label, color, minRating, action, requiresSupervisorReview }]
+//   cells:        optional 5x5 grid of levels, cells[likelihood - 1][consequence - 1], for matrices
+//                 that aren't simply consequence x likelihood; otherwise the band is picked by rating
+
+const { RISK_LEVELS } = require('./riskRulesEngine');
+
+const MATRIX_SIZE = 5;
+
+const DEFAULT_RISK_MATRIX = {
+  consequences: [
+    { value: 1, label: 'Insignificant', description: 'No injury, first aid at most' },
+    { value: 2, label: 'Minor', description: 'Medical treatment, no lost time' },
+    { value: 3, label: 'Moderate', description: 'Lost time injury' },
+    { value: 4, label: 'Major', description: 'Serious injury or permanent disability' },
+    { value: 5, label: 'Catastrophic', description: 'Fatality or multiple serious injuries' }
+  ],
+  likelihoods: [
+    { value: 1, label: 'Rare', description: 'Only in exceptional circumstances' },
+    { value: 2, label: 'Unlikely', description: 'Could happen but not expected' },
+    { value: 3, label: 'Possible', description: 'Might happen at some time' },
+    { value: 4, label: 'Likely', description: 'Will probably happen' },
+    { value: 5, label: 'Almost certain', description: 'Expected to happen' }
+  ],
+  bands: [
+    { level: 'LOW', label: 'Low', color: '#22c55e', minRating: 1, action: 'Manage by routine procedures', requiresSupervisorReview: false },
+    { level: 'MEDIUM', label: 'Medium', color: '#eab308', minRating: 5, action: 'Additional controls required before work continues', requiresSupervisorReview: false },
+    { level: 'HIGH', label: 'High', color: '#f97316', minRating: 10, action: 'Supervisor approval required before work starts', requiresSupervisorReview: true },
+    { level: 'CRITICAL', label: 'Extreme', color: '#dc2626', minRating: 15, action: 'Do not start work - escalate to site management', requiresSupervisorReview: true }
+  ],
+  cells: null
+};
+
+function matrixError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function validateAxis(axis, name) {
+  if (!Array.isArray(axis) || axis.length !== MATRIX_SIZE) {
+    throw matrixError(`${name} must list exactly ${MATRIX_SIZE} entries`);
+  }
+  return axis.map((entry, index) => {
+    if (!entry || typeof entry.label !== 'string' || !entry.label.trim()) {
+      throw matrixError(`${name}[${index}] needs a label`);
+    }
+    return { value: index + 1, label: entry.label.trim(), description: entry.description || '' };
+  });
+}
+
+/**
+ * Validate a matrix definition as submitted by an admin.
+ * Returns the normalized definition; throws with status 400 describing the first problem.
+ */
+function validateMatrix(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw matrixError('Risk matrix must be an object');
+  }
+
+  const consequences = validateAxis(definition.consequences, 'consequences');
+  const likelihoods = validateAxis(definition.likelihoods, 'likelihoods');
+
+  if (!Array.isArray(definition.bands) || definition.bands.length === 0) {
+    throw matrixError('bands must list at least one risk band');
+  }
+  const bands = definition.bands.map((band, index) => {
+    const level = String(band?.level || '').toUpperCase();
+    if (!RISK_LEVELS.includes(level)) {
+      throw matrixError(`bands[${index}].level must be one of ${RISK_LEVELS.join(', ')}`);
+    }
+    const minRating = Number(band.minRating);
+    if (!Number.isInteger(minRating) || minRating < 1 || minRating > MATRIX_SIZE * MATRIX_SIZE) {
+      throw matrixError(`bands[${index}].minRating must be a whole number from 1 to ${MATRIX_SIZE * MATRIX_SIZE}`);
+    }
+    if (band.color && !/^#[0-9a-f]{6}$/i.test(band.color)) {
+      throw matrixError(`bands[${index}].color must be a hex colour such as #dc2626`);
+    }
+    return {
+      level,
+      label: band.label || level,
+      color: band.color || '#9ca3af',
+      minRating,
+      action: band.action || '',
+      requiresSupervisorReview: Boolean(band.requiresSupervisorReview)
+    };
+  }).sort((a, b) => a.minRating - b.minRating);
+
+  if (bands[0].minRating !== 1) {
+    throw matrixError('The lowest band must start at rating 1');
+  }
+  if (new Set(bands.map(band => band.level)).size !== bands.length) {
+    throw matrixError('Each risk level can only have one band');
+  }
+
+  let cells = null;
+  if (definition.cells) {
+    if (!Array.isArray(definition.cells) || definition.cells.length !== MATRIX_SIZE ||
+        definition.cells.some(row => !Array.isArray(row) || row.length !== MATRIX_SIZE)) {
+      throw matrixError(`cells must be a ${MATRIX_SIZE}x${MATRIX_SIZE} grid of risk levels`);
+    }
+    cells = definition.cells.map(row => row.map(level => {
+      const normalized = String(level || '').toUpperCase();
+      if (!bands.some(band => band.level === normalized)) {
+        throw matrixError(`cells contains "${level}", which has no band`);
+      }
+      return normalized;
+    }));
+  }
+
+  return { consequences, likelihoods, bands, cells };
+}
+
+function toRatingValue(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(number) && number >= 1 && number <= MATRIX_SIZE ? number : null;
+}
+
+/**
+ * Rate one consequence/likelihood pair.
+ * Returns { consequence, likelihood, rating, level, label, action, requiresSupervisorReview }, or null
+ * when either value is missing or out of range.
+ */
+function rateCell(matrix, consequence, likelihood) {
+  const c = toRatingValue(consequence);
+  const l = toRatingValue(likelihood);
+  if (!c || !l) return null;
+
+  const rating = c * l;
+  const band = matrix.cells
+    ? matrix.bands.find(candidate => candidate.level === matrix.cells[l - 1][c - 1])
+    : [...matrix.bands].reverse().find(candidate => rating >= candidate.minRating);
+
+  return {
+    consequence: c,
+    likelihood: l,
+    rating,
+    level: band.level,
+    label: band.label,
+    action: band.action,
+    requiresSupervisorReview: band.requiresSupervisorReview
+  };
+}
+
+function rate(matrix, pair) {
+  return pair ? rateCell(matrix, pair.consequence, pair.likelihood) : null;
+}
+
+// Administrative controls and PPE don't change what can go wrong and only partly change how often,
+// so an issue relying on them alone is credited at most one step of likelihood (see controlHierarchy.js)
+function limitResidual(matrix, issue, inherent, residual) {
+  if (!issue.controlHierarchy?.lowerOrderOnly || !inherent || !residual) return residual;
+
+  const consequence = Math.max(residual.consequence, inherent.consequence);
+  const likelihood = Math.max(residual.likelihood, inherent.likelihood - 1);
+  if (consequence === residual.consequence && likelihood === residual.likelihood) return residual;
+
+  return { ...rateCell(matrix, consequence, likelihood), limitedBy: 'LOWER_ORDER_CONTROLS' };
+}
+
+function worst(ratings) {
+  return ratings.filter(Boolean).reduce((max, rating) => (!max || rating.rating > max.rating ? rating : max), null);
+}
+
+/**
+ * Rate every flagged issue's inherent and residual risk and the form overall.
+ * Ratings, levels and actions are always recomputed from consequence and likelihood, so values
+ * edited on the client can't disagree with the matrix. Mutates and returns the analysis.
+ */
+function rateAnalysis(analysis, matrix) {
+  const issues = (analysis.flaggedIssues || []).map(issue => {
+    const inherentRisk = rate(matrix, issue.inherentRisk);
+    return {
+      ...issue,
+      inherentRisk,
+      residualRisk: limitResidual(matrix, issue, inherentRisk, rate(matrix, issue.residualRisk))
+    };
+  });
+
+  const assessment = analysis.riskAssessment || {};
+  // Overall ratings: the AI's (or reviewer's) own, otherwise the worst rated issue
+  const inherent = rate(matrix, assessment.inherent || assessment.riskMatrix) || worst(issues.map(issue => issue.inherentRisk));
+  const residual = rate(matrix, assessment.residual || assessment.residualMatrix) || worst(issues.map(issue => issue.residualRisk));
+
+  analysis.flaggedIssues = issues;
+  analysis.riskAssessment = {
+    ...assessment,
+    inherent,
+    residual,
+    initialRisk: inherent?.level || assessment.initialRisk,
+    residualRisk: residual?.level || assessment.residualRisk,
+    riskMatrix: inherent
+      ? { consequence: inherent.consequence, likelihood: inherent.likelihood, riskRating: inherent.rating }
+      : assessment.riskMatrix
+  };
+
+  // Action thresholds: a band that needs sign-off flags the form, whatever the 1-10 score says
+  const current = [residual || inherent, ...issues.map(issue => issue.residualRisk || issue.inherentRisk)];
+  if (current.some(rating => rating?.requiresSupervisorReview)) {
+    analysis.requiresSupervisorReview = true;
+  }
+  return analysis;
+}
+
+// Put back the ratings from the original analysis (for users who may not adjust them)
+function copyRatings(target, source) {
+  const originalIssues = source?.flaggedIssues || [];
+  target.flaggedIssues = (target.flaggedIssues || []).map(issue => {
+    const original = originalIssues.find(candidate => candidate.description === issue.description);
+    return {
+      ...issue,
+      inherentRisk: original?.inherentRisk || null,
+      residualRisk: original?.residualRisk || null
+    };
+  });
+  target.riskAssessment = {
+    ...target.riskAssessment,
+    inherent: source?.riskAssessment?.inherent || null,
+    residual: source?.riskAssessment?.residual || null
+  };
+  return target;
+}
+
+module.exports = {
+  MATRIX_SIZE,
+  DEFAULT_RISK_MATRIX,
+  validateMatrix,
+  rateCell,
+  rateAnalysis,
+  copyRatings
+};
@@ -0,0 +1,40 @@
+// Company risk matrix - the consequence x likelihood definition stored in system_config
+// Admins change it with PUT /api/system-config/risk.matrix; the built-in 5x5 matrix applies until then
+
+const systemConfigService = require('../config/systemConfigService');
+const logger = require('../utils/logger');
+const { DEFAULT_RISK_MATRIX, validateMatrix, rateAnalysis } = require('./riskMatrix');
+
+const MATRIX_KEY = 'risk.matrix';
+
+class RiskMatrixService {
+  constructor() {
+    this.MATRIX_KEY = MATRIX_KEY;
+    this.defaultMatrix = validateMatrix(DEFAULT_RISK_MATRIX);
+
+    systemConfigService.registerValidator(
+      MATRIX_KEY,
+      definition => validateMatrix(definition),
+      'Risk matrix: consequence and likelihood labels, band colours and action thresholds'
+    );
+  }
+
+  // The stored definition, or the default if none is set (or the stored one no longer validates)
+  async getMatrix() {
+    const stored = await systemConfigService.get(MATRIX_KEY, null);
+    if (!stored) return this.defaultMatrix;
+
+    try {
+      return validateMatrix(stored);
+    } catch (error) {
+      logger.warn('Stored risk matrix is invalid, using the default', { error: error.message });
+      return this.defaultMatrix;
+    }
+  }
+
+  async rateAnalysis(analysis, matrix = null) {
+    return rateAnalysis(analysis, matrix || await this.getMatrix());
+  }
+}
+
+module.exports = new RiskMatrixService();
@@ -0,0 +1,220 @@
+// Risk rule registry - admin-editable, versioned escalation rules stored in risk_rules
+// Every risk score is computed here from the active rules and carries a trace of the rules that fired
+
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+const defaultRiskRules = require('./defaultRiskRules');
+const { validateRule, evaluateRules } = require('./riskRulesEngine');
+
+// Active rules are re-read at most this often; writes through this service clear the cache
+const CACHE_TTL_MS = parseInt(process.env.RISK_RULE_CACHE_TTL_MS) || 60 * 1000;
+
+function ruleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toRule(row) {
+  return {
+    id: row.id,
+    key: row.rule_key,
+    version: row.version,
+    name: row.name,
+    description: row.description,
+    severity: row.severity,
+    points: row.points,
+    formTypes: row.form_types || [],
+    definition: row.definition,
+    isActive: row.is_active,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+class RiskRuleService {
+  constructor() {
+    this.pool = pool;
+    this.activeCache = null;
+    this.activeCacheLoadedAt = 0;
+    // Used when the database can't be read, so scoring never stops
+    this.builtInRules = defaultRiskRules.map(rule => ({ ...validateRule(rule), version: null }));
+  }
+
+  invalidateCache() {
+    this.activeCache = null;
+    this.activeCacheLoadedAt = 0;
+  }
+
+  // Latest version of each rule, with how many versions exist
+  async listRules({ includeInactive = false } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM (
+            SELECT DISTINCT ON (rule_key) rr.*,
+                   COUNT(*) OVER (PARTITION BY rule_key) as version_count
+            FROM risk_rules rr
+            WHERE ($1::boolean OR is_active = true)
+            ORDER BY rule_key, version DESC
+         ) latest
+         ORDER BY rule_key`,
+        [includeInactive]
+      );
+      return result.rows.map(row => ({ ...toRule(row), versionCount: parseInt(row.version_count) || 1 }));
+    } finally {
+      client.release();
+    }
+  }
+
+  async listVersions(key) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM risk_rules WHERE rule_key = $1 ORDER BY version DESC',
+        [String(key).toUpperCase()]
+      );
+      return result.rows.map(toRule);
+    } finally {
+      client.release();
+    }
+  }
+
+  // A specific version, or the newest one when version is omitted
+  async getRule(key, version = null) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM risk_rules
+         WHERE rule_key = $1 AND ($2::integer IS NULL OR version = $2::integer)
+         ORDER BY version DESC
+         LIMIT 1`,
+        [String(key).toUpperCase(), version]
+      );
+      return result.rows[0] ? toRule(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createRule(rule, userId) {
+    const validated = validateRule(rule);
+    const existing = await this.getRule(validated.key);
+    if (existing) {
+      throw ruleError(`Risk rule ${validated.key} already exists; publish a new version instead`, 409);
+    }
+    return this.insertVersion(validated, 1, userId);
+  }
+
+  // Rules are never edited in place - stored traces keep pointing at the version that fired
+  async createVersion(key, rule, userId) {
+    const current = await this.getRule(key);
+    if (!current) {
+      throw ruleError('Risk rule not found', 404);
+    }
+
+    const validated = validateRule({ ...rule, key: current.key });
+    return this.insertVersion(validated, current.version + 1, userId);
+  }
+
+  async insertVersion(validated, version, userId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO risk_rules (rule_key, version, name, description, severity, points, form_types, definition, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          validated.key,
+          version,
+          validated.name,
+          validated.description,
+          validated.severity,
+          validated.points,
+          validated.formTypes,
+          JSON.stringify(validated.definition),
+          userId || null
+        ]
+      );
+
+      this.invalidateCache();
+      logger.info(`Published risk rule ${validated.key} v${version}`);
+      return toRule(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw ruleError(`Risk rule ${validated.key} v${version} already exists`, 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async setActive(key, version, isActive) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE risk_rules SET is_active = $3
+         WHERE rule_key = $1 AND version = $2
+         RETURNING *`,
+        [String(key).toUpperCase(), version, Boolean(isActive)]
+      );
+      if (!result.rows[0]) {
+        throw ruleError('Risk rule version not found', 404);
+      }
+
+      this.invalidateCache();
+      return toRule(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  // The newest active version of each rule; the built-in defaults if the table can't be read
+  async getActiveRules() {
+    if (this.activeCache && Date.now() - this.activeCacheLoadedAt < CACHE_TTL_MS) {
+      return this.activeCache;
+    }
+
+    try {
+      const client = await this.pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT DISTINCT ON (rule_key) *
+           FROM risk_rules
+           WHERE is_active = true
+           ORDER BY rule_key, version DESC`
+        );
+        this.activeCache = result.rows.map(toRule);
+        this.activeCacheLoadedAt = Date.now();
+        return this.activeCache;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.warn('Could not load risk rules, using built-in defaults', { error: error.message });
+      return this.builtInRules;
+    }
+  }
+
+  /**
+   * Score an analysis context against the active rules (or the given ones).
+   * Returns the engine result: { baseScore, escalation, score, level, initialLevel, rules, rulesEvaluated }.
+   */
+  async score(context, baseScore, { rules = null } = {}) {
+    const activeRules = rules || await this.getActiveRules();
+    const result = evaluateRules(activeRules, context, baseScore);
+
+    if (result.rules.length > 0) {
+      logger.info('Risk rules applied', {
+        baseScore: result.baseScore,
+        escalation: result.escalation,
+        score: result.score,
+        rules: result.rules.map(rule => `${rule.key}${rule.version ? ` v${rule.version}` : ''} (${rule.points > 0 ? '+' : ''}${rule.points})`)
+      });
+    }
+    return result;
+  }
+}
+
+module.exports = new RiskRuleService();
@@ -0,0 +1,326 @@
+// Declarative risk rules - validation and evaluation
+// Pure functions over an analysis context - no database access, so they are easy to test.
+// Rules are stored versioned in risk_rules (see riskRuleService) and seeded from defaultRiskRules.
+//
+// Rule shape:
+//   { key, name, description, severity, points, formTypes: [formType], definition }
+//   definition: { when: condition, forEach: path, pointsFrom: path, aggregate: sum|max|once, maxPoints, label: path }
+//
+// Conditions:
+//   { field, matches: regex | [regex] }   pattern test (case-insensitive) against a text value
+//   { field, op, value }                   structured-field test; op is one of CONDITION_OPERATORS
+//   { all: [condition] } | { any: [condition] } | { not: condition }
+//
+// With forEach the rule tests every item of that list; fields resolve against the item, or
+// against the whole context when prefixed with "$.". Points are earned per matching item (sum),
+// taken from the item's pointsFrom field (max or sum), or once for any number of matches.
+
+const { FORM_TYPES, normalizeFormType } = require('../forms/formTypes');
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const CONDITION_OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'exists'];
+const AGGREGATES = ['sum', 'max', 'once'];
+const MIN_SCORE = 1;
+const MAX_SCORE = 10;
+const MAX_POINTS = 10;
+const MAX_EVIDENCE = 5;
+
+function ruleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// The one 1-10 score to level mapping used everywhere
+function getRiskLevel(score) {
+  if (score <= 3) return 'LOW';
+  if (score <= 6) return 'MEDIUM';
+  if (score <= 8) return 'HIGH';
+  return 'CRITICAL';
+}
+
+function clampScore(score) {
+  return Math.max(MIN_SCORE, Math.min(MAX_SCORE, Math.round(score)));
+}
+
+function resolvePath(subject, root, path) {
+  const [source, fieldPath] = path.startsWith('$.') ? [root, path.slice(2)] : [subject, path];
+  return fieldPath.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), source);
+}
+
+function compileCondition(condition, where) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw ruleError(`${where}: condition must be an object`);
+  }
+
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw ruleError(`${where}: all/any needs a non-empty list of conditions`);
+    }
+    return { [condition.all ? 'all' : 'any']: list.map(item => compileCondition(item, where)) };
+  }
+  if (condition.not) {
+    return { not: compileCondition(condition.not, where) };
+  }
+
+  if (!condition.field || typeof condition.field !== 'string') {
+    throw ruleError(`${where}: condition needs a field`);
+  }
+
+  if (condition.matches !== undefined) {
+    const patterns = (Array.isArray(condition.matches) ? condition.matches : [condition.matches])
+      .filter(pattern => typeof pattern === 'string' && pattern.trim());
+    if (patterns.length === 0) {
+      throw ruleError(`${where}: matches needs at least one pattern`);
+    }
+    patterns.forEach(pattern => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw ruleError(`${where}: invalid pattern "${pattern}": ${error.message}`);
+      }
+    });
+    return { field: condition.field, matches: patterns };
+  }
+
+  if (!CONDITION_OPERATORS.includes(condition.op)) {
+    throw ruleError(`${where}: op must be one of ${CONDITION_OPERATORS.join(', ')}`);
+  }
+  if (condition.op === 'in' && !Array.isArray(condition.value)) {
+    throw ruleError(`${where}: op "in" needs a list value`);
+  }
+  if (['lt', 'lte', 'gt', 'gte'].includes(condition.op) && typeof condition.value !== 'number') {
+    throw ruleError(`${where}: op "${condition.op}" needs a numeric value`);
+  }
+  return { field: condition.field, op: condition.op, value: condition.value };
+}
+
+/**
+ * Validate a rule as submitted by an admin (or from defaultRiskRules).
+ * Returns the normalized rule; throws with status 400 describing the first problem.
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw ruleError('Risk rule must be an object');
+  }
+
+  const key = String(rule.key || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_]{2,60}$/.test(key)) {
+    throw ruleError('Rule key must be 2-60 characters of A-Z, 0-9 or _');
+  }
+  if (!rule.name || typeof rule.name !== 'string') {
+    throw ruleError(`Rule ${key} needs a name`);
+  }
+
+  const severity = String(rule.severity || 'MEDIUM').toUpperCase();
+  if (!RISK_LEVELS.includes(severity)) {
+    throw ruleError(`Rule ${key}: severity must be one of ${RISK_LEVELS.join(', ')}`);
+  }
+
+  const points = Number(rule.points);
+  if (!Number.isInteger(points) || Math.abs(points) > MAX_POINTS) {
+    throw ruleError(`Rule ${key}: points must be a whole number between -${MAX_POINTS} and ${MAX_POINTS}`);
+  }
+
+  const formTypes = (rule.formTypes || []).map(type => {
+    const normalized = normalizeFormType(type);
+    if (normalized === 'UNKNOWN' && type !== 'UNKNOWN') {
+      throw ruleError(`Rule ${key}: unknown form type "${type}"; expected one of ${FORM_TYPES.join(', ')}`);
+    }
+    return normalized;
+  });
+
+  const source = rule.definition || rule;
+  const definition = { when: compileCondition(source.when, `Rule ${key}`) };
+
+  if (source.forEach !== undefined) {
+    if (typeof source.forEach !== 'string' || !source.forEach) {
+      throw ruleError(`Rule ${key}: forEach must be a field path`);
+    }
+    const aggregate = source.aggregate || (source.pointsFrom ? 'max' : 'sum');
+    if (!AGGREGATES.includes(aggregate)) {
+      throw ruleError(`Rule ${key}: aggregate must be one of ${AGGREGATES.join(', ')}`);
+    }
+    Object.assign(definition, {
+      forEach: source.forEach,
+      aggregate,
+      pointsFrom: source.pointsFrom || null,
+      label: source.label || null
+    });
+  }
+
+  if (source.maxPoints !== undefined && source.maxPoints !== null) {
+    const maxPoints = Number(source.maxPoints);
+    if (!Number.isInteger(maxPoints) || maxPoints < 0 || maxPoints > MAX_POINTS) {
+      throw ruleError(`Rule ${key}: maxPoints must be a whole number between 0 and ${MAX_POINTS}`);
+    }
+    definition.maxPoints = maxPoints;
+  }
+
+  return {
+    key,
+    name: rule.name.trim(),
+    description: rule.description || null,
+    severity,
+    points,
+    formTypes: [...new Set(formTypes)],
+    definition
+  };
+}
+
+function formatValue(value) {
+  if (typeof value === 'string') return `"${value.length > 60 ? value.slice(0, 57) + '...' : value}"`;
+  return JSON.stringify(value);
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'lt': return typeof actual === 'number' && actual < expected;
+    case 'lte': return typeof actual === 'number' && actual <= expected;
+    case 'gt': return typeof actual === 'number' && actual > expected;
+    case 'gte': return typeof actual === 'number' && actual >= expected;
+    case 'in': return expected.includes(actual);
+    case 'exists': return (actual !== null && actual !== undefined) === (expected !== false);
+    default: return false;
+  }
+}
+
+// Evidence (a list of short explanations) when the condition holds, otherwise null
+function testCondition(condition, subject, root) {
+  if (condition.all) {
+    const evidence = [];
+    for (const item of condition.all) {
+      const result = testCondition(item, subject, root);
+      if (!result) return null;
+      evidence.push(...result);
+    }
+    return evidence;
+  }
+  if (condition.any) {
+    for (const item of condition.any) {
+      const result = testCondition(item, subject, root);
+      if (result) return result;
+    }
+    return null;
+  }
+  if (condition.not) {
+    return testCondition(condition.not, subject, root) ? null : [`not (${describeCondition(condition.not)})`];
+  }
+
+  const actual = resolvePath(subject, root, condition.field);
+
+  if (condition.matches) {
+    if (actual === null || actual === undefined) return null;
+    const text = Array.isArray(actual) ? actual.join(' ') : String(actual);
+    for (const pattern of condition.matches) {
+      const match = text.match(new RegExp(pattern, 'i'));
+      if (match) return [`${condition.field} mentions ${formatValue(match[0])}`];
+    }
+    return null;
+  }
+
+  return compare(actual, condition.op, condition.value)
+    ? [`${condition.field} = ${formatValue(actual)}`]
+    : null;
+}
+
+function describeCondition(condition) {
+  if (condition.all) return condition.all.map(describeCondition).join(' and ');
+  if (condition.any) return condition.any.map(describeCondition).join(' or ');
+  if (condition.not) return `not (${describeCondition(condition.not)})`;
+  if (condition.matches) return `${condition.field} matches ${condition.matches.join(' | ')}`;
+  return `${condition.field} ${condition.op} ${formatValue(condition.value)}`;
+}
+
+// Points and evidence for one rule, or null when it doesn't fire
+function evaluateRule(rule, context) {
+  if (rule.formTypes.length > 0 && !rule.formTypes.includes(context.formType)) {
+    return null;
+  }
+
+  const { definition } = rule;
+  let points;
+  let evidence;
+  let matchCount = 1;
+
+  if (definition.forEach) {
+    const items = resolvePath(context, context, definition.forEach);
+    if (!Array.isArray(items)) return null;
+
+    const matches = items
+      .map(item => ({ item, evidence: testCondition(definition.when, item, context) }))
+      .filter(match => match.evidence);
+    if (matches.length === 0) return null;
+
+    matchCount = matches.length;
+    if (definition.pointsFrom) {
+      const values = matches.map(({ item }) => {
+        const value = Number(resolvePath(item, context, definition.pointsFrom));
+        return Number.isFinite(value) ? value : rule.points;
+      });
+      points = definition.aggregate === 'sum' ? values.reduce((sum, value) => sum + value, 0) : Math.max(...values);
+    } else {
+      points = definition.aggregate === 'once' ? rule.points : rule.points * matches.length;
+    }
+
+    evidence = matches.map(match => {
+      const label = definition.label ? resolvePath(match.item, context, definition.label) : null;
+      return label ? String(label) : match.evidence.join(', ');
+    });
+  } else {
+    evidence = testCondition(definition.when, context, context);
+    if (!evidence) return null;
+    points = rule.points;
+  }
+
+  if (definition.maxPoints !== undefined) {
+    points = Math.min(points, definition.maxPoints);
+  }
+
+  return {
+    key: rule.key,
+    version: rule.version ?? null,
+    name: rule.name,
+    description: rule.description,
+    severity: rule.severity,
+    points,
+    matchCount,
+    evidence: [...new Set(evidence)].slice(0, MAX_EVIDENCE)
+  };
+}
+
+/**
+ * Apply every rule to the context and explain the result.
+ * context: { text, textLength, formType, analysis, checkboxViolations, ocr: { confidence, provider }, capture: { method } }
+ * Returns { baseScore, escalation, score, level, initialLevel, rules: [fired rule], rulesEvaluated }.
+ */
+function evaluateRules(rules, context, baseScore) {
+  const fired = rules
+    .map(rule => evaluateRule(rule, context))
+    .filter(Boolean);
+  const escalation = fired.reduce((sum, rule) => sum + rule.points, 0);
+  const base = clampScore(Number(baseScore) || MIN_SCORE);
+  const score = clampScore(base + escalation);
+
+  return {
+    baseScore: base,
+    escalation,
+    score,
+    level: getRiskLevel(score),
+    initialLevel: getRiskLevel(base),
+    rules: fired.sort((a, b) => b.points - a.points),
+    rulesEvaluated: rules.length
+  };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  CONDITION_OPERATORS,
+  getRiskLevel,
+  validateRule,
+  describeCondition,
+  evaluateRules
+};
@@ -0,0 +1,214 @@
+// Form Search Service
+// Full-text search over extracted text and AI analysis (forms_processing.search_vector), with
+// highlighted snippets, facets and pagination
+
+const { validate: isUuid } = require('uuid');
+const pool = require('../database/pool');
+const { buildScopeFilter } = require('../database/scopeFilter');
+const logger = require('../utils/logger');
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const DATE_BUCKETS = ['day', 'week', 'month'];
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 100;
+
+// ts_headline markers; control characters never appear in OCR text, so splitting on them is safe
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+// Each facet counts matches with every filter applied except its own, so the other options stay visible
+const FACETS = {
+  formType: { column: 'fp.form_type_detected' },
+  riskLevel: { column: 'fp.risk_level' },
+  site: { column: 'fp.site' },
+  date: { column: null }
+};
+
+function searchError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw searchError(`${name} must be a date`, 400);
+  }
+  return date.toISOString();
+}
+
+// "a \u0001match\u0002 b" -> [{ text: 'a ', match: false }, { text: 'match', match: true }, { text: ' b', match: false }]
+function toSegments(headline) {
+  if (!headline) return [];
+  const segments = [];
+  headline.split(HIGHLIGHT_START).forEach((part, index) => {
+    const [matched, rest] = index === 0 ? [null, part] : part.split(HIGHLIGHT_END);
+    if (matched) segments.push({ text: matched, match: true });
+    if (rest) segments.push({ text: rest, match: false });
+  });
+  return segments;
+}
+
+class FormSearchService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  normalizeOptions(options = {}) {
+    const query = String(options.q || '').trim();
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw searchError(`Search text is limited to ${MAX_QUERY_LENGTH} characters`, 400);
+    }
+
+    const riskLevel = options.riskLevel ? String(options.riskLevel).toUpperCase() : null;
+    if (riskLevel && !RISK_LEVELS.includes(riskLevel)) {
+      throw searchError(`riskLevel must be one of ${RISK_LEVELS.join(', ')}`, 400);
+    }
+
+    if (options.siteId && !isUuid(String(options.siteId))) {
+      throw searchError('siteId must be a site id (UUID)', 400);
+    }
+
+    const dateBucket = options.dateBucket || 'day';
+    if (!DATE_BUCKETS.includes(dateBucket)) {
+      throw searchError(`dateBucket must be one of ${DATE_BUCKETS.join(', ')}`, 400);
+    }
+
+    return {
+      query,
+      formType: options.formType || null,
+      riskLevel,
+      site: options.site || null,
+      siteId: options.siteId || null,
+      dateFrom: parseDate(options.dateFrom, 'dateFrom'),
+      dateTo: parseDate(options.dateTo, 'dateTo'),
+      dateBucket,
+      limit: Math.min(Math.max(parseInt(options.limit) || 20, 1), MAX_LIMIT),
+      offset: Math.max(parseInt(options.offset) || 0, 0)
+    };
+  }
+
+  // WHERE fragment and params for the text query, scope and every filter except `skip`
+  buildFilters(options, scope, skip = null) {
+    const params = [];
+    const conditions = ['fp.processing_status = \'completed\''];
+    const add = (value, condition) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (options.query) add(options.query, 'fp.search_vector @@ websearch_to_tsquery(\'english\', ?)');
+    if (options.formType && skip !== 'formType') add(options.formType, 'fp.form_type_detected = ?');
+    if (options.riskLevel && skip !== 'riskLevel') add(options.riskLevel, 'fp.risk_level = ?');
+    if (options.site && skip !== 'site') add(options.site, 'fp.site = ?');
+    if (options.siteId) add(options.siteId, 'fp.location_id = ?');
+    if (options.dateFrom && skip !== 'date') add(options.dateFrom, 'fp.created_at >= ?::timestamptz');
+    if (options.dateTo && skip !== 'date') add(options.dateTo, 'fp.created_at < ?::timestamptz');
+
+    const scopeFilter = buildScopeFilter(scope, { alias: 'fp', paramOffset: params.length });
+    params.push(...scopeFilter.params);
+
+    return { where: conditions.join(' AND ') + scopeFilter.clause, params };
+  }
+
+  /**
+   * Search forms the caller may see.
+   * options: { q, formType, riskLevel, site, siteId, dateFrom, dateTo, dateBucket, limit, offset }
+   * Returns { query, results, total, limit, offset, facets: { formType, riskLevel, site, date } }.
+   * Without q every completed form matches, newest first, so the filters still work as a browser.
+   */
+  async search(scope = {}, rawOptions = {}) {
+    const options = this.normalizeOptions(rawOptions);
+    const { where, params } = this.buildFilters(options, scope);
+    const queryParam = options.query ? '$1' : null;
+
+    const rank = queryParam
+      ? `ts_rank_cd(fp.search_vector, websearch_to_tsquery('english', ${queryParam}))`
+      : '0';
+    const headline = (column) => queryParam
+      ? `ts_headline('english', ${column}, websearch_to_tsquery('english', ${queryParam}), '${HEADLINE_OPTIONS}')`
+      : 'NULL';
+
+    const client = await this.pool.connect();
+    try {
+      params.push(options.limit, options.offset);
+      // Headlines are expensive, so they are only built for the page of results
+      const result = await client.query(`
+        SELECT page.*,
+               ${headline('page.extracted_text')} as text_headline,
+               ${headline('page.summary')} as summary_headline,
+               (SELECT COUNT(*) FROM form_hazards fh WHERE fh.form_processing_id = page.id) as hazard_count
+        FROM (
+          SELECT fp.id, fp.original_filename, fp.form_type_detected, fp.risk_score, fp.risk_level,
+                 fp.site, fp.created_at, fp.review_status, fp.extracted_text,
+                 fp.ai_analysis_result->>'summary' as summary,
+                 fp.ai_analysis_result->>'workLocation' as work_location,
+                 fp.ai_analysis_result->>'workActivity' as work_activity,
+                 ${rank} as rank,
+                 COUNT(*) OVER() as total_count
+          FROM forms_processing fp
+          WHERE ${where}
+          ORDER BY rank DESC, fp.created_at DESC
+          LIMIT $${params.length - 1} OFFSET $${params.length}
+        ) page
+        ORDER BY page.rank DESC, page.created_at DESC
+      `, params);
+
+      const facets = {};
+      for (const [name, facet] of Object.entries(FACETS)) {
+        facets[name] = await this.countFacet(client, name, facet, options, scope);
+      }
+
+      let total = parseInt(result.rows[0]?.total_count) || 0;
+      if (result.rows.length === 0 && options.offset > 0) {
+        // Past the last page the window count is gone
+        const counted = await client.query(`SELECT COUNT(*) as count FROM forms_processing fp WHERE ${where}`, params.slice(0, -2));
+        total = parseInt(counted.rows[0].count);
+      }
+
+      return {
+        query: options.query,
+        results: result.rows.map(row => ({
+          ...row,
+          highlights: {
+            text: toSegments(row.text_headline),
+            summary: toSegments(row.summary_headline)
+          }
+        })),
+        total,
+        limit: options.limit,
+        offset: options.offset,
+        facets
+      };
+    } catch (error) {
+      logger.error('Error searching forms:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async countFacet(client, name, facet, options, scope) {
+    const { where, params } = this.buildFilters(options, scope, name);
+    const value = facet.column || `date_trunc('${options.dateBucket}', fp.created_at)`;
+
+    const result = await client.query(`
+      SELECT ${value} as value, COUNT(*) as count
+      FROM forms_processing fp
+      WHERE ${where}
+      GROUP BY 1
+      ORDER BY ${facet.column ? 'count DESC, 1' : '1 DESC'}
+      LIMIT 50
+    `, params);
+
+    return result.rows.map(row => ({
+      value: row.value instanceof Date ? row.value.toISOString() : row.value,
+      count: parseInt(row.count)
+    }));
+  }
+}
+
+module.exports = new FormSearchService();
@@ -0,0 +1,94 @@
+// Site matching - which processing_locations site a form belongs to
+// Pure functions: GPS coordinates are matched against each site's geofence first; without a fix
+// (or outside every fence) the AI's workLocation text is matched against site names, codes and aliases.
+
+const EARTH_RADIUS_M = 6371000;
+const DEFAULT_GEOFENCE_RADIUS_M = 500;
+// A fix is never trusted to be better than this, however small the reported accuracy
+const MIN_ACCURACY_M = 10;
+// Fixes less accurate than this can't place a form on a site at all
+const MAX_ACCURACY_M = 2000;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in metres
+function distanceMeters(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+// "Warehouse 3 - Port Melbourne!" -> "warehouse 3 port melbourne"
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Nearest site whose geofence contains the fix. The fix's accuracy widens the fence (a phone
+ * reporting +/-50m just outside a 500m fence could well be inside it).
+ * sites: [{ id, latitude, longitude, geofenceRadiusM }]; location: { latitude, longitude, accuracy }
+ * Returns { site, method: 'geofence', distanceMeters } or null.
+ */
+function matchByCoordinates(sites, location) {
+  if (!location || !isValidCoordinate(location.latitude, location.longitude)) return null;
+
+  const accuracy = Math.max(Number(location.accuracy) || MIN_ACCURACY_M, MIN_ACCURACY_M);
+  if (accuracy > MAX_ACCURACY_M) return null;
+
+  let best = null;
+  for (const site of sites) {
+    if (!isValidCoordinate(site.latitude, site.longitude)) continue;
+    const distance = distanceMeters(location, site);
+    const radius = (site.geofenceRadiusM || DEFAULT_GEOFENCE_RADIUS_M) + accuracy;
+    if (distance <= radius && (!best || distance < best.distanceMeters)) {
+      best = { site, method: 'geofence', distanceMeters: Math.round(distance) };
+    }
+  }
+  return best;
+}
+
+/**
+ * Site whose name, code or an alias appears (as whole words) in the work location text.
+ * The longest matching term wins, so "Port Melbourne North" beats "Port Melbourne".
+ * Returns { site, method: 'work_location', matchedTerm } or null.
+ */
+function matchByWorkLocation(sites, workLocation) {
+  const text = ` ${normalizeName(workLocation)} `;
+  if (!text.trim()) return null;
+
+  let best = null;
+  for (const site of sites) {
+    const terms = [site.locationName, site.siteCode, ...(site.aliases || [])]
+      .map(normalizeName)
+      .filter(term => term.length >= 2);
+    for (const term of terms) {
+      if (text.includes(` ${term} `) && (!best || term.length > best.matchedTerm.length)) {
+        best = { site, method: 'work_location', matchedTerm: term };
+      }
+    }
+  }
+  return best;
+}
+
+// Geofence first, then the work location text
+function matchSite(sites, { location = null, workLocation = null } = {}) {
+  return matchByCoordinates(sites, location) || matchByWorkLocation(sites, workLocation);
+}
+
+module.exports = {
+  DEFAULT_GEOFENCE_RADIUS_M,
+  distanceMeters,
+  isValidCoordinate,
+  matchByCoordinates,
+  matchByWorkLocation,
+  matchSite
+};
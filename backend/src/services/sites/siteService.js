@@ -0,0 +1,288 @@
+// Site Service
+// Sites (processing_locations): CRUD, placing forms on a site and the per-site rollup statistics
+
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+const { DEFAULT_GEOFENCE_RADIUS_M, isValidCoordinate, matchSite } = require('./siteMatcher');
+
+const MIN_GEOFENCE_RADIUS_M = 10;
+const MAX_GEOFENCE_RADIUS_M = 50000;
+
+const SITE_COLUMNS = `
+  id, location_name, site_code, address, site_type, geofence_radius_m, aliases, active,
+  coordinates[1] as latitude, coordinates[0] as longitude,
+  total_forms_processed, average_risk_score, high_risk_forms_count, last_processing_date,
+  created_at, updated_at`;
+
+function siteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toSite(row) {
+  return {
+    id: row.id,
+    locationName: row.location_name,
+    siteCode: row.site_code,
+    address: row.address,
+    siteType: row.site_type,
+    latitude: row.latitude === null ? null : Number(row.latitude),
+    longitude: row.longitude === null ? null : Number(row.longitude),
+    geofenceRadiusM: row.geofence_radius_m,
+    aliases: row.aliases || [],
+    active: row.active,
+    stats: {
+      totalForms: row.total_forms_processed || 0,
+      averageRiskScore: row.average_risk_score === null ? null : parseFloat(row.average_risk_score),
+      highRiskForms: row.high_risk_forms_count || 0,
+      lastProcessingDate: row.last_processing_date
+    },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate a site as submitted by an admin. With `partial` only the fields present are checked
+ * (for PATCH). Returns the normalized fields; throws with status 400 describing the first problem.
+ */
+function validateSite(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    throw siteError('Site must be an object', 400);
+  }
+
+  const site = {};
+  if (!partial || input.locationName !== undefined) {
+    if (typeof input.locationName !== 'string' || !input.locationName.trim()) {
+      throw siteError('locationName is required', 400);
+    }
+    site.locationName = input.locationName.trim().slice(0, 200);
+  }
+  if (input.siteCode !== undefined) {
+    if (input.siteCode !== null && !/^[A-Za-z0-9_-]{1,50}$/.test(input.siteCode)) {
+      throw siteError('siteCode must be up to 50 letters, digits, - or _', 400);
+    }
+    site.siteCode = input.siteCode ? input.siteCode.toUpperCase() : null;
+  }
+  if (input.address !== undefined) site.address = input.address || null;
+  if (input.siteType !== undefined) site.siteType = input.siteType ? String(input.siteType).slice(0, 100) : null;
+
+  if (input.latitude !== undefined || input.longitude !== undefined) {
+    const cleared = input.latitude === null && input.longitude === null;
+    const latitude = Number(input.latitude);
+    const longitude = Number(input.longitude);
+    if (!cleared && !isValidCoordinate(latitude, longitude)) {
+      throw siteError('latitude and longitude must be given together as valid coordinates', 400);
+    }
+    site.coordinates = cleared ? null : { latitude, longitude };
+  }
+
+  if (input.geofenceRadiusM !== undefined) {
+    const radius = Number(input.geofenceRadiusM);
+    if (!Number.isInteger(radius) || radius < MIN_GEOFENCE_RADIUS_M || radius > MAX_GEOFENCE_RADIUS_M) {
+      throw siteError(`geofenceRadiusM must be a whole number of metres from ${MIN_GEOFENCE_RADIUS_M} to ${MAX_GEOFENCE_RADIUS_M}`, 400);
+    }
+    site.geofenceRadiusM = radius;
+  }
+
+  if (input.aliases !== undefined) {
+    if (!Array.isArray(input.aliases) || input.aliases.some(alias => typeof alias !== 'string')) {
+      throw siteError('aliases must be a list of names', 400);
+    }
+    site.aliases = [...new Set(input.aliases.map(alias => alias.trim()).filter(Boolean))];
+  }
+
+  if (input.active !== undefined) site.active = Boolean(input.active);
+  return site;
+}
+
+class SiteService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  async listSites({ includeArchived = false } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT ${SITE_COLUMNS}
+        FROM processing_locations
+        ${includeArchived ? '' : 'WHERE active'}
+        ORDER BY location_name
+      `);
+      return result.rows.map(toSite);
+    } finally {
+      client.release();
+    }
+  }
+
+  async getSite(siteId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(`SELECT ${SITE_COLUMNS} FROM processing_locations WHERE id = $1`, [siteId]);
+      return result.rows[0] ? toSite(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createSite(input) {
+    const site = validateSite(input);
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(`
+        INSERT INTO processing_locations (
+          location_name, site_code, address, site_type, coordinates, geofence_radius_m, aliases
+        ) VALUES ($1, $2, $3, $4, CASE WHEN $5::float8 IS NULL THEN NULL ELSE point($5::float8, $6::float8) END, $7, $8)
+        RETURNING id
+      `, [
+        site.locationName,
+        site.siteCode || null,
+        site.address || null,
+        site.siteType || null,
+        site.coordinates?.longitude ?? null,
+        site.coordinates?.latitude ?? null,
+        site.geofenceRadiusM || DEFAULT_GEOFENCE_RADIUS_M,
+        site.aliases || []
+      ]);
+
+      logger.info(`Created site ${site.locationName}`, { siteId: result.rows[0].id });
+      return this.getSite(result.rows[0].id);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw siteError(`Site code ${site.siteCode} is already in use`, 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateSite(siteId, input) {
+    const site = validateSite(input, { partial: true });
+    const columns = {
+      locationName: 'location_name',
+      siteCode: 'site_code',
+      address: 'address',
+      siteType: 'site_type',
+      geofenceRadiusM: 'geofence_radius_m',
+      aliases: 'aliases',
+      active: 'active'
+    };
+
+    const sets = [];
+    const params = [siteId];
+    for (const [field, column] of Object.entries(columns)) {
+      if (site[field] !== undefined) {
+        params.push(site[field]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+    if (site.coordinates !== undefined) {
+      params.push(site.coordinates?.longitude ?? null, site.coordinates?.latitude ?? null);
+      sets.push(`coordinates = CASE WHEN $${params.length - 1}::float8 IS NULL THEN NULL
+        ELSE point($${params.length - 1}::float8, $${params.length}::float8) END`);
+    }
+    if (sets.length === 0) {
+      throw siteError('Nothing to update', 400);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE processing_locations SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING id`,
+        params
+      );
+      if (result.rowCount === 0) {
+        throw siteError('Site not found', 404);
+      }
+      return this.getSite(siteId);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw siteError(`Site code ${site.siteCode} is already in use`, 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Sites are archived rather than deleted so their forms keep pointing at them
+  async archiveSite(siteId) {
+    return this.updateSite(siteId, { active: false });
+  }
+
+  /**
+   * Place a form on a site: by GPS fix first (geofence), then by the AI's work location text.
+   * Records how it matched in forms_processing.location_match and refreshes the rollups of the
+   * new (and any previous) site. Returns the match, or null when no active site matches.
+   */
+  async assignForm(formId, { location = null, workLocation = null } = {}) {
+    const sites = await this.listSites();
+    const match = matchSite(sites, { location, workLocation });
+    if (!match) {
+      logger.info(`No site matched form ${formId}`, { hasLocation: Boolean(location), workLocation });
+      return null;
+    }
+
+    const locationMatch = {
+      method: match.method,
+      distanceMeters: match.distanceMeters ?? null,
+      matchedTerm: match.matchedTerm ?? null,
+      accuracy: location?.accuracy ?? null,
+      matchedAt: new Date().toISOString()
+    };
+
+    const client = await this.pool.connect();
+    let previousLocationId = null;
+    try {
+      const previous = await client.query('SELECT location_id FROM forms_processing WHERE id = $1', [formId]);
+      previousLocationId = previous.rows[0]?.location_id || null;
+
+      await client.query(
+        'UPDATE forms_processing SET location_id = $2, location_match = $3, updated_at = NOW() WHERE id = $1',
+        [formId, match.site.id, JSON.stringify(locationMatch)]
+      );
+    } finally {
+      client.release();
+    }
+
+    await this.refreshStats([match.site.id, previousLocationId].filter(Boolean));
+    logger.info(`Form ${formId} placed on site ${match.site.locationName} by ${match.method}`);
+    return { siteId: match.site.id, siteName: match.site.locationName, ...locationMatch };
+  }
+
+  // Recompute the rollup columns from the site's completed forms
+  async refreshStats(siteIds) {
+    const client = await this.pool.connect();
+    try {
+      for (const siteId of new Set(siteIds)) {
+        await client.query(`
+          UPDATE processing_locations pl
+          SET total_forms_processed = stats.total,
+              average_risk_score = stats.average_risk,
+              high_risk_forms_count = stats.high_risk,
+              last_processing_date = stats.last_processed,
+              updated_at = NOW()
+          FROM (
+            SELECT COUNT(*) as total,
+                   ROUND(AVG(risk_score), 2) as average_risk,
+                   COUNT(*) FILTER (WHERE risk_level IN ('HIGH', 'CRITICAL')) as high_risk,
+                   MAX(created_at) as last_processed
+            FROM forms_processing
+            WHERE location_id = $1 AND processing_status = 'completed'
+          ) stats
+          WHERE pl.id = $1
+        `, [siteId]);
+      }
+    } catch (error) {
+      logger.error('Error refreshing site statistics:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new SiteService();
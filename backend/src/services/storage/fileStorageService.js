@@ -0,0 +1,203 @@
+// File storage service - content-addressed originals and preprocessed images for forms
+// STORAGE_DRIVER=local (default, STORAGE_LOCAL_DIR) or s3 (S3_BUCKET, S3_ENDPOINT for MinIO, ...)
+
+const crypto = require('crypto');
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+const LocalStorageDriver = require('./localStorageDriver');
+const S3StorageDriver = require('./s3StorageDriver');
+
+const FILE_KINDS = ['ORIGINAL', 'PREPROCESSED'];
+
+function createDriver(name = process.env.STORAGE_DRIVER || 'local') {
+  switch (name) {
+    case 'local':
+      return new LocalStorageDriver({ rootDir: process.env.STORAGE_LOCAL_DIR });
+    case 's3':
+      return new S3StorageDriver({
+        bucket: process.env.S3_BUCKET,
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+        prefix: process.env.S3_PREFIX
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+  }
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Fan out by hash prefix so no single directory grows unbounded
+function storageKeyFor(sha256) {
+  return `sha256/${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}`;
+}
+
+class FileStorageService {
+  constructor() {
+    this.pool = pool;
+    this.FILE_KINDS = FILE_KINDS;
+    this.drivers = new Map();
+  }
+
+  getDriver(name) {
+    const driverName = name || process.env.STORAGE_DRIVER || 'local';
+    if (!this.drivers.has(driverName)) {
+      this.drivers.set(driverName, createDriver(driverName));
+    }
+    return this.drivers.get(driverName);
+  }
+
+  hash(buffer) {
+    return hashBuffer(buffer);
+  }
+
+  /**
+   * Store a buffer under its SHA-256. Identical content is only written once;
+   * returns { sha256, sizeBytes, mimeType, alreadyStored }.
+   */
+  async store(buffer, { mimeType, userId = null } = {}) {
+    const sha256 = hashBuffer(buffer);
+    const driver = this.getDriver();
+    const key = storageKeyFor(sha256);
+
+    const client = await this.pool.connect();
+    try {
+      const existing = await client.query('SELECT * FROM stored_files WHERE sha256 = $1', [sha256]);
+      if (existing.rows[0]) {
+        return { sha256, sizeBytes: buffer.length, mimeType: existing.rows[0].mime_type, alreadyStored: true };
+      }
+
+      if (!(await driver.exists(key))) {
+        await driver.put(key, buffer, { contentType: mimeType });
+      }
+
+      await client.query(
+        `INSERT INTO stored_files (sha256, storage_driver, storage_key, mime_type, size_bytes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (sha256) DO NOTHING`,
+        [sha256, driver.name, key, mimeType || null, buffer.length, userId]
+      );
+
+      logger.info(`Stored file ${sha256} (${buffer.length} bytes) with ${driver.name} driver`);
+      return { sha256, sizeBytes: buffer.length, mimeType, alreadyStored: false };
+    } finally {
+      client.release();
+    }
+  }
+
+  async read(sha256) {
+    const client = await this.pool.connect();
+    let record;
+    try {
+      const result = await client.query('SELECT * FROM stored_files WHERE sha256 = $1', [sha256]);
+      record = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    if (!record) return null;
+
+    // Objects are read back from whichever driver wrote them
+    const buffer = await this.getDriver(record.storage_driver).get(record.storage_key);
+    return { ...record, buffer };
+  }
+
+  async linkToForm(formId, sha256, { kind = 'ORIGINAL', pageNumber = null, originalFilename = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO form_files (form_processing_id, file_sha256, kind, page_number, original_filename)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (form_processing_id, kind, COALESCE(page_number, 0))
+         DO UPDATE SET file_sha256 = EXCLUDED.file_sha256
+         RETURNING *`,
+        [formId, sha256, kind, pageNumber, originalFilename]
+      );
+
+      if (kind === 'ORIGINAL') {
+        await client.query('UPDATE forms_processing SET original_sha256 = $2 WHERE id = $1', [formId, sha256]);
+      }
+
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Store and link in one step; storage failures are logged, never fatal to processing
+  async storeForForm(formId, buffer, { kind, pageNumber, originalFilename, mimeType, userId } = {}) {
+    try {
+      const stored = await this.store(buffer, { mimeType, userId });
+      await this.linkToForm(formId, stored.sha256, { kind, pageNumber, originalFilename });
+      return stored;
+    } catch (error) {
+      logger.error(`Could not store ${kind || 'ORIGINAL'} file for form ${formId}:`, error);
+      return null;
+    }
+  }
+
+  async listFormFiles(formId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ff.id, ff.form_processing_id, ff.kind, ff.page_number, ff.original_filename, ff.file_sha256, ff.created_at,
+                sf.mime_type, sf.size_bytes
+         FROM form_files ff
+         JOIN stored_files sf ON sf.sha256 = ff.file_sha256
+         WHERE ff.form_processing_id = $1
+         ORDER BY ff.kind, ff.page_number NULLS FIRST`,
+        [formId]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getFormFile(formId, fileId) {
+    const client = await this.pool.connect();
+    let formFile;
+    try {
+      const result = await client.query(
+        'SELECT * FROM form_files WHERE id = $1 AND form_processing_id = $2',
+        [fileId, formId]
+      );
+      formFile = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    if (!formFile) return null;
+
+    const stored = await this.read(formFile.file_sha256);
+    if (!stored) return null;
+
+    return { ...formFile, mime_type: stored.mime_type, buffer: stored.buffer };
+  }
+
+  // Earlier forms whose original upload had exactly the same bytes
+  async findPreviousUploads(sha256, { excludeFormId = null, limit = 5 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id, original_filename, created_at, user_id, site, processing_status, risk_level
+         FROM forms_processing
+         WHERE original_sha256 = $1
+           AND ($2::uuid IS NULL OR id <> $2::uuid)
+         ORDER BY created_at ASC
+         LIMIT $3`,
+        [sha256, excludeFormId, limit]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new FileStorageService();
@@ -0,0 +1,48 @@
+// Local filesystem storage driver
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class LocalStorageDriver {
+  constructor({ rootDir } = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir || path.join(__dirname, '../../../uploads'));
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Writes to a temp file then renames so readers never see a partial object
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,63 @@
+// S3-compatible storage driver (AWS S3, MinIO, etc.)
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+class S3StorageDriver {
+  constructor({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, prefix } = {}) {
+    if (!bucket) {
+      throw new Error('S3 storage requires S3_BUCKET');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      // MinIO and most self-hosted stores don't support virtual-hosted bucket names
+      forcePathStyle: forcePathStyle ?? Boolean(endpoint),
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: contentType || 'application/octet-stream'
+    }));
+  }
+
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+}
+
+module.exports = S3StorageDriver;
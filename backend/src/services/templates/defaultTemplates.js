@@ -0,0 +1,172 @@
+// Starter form templates, seeded as version 1 by setupDatabase.js
+// Admins refine them (or add their own) through /api/templates; every edit creates a new version.
+//
+// Definition shape:
+//   detection: { anchors: [text], required: [text], minScore }  - anchor text used to recognise the form
+//   sections:  [{ key, title, fields: [...], checklist: [...] }]
+//   field:     { key, label, type: text|date|time|number|boolean|signature, anchors: [text], required }
+//   checklist: { key, label, anchors: [text], expectedAnswer: YES|NO|N/A, critical }
+
+module.exports = [
+  {
+    key: 'TAKE_5',
+    name: 'Take 5 Safety Checklist',
+    formType: 'TAKE_5',
+    description: 'Pre-task personal risk assessment: stop, look, assess, manage, monitor',
+    detection: {
+      anchors: ['take 5', 'stop', 'look', 'assess', 'manage', 'monitor'],
+      required: ['take 5', 'take five'],
+      minScore: 0.5
+    },
+    sections: [
+      {
+        key: 'details',
+        title: 'Details',
+        fields: [
+          { key: 'workerName', label: 'Name', type: 'text', anchors: ['name', 'worker'], required: true },
+          { key: 'date', label: 'Date', type: 'date', anchors: ['date'], required: true },
+          { key: 'time', label: 'Time', type: 'time', anchors: ['time'] },
+          { key: 'site', label: 'Site / location', type: 'text', anchors: ['site', 'location', 'work area'] },
+          { key: 'task', label: 'Task', type: 'text', anchors: ['task', 'job description', 'job'], required: true }
+        ],
+        checklist: []
+      },
+      {
+        key: 'checks',
+        title: 'Checks',
+        fields: [],
+        checklist: [
+          { key: 'fallPrevention', label: 'Fall prevention in place', anchors: ['fall prevention', 'fall protection'], expectedAnswer: 'YES', critical: true },
+          { key: 'h2sMonitor', label: 'H2S monitor worn within breathing zone', anchors: ['h2s monitor'], expectedAnswer: 'YES', critical: true },
+          { key: 'hearingProtection', label: 'Hearing protection worn', anchors: ['hearing protection'], expectedAnswer: 'YES' },
+          { key: 'weatherConsidered', label: 'Weather conditions considered', anchors: ['weather conditions'], expectedAnswer: 'YES' },
+          { key: 'workSurfaces', label: 'Work surfaces level and secure', anchors: ['work surfaces'], expectedAnswer: 'YES' },
+          { key: 'barricading', label: 'Barricading and no-go zones in place', anchors: ['barricading', 'no-go zones'], expectedAnswer: 'YES' },
+          { key: 'toolsSecured', label: 'Tools secured at height', anchors: ['tools secured', 'tool securing'], expectedAnswer: 'YES' }
+        ]
+      },
+      {
+        key: 'signoff',
+        title: 'Sign-off',
+        fields: [
+          { key: 'workerSignature', label: 'Signature', type: 'signature', anchors: ['signature', 'signed'], required: true }
+        ],
+        checklist: []
+      }
+    ]
+  },
+  {
+    key: 'SWMS',
+    name: 'Safe Work Method Statement',
+    formType: 'SWMS',
+    description: 'Method statement for high risk construction work',
+    detection: {
+      anchors: ['safe work method statement', 'swms', 'high risk construction work', 'job steps', 'control measures', 'residual risk'],
+      required: ['safe work method statement', 'swms'],
+      minScore: 0.4
+    },
+    sections: [
+      {
+        key: 'details',
+        title: 'Project details',
+        fields: [
+          { key: 'principalContractor', label: 'Principal contractor', type: 'text', anchors: ['principal contractor', 'pc'] },
+          { key: 'project', label: 'Project', type: 'text', anchors: ['project', 'work location', 'site'], required: true },
+          { key: 'activity', label: 'Work activity', type: 'text', anchors: ['work activity', 'activity', 'scope of work'], required: true },
+          { key: 'preparedBy', label: 'Prepared by', type: 'text', anchors: ['prepared by', 'person responsible'] },
+          { key: 'date', label: 'Date', type: 'date', anchors: ['date'], required: true },
+          { key: 'reviewDate', label: 'Review date', type: 'date', anchors: ['review date'] }
+        ],
+        checklist: [
+          { key: 'workersConsulted', label: 'Workers consulted in preparing the SWMS', anchors: ['consulted'], expectedAnswer: 'YES' },
+          { key: 'hrcwIdentified', label: 'High risk construction work identified', anchors: ['high risk construction work'], expectedAnswer: 'YES', critical: true }
+        ]
+      },
+      {
+        key: 'signoff',
+        title: 'Sign-off',
+        fields: [
+          { key: 'supervisorSignature', label: 'Supervisor signature', type: 'signature', anchors: ['supervisor signature', 'approved by'], required: true },
+          { key: 'workerSignatures', label: 'Worker signatures', type: 'signature', anchors: ['worker signature', 'signatures'] }
+        ],
+        checklist: []
+      }
+    ]
+  },
+  {
+    key: 'JSEA',
+    name: 'Job Safety & Environmental Analysis',
+    formType: 'JSEA',
+    description: 'Step-by-step task breakdown with safety and environmental hazards',
+    detection: {
+      anchors: ['jsea', 'job safety', 'environmental analysis', 'job steps', 'potential hazards', 'controls'],
+      required: ['jsea', 'job safety and environmental', 'job safety & environmental'],
+      minScore: 0.4
+    },
+    sections: [
+      {
+        key: 'details',
+        title: 'Job details',
+        fields: [
+          { key: 'task', label: 'Task', type: 'text', anchors: ['task', 'job description', 'job'], required: true },
+          { key: 'location', label: 'Location', type: 'text', anchors: ['location', 'site', 'work area'], required: true },
+          { key: 'date', label: 'Date', type: 'date', anchors: ['date'], required: true },
+          { key: 'permitNumber', label: 'Permit number', type: 'text', anchors: ['permit no', 'permit number'] },
+          { key: 'crewSize', label: 'Crew size', type: 'number', anchors: ['crew size', 'no. of workers'] }
+        ],
+        checklist: [
+          { key: 'environmentalControls', label: 'Environmental controls in place', anchors: ['environmental controls', 'spill kit'], expectedAnswer: 'YES' },
+          { key: 'isolationsVerified', label: 'Isolations verified', anchors: ['isolation'], expectedAnswer: 'YES', critical: true }
+        ]
+      },
+      {
+        key: 'signoff',
+        title: 'Sign-off',
+        fields: [
+          { key: 'supervisorSignature', label: 'Supervisor signature', type: 'signature', anchors: ['supervisor signature', 'supervisor'], required: true },
+          { key: 'crewSignatures', label: 'Crew signatures', type: 'signature', anchors: ['crew signatures', 'team signatures'] }
+        ],
+        checklist: []
+      }
+    ]
+  },
+  {
+    key: 'PERMIT_TO_WORK',
+    name: 'Permit to Work',
+    formType: 'PERMIT_TO_WORK',
+    description: 'Authorisation for hot work, confined space entry and other controlled work',
+    detection: {
+      anchors: ['permit to work', 'work permit', 'permit no', 'issued by', 'isolation', 'valid from', 'hand back'],
+      required: ['permit to work', 'work permit'],
+      minScore: 0.4
+    },
+    sections: [
+      {
+        key: 'permit',
+        title: 'Permit',
+        fields: [
+          { key: 'permitNumber', label: 'Permit number', type: 'text', anchors: ['permit no', 'permit number'], required: true },
+          { key: 'workDescription', label: 'Description of work', type: 'text', anchors: ['description of work', 'work description', 'scope'], required: true },
+          { key: 'location', label: 'Location', type: 'text', anchors: ['location', 'area', 'equipment'] },
+          { key: 'validFrom', label: 'Valid from', type: 'date', anchors: ['valid from', 'start date'], required: true },
+          { key: 'validTo', label: 'Valid to', type: 'date', anchors: ['valid to', 'expiry', 'end date'], required: true }
+        ],
+        checklist: [
+          { key: 'isolationsApplied', label: 'Isolations applied and locked out', anchors: ['isolations applied', 'locked out', 'isolation'], expectedAnswer: 'YES', critical: true },
+          { key: 'gasTest', label: 'Gas test completed', anchors: ['gas test'], expectedAnswer: 'YES', critical: true },
+          { key: 'fireWatch', label: 'Fire watch arranged', anchors: ['fire watch'], expectedAnswer: 'YES' }
+        ]
+      },
+      {
+        key: 'authorisation',
+        title: 'Authorisation',
+        fields: [
+          { key: 'issuedBy', label: 'Issued by', type: 'text', anchors: ['issued by', 'permit issuer'], required: true },
+          { key: 'acceptedBy', label: 'Accepted by', type: 'text', anchors: ['accepted by', 'permit receiver'], required: true },
+          { key: 'issuerSignature', label: 'Issuer signature', type: 'signature', anchors: ['issuer signature'] }
+        ],
+        checklist: []
+      }
+    ]
+  }
+];
@@ -0,0 +1,223 @@
+// Form template registry - admin-defined, versioned schemas of each company form
+// Uploads are matched against the active version of every template to pull typed field values
+
+const pool = require('../database/pool');
+const logger = require('../utils/logger');
+const { validateDefinition, matchTemplate, extractFromTemplate } = require('./templateExtractor');
+
+// Active templates are re-read at most this often; writes through this service clear the cache
+const CACHE_TTL_MS = parseInt(process.env.TEMPLATE_CACHE_TTL_MS) || 60 * 1000;
+
+function templateError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Shape used by the matcher; definition holds detection + sections
+function toTemplate(row) {
+  return {
+    id: row.id,
+    key: row.template_key,
+    version: row.version,
+    name: row.name,
+    formType: row.form_type,
+    description: row.description,
+    isActive: row.is_active,
+    definition: row.definition,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+class FormTemplateService {
+  constructor() {
+    this.pool = pool;
+    this.activeCache = null;
+    this.activeCacheLoadedAt = 0;
+  }
+
+  invalidateCache() {
+    this.activeCache = null;
+    this.activeCacheLoadedAt = 0;
+  }
+
+  // Latest version of each template, with how many versions exist
+  async listTemplates({ includeInactive = false } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM (
+            SELECT DISTINCT ON (template_key) ft.*,
+                   COUNT(*) OVER (PARTITION BY template_key) as version_count
+            FROM form_templates ft
+            WHERE ($1::boolean OR is_active = true)
+            ORDER BY template_key, version DESC
+         ) latest
+         ORDER BY name`,
+        [includeInactive]
+      );
+      return result.rows.map(row => ({ ...toTemplate(row), versionCount: parseInt(row.version_count) || 1 }));
+    } finally {
+      client.release();
+    }
+  }
+
+  async listVersions(key) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM form_templates WHERE template_key = $1 ORDER BY version DESC',
+        [String(key).toUpperCase()]
+      );
+      return result.rows.map(toTemplate);
+    } finally {
+      client.release();
+    }
+  }
+
+  // A specific version, or the newest one when version is omitted
+  async getTemplate(key, version = null) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM form_templates
+         WHERE template_key = $1 AND ($2::integer IS NULL OR version = $2::integer)
+         ORDER BY version DESC
+         LIMIT 1`,
+        [String(key).toUpperCase(), version]
+      );
+      return result.rows[0] ? toTemplate(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getTemplateById(id) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM form_templates WHERE id = $1', [id]);
+      return result.rows[0] ? toTemplate(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createTemplate(definition, userId) {
+    const validated = validateDefinition(definition);
+    const existing = await this.getTemplate(validated.key);
+    if (existing) {
+      throw templateError(`Template ${validated.key} already exists; publish a new version instead`, 409);
+    }
+    return this.insertVersion(validated, 1, userId);
+  }
+
+  // Templates are never edited in place - forms keep pointing at the version they were read with
+  async createVersion(key, definition, userId) {
+    const current = await this.getTemplate(key);
+    if (!current) {
+      throw templateError('Template not found', 404);
+    }
+
+    const validated = validateDefinition({ ...definition, key: current.key });
+    return this.insertVersion(validated, current.version + 1, userId);
+  }
+
+  async insertVersion(validated, version, userId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO form_templates (template_key, version, name, form_type, description, definition, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          validated.key,
+          version,
+          validated.name,
+          validated.formType,
+          validated.description,
+          JSON.stringify({ detection: validated.detection, sections: validated.sections }),
+          userId || null
+        ]
+      );
+
+      this.invalidateCache();
+      logger.info(`Published form template ${validated.key} v${version}`);
+      return toTemplate(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw templateError(`Template ${validated.key} v${version} already exists`, 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async setActive(key, version, isActive) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE form_templates SET is_active = $3
+         WHERE template_key = $1 AND version = $2
+         RETURNING *`,
+        [String(key).toUpperCase(), version, Boolean(isActive)]
+      );
+      if (!result.rows[0]) {
+        throw templateError('Template version not found', 404);
+      }
+
+      this.invalidateCache();
+      return toTemplate(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  // The newest active version of each template
+  async getActiveTemplates() {
+    if (this.activeCache && Date.now() - this.activeCacheLoadedAt < CACHE_TTL_MS) {
+      return this.activeCache;
+    }
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT DISTINCT ON (template_key) *
+         FROM form_templates
+         WHERE is_active = true
+         ORDER BY template_key, version DESC`
+      );
+      this.activeCache = result.rows.map(toTemplate);
+      this.activeCacheLoadedAt = Date.now();
+      return this.activeCache;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Match OCR text to a template and extract its fields and checklist answers.
+   * Returns null when no template matches; lookup failures are logged, never fatal.
+   */
+  async matchAndExtract(text, checkboxes = [], templates = null) {
+    try {
+      const candidates = templates || await this.getActiveTemplates();
+      const match = matchTemplate(candidates, text);
+      if (!match) return null;
+
+      const extraction = extractFromTemplate(match, text, checkboxes);
+      logger.info(`Matched form template ${extraction.templateKey} v${extraction.templateVersion}`, {
+        score: extraction.matchScore,
+        missingRequired: extraction.missingRequired.length,
+        deviations: extraction.deviations.length
+      });
+      return extraction;
+    } catch (error) {
+      logger.warn('Form template matching failed', { error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new FormTemplateService();
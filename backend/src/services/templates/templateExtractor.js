@@ -0,0 +1,411 @@
+// Template matching and typed field extraction
+// Pure functions over OCR text and detected checkboxes - no database access, so they are easy to test
+
+const { FORM_TYPES, normalizeFormType } = require('../forms/formTypes');
+
+const FIELD_TYPES = ['text', 'date', 'time', 'number', 'boolean', 'signature'];
+const CHECKLIST_ANSWERS = ['YES', 'NO', 'N/A'];
+const MAX_FIELD_LENGTH = 120;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function templateError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function anchorRegExp(anchor) {
+  const pattern = escapeRegExp(normalizeText(anchor).trim()).replace(/ /g, '\\s+');
+  return new RegExp(`(^|[^a-z0-9])(${pattern})(?=[^a-z0-9]|$)`, 'g');
+}
+
+// Every occurrence of an anchor as { start, end, colon } where colon marks "Label:" style usage
+function findAnchor(text, anchor) {
+  const occurrences = [];
+  const regex = anchorRegExp(anchor);
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    const end = start + match[2].length;
+    occurrences.push({ start, end, colon: /^\s*[:\-–]/.test(text.slice(end, end + 3)) });
+    regex.lastIndex = end;
+  }
+  return occurrences;
+}
+
+function tokens(text) {
+  return normalizeText(text).split(/[^a-z0-9]+/).filter(token => token.length > 1);
+}
+
+// Dice coefficient over word tokens
+function labelSimilarity(a, b) {
+  const left = new Set(tokens(a));
+  const right = new Set(tokens(b));
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  left.forEach(token => { if (right.has(token)) shared++; });
+  return (2 * shared) / (left.size + right.size);
+}
+
+function cleanValue(value) {
+  return String(value || '')
+    .replace(/[_.]{2,}/g, ' ')
+    .replace(/^[\s:\-–|]+|[\s:\-–|]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toIsoDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Forms are Australian, so numeric dates are day/month/year
+function parseDate(value) {
+  let match = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = value.match(/(\d{1,2})\s*[/.\-]\s*(\d{1,2})\s*[/.\-]\s*(\d{2,4})/);
+  if (match) return toIsoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+  match = value.match(/(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3})[a-z]*\.?,?\s+(\d{2,4})/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return toIsoDate(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, Number(match[1]));
+  }
+  return null;
+}
+
+function parseTime(value) {
+  const match = value.match(/(\d{1,2})\s*[:.]\s*(\d{2})\s*(am|pm)?/i) || value.match(/(\d{1,2})()\s*(am|pm)/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function parseAnswer(value) {
+  const text = normalizeText(value).trim();
+  if (/^(n\/a|na|not applicable)\b/.test(text)) return 'N/A';
+  if (/^(yes|y|true)\b|^[✓✔☑]/.test(text)) return 'YES';
+  if (/^(no|n|false)\b|^[✗✘☒]/.test(text)) return 'NO';
+  return null;
+}
+
+function coerceValue(type, raw) {
+  switch (type) {
+    case 'date':
+      return parseDate(raw);
+    case 'time':
+      return parseTime(raw);
+    case 'number': {
+      const match = raw.match(/-?\d+(?:\.\d+)?/);
+      return match ? Number(match[0]) : null;
+    }
+    case 'boolean': {
+      const answer = parseAnswer(raw);
+      return answer === 'YES' ? true : answer === 'NO' ? false : null;
+    }
+    case 'signature':
+      // Signatures don't OCR into words; any mark on the line counts as signed
+      return raw.replace(/[^a-z0-9]/gi, '').length >= 2;
+    default:
+      return raw || null;
+  }
+}
+
+function checkboxAnswer(checkbox) {
+  if (checkbox.state === 'NOT_APPLICABLE') return 'N/A';
+  if (checkbox.state === 'EMPTY') return null;
+  if (checkbox.answer) return checkbox.answer;
+  return checkbox.state === 'CROSSED' ? 'NO' : 'YES';
+}
+
+/**
+ * Validate an admin-supplied template definition and fill in defaults.
+ * Throws an error with status 400 describing the first problem found.
+ */
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw templateError('Template definition must be an object');
+  }
+
+  const key = String(definition.key || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_]{2,50}$/.test(key)) {
+    throw templateError('Template key must be 2-50 characters of A-Z, 0-9 or _');
+  }
+  if (!definition.name || typeof definition.name !== 'string') {
+    throw templateError('Template name is required');
+  }
+
+  const formType = normalizeFormType(definition.formType);
+  if (definition.formType && formType === 'UNKNOWN' && definition.formType !== 'UNKNOWN') {
+    throw templateError(`Unknown form type "${definition.formType}"; expected one of ${FORM_TYPES.join(', ')}`);
+  }
+
+  const detection = definition.detection || {};
+  const anchors = (detection.anchors || []).filter(anchor => typeof anchor === 'string' && anchor.trim());
+  if (anchors.length === 0) {
+    throw templateError('Template needs at least one detection anchor');
+  }
+
+  const minScore = detection.minScore === undefined ? 0.5 : Number(detection.minScore);
+  if (!(minScore > 0 && minScore <= 1)) {
+    throw templateError('detection.minScore must be between 0 and 1');
+  }
+
+  if (!Array.isArray(definition.sections) || definition.sections.length === 0) {
+    throw templateError('Template needs at least one section');
+  }
+
+  const seenKeys = new Set();
+  const claimKey = (itemKey, where) => {
+    if (!itemKey || typeof itemKey !== 'string') throw templateError(`Every ${where} needs a key`);
+    if (seenKeys.has(itemKey)) throw templateError(`Duplicate key "${itemKey}" in template`);
+    seenKeys.add(itemKey);
+  };
+
+  const sections = definition.sections.map(section => {
+    claimKey(section.key, 'section');
+    if (!section.title) throw templateError(`Section "${section.key}" needs a title`);
+
+    const fields = (section.fields || []).map(field => {
+      claimKey(field.key, 'field');
+      const type = field.type || 'text';
+      if (!FIELD_TYPES.includes(type)) {
+        throw templateError(`Field "${field.key}" has unknown type "${type}"; expected one of ${FIELD_TYPES.join(', ')}`);
+      }
+      const fieldAnchors = (field.anchors || [field.label]).filter(Boolean);
+      if (!field.label || fieldAnchors.length === 0) {
+        throw templateError(`Field "${field.key}" needs a label`);
+      }
+      return { key: field.key, label: field.label, type, anchors: fieldAnchors, required: Boolean(field.required) };
+    });
+
+    const checklist = (section.checklist || []).map(item => {
+      claimKey(item.key, 'checklist item');
+      if (!item.label) throw templateError(`Checklist item "${item.key}" needs a label`);
+      const expectedAnswer = item.expectedAnswer || 'YES';
+      if (!CHECKLIST_ANSWERS.includes(expectedAnswer)) {
+        throw templateError(`Checklist item "${item.key}" expectedAnswer must be one of ${CHECKLIST_ANSWERS.join(', ')}`);
+      }
+      return {
+        key: item.key,
+        label: item.label,
+        anchors: (item.anchors || [item.label]).filter(Boolean),
+        expectedAnswer,
+        critical: Boolean(item.critical),
+        allowNotApplicable: item.allowNotApplicable !== false
+      };
+    });
+
+    return { key: section.key, title: section.title, fields, checklist };
+  });
+
+  return {
+    key,
+    name: definition.name.trim(),
+    formType,
+    description: definition.description || null,
+    detection: {
+      anchors,
+      required: (detection.required || []).filter(anchor => typeof anchor === 'string' && anchor.trim()),
+      minScore
+    },
+    sections
+  };
+}
+
+/**
+ * Pick the template whose anchors best cover the text.
+ * templates: [{ id, key, version, name, formType, definition }]. Returns
+ * { template, score, matchedAnchors } or null when nothing reaches its minScore.
+ */
+function matchTemplate(templates, text) {
+  const normalized = normalizeText(text);
+  let best = null;
+
+  for (const template of templates) {
+    const { anchors, required = [], minScore = 0.5 } = template.definition.detection;
+    if (required.length > 0 && !required.some(anchor => findAnchor(normalized, anchor).length > 0)) {
+      continue;
+    }
+
+    const matchedAnchors = anchors.filter(anchor => findAnchor(normalized, anchor).length > 0);
+    const score = matchedAnchors.length / anchors.length;
+    if (score < minScore) continue;
+
+    if (!best || score > best.score || (score === best.score && matchedAnchors.length > best.matchedAnchors.length)) {
+      best = { template, score: Math.round(score * 100) / 100, matchedAnchors };
+    }
+  }
+
+  return best;
+}
+
+// Where each field's value starts, preferring "Label:" occurrences and skipping anchors inside longer ones
+function locateFields(text, fields, otherSpans) {
+  const candidates = fields.map(field => ({
+    field,
+    occurrences: field.anchors.flatMap(anchor => findAnchor(text, anchor))
+  }));
+  const allSpans = [...otherSpans, ...candidates.flatMap(candidate => candidate.occurrences)];
+  const insideLonger = span => allSpans.some(other =>
+    other !== span && other.start <= span.start && other.end >= span.end && other.end - other.start > span.end - span.start
+  );
+
+  return candidates.map(({ field, occurrences }) => {
+    const usable = occurrences.filter(span => !insideLonger(span));
+    const label = usable.find(span => span.colon) || usable[0] || null;
+    return { field, label };
+  });
+}
+
+/**
+ * Pull typed field values and checklist answers for a matched template.
+ * checkboxes come from ocr/checkboxDetector; checklist items without a detected box fall back
+ * to "Label ... Yes/No" in the text.
+ */
+function extractFromTemplate(match, text, checkboxes = []) {
+  const { template } = match;
+  const source = String(text || '');
+  // Lower-casing keeps offsets aligned with the original text for ASCII forms
+  const normalized = source.toLowerCase();
+  const sections = template.definition.sections;
+
+  const checklistItems = sections.flatMap(section => section.checklist.map(item => ({ ...item, section: section.key })));
+  const checklistSpans = checklistItems.flatMap(item => [item.label, ...item.anchors].flatMap(anchor => findAnchor(normalized, anchor)));
+  const sectionSpans = sections.flatMap(section => findAnchor(normalized, section.title));
+  // Single-word detection anchors ("stop", "look") are too common inside values to end them
+  const headingSpans = template.definition.detection.anchors
+    .filter(anchor => anchor.trim().includes(' '))
+    .flatMap(anchor => findAnchor(normalized, anchor));
+
+  const fields = sections.flatMap(section => section.fields.map(field => ({ ...field, section: section.key })));
+  const located = locateFields(normalized, fields, [...checklistSpans, ...sectionSpans]);
+
+  // A value ends at the next label, checklist item, section title, page marker or line break
+  const stops = [
+    ...located.filter(item => item.label).map(item => item.label.start),
+    ...fields.flatMap(field => field.anchors.flatMap(anchor => findAnchor(normalized, anchor)))
+      .filter(span => span.colon)
+      .map(span => span.start),
+    ...checklistSpans.map(span => span.start),
+    ...sectionSpans.map(span => span.start),
+    ...headingSpans.map(span => span.start)
+  ];
+  const valueEnd = from => {
+    let end = Math.min(source.length, from + MAX_FIELD_LENGTH);
+    const lineBreak = source.indexOf('\n', from);
+    if (lineBreak !== -1 && lineBreak < end) end = lineBreak;
+    const pageMarker = source.indexOf('===', from);
+    if (pageMarker !== -1 && pageMarker < end) end = pageMarker;
+    stops.forEach(stop => { if (stop > from && stop < end) end = stop; });
+    return end;
+  };
+
+  const extractedFields = {};
+  const missingRequired = [];
+  for (const { field, label } of located) {
+    let raw = null;
+    if (label) {
+      const separator = source.slice(label.end).match(/^\s*[:\-–]?\s*/)[0].length;
+      const start = label.end + separator;
+      raw = cleanValue(source.slice(start, valueEnd(start)));
+    }
+
+    const value = raw ? coerceValue(field.type, raw) : (field.type === 'signature' ? false : null);
+    extractedFields[field.key] = {
+      label: field.label,
+      section: field.section,
+      type: field.type,
+      value,
+      raw: raw || null,
+      found: Boolean(label)
+    };
+
+    const present = field.type === 'signature' ? value === true : value !== null && value !== '';
+    if (field.required && !present) missingRequired.push(field.key);
+  }
+
+  const checklist = checklistItems.map(item => {
+    const boxes = checkboxes.filter(checkbox => checkbox.label && (
+      item.anchors.some(anchor => normalizeText(checkbox.label).includes(normalizeText(anchor))) ||
+      labelSimilarity(checkbox.label, item.label) >= 0.6
+    ));
+    const marked = boxes
+      .filter(checkbox => checkboxAnswer(checkbox) !== null)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    let answer = null;
+    let answerSource = null;
+    let confidence = null;
+    if (marked.length > 0) {
+      answer = checkboxAnswer(marked[0]);
+      answerSource = 'checkbox';
+      confidence = marked[0].confidence;
+    } else if (boxes.length === 0) {
+      // No box found for this item - look for a written answer after its label
+      const span = [item.label, ...item.anchors].flatMap(anchor => findAnchor(normalized, anchor))[0];
+      if (span) {
+        answer = parseAnswer(cleanValue(source.slice(span.end, valueEnd(span.end))));
+        if (answer) answerSource = 'text';
+      }
+    }
+
+    let compliant = null;
+    if (answer === 'N/A') compliant = item.allowNotApplicable;
+    else if (answer) compliant = answer === item.expectedAnswer;
+
+    return {
+      key: item.key,
+      label: item.label,
+      section: item.section,
+      answer,
+      expectedAnswer: item.expectedAnswer,
+      compliant,
+      critical: item.critical,
+      source: answerSource,
+      confidence
+    };
+  });
+
+  return {
+    templateId: template.id,
+    templateKey: template.key,
+    templateVersion: template.version,
+    templateName: template.name,
+    formType: template.formType,
+    matchScore: match.score,
+    matchedAnchors: match.matchedAnchors,
+    fields: extractedFields,
+    checklist,
+    missingRequired,
+    deviations: checklist.filter(item => item.compliant === false).map(item => item.key)
+  };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  CHECKLIST_ANSWERS,
+  validateDefinition,
+  matchTemplate,
+  extractFromTemplate
+};
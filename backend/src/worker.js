@@ -0,0 +1,26 @@
+// Standalone processing worker - runs queued OCR/AI jobs without serving HTTP
+// Usage: npm run worker (pair with JOB_WORKER_DISABLED=true on the API instances)
+
+require('dotenv').config();
+const jobWorker = require('./services/jobs/jobWorker');
+const formPipeline = require('./services/forms/formPipeline');
+const batchService = require('./services/batches/batchService');
+const pool = require('./services/database/pool');
+
+jobWorker.registerHandler(formPipeline.JOB_TYPE, (job, context) => formPipeline.processJob(job, context));
+jobWorker.registerHandler(batchService.JOB_TYPE, (job, context) => batchService.processJob(job, context));
+jobWorker.start();
+
+// Keep the process alive; the poll timer is unref'd so the API server can exit cleanly
+const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+async function shutdown(signal) {
+  console.log(`${signal} received, stopping worker`);
+  jobWorker.stop();
+  clearInterval(keepAlive);
+  await pool.end();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
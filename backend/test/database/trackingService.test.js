@@ -0,0 +1,252 @@
+// TrackingService against a disposable PostgreSQL database (see test/support/testDatabase.js)
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const testDatabase = require('../support/testDatabase');
+const trackingService = require('../../src/services/database/trackingService');
+const { createUser } = require('../support/fixtures');
+
+const ANALYSIS = {
+  riskScore: 7,
+  riskLevel: 'HIGH',
+  formTypeDetected: 'JSA',
+  supervisorFlagged: true,
+  australianStandardsReferenced: ['AS/NZS 1891'],
+  analysisResult: { summary: 'Roof work' },
+  recommendations: ['Install edge protection'],
+  hazardsIdentified: [{
+    type: 'FALL_FROM_HEIGHT',
+    category: 'FALL_PROTECTION',
+    severity: 'HIGH',
+    description: 'Unprotected roof edge',
+    recommendation: 'Install edge protection',
+    actionPriority: 'CRITICAL',
+    inherentRisk: { consequence: 4, likelihood: 3, level: 'HIGH' },
+    controlMeasures: [{ control: 'Harness', hierarchy: 'PPE' }],
+    controlHierarchy: { highestLevel: 'PPE', lowerOrderOnly: true }
+  }]
+};
+
+async function createForm({ sessionToken, user = null, site = null, filename = 'form.jpg' } = {}) {
+  const session = await trackingService.createProcessingSession({
+    sessionToken,
+    userIdentifier: user?.email || 'anonymous',
+    userId: user?.id
+  });
+  const form = await trackingService.createFormProcessingRecord({
+    sessionId: session.id,
+    userId: user?.id,
+    site: site || user?.site,
+    originalFilename: filename,
+    fileSizeBytes: 1024,
+    fileType: 'image/jpeg',
+    imageDimensions: { width: 800, height: 600 }
+  });
+  return { session, form };
+}
+
+async function auditEvents(formId) {
+  const result = await testDatabase.query(
+    'SELECT event_type FROM forms_audit_log WHERE form_processing_id = $1',
+    [formId]
+  );
+  return result.rows.map(row => row.event_type);
+}
+
+beforeAll(() => testDatabase.ready());
+
+beforeEach(() => testDatabase.truncate('forms_audit_log', 'form_hazards', 'forms_processing', 'processing_sessions'));
+
+afterAll(() => testDatabase.close());
+
+describe('sessions', () => {
+  test('creates a session with a generated token', async () => {
+    const session = await trackingService.createProcessingSession({ userIdentifier: 'sam' });
+
+    expect(session.id).toBeDefined();
+    expect(session.session_token).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('reuses a session token for the same user', async () => {
+    const { user } = await createUser();
+    const first = await trackingService.createProcessingSession({ sessionToken: 'shift-1', userIdentifier: user.email, userId: user.id });
+    const second = await trackingService.createProcessingSession({ sessionToken: 'shift-1', userIdentifier: user.email, userId: user.id });
+
+    expect(second.id).toBe(first.id);
+  });
+
+  test('never attaches to a session token owned by another user', async () => {
+    const { user: owner } = await createUser();
+    const { user: other } = await createUser();
+    const first = await trackingService.createProcessingSession({ sessionToken: 'shift-2', userIdentifier: owner.email, userId: owner.id });
+    const second = await trackingService.createProcessingSession({ sessionToken: 'shift-2', userIdentifier: other.email, userId: other.id });
+
+    expect(second.id).not.toBe(first.id);
+    expect(second.session_token).not.toBe('shift-2');
+  });
+
+  test('updates session totals', async () => {
+    const session = await trackingService.createProcessingSession({ userIdentifier: 'sam' });
+    const updated = await trackingService.updateProcessingSession(session.id, {
+      totalFormsProcessed: 3,
+      totalProcessingTimeMs: 4500
+    });
+
+    expect(updated.total_forms_processed).toBe(3);
+    expect(updated.total_processing_time_ms).toBe(4500);
+  });
+});
+
+describe('form processing records', () => {
+  test('records OCR and AI results, hazards and audit events', async () => {
+    const { form } = await createForm();
+
+    await trackingService.updateFormProcessingOCR(form.id, {
+      providerUsed: 'google_vision',
+      confidenceScore: 0.92,
+      processingTimeMs: 800,
+      extractedTextLength: 120,
+      extractedText: 'JOB SAFETY ANALYSIS roof edge'
+    });
+    const updated = await trackingService.updateFormProcessingAI(form.id, { ...ANALYSIS, processingTimeMs: 1500 });
+
+    expect(updated.processing_status).toBe('completed');
+    expect(updated.review_status).toBe('PENDING_REVIEW');
+    expect(updated.risk_level).toBe('HIGH');
+    expect(updated.ocr_provider_used).toBe('google_vision');
+
+    const stored = await trackingService.getFormById(form.id);
+    expect(stored.extracted_text).toBe('JOB SAFETY ANALYSIS roof edge');
+    expect(stored.hazards).toHaveLength(1);
+    expect(stored.hazards[0]).toMatchObject({
+      type: 'FALL_FROM_HEIGHT',
+      category: 'FALL_PROTECTION',
+      severity: 3,
+      actionPriority: '4',
+      inherentRisk: { consequence: 4, likelihood: 3, level: 'HIGH' },
+      controlHierarchy: { highestLevel: 'PPE', lowerOrderOnly: true }
+    });
+
+    expect(await auditEvents(form.id)).toEqual(expect.arrayContaining([
+      'form_processing_started',
+      'ocr_completed',
+      'ai_analysis_completed',
+      'corrective_actions_created'
+    ]));
+  });
+
+  test('does not flag forms for review unless the supervisor flag is set', async () => {
+    const { form } = await createForm();
+    const updated = await trackingService.updateFormProcessingAI(form.id, {
+      ...ANALYSIS,
+      supervisorFlagged: false,
+      hazardsIdentified: []
+    });
+
+    expect(updated.review_status).toBe('NOT_REQUIRED');
+  });
+
+  test('marks processing failures', async () => {
+    const { form } = await createForm();
+    const failed = await trackingService.markFormProcessingError(form.id, { stage: 'ocr', message: 'Vision unavailable' });
+
+    expect(failed.processing_status).toBe('failed');
+    expect(failed.error_details).toEqual({ stage: 'ocr', message: 'Vision unavailable' });
+    expect(await auditEvents(form.id)).toContain('processing_failed');
+  });
+
+  test('links duplicate uploads to the original form', async () => {
+    const { form: original } = await createForm();
+    const { form: duplicate } = await createForm();
+
+    await trackingService.markDuplicateUpload(duplicate.id, original.id);
+
+    const stored = await trackingService.getFormById(duplicate.id);
+    expect(stored.duplicate_of_form_id).toBe(original.id);
+    expect(await auditEvents(duplicate.id)).toContain('duplicate_upload_detected');
+  });
+
+  test('returns nothing for an unknown form', async () => {
+    expect(await trackingService.getFormById('00000000-0000-0000-0000-000000000000')).toBeUndefined();
+  });
+});
+
+describe('scoped queries', () => {
+  let worker;
+  let colleague;
+  let elsewhere;
+
+  beforeEach(async () => {
+    ({ user: worker } = await createUser({ site: 'North Yard' }));
+    ({ user: colleague } = await createUser({ site: 'North Yard' }));
+    ({ user: elsewhere } = await createUser({ site: 'South Yard' }));
+
+    await createForm({ sessionToken: 'shared', user: worker, filename: 'mine.jpg' });
+    await createForm({ sessionToken: 'colleague', user: colleague, filename: 'colleague.jpg' });
+    const { form } = await createForm({ sessionToken: 'elsewhere', user: elsewhere, filename: 'south.jpg' });
+    await trackingService.updateFormProcessingAI(form.id, ANALYSIS);
+  });
+
+  test('session forms are limited to the caller', async () => {
+    const own = await trackingService.getSessionForms('shared', { userId: worker.id });
+    const other = await trackingService.getSessionForms('shared', { userId: colleague.id });
+
+    expect(own.map(form => form.original_filename)).toEqual(['mine.jpg']);
+    expect(other).toEqual([]);
+  });
+
+  test('recent forms respect user and site scope', async () => {
+    const all = await trackingService.getRecentForms(10);
+    const site = await trackingService.getRecentForms(10, { site: 'North Yard' });
+    const own = await trackingService.getRecentForms(10, { userId: elsewhere.id });
+
+    expect(all).toHaveLength(3);
+    expect(site.map(form => form.original_filename).sort()).toEqual(['colleague.jpg', 'mine.jpg']);
+    expect(own).toHaveLength(1);
+    expect(own[0].hazards).toHaveLength(1);
+  });
+
+  test('summarises processing within the time range and scope', async () => {
+    const summary = await trackingService.getProcessingSummary('24 hours');
+    const north = await trackingService.getProcessingSummary('24 hours', { site: 'North Yard' });
+
+    expect(Number(summary.total_forms)).toBe(3);
+    expect(Number(summary.completed_forms)).toBe(1);
+    expect(Number(summary.high_risk_forms)).toBe(1);
+    expect(summary.form_types_processed).toBe('JSA');
+    expect(Number(north.total_forms)).toBe(2);
+    expect(Number(north.high_risk_forms)).toBe(0);
+  });
+
+  test('reports hazard trends by type', async () => {
+    const trends = await trackingService.getHazardTrends('7 days');
+    const north = await trackingService.getHazardTrends('7 days', { site: 'North Yard' });
+
+    expect(trends).toHaveLength(1);
+    expect(trends[0]).toMatchObject({ hazard_type: 'FALL_FROM_HEIGHT', hazard_category: 'FALL_PROTECTION' });
+    expect(Number(trends[0].occurrence_count)).toBe(1);
+    expect(north).toEqual([]);
+  });
+});
+
+describe('maintenance', () => {
+  test('health check counts forms from the last hour', async () => {
+    await createForm();
+    const health = await trackingService.healthCheck();
+
+    expect(health.status).toBe('healthy');
+    expect(health.recentForms).toBe(1);
+  });
+
+  test('cleanup removes old audit logs and sessions without forms', async () => {
+    await createForm();
+    await trackingService.createProcessingSession({ userIdentifier: 'abandoned' });
+    await testDatabase.query("UPDATE forms_audit_log SET created_at = NOW() - INTERVAL '100 days'");
+    await testDatabase.query(
+      "UPDATE processing_sessions SET created_at = NOW() - INTERVAL '100 days' WHERE user_identifier = 'abandoned'"
+    );
+
+    const result = await trackingService.cleanupOldData(90);
+
+    expect(result).toEqual({ auditLogsDeleted: 1, sessionsDeleted: 1 });
+  });
+});
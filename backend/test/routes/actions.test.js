@@ -0,0 +1,44 @@
+// /api/actions routes against a disposable PostgreSQL database (see test/support/testDatabase.js)
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const request = require('supertest');
+const testDatabase = require('../support/testDatabase');
+const { createUser } = require('../support/fixtures');
+const app = require('../../src/server');
+
+let supervisor;
+
+beforeAll(async () => {
+  await testDatabase.ready();
+  supervisor = await createUser({ role: 'SUPERVISOR' });
+});
+
+afterAll(async () => {
+  await testDatabase.close();
+});
+
+describe('corrective actions', () => {
+  test('rejects action and evidence ids that are not UUIDs', async () => {
+    const actionId = '00000000-0000-4000-8000-000000000000';
+    const detail = await request(app).get('/api/actions/abc').set('Authorization', supervisor.auth);
+    const comment = await request(app)
+      .post('/api/actions/abc/comments')
+      .set('Authorization', supervisor.auth)
+      .send({ body: 'Checked on site' });
+    const evidence = await request(app).get(`/api/actions/${actionId}/evidence/abc`).set('Authorization', supervisor.auth);
+
+    expect(detail.status).toBe(400);
+    expect(detail.body.error).toBe('actionId must be a UUID');
+    expect(comment.status).toBe(400);
+    expect(evidence.status).toBe(400);
+    expect(evidence.body.error).toBe('evidenceId must be a UUID');
+  });
+
+  test('404s an unknown action', async () => {
+    const response = await request(app)
+      .get('/api/actions/00000000-0000-4000-8000-000000000000')
+      .set('Authorization', supervisor.auth);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,55 @@
+// /api/auth user administration against a disposable PostgreSQL database (see test/support/testDatabase.js)
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const request = require('supertest');
+const testDatabase = require('../support/testDatabase');
+const { createUser } = require('../support/fixtures');
+const app = require('../../src/server');
+const authService = require('../../src/services/auth/authService');
+
+beforeAll(async () => {
+  await testDatabase.ready();
+});
+
+afterAll(async () => {
+  await testDatabase.close();
+});
+
+describe('PATCH /users/:userId', () => {
+  test("lets only a super admin change a super admin's account", async () => {
+    const admin = await createUser({ role: 'ADMIN' });
+    const superAdmin = await createUser({ role: 'SUPER_ADMIN' });
+    const target = await createUser({ role: 'SUPER_ADMIN' });
+    const update = (caller, body) => request(app)
+      .patch(`/api/auth/users/${target.user.id}`)
+      .set('Authorization', caller.auth)
+      .send(body);
+
+    const deactivated = await update(admin, { active: false });
+    const reset = await update(admin, { password: 'another-horse-battery' });
+    const demoted = await update(admin, { role: 'WORKER' });
+
+    [deactivated, reset, demoted].forEach(response => {
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Only super admins can change a super admin');
+    });
+    expect(await authService.getUserById(target.user.id)).toMatchObject({ role: 'SUPER_ADMIN', active: true });
+
+    const bySuperAdmin = await update(superAdmin, { active: false });
+    expect(bySuperAdmin.status).toBe(200);
+    expect(bySuperAdmin.body.user).toMatchObject({ id: target.user.id, active: false });
+  });
+
+  test('lets an admin change other accounts', async () => {
+    const admin = await createUser({ role: 'ADMIN' });
+    const worker = await createUser();
+
+    const response = await request(app)
+      .patch(`/api/auth/users/${worker.user.id}`)
+      .set('Authorization', admin.auth)
+      .send({ active: false });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toMatchObject({ id: worker.user.id, active: false });
+  });
+});
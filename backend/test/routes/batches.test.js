@@ -0,0 +1,327 @@
+// /api/batches end to end: files are uploaded to a batch, the batch job runs them through the same
+// pipeline as /api/forms/analyze, and flagged forms wait for review via /api/forms/confirm.
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const request = require('supertest');
+const testDatabase = require('../support/testDatabase');
+const { startFakeChatCompletionsServer } = require('../support/fakeChatCompletionsServer');
+const {
+  createUser,
+  createFormImage,
+  visionClient,
+  runNextJob,
+  SAMPLE_FORM_TEXT,
+  SAMPLE_ANALYSIS
+} = require('../support/fixtures');
+const app = require('../../src/server');
+const ocrService = require('../../src/services/ocr/ocrService');
+const batchService = require('../../src/services/batches/batchService');
+const jobQueue = require('../../src/services/jobs/jobQueue');
+const aiAnalysisService = require('../../src/services/ai/aiAnalysisService');
+const ChatCompletionsProvider = require('../../src/services/ai/providers/chatCompletionsProvider');
+
+// Forms whose text carries this marker come back from the AI as incomplete, which flags them for review
+const INCOMPLETE_MARKER = 'supervisor-sign-off-missing';
+
+let aiServer;
+let worker;
+let otherWorker;
+let shade = 0;
+let formCount = 0;
+
+// Each file in a batch reads differently, so they aren't near-duplicates of each other
+function nextFormText(marker = '') {
+  formCount++;
+  const notes = Array.from({ length: 20 }, (_, index) => `batch${formCount}x${index}`);
+  return `${SAMPLE_FORM_TEXT}\nCrew notes: ${notes.join(' ')} ${marker}`;
+}
+
+// OCR answers with the next text on each call, whatever order the batch reads its files in
+function sequentialVisionClient(texts) {
+  const clients = texts.map(text => visionClient(text));
+  let call = 0;
+  return {
+    textDetection: jest.fn(async (...args) => clients[Math.min(call++, clients.length - 1)].textDetection(...args))
+  };
+}
+
+async function createBatch(mode, user = worker) {
+  return request(app)
+    .post('/api/batches')
+    .set('Authorization', user.auth)
+    .send({ mode, maxConcurrent: 2 });
+}
+
+async function addFiles(batchId, count, user = worker) {
+  let upload = request(app)
+    .post(`/api/batches/${batchId}/files`)
+    .set('Authorization', user.auth);
+  for (let index = 0; index < count; index++) {
+    shade = (shade + 7) % 256;
+    upload = upload.attach('files', await createFormImage({ shade }), { filename: `form${index + 1}.png`, contentType: 'image/png' });
+  }
+  return upload;
+}
+
+async function getBatch(batchId, user = worker) {
+  return request(app)
+    .get(`/api/batches/${batchId}`)
+    .set('Authorization', user.auth);
+}
+
+async function startBatch(batchId, user = worker) {
+  const started = await request(app)
+    .post(`/api/batches/${batchId}/start`)
+    .set('Authorization', user.auth);
+  expect(started.status).toBe(202);
+  return started.body;
+}
+
+// Creates a batch of forms reading `texts` (by default three, the second flagged as incomplete),
+// starts it and runs its job
+async function runBatch(mode, texts = [nextFormText(), nextFormText(INCOMPLETE_MARKER), nextFormText()], user = worker) {
+  ocrService.visionClient = sequentialVisionClient(texts);
+
+  const created = await createBatch(mode, user);
+  const batchId = created.body.batch.id;
+  await addFiles(batchId, texts.length, user);
+  await startBatch(batchId, user);
+
+  const job = await runNextJob(batchService.JOB_TYPE);
+  expect(job.status).toBe('COMPLETED');
+  return batchId;
+}
+
+beforeAll(async () => {
+  await testDatabase.ready();
+
+  aiServer = await startFakeChatCompletionsServer({
+    apiKey: 'test-key',
+    reply: body => (JSON.stringify(body).includes(INCOMPLETE_MARKER)
+      ? { ...SAMPLE_ANALYSIS, formCompleteness: 'INCOMPLETE', missingFields: ['Supervisor signature'] }
+      : SAMPLE_ANALYSIS)
+  });
+  aiAnalysisService.registerProvider(new ChatCompletionsProvider({
+    name: 'fake_chat',
+    baseUrl: aiServer.baseUrl,
+    apiKey: 'test-key',
+    model: 'fake-chat',
+    timeoutMs: 5000
+  }));
+  process.env.AI_PROVIDER_ORDER = 'fake_chat';
+
+  worker = await createUser({ role: 'WORKER', site: 'Batch Yard' });
+  otherWorker = await createUser({ role: 'WORKER', site: 'Batch Yard' });
+});
+
+beforeEach(async () => {
+  aiServer.reset();
+  await testDatabase.truncate('processing_job_events', 'processing_jobs');
+});
+
+afterAll(async () => {
+  await aiServer.close();
+  await testDatabase.close();
+});
+
+describe('creating batches', () => {
+  test('rejects an unknown mode', async () => {
+    const response = await createBatch('INTERACTIVE');
+
+    expect(response.status).toBe(400);
+    expect(response.body.validModes).toEqual(['BULK', 'BATCH']);
+  });
+
+  test('only starts an open batch with files, and takes no files once started', async () => {
+    const created = await createBatch('BULK');
+    expect(created.status).toBe(201);
+    expect(created.body.batch.status).toBe('OPEN');
+    const batchId = created.body.batch.id;
+
+    const empty = await request(app).post(`/api/batches/${batchId}/start`).set('Authorization', worker.auth);
+    expect(empty.status).toBe(409);
+
+    const added = await addFiles(batchId, 2);
+    expect(added.status).toBe(201);
+    expect(added.body.items.map(item => item.position)).toEqual([1, 2]);
+
+    const started = await request(app).post(`/api/batches/${batchId}/start`).set('Authorization', worker.auth);
+    expect(started.status).toBe(202);
+    expect(started.body.batch.status).toBe('PROCESSING');
+    expect(started.body.batch.summary).toMatchObject({ total: 2, queued: 2 });
+
+    const late = await addFiles(batchId, 1);
+    expect(late.status).toBe(409);
+  });
+
+  test('answers too many files or the wrong file type with a client error', async () => {
+    const created = await createBatch('BULK');
+    const batchId = created.body.batch.id;
+
+    const tooMany = await addFiles(batchId, batchService.MAX_ITEMS + 1);
+    expect(tooMany.status).toBe(413);
+    expect(tooMany.body.maxItems).toBe(batchService.MAX_ITEMS);
+
+    const wrongType = await request(app)
+      .post(`/api/batches/${batchId}/files`)
+      .set('Authorization', worker.auth)
+      .attach('files', Buffer.from('not a form'), { filename: 'notes.txt', contentType: 'text/plain' });
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.error).toMatch(/image, TIFF or PDF/);
+
+    const { body: { batch } } = await getBatch(batchId);
+    expect(batch.items).toHaveLength(0);
+  });
+
+  test('deletes a batch that has not started', async () => {
+    const open = (await createBatch('BULK')).body.batch;
+    const started = (await createBatch('BULK')).body.batch;
+    await addFiles(started.id, 1);
+    await startBatch(started.id);
+
+    const deleted = await request(app).delete(`/api/batches/${open.id}`).set('Authorization', worker.auth);
+    const refused = await request(app).delete(`/api/batches/${started.id}`).set('Authorization', worker.auth);
+
+    expect(deleted.status).toBe(200);
+    expect((await getBatch(open.id)).status).toBe(404);
+    expect(refused.status).toBe(409);
+  });
+
+  test("hides another user's batch", async () => {
+    const created = await createBatch('BATCH');
+
+    const response = await getBatch(created.body.batch.id, otherWorker);
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Smart Batch', () => {
+  test('saves unflagged forms and holds flagged ones for review', async () => {
+    const batchId = await runBatch('BATCH');
+
+    const response = await getBatch(batchId);
+    const { batch } = response.body;
+    expect(batch.status).toBe('NEEDS_REVIEW');
+    expect(batch.summary).toMatchObject({ total: 3, saved: 2, needsReview: 1, failed: 0 });
+
+    const flagged = batch.items.find(item => item.status === 'NEEDS_REVIEW');
+    expect(flagged.position).toBe(2);
+    expect(flagged.review_reasons).toEqual(['Supervisor review required', 'Form incomplete']);
+    expect(flagged.form_processing_id).toBeNull();
+    batch.items.filter(item => item.status === 'SAVED').forEach(item => {
+      expect(item.form_processing_id).toEqual(expect.any(String));
+    });
+  });
+
+  test('finishes the batch once the flagged form is confirmed', async () => {
+    const batchId = await runBatch('BATCH');
+    const { body: { batch } } = await getBatch(batchId);
+    const flagged = batch.items.find(item => item.status === 'NEEDS_REVIEW');
+
+    const item = await request(app)
+      .get(`/api/batches/${batchId}/items/${flagged.id}`)
+      .set('Authorization', worker.auth);
+    expect(item.status).toBe(200);
+    const { draftId, analysis, review } = item.body.item.result;
+    expect(draftId).toBe(flagged.draft_id);
+
+    // The page image is served from the batch for the side-by-side review
+    const pageUrl = review.pages[0].url;
+    expect(pageUrl).toBe(`/api/batches/${batchId}/items/${flagged.id}/files/${review.pages[0].sha256}`);
+    const page = await request(app).get(pageUrl).set('Authorization', worker.auth);
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toBe('image/png');
+
+    const confirmed = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({ draftId, confirmedAnalysis: { ...analysis, formCompleteness: 'COMPLETE' } });
+    expect(confirmed.status).toBe(200);
+
+    const after = await getBatch(batchId);
+    expect(after.body.batch.status).toBe('COMPLETED');
+    expect(after.body.batch.summary).toMatchObject({ total: 3, saved: 3, needsReview: 0 });
+    expect(after.body.batch.items.find(entry => entry.id === flagged.id).form_processing_id).toBe(confirmed.body.formId);
+  });
+
+  test('finishes the batch when the flagged form is skipped', async () => {
+    const batchId = await runBatch('BATCH');
+    const { body: { batch } } = await getBatch(batchId);
+    const flagged = batch.items.find(item => item.status === 'NEEDS_REVIEW');
+    const saved = batch.items.find(item => item.status === 'SAVED');
+
+    const notFlagged = await request(app)
+      .post(`/api/batches/${batchId}/items/${saved.id}/skip`)
+      .set('Authorization', worker.auth);
+    expect(notFlagged.status).toBe(409);
+
+    const skipped = await request(app)
+      .post(`/api/batches/${batchId}/items/${flagged.id}/skip`)
+      .set('Authorization', worker.auth);
+    expect(skipped.status).toBe(200);
+    expect(skipped.body.batch.status).toBe('COMPLETED');
+    expect(skipped.body.batch.summary).toMatchObject({ saved: 2, skipped: 1 });
+  });
+});
+
+describe('Bulk', () => {
+  test('saves every form, flagged or not', async () => {
+    const batchId = await runBatch('BULK');
+
+    const { body: { batch } } = await getBatch(batchId);
+    expect(batch.status).toBe('COMPLETED');
+    expect(batch.completed_at).not.toBeNull();
+    expect(batch.summary).toMatchObject({ total: 3, saved: 3, riskLevels: { MEDIUM: 3 } });
+    expect(batch.items[1].review_reasons).toEqual(['Supervisor review required', 'Form incomplete']);
+
+    const listed = await request(app).get('/api/batches').set('Authorization', worker.auth);
+    expect(listed.body.batches.find(entry => entry.id === batchId)).toMatchObject({ item_count: 3, needs_review_count: 0 });
+  });
+
+  test("saves a form matching another user's form for review, but skips a second photo of the user's own", async () => {
+    const text = nextFormText();
+    await runBatch('BULK', [text], otherWorker);
+
+    const first = (await getBatch(await runBatch('BULK', [text]))).body.batch;
+    expect(first.items[0]).toMatchObject({ status: 'SAVED', review_reasons: ["Looks like another user's form submitted today"] });
+    const form = await request(app)
+      .get(`/api/forms/form/${first.items[0].form_processing_id}`)
+      .set('Authorization', worker.auth);
+    expect(form.body.form).toMatchObject({ analysis: { supervisorFlagged: true }, review: { status: 'PENDING_REVIEW' } });
+
+    const second = (await getBatch(await runBatch('BULK', [text]))).body.batch;
+    expect(second.items[0]).toMatchObject({ status: 'SKIPPED', form_processing_id: null });
+  });
+});
+
+describe('resuming a batch', () => {
+  test('takes back the items of a run that died and leaves a running one alone', async () => {
+    ocrService.visionClient = sequentialVisionClient([nextFormText(), nextFormText()]);
+    const created = await createBatch('BULK');
+    const batchId = created.body.batch.id;
+    await addFiles(batchId, 3);
+    const { jobId } = await startBatch(batchId);
+    const { body: { batch: { items } } } = await getBatch(batchId);
+
+    // Item 1 belongs to a run still going elsewhere; item 2 to an earlier attempt of this batch's job
+    await jobQueue.enqueue('other_batch_run');
+    const running = await jobQueue.claimNext('other-worker', ['other_batch_run']);
+    await testDatabase.query(
+      "UPDATE form_batch_items SET status = 'PROCESSING', run_job_id = $2, run_attempt = 1 WHERE id = $1",
+      [items[0].id, running.id]
+    );
+    await testDatabase.query(
+      "UPDATE form_batch_items SET status = 'PROCESSING', run_job_id = $2, run_attempt = 0 WHERE id = $1",
+      [items[1].id, jobId]
+    );
+
+    await runNextJob(batchService.JOB_TYPE);
+
+    const { body: { batch } } = await getBatch(batchId);
+    expect(batch.items.map(item => item.status)).toEqual(['PROCESSING', 'SAVED', 'SAVED']);
+    expect(batch.status).toBe('PROCESSING');
+    // The running item is left to its own run rather than queued again
+    expect(await runNextJob(batchService.JOB_TYPE)).toBeNull();
+  });
+});
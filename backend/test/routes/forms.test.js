@@ -0,0 +1,1055 @@
+// /api/forms routes end to end: PGlite for the database, a stubbed Google Vision client for OCR and
+// the fake chat completions server for AI analysis. Queued jobs are run with runNextJob().
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const testDatabase = require('../support/testDatabase');
+const { startFakeChatCompletionsServer } = require('../support/fakeChatCompletionsServer');
+const {
+  createUser,
+  createFormImage,
+  visionClient,
+  runNextJob,
+  SAMPLE_FORM_TEXT,
+  SAMPLE_ANALYSIS
+} = require('../support/fixtures');
+const app = require('../../src/server');
+const ocrService = require('../../src/services/ocr/ocrService');
+const jobQueue = require('../../src/services/jobs/jobQueue');
+const { idempotency } = require('../../src/middleware/idempotency');
+const aiAnalysisService = require('../../src/services/ai/aiAnalysisService');
+const ChatCompletionsProvider = require('../../src/services/ai/providers/chatCompletionsProvider');
+
+let aiServer;
+let worker;
+let admin;
+let shade = 0;
+let formCount = 0;
+let formText;
+
+// Every upload is a different image so earlier tests' files never count as re-uploads
+function nextImage() {
+  shade = (shade + 7) % 256;
+  return createFormImage({ shade });
+}
+
+// The flat test images all hash alike, so each test's form also reads differently to the others -
+// otherwise they would be near-duplicates of each other
+function nextFormText() {
+  formCount++;
+  const notes = Array.from({ length: 20 }, (_, index) => `note${formCount}x${index}`);
+  return `${SAMPLE_FORM_TEXT}\nCrew notes: ${notes.join(' ')}`;
+}
+
+async function uploadForm(path, user = worker) {
+  return request(app)
+    .post(`/api/forms/${path}`)
+    .set('Authorization', user.auth)
+    .attach('file', await nextImage(), { filename: 'take5.png', contentType: 'image/png' });
+}
+
+async function analyzeAndConfirm(user = worker) {
+  await uploadForm('analyze', user);
+  const job = await runNextJob();
+  const { draftId, analysis } = job.result;
+
+  return request(app)
+    .post('/api/forms/confirm')
+    .set('Authorization', user.auth)
+    .send({ draftId, confirmedAnalysis: analysis });
+}
+
+beforeAll(async () => {
+  await testDatabase.ready();
+
+  aiServer = await startFakeChatCompletionsServer({ apiKey: 'test-key', reply: SAMPLE_ANALYSIS });
+  aiAnalysisService.registerProvider(new ChatCompletionsProvider({
+    name: 'fake_chat',
+    baseUrl: aiServer.baseUrl,
+    apiKey: 'test-key',
+    model: 'fake-chat',
+    timeoutMs: 5000
+  }));
+  process.env.AI_PROVIDER_ORDER = 'fake_chat';
+
+  worker = await createUser({ role: 'WORKER', site: 'North Yard' });
+  admin = await createUser({ role: 'ADMIN' });
+});
+
+beforeEach(async () => {
+  aiServer.reset();
+  formText = nextFormText();
+  ocrService.visionClient = visionClient(formText);
+  await testDatabase.truncate('processing_job_events', 'processing_jobs');
+});
+
+afterAll(async () => {
+  await aiServer.close();
+  await testDatabase.close();
+});
+
+describe('authentication', () => {
+  test('rejects requests without a token', async () => {
+    const response = await request(app).get('/api/forms/analytics/summary');
+    expect(response.status).toBe(401);
+  });
+
+  test('rejects an invalid token', async () => {
+    const response = await request(app)
+      .get('/api/forms/analytics/summary')
+      .set('Authorization', 'Bearer not-a-token');
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('POST /upload', () => {
+  test('requires a file', async () => {
+    const response = await request(app)
+      .post('/api/forms/upload')
+      .set('Authorization', worker.auth);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ success: false, error: 'No file uploaded' });
+    expect(response.body.sessionToken).toBeDefined();
+  });
+
+  test('rejects unsupported file types', async () => {
+    const response = await request(app)
+      .post('/api/forms/upload')
+      .set('Authorization', worker.auth)
+      .attach('file', Buffer.from('plain text'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Only image, TIFF or PDF files are allowed');
+    expect(await runNextJob()).toBeNull();
+  });
+
+  test('rejects files over the size limit', async () => {
+    const response = await request(app)
+      .post('/api/forms/upload')
+      .set('Authorization', worker.auth)
+      .attach('file', Buffer.alloc(11 * 1024 * 1024), { filename: 'huge.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(413);
+    expect(response.body.error).toBe('The file must be 10MB or smaller');
+    expect(await runNextJob()).toBeNull();
+  });
+
+  test('queues the form and saves the analysis when the job runs', async () => {
+    const response = await uploadForm('upload');
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ success: true, status: 'queued', duplicateOf: null });
+    expect(response.body.statusUrl).toBe(`/api/jobs/${response.body.jobId}`);
+
+    const job = await runNextJob();
+    expect(job.status).toBe('COMPLETED');
+    expect(job.result.result.formType).toBe('TAKE_5');
+    expect(aiServer.requests).toHaveLength(1);
+    expect(aiServer.requests[0].messages.map(message => message.content).join('\n')).toContain('Replace light fitting');
+
+    const form = await request(app)
+      .get(`/api/forms/form/${response.body.formId}`)
+      .set('Authorization', worker.auth);
+
+    expect(form.status).toBe(200);
+    expect(form.body.form).toMatchObject({
+      id: response.body.formId,
+      status: 'completed',
+      processing: { ocrProvider: 'google_vision', aiProvider: 'fake_chat' },
+      analysis: { formType: 'TAKE_5' }
+    });
+    expect(form.body.form.results.extractedText).toContain('TAKE 5 SAFETY CHECKLIST');
+    expect(form.body.form.results.hazards.map(hazard => hazard.category)).toEqual(['FALL_PROTECTION']);
+    expect(form.body.form.files.map(file => file.kind)).toEqual(['ORIGINAL']);
+  });
+
+  test('reports a re-upload of the same photo', async () => {
+    const image = await nextImage();
+    const send = () => request(app)
+      .post('/api/forms/upload')
+      .set('Authorization', worker.auth)
+      .attach('file', image, { filename: 'take5.png', contentType: 'image/png' });
+
+    const first = await send();
+    const second = await send();
+
+    expect(second.status).toBe(202);
+    expect(second.body.duplicateOf).toMatchObject({ formId: first.body.formId, sameUser: true });
+  });
+
+  test('fails without retrying when the photo has too little text', async () => {
+    ocrService.visionClient = visionClient('ok');
+    const response = await uploadForm('upload');
+    const job = await runNextJob();
+
+    expect(job.status).toBe('FAILED');
+    expect(job.attempts).toBe(1);
+    expect(job.last_error).toBe('Insufficient text extracted from image');
+    expect(job.result).toMatchObject({ stage: 'ocr_validation', extractedText: 'ok' });
+    expect(aiServer.requests).toHaveLength(0);
+
+    const form = await request(app)
+      .get(`/api/forms/form/${response.body.formId}`)
+      .set('Authorization', worker.auth);
+    expect(form.body.form.status).toBe('failed');
+  });
+
+  test('fails the same way when no OCR provider is available', async () => {
+    ocrService.visionClient = null;
+    await uploadForm('upload');
+    const job = await runNextJob();
+
+    expect(job.status).toBe('FAILED');
+    expect(job.result.stage).toBe('ocr_validation');
+  });
+
+  test('retries when every AI provider fails, then saves the fallback analysis', async () => {
+    aiServer.enqueue({ status: 500 }, { status: 500 });
+    const response = await uploadForm('upload');
+
+    const retrying = await runNextJob();
+    expect(retrying.status).toBe('RETRYING');
+    expect(retrying.last_error).toMatch(/^All AI providers failed/);
+
+    // Skip the backoff and make the next attempt the last one
+    await testDatabase.query(
+      'UPDATE processing_jobs SET run_at = NOW(), attempts = max_attempts - 1 WHERE id = $1',
+      [retrying.id]
+    );
+    const final = await runNextJob();
+
+    expect(final.status).toBe('COMPLETED');
+    expect(final.result.result.analysis.analysisStatus).toBe('FAILED');
+    expect(aiServer.requests).toHaveLength(2);
+
+    const form = await request(app)
+      .get(`/api/forms/form/${response.body.formId}`)
+      .set('Authorization', worker.auth);
+    expect(form.body.form.status).toBe('completed');
+    expect(form.body.form.analysis.riskTrace.baseSource).toBe('fallback');
+  });
+});
+
+describe('POST /submissions', () => {
+  let submissionCount = 0;
+
+  function nextSubmissionId() {
+    submissionCount++;
+    return `device-${submissionCount}-0000`;
+  }
+
+  async function submitForm(submissionId, { user = worker, image, fields = {} } = {}) {
+    const submission = request(app)
+      .post('/api/forms/submissions')
+      .set('Authorization', user.auth)
+      .field('submissionId', submissionId);
+    Object.entries(fields).forEach(([name, value]) => submission.field(name, value));
+    return image === null
+      ? submission
+      : submission.attach('file', image || await nextImage(), { filename: 'take5.jpg', contentType: 'image/png' });
+  }
+
+  async function countForms(submissionId) {
+    const result = await testDatabase.query('SELECT COUNT(*)::int AS count FROM forms_processing WHERE client_submission_id = $1', [submissionId]);
+    return result.rows[0].count;
+  }
+
+  test('requires a well-formed submission id', async () => {
+    const response = await submitForm('short');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/submissionId/);
+    expect(await runNextJob()).toBeNull();
+  });
+
+  test('turns away an oversized photo without storing the submission', async () => {
+    const submissionId = nextSubmissionId();
+    const response = await submitForm(submissionId, { image: Buffer.alloc(11 * 1024 * 1024) });
+
+    expect(response.status).toBe(413);
+    expect(await countForms(submissionId)).toBe(0);
+    expect(await runNextJob()).toBeNull();
+  });
+
+  test('dates the form by the capture time and keeps the device details', async () => {
+    const capturedAt = '2025-03-14T06:30:00.000Z';
+    const response = await submitForm(nextSubmissionId(), {
+      fields: {
+        capturedAt,
+        latitude: '-31.95',
+        longitude: '115.86',
+        deviceInfo: JSON.stringify({ platform: 'android', appVersion: '1.0.0' }),
+        captureMethod: 'mobile_camera'
+      }
+    });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ success: true, status: 'queued', replayed: false });
+    expect(new Date(response.body.capturedAt).toISOString()).toBe(capturedAt);
+    expect(new Date(response.body.receivedAt).getTime()).toBeGreaterThan(Date.parse(capturedAt));
+
+    const job = await runNextJob();
+    expect(job.status).toBe('COMPLETED');
+
+    const form = await request(app)
+      .get(`/api/forms/form/${response.body.formId}`)
+      .set('Authorization', worker.auth);
+    expect(new Date(form.body.form.metadata.createdAt).toISOString()).toBe(capturedAt);
+    expect(form.body.form.metadata.submissionId).toBe(response.body.submissionId);
+
+    const session = await testDatabase.query(
+      'SELECT ps.device_info FROM processing_sessions ps JOIN forms_processing fp ON fp.session_id = ps.id WHERE fp.id = $1',
+      [response.body.formId]
+    );
+    expect(session.rows[0].device_info.client).toEqual({ platform: 'android', appVersion: '1.0.0' });
+
+    const queued = await testDatabase.query('SELECT payload FROM processing_jobs WHERE id = $1', [response.body.jobId]);
+    expect(queued.rows[0].payload).toMatchObject({
+      submissionId: response.body.submissionId,
+      capturedAt,
+      captureMethod: 'mobile_camera',
+      location: { latitude: -31.95, longitude: 115.86, timestamp: capturedAt }
+    });
+  });
+
+  test('uses the receive time for capture times in the future', async () => {
+    const before = Date.now();
+    const response = await submitForm(nextSubmissionId(), {
+      fields: { capturedAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() }
+    });
+
+    expect(response.status).toBe(202);
+    expect(new Date(response.body.capturedAt).getTime()).toBeGreaterThanOrEqual(before - 1000);
+    expect(new Date(response.body.capturedAt).getTime()).toBeLessThanOrEqual(Date.now() + 1000);
+  });
+
+  test('answers retries with the first attempt instead of a new form', async () => {
+    const submissionId = nextSubmissionId();
+    const image = await nextImage();
+    const first = await submitForm(submissionId, { image });
+    await runNextJob();
+
+    const retry = await submitForm(submissionId, { image });
+    const withoutFile = await submitForm(submissionId, { image: null });
+
+    expect(retry.status).toBe(200);
+    expect(retry.body).toMatchObject({
+      replayed: true,
+      status: 'completed',
+      formId: first.body.formId,
+      jobId: first.body.jobId,
+      sessionToken: first.body.sessionToken
+    });
+    expect(withoutFile.status).toBe(200);
+    expect(withoutFile.body.jobId).toBe(first.body.jobId);
+    expect(await countForms(submissionId)).toBe(1);
+    expect(await runNextJob()).toBeNull();
+  });
+
+  test('creates one form when retries arrive together', async () => {
+    const submissionId = nextSubmissionId();
+    const image = await nextImage();
+    const responses = await Promise.all([1, 2, 3].map(() => submitForm(submissionId, { image })));
+
+    expect(new Set(responses.map(response => response.body.formId)).size).toBe(1);
+    expect(responses.map(response => response.status).sort()).toEqual([200, 200, 202]);
+    expect(new Set(responses.map(response => response.body.jobId)).size).toBe(1);
+    expect(await countForms(submissionId)).toBe(1);
+  });
+
+  test('keeps submission ids separate per user', async () => {
+    const submissionId = nextSubmissionId();
+    const other = await createUser({ role: 'WORKER', site: 'North Yard' });
+
+    const mine = await submitForm(submissionId);
+    const theirs = await submitForm(submissionId, { user: other });
+
+    expect(mine.status).toBe(202);
+    expect(theirs.status).toBe(202);
+    expect(theirs.body.formId).not.toBe(mine.body.formId);
+  });
+
+  test('queues a received submission again when queueing failed', async () => {
+    const submissionId = nextSubmissionId();
+    const enqueue = jest.spyOn(jobQueue, 'enqueue').mockRejectedValueOnce(new Error('queue unavailable'));
+
+    const first = await submitForm(submissionId);
+    expect(first.status).toBe(500);
+    enqueue.mockRestore();
+
+    const withoutFile = await submitForm(submissionId, { image: null });
+    expect(withoutFile.status).toBe(409);
+
+    const retry = await submitForm(submissionId);
+    expect(retry.status).toBe(202);
+    expect(retry.body.formId).toBe(withoutFile.body.formId);
+    expect((await runNextJob()).status).toBe('COMPLETED');
+    expect(await countForms(submissionId)).toBe(1);
+  });
+
+  test('queues a failed submission only once when retries arrive together', async () => {
+    const submissionId = nextSubmissionId();
+    const enqueue = jest.spyOn(jobQueue, 'enqueue').mockRejectedValueOnce(new Error('queue unavailable'));
+    const first = await submitForm(submissionId);
+    expect(first.status).toBe(500);
+    enqueue.mockRestore();
+
+    const retries = await Promise.all([submitForm(submissionId), submitForm(submissionId)]);
+
+    // The other retry gets the queued job, or is told to come back while it is being queued
+    const statuses = retries.map(retry => retry.status);
+    expect(statuses.filter(status => status === 202)).toHaveLength(1);
+    expect([200, 409]).toContain(statuses.find(status => status !== 202));
+    const jobs = await testDatabase.query(
+      'SELECT COUNT(*)::int AS count FROM processing_jobs WHERE form_processing_id = $1',
+      [retries[0].body.formId]
+    );
+    expect(jobs.rows[0].count).toBe(1);
+    expect((await runNextJob()).status).toBe('COMPLETED');
+  });
+
+  test('queues a submission again when the server stopped before queueing it', async () => {
+    const submissionId = nextSubmissionId();
+    const first = await submitForm(submissionId);
+    // As if the server died between saving the form and queueing its job
+    await testDatabase.query(
+      "UPDATE forms_processing SET received_at = NOW() - INTERVAL '10 minutes' WHERE id = $1",
+      [first.body.formId]
+    );
+    await testDatabase.query('DELETE FROM processing_jobs WHERE form_processing_id = $1', [first.body.formId]);
+
+    const withoutFile = await submitForm(submissionId, { image: null });
+    expect(withoutFile.status).toBe(409);
+    expect(withoutFile.body.error).toMatch(/resend it with the file/);
+
+    const retry = await submitForm(submissionId);
+    expect(retry.status).toBe(202);
+    expect(retry.body.formId).toBe(first.body.formId);
+    expect((await runNextJob()).status).toBe('COMPLETED');
+    expect(await countForms(submissionId)).toBe(1);
+  });
+});
+
+describe('POST /analyze and /confirm', () => {
+  test('/analyze requires a file', async () => {
+    const response = await request(app)
+      .post('/api/forms/analyze')
+      .set('Authorization', worker.auth);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('No file uploaded');
+  });
+
+  test('/analyze rejects unsupported file types', async () => {
+    const response = await request(app)
+      .post('/api/forms/analyze')
+      .set('Authorization', worker.auth)
+      .attach('file', Buffer.from('plain text'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(response.status).toBe(400);
+    expect(await runNextJob()).toBeNull();
+  });
+
+  test('/analyze returns the analysis for review without saving a form', async () => {
+    const response = await uploadForm('analyze');
+
+    expect(response.status).toBe(202);
+    expect(response.body.formId).toBeNull();
+
+    const job = await runNextJob();
+    expect(job.status).toBe('COMPLETED');
+    expect(job.result).toMatchObject({
+      status: 'awaiting_confirmation',
+      confirmationRequired: true,
+      analysis: { formType: 'TAKE_5' },
+      ocr: { provider: 'google_vision' }
+    });
+    expect(job.result.extractedText).toBe(ocrService.cleanSafetyFormText(formText));
+    expect(job.result.draftId).toBeDefined();
+    expect(job.result.tempData).toBeUndefined();
+    expect(job.result.review.words.length).toBeGreaterThan(0);
+
+    const session = await request(app)
+      .get(`/api/forms/session/${response.body.sessionToken}`)
+      .set('Authorization', worker.auth);
+    expect(session.body.forms).toEqual([]);
+  });
+
+  test('/analyze cleans up phone photos before OCR and keeps the capture checks', async () => {
+    const captureQuality = { sharpness: 0.82, glare: 0.01, documentDetected: true, perspectiveCorrected: true, warnings: [] };
+    const response = await request(app)
+      .post('/api/forms/analyze')
+      .set('Authorization', worker.auth)
+      .field('captureMethod', 'mobile_camera')
+      .field('captureQuality', JSON.stringify(captureQuality))
+      .attach('file', await nextImage(), { filename: 'photo.jpg', contentType: 'image/png' });
+
+    expect(response.status).toBe(202);
+    const job = await runNextJob();
+
+    expect(job.result.fileInfo).toMatchObject({ captureMethod: 'mobile_camera', captureQuality });
+    expect(job.result.fileInfo.preprocessedFiles).toHaveLength(1);
+    expect(job.result.review.pages[0].sha256).toBe(job.result.fileInfo.preprocessedFiles[0].sha256);
+  });
+
+  test('/analyze treats unknown capture methods as file uploads', async () => {
+    await request(app)
+      .post('/api/forms/analyze')
+      .set('Authorization', worker.auth)
+      .field('captureMethod', 'fax')
+      .field('captureQuality', 'not json')
+      .attach('file', await nextImage(), { filename: 'take5.png', contentType: 'image/png' });
+    const job = await runNextJob();
+
+    expect(job.result.fileInfo).toMatchObject({ captureMethod: 'file_upload', captureQuality: null, preprocessedFiles: [] });
+  });
+
+  test('/confirm requires the draft and the confirmed analysis', async () => {
+    const response = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({ sessionToken: 'abc' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.required).toEqual(['draftId', 'confirmedAnalysis']);
+  });
+
+  test('/confirm saves the reviewed analysis and lists it in the session', async () => {
+    const response = await analyzeAndConfirm();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      status: 'confirmed_and_saved',
+      analysis: { formType: 'TAKE_5', issueCount: 1 }
+    });
+
+    const session = await request(app)
+      .get(`/api/forms/session/${response.body.sessionToken}`)
+      .set('Authorization', worker.auth);
+    expect(session.status).toBe(200);
+    expect(session.body.forms).toEqual([
+      expect.objectContaining({ id: response.body.formId, status: 'completed', formType: 'TAKE_5' })
+    ]);
+
+    const files = await request(app)
+      .get(`/api/forms/form/${response.body.formId}/files`)
+      .set('Authorization', worker.auth);
+    expect(files.body.files.map(file => file.kind)).toContain('ORIGINAL');
+  });
+
+  test('/confirm saves the draft text and records what the user changed', async () => {
+    await uploadForm('analyze');
+    const { result } = await runNextJob();
+    const confirmedAnalysis = { ...result.analysis, formType: 'JSA', flaggedIssues: [] };
+
+    const response = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({
+        draftId: result.draftId,
+        confirmedAnalysis,
+        // Ignored - the server works these out from the draft
+        userCorrections: {},
+        tempData: { extractedText: 'Forged text', originalAnalysis: confirmedAnalysis }
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.userCorrections).toMatchObject({
+      hasChanges: true,
+      formType: { from: 'TAKE_5', to: 'JSA' },
+      issues: { removed: [expect.objectContaining({ category: 'FALL_PROTECTION' })], added: [] }
+    });
+    expect(response.body.metadata.correctionFields).toEqual(['formType', 'flaggedIssues']);
+
+    const form = await request(app)
+      .get(`/api/forms/form/${response.body.formId}`)
+      .set('Authorization', worker.auth);
+    expect(form.body.form.results.extractedText).toBe(result.extractedText);
+    expect(form.body.form.results.aiAnalysis.userCorrections.hasChanges).toBe(true);
+  });
+
+  test('/confirm rejects a malformed analysis before saving anything', async () => {
+    await uploadForm('analyze');
+    const { result } = await runNextJob();
+    const before = await testDatabase.query('SELECT COUNT(*)::int AS count FROM forms_processing');
+    const confirm = confirmedAnalysis => request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({ draftId: result.draftId, confirmedAnalysis });
+
+    const fractional = await confirm({ ...result.analysis, riskScore: 7.5 });
+    const notAList = await confirm({ ...result.analysis, flaggedIssues: 'x' });
+
+    expect(fractional.status).toBe(400);
+    expect(fractional.body.issues).toEqual([expect.stringMatching(/^riskScore:/)]);
+    expect(notAList.status).toBe(400);
+    expect(notAList.body.issues).toEqual([expect.stringMatching(/^flaggedIssues\.0:/)]);
+    const after = await testDatabase.query('SELECT COUNT(*)::int AS count FROM forms_processing');
+    expect(after.rows[0].count).toBe(before.rows[0].count);
+
+    // The draft is still there to confirm properly
+    expect((await confirm(result.analysis)).status).toBe(200);
+  });
+
+  test('/confirm keeps the template and rules trace of the machine analysis', async () => {
+    await uploadForm('analyze');
+    const { result } = await runNextJob();
+
+    const response = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({
+        draftId: result.draftId,
+        confirmedAnalysis: {
+          ...result.analysis,
+          template: { templateId: 'not-a-uuid', fields: { permitNumber: 'forged' } },
+          riskTrace: { finalScore: 1, rules: [] }
+        }
+      });
+
+    expect(response.status).toBe(200);
+    const saved = await testDatabase.query(
+      'SELECT template_id, extracted_fields, risk_trace, ai_analysis_result FROM forms_processing WHERE id = $1',
+      [response.body.formId]
+    );
+    const form = saved.rows[0];
+    expect(form.risk_trace).toEqual(result.analysis.riskTrace);
+    expect(form.ai_analysis_result.riskTrace).toEqual(result.analysis.riskTrace);
+    // The sample form matches no template
+    expect(form.template_id).toBeNull();
+    expect(form.extracted_fields).toBeNull();
+    expect(form.ai_analysis_result.template ?? null).toBeNull();
+  });
+
+  test("/confirm sends a worker's lowered risk to a supervisor, but not a reviewer's", async () => {
+    const confirmLowered = async user => {
+      await uploadForm('analyze', user);
+      const { result } = await runNextJob();
+      const confirmed = await request(app)
+        .post('/api/forms/confirm')
+        .set('Authorization', user.auth)
+        .send({
+          draftId: result.draftId,
+          confirmedAnalysis: { ...result.analysis, riskLevel: 'LOW', riskScore: 1, requiresSupervisorReview: false }
+        });
+      expect(confirmed.status).toBe(200);
+      return request(app)
+        .get(`/api/forms/form/${confirmed.body.formId}`)
+        .set('Authorization', admin.auth);
+    };
+
+    const byWorker = await confirmLowered(worker);
+    expect(byWorker.body.form).toMatchObject({
+      analysis: { riskLevel: 'LOW', supervisorFlagged: true },
+      review: { status: 'PENDING_REVIEW' }
+    });
+
+    formText = nextFormText();
+    const byReviewer = await confirmLowered(admin);
+    expect(byReviewer.body.form).toMatchObject({
+      analysis: { supervisorFlagged: false },
+      review: { status: 'NOT_REQUIRED' }
+    });
+  });
+
+  test('/confirm keeps a flag the analysis raised', async () => {
+    await uploadForm('analyze');
+    const { result } = await runNextJob();
+    const flagged = { ...result.analysis, requiresSupervisorReview: true };
+    await testDatabase.query(
+      'UPDATE analysis_drafts SET original_analysis = $2 WHERE id = $1',
+      [result.draftId, JSON.stringify(flagged)]
+    );
+
+    const confirmed = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({ draftId: result.draftId, confirmedAnalysis: result.analysis });
+
+    expect(confirmed.status).toBe(200);
+    const form = await request(app)
+      .get(`/api/forms/form/${confirmed.body.formId}`)
+      .set('Authorization', worker.auth);
+    expect(form.body.form.review.status).toBe('PENDING_REVIEW');
+  });
+
+  test('/confirm saves a draft only once', async () => {
+    await uploadForm('analyze');
+    const { result } = await runNextJob();
+    const confirm = () => request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({ draftId: result.draftId, confirmedAnalysis: result.analysis });
+
+    const first = await confirm();
+    const second = await confirm();
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(409);
+    expect(second.body).toMatchObject({ error: 'Draft already confirmed', formId: first.body.formId });
+  });
+
+  test("/confirm refuses another user's draft and unknown drafts", async () => {
+    await uploadForm('analyze');
+    const { result } = await runNextJob();
+    const other = await createUser({ role: 'WORKER', site: 'North Yard' });
+
+    const theirs = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', other.auth)
+      .send({ draftId: result.draftId, confirmedAnalysis: result.analysis });
+    const unknown = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({ draftId: 'not-a-draft', confirmedAnalysis: result.analysis });
+
+    expect(theirs.status).toBe(404);
+    expect(unknown.status).toBe(404);
+  });
+});
+
+describe('Idempotency-Key', () => {
+  let keyCount = 0;
+  const nextKey = () => `test-key-${Date.now()}-${++keyCount}`;
+
+  const send = (path, key, image, user = worker) => request(app)
+    .post(`/api/forms/${path}`)
+    .set('Authorization', user.auth)
+    .set('Idempotency-Key', key)
+    .attach('file', image, { filename: 'take5.png', contentType: 'image/png' });
+
+  test('replays the first response to a retry instead of queueing the form again', async () => {
+    const key = nextKey();
+    const image = await nextImage();
+
+    const first = await send('upload', key, image);
+    const retry = await send('upload', key, image);
+
+    expect(first.status).toBe(202);
+    expect(retry.status).toBe(202);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(await runNextJob()).not.toBeNull();
+    expect(await runNextJob()).toBeNull();
+  });
+
+  test('rejects a key reused for a different request', async () => {
+    const key = nextKey();
+    await send('analyze', key, await nextImage());
+    const other = await send('analyze', key, await nextImage());
+
+    expect(other.status).toBe(422);
+    expect(other.body.error).toMatch(/different request/);
+  });
+
+  test('keeps keys separate per user', async () => {
+    const key = nextKey();
+    const image = await nextImage();
+    const other = await createUser({ role: 'WORKER', site: 'North Yard' });
+
+    const mine = await send('analyze', key, image);
+    const theirs = await send('analyze', key, image, other);
+
+    expect(theirs.status).toBe(202);
+    expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+    expect(theirs.body.jobId).not.toBe(mine.body.jobId);
+  });
+
+  test('lets a failed request be retried with the same key', async () => {
+    const key = nextKey();
+    const failed = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .set('Idempotency-Key', key)
+      .send({ sessionToken: 'abc' });
+    const retry = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .set('Idempotency-Key', key)
+      .send({ sessionToken: 'abc' });
+
+    expect(failed.status).toBe(400);
+    expect(retry.status).toBe(400);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('keeps the key for the running request when the client disconnects', async () => {
+    const key = nextKey();
+    const body = { draftId: 'disconnect-test', confirmedAnalysis: {} };
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = code => { res.statusCode = code; return res; };
+    res.set = () => res;
+    res.json = jest.fn(() => res);
+    const handlerReached = new Promise(resolve => {
+      idempotency({
+        method: 'POST',
+        baseUrl: '/api/forms',
+        path: '/confirm',
+        body,
+        user: { id: worker.user.id },
+        get: header => (header === 'idempotency-key' ? key : undefined)
+      }, res, resolve);
+    });
+    await handlerReached;
+
+    // The client gives up, then the handler finishes and responds to the closed socket
+    res.emit('close');
+    const retryWhileRunning = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .set('Idempotency-Key', key)
+      .send(body);
+    res.status(200).json({ success: true, formId: 'saved-once' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const retry = await request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .set('Idempotency-Key', key)
+      .send(body);
+
+    expect(retryWhileRunning.status).toBe(409);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual({ success: true, formId: 'saved-once' });
+  });
+
+  test('is allowed in cross-origin requests', async () => {
+    const preflight = await request(app)
+      .options('/api/forms/upload')
+      .set('Origin', 'http://localhost:5173')
+      .set('Access-Control-Request-Headers', 'idempotency-key');
+
+    expect(preflight.status).toBe(200);
+    expect(preflight.headers['access-control-allow-headers']).toMatch(/Idempotency-Key/);
+  });
+
+  test('requires a well-formed key', async () => {
+    const response = await send('upload', 'short', await nextImage());
+
+    expect(response.status).toBe(400);
+    expect(await runNextJob()).toBeNull();
+  });
+});
+
+describe('near-duplicate forms', () => {
+  // The first photo of the form, already analysed and saved
+  async function saveOriginal() {
+    const response = await uploadForm('upload');
+    await runNextJob();
+    aiServer.reset();
+    return response.body.formId;
+  }
+
+  test('/upload links another photo of the same form to it instead of analysing it again', async () => {
+    const originalId = await saveOriginal();
+    const response = await uploadForm('upload');
+    const job = await runNextJob();
+
+    expect(job.status).toBe('COMPLETED');
+    expect(job.result).toMatchObject({
+      status: 'suspected_duplicate',
+      result: null,
+      suspectedDuplicate: { formId: originalId, sameUser: true, imageDistance: 0, textSimilarity: 1 }
+    });
+    expect(aiServer.requests).toHaveLength(0);
+
+    const form = await request(app)
+      .get(`/api/forms/form/${response.body.formId}`)
+      .set('Authorization', worker.auth);
+    expect(form.body.form).toMatchObject({ status: 'duplicate', duplicateOfFormId: originalId });
+  });
+
+  test('/upload analyses a different form filled in on the same template', async () => {
+    await saveOriginal();
+    ocrService.visionClient = visionClient(nextFormText());
+    await uploadForm('upload');
+    const job = await runNextJob();
+
+    expect(job.result.status).toBeUndefined();
+    expect(job.result.result.formType).toBe('TAKE_5');
+    expect(aiServer.requests).toHaveLength(1);
+  });
+
+  test("analyses a match with another worker's form and sends it for review", async () => {
+    const originalId = await saveOriginal();
+    const other = await createUser({ role: 'WORKER', site: 'North Yard' });
+    const response = await uploadForm('upload', other);
+    const job = await runNextJob();
+
+    expect(job.result.status).toBeUndefined();
+    expect(job.result.result.formType).toBe('TAKE_5');
+    expect(aiServer.requests).toHaveLength(1);
+    // The other worker's form is only described
+    expect(job.result.suspectedDuplicate).toMatchObject({ formId: null, filename: null, sameUser: false });
+
+    const form = await request(app)
+      .get(`/api/forms/form/${response.body.formId}`)
+      .set('Authorization', other.auth);
+    expect(form.body.form).toMatchObject({
+      status: 'completed',
+      duplicateOfFormId: originalId,
+      analysis: { supervisorFlagged: true },
+      review: { status: 'PENDING_REVIEW' }
+    });
+  });
+
+  test('/analyze warns and /confirm asks before saving the duplicate', async () => {
+    const originalId = await saveOriginal();
+    await uploadForm('analyze');
+    const job = await runNextJob();
+    const { draftId, analysis, fileInfo, suspectedDuplicate } = job.result;
+    const confirm = (extra = {}) => request(app)
+      .post('/api/forms/confirm')
+      .set('Authorization', worker.auth)
+      .send({ draftId, confirmedAnalysis: analysis, ...extra });
+
+    expect(suspectedDuplicate).toMatchObject({ formId: originalId, sameUser: true });
+    expect(fileInfo.imageHash).toMatch(/^[0-9a-f]{16}$/);
+
+    const refused = await confirm();
+    expect(refused.status).toBe(409);
+    expect(refused.body.suspectedDuplicate.formId).toBe(originalId);
+
+    const saved = await confirm({ confirmDuplicate: true });
+    expect(saved.status).toBe(200);
+    expect(saved.body.suspectedDuplicate.formId).toBe(originalId);
+
+    const form = await request(app)
+      .get(`/api/forms/form/${saved.body.formId}`)
+      .set('Authorization', worker.auth);
+    expect(form.body.form).toMatchObject({ status: 'completed', duplicateOfFormId: originalId });
+  });
+});
+
+describe('reading forms', () => {
+  let formId;
+
+  beforeAll(async () => {
+    ocrService.visionClient = visionClient(nextFormText());
+    await testDatabase.truncate('processing_job_events', 'processing_jobs');
+    const response = await uploadForm('upload');
+    await runNextJob();
+    formId = response.body.formId;
+  });
+
+  test('serves the stored original image', async () => {
+    const files = await request(app)
+      .get(`/api/forms/form/${formId}/files`)
+      .set('Authorization', worker.auth);
+    const [original] = files.body.files;
+
+    const file = await request(app)
+      .get(original.url)
+      .set('Authorization', worker.auth);
+
+    expect(file.status).toBe(200);
+    expect(file.headers['content-type']).toBe('image/png');
+    expect(file.headers.etag).toBe(`"${original.sha256}"`);
+    expect(file.body.length).toBe(original.sizeBytes);
+  });
+
+  test('404s an unknown file', async () => {
+    const response = await request(app)
+      .get(`/api/forms/form/${formId}/files/00000000-0000-0000-0000-000000000000`)
+      .set('Authorization', worker.auth);
+    expect(response.status).toBe(404);
+  });
+
+  test('rejects form and file ids that are not UUIDs', async () => {
+    const paths = ['/api/forms/form/abc', '/api/forms/form/abc/files', `/api/forms/form/${formId}/files/abc`];
+
+    for (const path of paths) {
+      const response = await request(app).get(path).set('Authorization', worker.auth);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^(formId|fileId) must be a UUID$/);
+    }
+  });
+
+  test("hides other workers' forms", async () => {
+    const other = await createUser({ role: 'WORKER', site: 'North Yard' });
+
+    for (const path of [`/api/forms/form/${formId}`, `/api/forms/form/${formId}/files`]) {
+      const response = await request(app).get(path).set('Authorization', other.auth);
+      expect(response.status).toBe(404);
+    }
+  });
+
+  test('lets a supervisor of the same site see the form', async () => {
+    const supervisor = await createUser({ role: 'SUPERVISOR', site: 'North Yard' });
+    const response = await request(app)
+      .get(`/api/forms/form/${formId}`)
+      .set('Authorization', supervisor.auth);
+    expect(response.status).toBe(200);
+  });
+
+  test('searches the extracted text', async () => {
+    const response = await request(app)
+      .get('/api/forms/search')
+      .query({ q: 'ladder' })
+      .set('Authorization', worker.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.results.map(result => result.id)).toContain(formId);
+  });
+
+  test('rejects a siteId that is not a site id', async () => {
+    const paths = ['search', 'analytics/summary', 'analytics/hazards', 'analytics/recent'];
+
+    for (const path of paths) {
+      const response = await request(app)
+        .get(`/api/forms/${path}`)
+        .query({ siteId: 'north-yard' })
+        .set('Authorization', worker.auth);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/siteId/);
+    }
+  });
+
+  test('summarises processing', async () => {
+    const response = await request(app)
+      .get('/api/forms/analytics/summary')
+      .set('Authorization', worker.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary.totalForms).toBeGreaterThan(0);
+    expect(response.body.summary.formTypesProcessed).toContain('TAKE_5');
+  });
+
+  test('reports hazard trends', async () => {
+    const response = await request(app)
+      .get('/api/forms/analytics/hazards')
+      .set('Authorization', worker.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.hazardTrends.map(trend => trend.category)).toContain('FALL_PROTECTION');
+  });
+
+  test('lists recent forms in scope', async () => {
+    const own = await request(app)
+      .get('/api/forms/analytics/recent')
+      .query({ limit: 5 })
+      .set('Authorization', worker.auth);
+    const other = await createUser({ role: 'WORKER' });
+    const none = await request(app)
+      .get('/api/forms/analytics/recent')
+      .set('Authorization', other.auth);
+
+    expect(own.body.forms.map(form => form.id)).toContain(formId);
+    expect(own.body.forms.length).toBeLessThanOrEqual(5);
+    expect(none.body.forms).toEqual([]);
+  });
+
+  test('health is for admins only', async () => {
+    const denied = await request(app).get('/api/forms/health').set('Authorization', worker.auth);
+    const allowed = await request(app).get('/api/forms/health').set('Authorization', admin.auth);
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.status).toBe('healthy');
+  });
+});
@@ -0,0 +1,38 @@
+// /api/review routes against a disposable PostgreSQL database (see test/support/testDatabase.js)
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const request = require('supertest');
+const testDatabase = require('../support/testDatabase');
+const { createUser } = require('../support/fixtures');
+const app = require('../../src/server');
+
+let supervisor;
+
+beforeAll(async () => {
+  await testDatabase.ready();
+  supervisor = await createUser({ role: 'SUPERVISOR' });
+});
+
+afterAll(async () => {
+  await testDatabase.close();
+});
+
+describe('form review', () => {
+  test('rejects a form id that is not a UUID', async () => {
+    const history = await request(app).get('/api/review/abc/history').set('Authorization', supervisor.auth);
+    const claim = await request(app).post('/api/review/abc/claim').set('Authorization', supervisor.auth);
+
+    [history, claim].forEach(response => {
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('formId must be a UUID');
+    });
+  });
+
+  test('404s an unknown form', async () => {
+    const response = await request(app)
+      .get('/api/review/00000000-0000-4000-8000-000000000000/history')
+      .set('Authorization', supervisor.auth);
+
+    expect(response.status).toBe(404);
+  });
+});
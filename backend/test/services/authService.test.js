@@ -0,0 +1,68 @@
+// AuthService refresh token rotation against a disposable PostgreSQL database (see test/support/testDatabase.js)
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const testDatabase = require('../support/testDatabase');
+const authService = require('../../src/services/auth/authService');
+const { createUser } = require('../support/fixtures');
+
+beforeAll(async () => {
+  await testDatabase.ready();
+});
+
+afterAll(async () => {
+  await testDatabase.close();
+});
+
+describe('AuthService.refresh', () => {
+  test('rotates a refresh token once', async () => {
+    const { user } = await createUser();
+    const { refreshToken } = await authService.issueTokens(user);
+
+    const rotated = await authService.refresh(refreshToken);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+
+    // Replayed well after the rotation
+    await testDatabase.query(
+      "UPDATE auth_refresh_tokens SET revoked_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1 AND revoked_at IS NOT NULL",
+      [user.id]
+    );
+    await expect(authService.refresh(refreshToken)).rejects.toThrow('Refresh token has been revoked');
+    // Replaying the old token also ended the session it was rotated into
+    await expect(authService.refresh(rotated.refreshToken)).rejects.toMatchObject({ status: 401 });
+    const live = await testDatabase.query(
+      'SELECT COUNT(*)::int AS count FROM auth_refresh_tokens WHERE user_id = $1 AND revoked_at IS NULL',
+      [user.id]
+    );
+    expect(live.rows[0].count).toBe(0);
+  });
+
+  test('lets only one of two simultaneous refreshes rotate the token', async () => {
+    const { user } = await createUser();
+    const { refreshToken } = await authService.issueTokens(user);
+
+    const results = await Promise.allSettled([
+      authService.refresh(refreshToken),
+      authService.refresh(refreshToken)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const winner = results.find(result => result.status === 'fulfilled').value;
+    const live = await testDatabase.query(
+      'SELECT token_hash FROM auth_refresh_tokens WHERE user_id = $1 AND revoked_at IS NULL',
+      [user.id]
+    );
+    expect(live.rows).toHaveLength(1);
+    // The losing request didn't end the session the winner rotated into
+    await expect(authService.refresh(winner.refreshToken)).resolves.toMatchObject({ user: { id: user.id } });
+  });
+
+  test('turns away a token used again just after rotation without ending the session', async () => {
+    const { user } = await createUser();
+    const { refreshToken } = await authService.issueTokens(user);
+
+    const rotated = await authService.refresh(refreshToken);
+    await expect(authService.refresh(refreshToken)).rejects.toThrow('Refresh token has already been used');
+
+    await expect(authService.refresh(rotated.refreshToken)).resolves.toMatchObject({ user: { id: user.id } });
+  });
+});
@@ -0,0 +1,41 @@
+// CheckboxDetector on the golden corpus images (see eval/README.md), scored like npm run eval
+const fs = require('fs');
+const path = require('path');
+const checkboxDetector = require('../../src/services/ocr/checkboxDetector');
+const { scoreCase, aggregate } = require('../../eval/metrics');
+
+const CORPUS_DIR = path.join(__dirname, '../../eval/corpus');
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+async function scoreCorpus() {
+  const scores = [];
+  for (const name of fs.readdirSync(CORPUS_DIR).sort()) {
+    const dir = path.join(CORPUS_DIR, name);
+    const definition = readJson(path.join(dir, 'case.json'));
+    const vision = readJson(path.join(dir, 'vision.json'));
+    const words = checkboxDetector.extractWordBoxes('google_vision', (Array.isArray(vision) ? vision[0] : vision).textAnnotations);
+
+    const checkboxes = await checkboxDetector.detect(fs.readFileSync(path.join(dir, definition.image || 'form.png')), words);
+    scores.push(scoreCase({ checkboxes: definition.expected.checkboxes }, { checkboxes }));
+  }
+  return aggregate(scores);
+}
+
+describe('CheckboxDetector on the golden corpus', () => {
+  let summary;
+
+  beforeAll(async () => {
+    summary = await scoreCorpus();
+  });
+
+  test('finds every checkbox and reads its state', () => {
+    expect(summary.checkboxes.detectionRecall).toBe(1);
+    expect(summary.checkboxes.stateAccuracy).toBe(1);
+  });
+
+  test('does not take letters on the text lines for crossed boxes', () => {
+    expect(summary.checkboxes.states.CROSSED.precision).toBeGreaterThanOrEqual(0.9);
+    expect(summary.checkboxes.unexpected).toBe(0);
+  });
+});
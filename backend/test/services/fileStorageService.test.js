@@ -0,0 +1,26 @@
+// Storage driver round trip on the local filesystem driver (STORAGE_LOCAL_DIR from test/support/setupEnv.js)
+const fileStorageService = require('../../src/services/storage/fileStorageService');
+
+describe('local storage driver', () => {
+  test('stores, reads back and deletes an object', async () => {
+    const driver = fileStorageService.getDriver();
+    const content = Buffer.from(`storage round trip ${Date.now()}`);
+    const key = `test/${fileStorageService.hash(content)}`;
+
+    expect(driver.name).toBe('local');
+    expect(await driver.exists(key)).toBe(false);
+
+    await driver.put(key, content, { contentType: 'text/plain' });
+    expect(await driver.exists(key)).toBe(true);
+    expect(fileStorageService.hash(await driver.get(key))).toBe(fileStorageService.hash(content));
+
+    await driver.delete(key);
+    expect(await driver.exists(key)).toBe(false);
+  });
+
+  test('refuses keys outside the storage directory', async () => {
+    const driver = fileStorageService.getDriver();
+
+    await expect(driver.put('../outside', Buffer.from('x'))).rejects.toThrow('Invalid storage key: ../outside');
+  });
+});
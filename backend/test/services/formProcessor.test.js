@@ -0,0 +1,48 @@
+// FormProcessor.processBatch with a caller-supplied processor, as used by form batches
+const FormProcessor = require('../../src/services/forms/formProcessor');
+
+describe('FormProcessor.processBatch', () => {
+  test('runs at most maxConcurrent items at a time and keeps results in order', async () => {
+    const processor = new FormProcessor();
+    let running = 0;
+    let mostRunning = 0;
+
+    const results = await processor.processBatch(['a', 'b', 'c', 'd', 'e'], {
+      maxConcurrent: 2,
+      delayMs: 0,
+      processItem: async (item, index) => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return { success: true, label: `${item}${index}` };
+      }
+    });
+
+    expect(mostRunning).toBe(2);
+    expect(results.map(result => result.label)).toEqual(['a0', 'b1', 'c2', 'd3', 'e4']);
+    expect(results.map(result => result.index)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('reports a failing item without stopping the rest', async () => {
+    const processor = new FormProcessor();
+
+    const results = await processor.processBatch([1, 2, 3], {
+      maxConcurrent: 3,
+      processItem: async item => {
+        if (item === 2) throw new Error('unreadable');
+        return { success: true };
+      }
+    });
+
+    expect(results.map(result => result.success)).toEqual([true, false, true]);
+    expect(results[1].error).toBe('unreadable');
+  });
+
+  test('uses the shared OCR and AI services', () => {
+    const processor = new FormProcessor();
+
+    expect(processor.ocrService).toBe(require('../../src/services/ocr/ocrService'));
+    expect(processor.aiService).toBe(require('../../src/services/ai/aiAnalysisService'));
+  });
+});
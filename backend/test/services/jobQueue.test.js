@@ -0,0 +1,73 @@
+// JobQueue locking against a disposable PostgreSQL database (see test/support/testDatabase.js)
+jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+
+const testDatabase = require('../support/testDatabase');
+const jobQueue = require('../../src/services/jobs/jobQueue');
+const jobWorker = require('../../src/services/jobs/jobWorker');
+
+const JOB_TYPE = 'queue_test';
+
+// Makes the job look like its worker crashed an hour ago
+async function abandon(jobId) {
+  await testDatabase.query("UPDATE processing_jobs SET locked_at = NOW() - INTERVAL '1 hour' WHERE id = $1", [jobId]);
+}
+
+beforeAll(async () => {
+  await testDatabase.ready();
+});
+
+beforeEach(async () => {
+  await testDatabase.truncate('processing_job_events', 'processing_jobs');
+});
+
+afterAll(async () => {
+  await testDatabase.close();
+});
+
+describe('JobQueue locks', () => {
+  test("hands an abandoned job to another worker and ignores the first worker's result", async () => {
+    const queued = await jobQueue.enqueue(JOB_TYPE, { maxAttempts: 3 });
+    const first = await jobQueue.claimNext('worker-a', [JOB_TYPE]);
+    await abandon(queued.id);
+
+    const second = await jobQueue.claimNext('worker-b', [JOB_TYPE]);
+    expect(second).toMatchObject({ id: queued.id, locked_by: 'worker-b', attempts: 2 });
+
+    expect(await jobQueue.complete(first, { from: 'worker-a' })).toBe(false);
+    expect(await jobQueue.fail(first, new Error('late failure'))).toMatchObject({ lost: true });
+    expect(await jobQueue.getJob(queued.id)).toMatchObject({ status: 'PROCESSING', last_error: null });
+
+    expect(await jobQueue.complete(second, { from: 'worker-b' })).toBe(true);
+    expect(await jobQueue.getJob(queued.id)).toMatchObject({ status: 'COMPLETED', result: { from: 'worker-b' } });
+  });
+
+  test('fails an abandoned job on its last attempt instead of running it again', async () => {
+    const queued = await jobQueue.enqueue(JOB_TYPE, { maxAttempts: 1 });
+    await jobQueue.claimNext('worker-a', [JOB_TYPE]);
+    await abandon(queued.id);
+
+    expect(await jobQueue.claimNext('worker-b', [JOB_TYPE])).toBeNull();
+
+    const job = await jobQueue.getJob(queued.id);
+    expect(job).toMatchObject({ status: 'FAILED', attempts: 1 });
+    expect(job.last_error).toMatch(/stopped responding/);
+    const events = await jobQueue.getEvents(queued.id);
+    expect(events.map(event => event.event_type)).toEqual(['queued', 'failed']);
+  });
+
+  test('renews the lock when the handler reports progress', async () => {
+    const queued = await jobQueue.enqueue(JOB_TYPE);
+    const job = await jobQueue.claimNext('worker-a', [JOB_TYPE]);
+    await abandon(queued.id);
+
+    jobWorker.registerHandler(JOB_TYPE, async (running, context) => {
+      await context.progress('working', 50);
+      // Another worker looking for abandoned jobs now leaves this one alone
+      expect(await jobQueue.claimNext('worker-b', [JOB_TYPE])).toBeNull();
+      return { done: true };
+    });
+    await jobWorker.runJob(job);
+
+    expect(await jobQueue.getJob(queued.id)).toMatchObject({ status: 'COMPLETED', attempts: 1 });
+  });
+});
@@ -0,0 +1,308 @@
+// Risk scoring - the rules engine, the built-in rules, the 5x5 matrix and applyRiskRules
+const {
+  getRiskLevel,
+  validateRule,
+  describeCondition,
+  evaluateRules
+} = require('../../src/services/risk/riskRulesEngine');
+const { DEFAULT_RISK_MATRIX, validateMatrix, rateCell, rateAnalysis, copyRatings } = require('../../src/services/risk/riskMatrix');
+const riskRuleService = require('../../src/services/risk/riskRuleService');
+const aiAnalysisService = require('../../src/services/ai/aiAnalysisService');
+
+const LONG_TEXT = 'Routine inspection of the site office. '.repeat(8);
+
+function context(overrides = {}) {
+  return {
+    text: LONG_TEXT,
+    textLength: LONG_TEXT.length,
+    formType: 'TAKE_5',
+    analysis: { flaggedIssues: [], hrwFactors: [], missingFields: [] },
+    checkboxViolations: [],
+    ocr: { confidence: 95, provider: 'google_vision' },
+    capture: { method: 'scanner' },
+    ...overrides
+  };
+}
+
+function firedKeys(result) {
+  return result.rules.map(rule => rule.key).sort();
+}
+
+describe('getRiskLevel', () => {
+  test.each([
+    [1, 'LOW'], [3, 'LOW'],
+    [4, 'MEDIUM'], [6, 'MEDIUM'],
+    [7, 'HIGH'], [8, 'HIGH'],
+    [9, 'CRITICAL'], [10, 'CRITICAL']
+  ])('score %i is %s', (score, level) => {
+    expect(getRiskLevel(score)).toBe(level);
+  });
+});
+
+describe('validateRule', () => {
+  const rule = {
+    key: 'night_work',
+    name: 'Night work',
+    points: 2,
+    formTypes: ['JSA'],
+    when: { field: 'text', matches: 'night shift' }
+  };
+
+  test('normalizes a rule', () => {
+    expect(validateRule(rule)).toEqual({
+      key: 'NIGHT_WORK',
+      name: 'Night work',
+      description: null,
+      severity: 'MEDIUM',
+      points: 2,
+      formTypes: ['JSA'],
+      definition: { when: { field: 'text', matches: ['night shift'] } }
+    });
+  });
+
+  test.each([
+    [{ key: 'x' }, /key must be/],
+    [{ name: undefined }, /needs a name/],
+    [{ severity: 'SEVERE' }, /severity must be one of/],
+    [{ points: 11 }, /points must be a whole number/],
+    [{ formTypes: ['PERMIT_TO_DIG'] }, /unknown form type/],
+    [{ when: { field: 'text', op: 'like', value: 'x' } }, /op/],
+    [{ when: { all: [] } }, /non-empty list/]
+  ])('rejects %j', (change, message) => {
+    expect(() => validateRule({ ...rule, ...change })).toThrow(message);
+    try {
+      validateRule({ ...rule, ...change });
+    } catch (error) {
+      expect(error.status).toBe(400);
+    }
+  });
+
+  test('describes conditions in words', () => {
+    const { definition } = validateRule({
+      ...rule,
+      when: { all: [{ field: 'ocr.confidence', op: 'lt', value: 50 }, { not: { field: 'capture.method', op: 'eq', value: 'scanner' } }] }
+    });
+    expect(describeCondition(definition.when)).toBe('ocr.confidence lt 50 and not (capture.method eq "scanner")');
+  });
+});
+
+describe('evaluateRules with the built-in rules', () => {
+  const rules = riskRuleService.builtInRules;
+
+  test('a clean form keeps the AI score', () => {
+    const result = evaluateRules(rules, context(), 3);
+
+    expect(result.rules).toEqual([]);
+    expect(result).toMatchObject({ baseScore: 3, escalation: 0, score: 3, level: 'LOW', initialLevel: 'LOW' });
+    expect(result.rulesEvaluated).toBe(rules.length);
+  });
+
+  test('Fatal Five language and short text escalate', () => {
+    const text = 'Replace roof sheets from a ladder';
+    const result = evaluateRules(rules, context({ text, textLength: text.length }), 3);
+
+    expect(firedKeys(result)).toEqual(['FATAL_FIVE', 'SHORT_FORM_TEXT']);
+    expect(result.score).toBe(6);
+    expect(result.level).toBe('MEDIUM');
+    expect(result.rules.find(rule => rule.key === 'FATAL_FIVE').evidence).toEqual(['text mentions "roof"']);
+  });
+
+  test('high risk work adds the largest escalation of any activity', () => {
+    const result = evaluateRules(rules, context({
+      analysis: {
+        flaggedIssues: [],
+        missingFields: [],
+        hrwFactors: [
+          { activity: 'Working at height', riskEscalation: 2 },
+          { activity: 'Confined space', riskEscalation: 3 }
+        ]
+      }
+    }), 4);
+
+    const hrw = result.rules.find(rule => rule.key === 'HRW_ACTIVITY');
+    expect(hrw.points).toBe(3);
+    expect(hrw.evidence).toEqual(['Working at height', 'Confined space']);
+    expect(result.score).toBe(7);
+  });
+
+  test('critical issues without controls or with only admin and PPE controls escalate per issue', () => {
+    const result = evaluateRules(rules, context({
+      analysis: {
+        hrwFactors: [],
+        missingFields: [],
+        flaggedIssues: [
+          { severity: 'CRITICAL', isControlled: false, description: 'Open excavation edge' },
+          { severity: 'CRITICAL', isControlled: true, description: 'Live busbar', controlHierarchy: { lowerOrderOnly: true } },
+          { severity: 'HIGH', isControlled: false, description: 'Slippery floor' }
+        ]
+      }
+    }), 5);
+
+    expect(result.rules.find(rule => rule.key === 'CRITICAL_UNCONTROLLED_HAZARD')).toMatchObject({ points: 1, evidence: ['Open excavation edge'] });
+    expect(result.rules.find(rule => rule.key === 'CRITICAL_LOWER_ORDER_CONTROLS')).toMatchObject({ points: 2, evidence: ['Live busbar'] });
+    expect(result.score).toBe(8);
+  });
+
+  test('low OCR confidence and phone capture escalate', () => {
+    expect(firedKeys(evaluateRules(rules, context({ ocr: { confidence: 25 } }), 2))).toEqual(['OCR_CONFIDENCE_VERY_LOW']);
+    expect(firedKeys(evaluateRules(rules, context({ ocr: { confidence: 40 } }), 2))).toEqual(['OCR_CONFIDENCE_LOW']);
+    expect(firedKeys(evaluateRules(rules, context({ ocr: { confidence: 70 }, capture: { method: 'mobile_camera' } }), 2)))
+      .toEqual(['MOBILE_CAPTURE_LOW_CONFIDENCE']);
+  });
+
+  test('fallback rules only apply when the AI analysis failed', () => {
+    const text = 'Hazard identified, emergency procedures reviewed, controls in place. '.repeat(4);
+    const base = { text, textLength: text.length };
+
+    expect(evaluateRules(rules, context(base), 1).score).toBe(1);
+
+    const failed = evaluateRules(rules, context({ ...base, analysis: { analysisStatus: 'FAILED' } }), 1);
+    expect(firedKeys(failed)).toEqual(['FALLBACK_CONTROL_TERMS', 'FALLBACK_HAZARD_TERMS', 'FALLBACK_INCIDENT_TERMS']);
+    expect(failed.score).toBe(4);
+  });
+
+  test('the score is clamped to 1-10', () => {
+    const huge = validateRule({ key: 'ALWAYS', name: 'Always', points: 10, when: { field: 'formType', op: 'exists', value: true } });
+    const relief = validateRule({ key: 'RELIEF', name: 'Relief', points: -10, when: { field: 'formType', op: 'exists', value: true } });
+
+    expect(evaluateRules([huge], context(), 8).score).toBe(10);
+    expect(evaluateRules([relief], context(), 3).score).toBe(1);
+  });
+
+  test('rules limited to other form types are skipped', () => {
+    const jsaOnly = validateRule({ key: 'JSA_ONLY', name: 'JSA only', points: 3, formTypes: ['JSA'], when: { field: 'textLength', op: 'gt', value: 0 } });
+
+    expect(evaluateRules([jsaOnly], context(), 2).score).toBe(2);
+    expect(evaluateRules([jsaOnly], context({ formType: 'JSA' }), 2).score).toBe(5);
+  });
+});
+
+describe('risk matrix', () => {
+  test('rates a cell by consequence x likelihood', () => {
+    expect(rateCell(DEFAULT_RISK_MATRIX, 2, 2)).toMatchObject({ rating: 4, level: 'LOW', requiresSupervisorReview: false });
+    expect(rateCell(DEFAULT_RISK_MATRIX, 3, 2)).toMatchObject({ rating: 6, level: 'MEDIUM' });
+    expect(rateCell(DEFAULT_RISK_MATRIX, '4', '3')).toMatchObject({ rating: 12, level: 'HIGH', requiresSupervisorReview: true });
+    expect(rateCell(DEFAULT_RISK_MATRIX, 5, 5)).toMatchObject({ rating: 25, level: 'CRITICAL', label: 'Extreme' });
+  });
+
+  test('ignores missing or out of range values', () => {
+    expect(rateCell(DEFAULT_RISK_MATRIX, 0, 3)).toBeNull();
+    expect(rateCell(DEFAULT_RISK_MATRIX, 3, 6)).toBeNull();
+    expect(rateCell(DEFAULT_RISK_MATRIX, null, 3)).toBeNull();
+  });
+
+  test('uses explicit cells when the matrix defines them', () => {
+    const cells = Array.from({ length: 5 }, () => Array(5).fill('LOW'));
+    cells[0][4] = 'CRITICAL';
+    const matrix = validateMatrix({ ...DEFAULT_RISK_MATRIX, cells });
+
+    expect(rateCell(matrix, 5, 1).level).toBe('CRITICAL');
+    expect(rateCell(matrix, 5, 5).level).toBe('LOW');
+  });
+
+  test('rejects a matrix without five consequences', () => {
+    expect(() => validateMatrix({ ...DEFAULT_RISK_MATRIX, consequences: DEFAULT_RISK_MATRIX.consequences.slice(1) }))
+      .toThrow(/exactly 5/);
+  });
+
+  test('rates issues and the form, limiting credit for admin and PPE controls', () => {
+    const analysis = rateAnalysis({
+      flaggedIssues: [
+        {
+          description: 'Roof edge',
+          inherentRisk: { consequence: 4, likelihood: 4 },
+          residualRisk: { consequence: 2, likelihood: 1 },
+          controlHierarchy: { lowerOrderOnly: true }
+        },
+        {
+          description: 'Trip hazard',
+          inherentRisk: { consequence: 1, likelihood: 3 },
+          residualRisk: { consequence: 1, likelihood: 1 }
+        }
+      ],
+      requiresSupervisorReview: false
+    }, DEFAULT_RISK_MATRIX);
+
+    const [roof, trip] = analysis.flaggedIssues;
+    expect(roof.inherentRisk).toMatchObject({ rating: 16, level: 'CRITICAL' });
+    expect(roof.residualRisk).toMatchObject({ consequence: 4, likelihood: 3, level: 'HIGH', limitedBy: 'LOWER_ORDER_CONTROLS' });
+    expect(trip.residualRisk).toMatchObject({ rating: 1, level: 'LOW' });
+    expect(analysis.riskAssessment).toMatchObject({
+      initialRisk: 'CRITICAL',
+      residualRisk: 'HIGH',
+      riskMatrix: { consequence: 4, likelihood: 4, riskRating: 16 }
+    });
+    expect(analysis.requiresSupervisorReview).toBe(true);
+  });
+
+  test('copies the original ratings back over edited ones', () => {
+    const original = rateAnalysis({
+      flaggedIssues: [{ description: 'Roof edge', inherentRisk: { consequence: 4, likelihood: 4 } }]
+    }, DEFAULT_RISK_MATRIX);
+    const edited = copyRatings({
+      flaggedIssues: [{ description: 'Roof edge', inherentRisk: { consequence: 1, likelihood: 1 } }]
+    }, original);
+
+    expect(edited.flaggedIssues[0].inherentRisk.rating).toBe(16);
+    expect(edited.riskAssessment.inherent.rating).toBe(16);
+  });
+});
+
+describe('aiAnalysisService.applyRiskRules', () => {
+  const rules = riskRuleService.builtInRules;
+
+  function analysis(overrides = {}) {
+    return {
+      formType: 'TAKE_5',
+      riskScore: 3,
+      flaggedIssues: [],
+      hrwFactors: [],
+      complianceIssues: [],
+      missingFields: [],
+      formCompleteness: 'COMPLETE',
+      requiresSupervisorReview: false,
+      ...overrides
+    };
+  }
+
+  test('crossed critical checklist boxes escalate and flag the form for review', async () => {
+    const result = await aiAnalysisService.applyRiskRules(analysis(), LONG_TEXT, {
+      rules,
+      ocrConfidence: 95,
+      checkboxes: [
+        { label: 'H2S monitor worn in breathing zone', state: 'CROSSED', confidence: 0.9 },
+        { label: 'Hearing protection worn', state: 'TICKED', confidence: 0.9 }
+      ]
+    });
+
+    expect(result.riskTrace.rules.map(rule => rule.key)).toEqual(['CHECKBOX_H2S_MONITOR']);
+    expect(result.riskScore).toBe(7);
+    expect(result.riskLevel).toBe('HIGH');
+    expect(result.requiresSupervisorReview).toBe(true);
+    expect(result.riskTrace.baseSource).toBe('ai');
+  });
+
+  test('a "No" answer ticked counts as a violation, low confidence boxes do not', async () => {
+    const result = await aiAnalysisService.applyRiskRules(analysis(), LONG_TEXT, {
+      rules,
+      ocrConfidence: 95,
+      checkboxes: [
+        { label: 'Ladder inspected and secured', state: 'TICKED', answer: 'NO', confidence: 0.8 },
+        { label: 'Fall protection in place', state: 'CROSSED', confidence: 0.3 }
+      ]
+    });
+
+    expect(result.riskTrace.rules.map(rule => rule.key)).toEqual(['CHECKBOX_LADDER']);
+    expect(result.riskScore).toBe(5);
+  });
+
+  test('a failed analysis starts from the minimum score', async () => {
+    const result = await aiAnalysisService.applyRiskRules(analysis({ analysisStatus: 'FAILED', riskScore: 9 }), LONG_TEXT, {
+      rules,
+      ocrConfidence: 95
+    });
+
+    expect(result.riskTrace).toMatchObject({ baseScore: 1, baseSource: 'fallback' });
+    expect(result.riskScore).toBe(1);
+  });
+});
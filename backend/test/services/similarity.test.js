@@ -0,0 +1,54 @@
+// Image hashing and text similarity used to spot the same form submitted twice
+const sharp = require('sharp');
+const { imageHash, hammingDistance, textSimilarity } = require('../../src/services/duplicates/similarity');
+
+// A "page" with dark blocks where the text would be
+async function pageImage({ width = 600, height = 800, blocks }) {
+  const rects = blocks.map(([x, y, w, h]) => `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="#222"/>`).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#fafafa"/>${rects}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+const FORM_BLOCKS = [[40, 40, 300, 40], [40, 140, 520, 20], [380, 220, 180, 200], [40, 480, 240, 160], [320, 700, 240, 40]];
+
+describe('imageHash', () => {
+  test('barely changes when a photo is resized and recompressed', async () => {
+    const original = await pageImage({ blocks: FORM_BLOCKS });
+    const resized = await sharp(original).resize(300).jpeg({ quality: 50 }).toBuffer();
+
+    const distance = hammingDistance(await imageHash(original), await imageHash(resized));
+    expect(distance).toBeLessThanOrEqual(6);
+  });
+
+  test('differs for a different layout', async () => {
+    const first = await pageImage({ blocks: FORM_BLOCKS });
+    const second = await pageImage({ blocks: [[300, 60, 260, 300], [40, 400, 200, 300], [260, 600, 300, 60]] });
+
+    const distance = hammingDistance(await imageHash(first), await imageHash(second));
+    expect(distance).toBeGreaterThan(10);
+  });
+
+  test('is null for files that are not images', async () => {
+    expect(await imageHash(Buffer.from('%PDF-1.4'))).toBeNull();
+    expect(hammingDistance(null, 'ffffffffffffffff')).toBeNull();
+  });
+});
+
+describe('textSimilarity', () => {
+  const form = 'Take 5 Name: Sam Taylor Task: replace light fitting Hazards: working at height Controls: ladder footed';
+
+  test('is 1 for the same text regardless of case and punctuation', () => {
+    expect(textSimilarity(form, form.toUpperCase().replace(/:/g, ' -'))).toBe(1);
+  });
+
+  test('is low for another form on the same template', () => {
+    const other = 'Take 5 Name: Alex Chen Task: pump out sump pit Hazards: confined space, gas Controls: gas test, standby person';
+    expect(textSimilarity(form, other)).toBeLessThan(0.5);
+  });
+
+  test('is null when either text is empty', () => {
+    expect(textSimilarity(form, '')).toBeNull();
+    expect(textSimilarity(null, form)).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+// OCR text clean-up, form field extraction and image preprocessing
+const sharp = require('sharp');
+const ocrService = require('../../src/services/ocr/ocrService');
+const { detectFormType } = require('../../src/services/forms/formTypes');
+const { createFormImage } = require('../support/fixtures');
+
+describe('cleanSafetyFormText', () => {
+  test('returns an empty string for no text', () => {
+    expect(ocrService.cleanSafetyFormText(null)).toBe('');
+    expect(ocrService.cleanSafetyFormText('')).toBe('');
+  });
+
+  test('collapses whitespace and trims', () => {
+    expect(ocrService.cleanSafetyFormText('  Take 5\n\n  Name:\tSam   Taylor \n')).toBe('Take 5 Name: Sam Taylor');
+  });
+
+  test('fixes common OCR misreads of safety terms', () => {
+    expect(ocrService.cleanSafetyFormText('HAZ4RD RI5K 5AFETY CONTR0L')).toBe('HAZARD RISK SAFETY CONTROL');
+    expect(ocrService.cleanSafetyFormText('hazard control emergency')).toBe('HAZARD CONTROL EMERGENCY');
+  });
+
+  test('keeps checkbox symbols as they were read', () => {
+    expect(ocrService.cleanSafetyFormText('[X] Barricades ☑ Permit ☐ Isolation [ ] Gas test'))
+      .toBe('[X] Barricades ☑ Permit ☐ Isolation [ ] Gas test');
+  });
+});
+
+describe('field extraction', () => {
+  const text = 'Name: Sam Taylor____\nLocation: Pump station 3\nHazards: electrical, fall from ladder, noise\n' +
+    'Controls: isolation and lockout, harness\nEmergency: muster point at gate';
+
+  test('reads a labelled field up to the end of the line, dropping form lines', () => {
+    expect(ocrService.extractField(text, ['Name:'])).toBe('Sam Taylor');
+    expect(ocrService.extractField(text, ['Site:', 'Location:'])).toBe('Pump station 3');
+    expect(ocrService.extractField(text, ['Permit No:'])).toBeNull();
+  });
+
+  test('lists hazard, control, PPE and emergency keywords', () => {
+    expect(ocrService.extractHazards(text)).toEqual(['electrical', 'fall', 'noise']);
+    expect(ocrService.extractControls(text)).toEqual(['lockout', 'isolation']);
+    expect(ocrService.extractPPE(text)).toEqual(['harness']);
+    expect(ocrService.extractEmergencyInfo(text.toLowerCase())).toEqual(['emergency', 'muster point']);
+  });
+
+  test('reads a stated risk level', () => {
+    expect(ocrService.extractRiskLevel('overall this is high risk work')).toBe('high');
+    expect(ocrService.extractRiskLevel('moderate exposure')).toBe('medium');
+    expect(ocrService.extractRiskLevel('minimal')).toBe('low');
+    expect(ocrService.extractRiskLevel('no rating')).toBe('unknown');
+  });
+
+  test('detects the form type with the shared detector', () => {
+    expect(ocrService.detectFormType('JOB SAFETY ANALYSIS - tank entry')).toBe(detectFormType('JOB SAFETY ANALYSIS - tank entry'));
+    expect(ocrService.detectFormType('TAKE 5 SAFETY CHECKLIST')).toBe('TAKE_5');
+  });
+});
+
+describe('preprocessImage', () => {
+  test('leaves scanned images untouched', async () => {
+    const image = await createFormImage();
+    const result = await ocrService.preprocessImage(image, { captureMethod: 'scanner' });
+
+    expect(result.buffer).toBe(image);
+    expect(result.preprocessing).toEqual([]);
+  });
+
+  test('enhances phone photos for OCR', async () => {
+    const image = await createFormImage({ shade: 200 });
+    const result = await ocrService.preprocessImage(image, { captureMethod: 'mobile_camera' });
+
+    expect(result.preprocessing).toEqual(['normalize', 'sharpen', 'contrast_enhance', 'greyscale']);
+    const metadata = await sharp(result.buffer).metadata();
+    expect(metadata.format).toBe('png');
+    expect(metadata.width).toBe(400);
+  });
+
+  test('enhances low quality images and shrinks very large ones', async () => {
+    const image = await createFormImage({ width: 3000, height: 1500 });
+    const result = await ocrService.preprocessImage(image, { imageQuality: 0.5 });
+
+    expect(result.preprocessing).toContain('resize');
+    const metadata = await sharp(result.buffer).metadata();
+    expect(metadata.width).toBe(2000);
+    expect(metadata.height).toBe(1000);
+  });
+
+  test('straightens photos with an EXIF rotation', async () => {
+    const image = await sharp(await createFormImage({ width: 400, height: 300 }))
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+    const result = await ocrService.preprocessImage(image, { captureMethod: 'mobile_camera' });
+
+    expect(result.preprocessing[0]).toBe('auto_rotate');
+    const metadata = await sharp(result.buffer).metadata();
+    expect([metadata.width, metadata.height]).toEqual([300, 400]);
+  });
+
+  test('falls back to the original when the image cannot be read', async () => {
+    const garbage = Buffer.from('not an image');
+    const result = await ocrService.preprocessImage(garbage, { captureMethod: 'mobile_camera' });
+
+    expect(result.buffer).toBe(garbage);
+    expect(result.preprocessing).toEqual([]);
+  });
+});
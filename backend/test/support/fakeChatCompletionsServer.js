@@ -0,0 +1,178 @@
+// backend/test/support/fakeChatCompletionsServer.js - Local stand-in for the OpenAI/DeepSeek chat completions API
+// Point a provider at it (DEEPSEEK_BASE_URL / OPENAI_BASE_URL / LOCAL_LLM_BASE_URL = server.baseUrl)
+// to exercise the real HTTP provider code offline. Replies are scripted per request:
+//
+//   const server = await startFakeChatCompletionsServer({ reply: analysisJson });
+//   server.enqueue({ status: 500 });          // next request fails
+//   server.enqueue('not json');               // then a malformed answer
+//   ...
+//   server.requests                           // every request body received
+//   await server.close();
+//
+// A reply is a string (message content), an object (sent as JSON content), a function of the
+// request body returning either, or { status, error } / { delayMs, content } for failures and
+// slow responses. Queued replies are used first, then the default `reply`.
+//
+// Run standalone with: node test/support/fakeChatCompletionsServer.js [--port 8089] [--reply file.json]
+
+const http = require('http');
+const fs = require('fs');
+
+// A minimal analysis that satisfies the schema in src/services/ai/analysisSchema.js
+const DEFAULT_ANALYSIS = {
+  formType: 'TAKE_5',
+  formTypeConfidence: 'HIGH',
+  riskScore: 3,
+  riskLevel: 'LOW',
+  flaggedIssues: [],
+  hrwFactors: [],
+  ppeRequired: [],
+  complianceIssues: [],
+  summary: 'Recorded test analysis',
+  requiresSupervisorReview: false,
+  formCompleteness: 'COMPLETE',
+  missingFields: [],
+  positiveFindings: [],
+  workLocation: 'Not specified',
+  workActivity: 'Not specified'
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function apiError(res, status, message, type = 'invalid_request_error') {
+  sendJson(res, status, { error: { message, type, code: null } });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start the server on 127.0.0.1. options: { port = 0 (any free port), apiKey (require
+ * "Authorization: Bearer <apiKey>"), model, reply }. Resolves to { baseUrl, port, requests,
+ * enqueue(reply), reset(), close() }; baseUrl ends in /v1.
+ */
+async function startFakeChatCompletionsServer({ port = 0, apiKey = null, model = 'fake-chat', reply = DEFAULT_ANALYSIS } = {}) {
+  const queue = [];
+  const requests = [];
+  let completions = 0;
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = req.url.split('?')[0].replace(/^\/v1/, '');
+
+      if (req.method === 'GET' && url === '/models') {
+        sendJson(res, 200, { object: 'list', data: [{ id: model, object: 'model', owned_by: 'fake' }] });
+        return;
+      }
+      if (req.method !== 'POST' || url !== '/chat/completions') {
+        apiError(res, 404, `Unknown endpoint ${req.method} ${req.url}`);
+        return;
+      }
+      if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        apiError(res, 401, 'Incorrect API key provided', 'authentication_error');
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (error) {
+        apiError(res, 400, 'Request body is not valid JSON');
+        return;
+      }
+      if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        apiError(res, 400, 'messages must be a non-empty array');
+        return;
+      }
+      requests.push(body);
+
+      let scripted = queue.length > 0 ? queue.shift() : reply;
+      if (typeof scripted === 'function') scripted = await scripted(body);
+      if (scripted && typeof scripted === 'object' && (scripted.status || scripted.delayMs)) {
+        if (scripted.delayMs) await wait(scripted.delayMs);
+        if (scripted.status && scripted.status >= 400) {
+          apiError(res, scripted.status, scripted.error || 'Scripted failure', 'server_error');
+          return;
+        }
+        scripted = scripted.content;
+      }
+
+      const content = typeof scripted === 'string' ? scripted : JSON.stringify(scripted ?? DEFAULT_ANALYSIS);
+      const promptTokens = Math.ceil(body.messages.reduce((sum, message) => sum + String(message.content || '').length, 0) / 4);
+      completions++;
+      sendJson(res, 200, {
+        id: `chatcmpl-fake-${completions}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model || model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content },
+          finish_reason: 'stop'
+        }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: Math.ceil(content.length / 4),
+          total_tokens: promptTokens + Math.ceil(content.length / 4)
+        }
+      });
+    } catch (error) {
+      apiError(res, 500, error.message, 'server_error');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  const address = server.address();
+
+  return {
+    port: address.port,
+    baseUrl: `http://127.0.0.1:${address.port}/v1`,
+    requests,
+    enqueue(...replies) {
+      queue.push(...replies);
+    },
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  startFakeChatCompletionsServer,
+  DEFAULT_ANALYSIS
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : null;
+  };
+  const replyFile = option('reply');
+
+  startFakeChatCompletionsServer({
+    port: parseInt(option('port')) || 8089,
+    reply: replyFile ? JSON.parse(fs.readFileSync(replyFile, 'utf8')) : DEFAULT_ANALYSIS
+  }).then(server => {
+    console.log(`Fake chat completions API listening on ${server.baseUrl}`);
+    console.log(`  DEEPSEEK_BASE_URL=${server.baseUrl} DEEPSEEK_API_KEY=test`);
+  });
+}
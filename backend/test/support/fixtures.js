@@ -0,0 +1,122 @@
+// backend/test/support/fixtures.js - Users, form images, OCR responses and job runs for tests
+const sharp = require('sharp');
+const authService = require('../../src/services/auth/authService');
+const jobQueue = require('../../src/services/jobs/jobQueue');
+const jobWorker = require('../../src/services/jobs/jobWorker');
+const formPipeline = require('../../src/services/forms/formPipeline');
+const batchService = require('../../src/services/batches/batchService');
+
+let userCount = 0;
+
+// A user in the test database and a bearer token for it
+async function createUser({ role = 'WORKER', site = 'Test Site' } = {}) {
+  userCount++;
+  const user = await authService.createUser({
+    email: `${role.toLowerCase()}${userCount}@example.com`,
+    name: `Test ${role} ${userCount}`,
+    password: 'correct-horse-battery',
+    role,
+    site
+  });
+  const token = authService.signAccessToken(user);
+  return { user, token, auth: `Bearer ${token}` };
+}
+
+// A plain PNG "form" - tests stub the OCR, so only the bytes (and their hash) matter
+async function createFormImage({ width = 400, height = 300, shade = 255 } = {}) {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: shade, g: shade, b: shade } }
+  }).png().toBuffer();
+}
+
+/**
+ * A Google Vision textDetection response for the given text: the full text first, then one
+ * annotation per word laid out left to right, one line per text line.
+ */
+function visionResponse(text) {
+  const words = [];
+  String(text).split('\n').forEach((line, lineIndex) => {
+    let x = 10;
+    line.split(/\s+/).filter(Boolean).forEach(word => {
+      const x1 = x + word.length * 8;
+      const y0 = 10 + lineIndex * 20;
+      words.push({
+        description: word,
+        boundingPoly: { vertices: [{ x, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y0 + 14 }, { x, y: y0 + 14 }] }
+      });
+      x = x1 + 8;
+    });
+  });
+  return { textAnnotations: [{ description: text, boundingPoly: { vertices: [] } }, ...words] };
+}
+
+// A stand-in Vision client answering every request with the given text
+function visionClient(text) {
+  return {
+    textDetection: jest.fn(async () => [visionResponse(text)])
+  };
+}
+
+/**
+ * Run the next queued job of the given type (form processing by default) the way the worker would
+ * and return the job row afterwards (null when nothing was queued).
+ */
+async function runNextJob(jobType = formPipeline.JOB_TYPE) {
+  if (!jobWorker.handlers.has(formPipeline.JOB_TYPE)) {
+    jobWorker.registerHandler(formPipeline.JOB_TYPE, (job, context) => formPipeline.processJob(job, context));
+  }
+  if (!jobWorker.handlers.has(batchService.JOB_TYPE)) {
+    jobWorker.registerHandler(batchService.JOB_TYPE, (job, context) => batchService.processJob(job, context));
+  }
+  const job = await jobQueue.claimNext('test-worker', [jobType]);
+  if (!job) return null;
+  await jobWorker.runJob(job);
+  return jobQueue.getJob(job.id);
+}
+
+const SAMPLE_FORM_TEXT = [
+  'TAKE 5 SAFETY CHECKLIST',
+  'Name: Sam Taylor Date: 14/03/2025',
+  'Task: Replace light fitting from a ladder',
+  'Hazards: working at height, live circuit nearby',
+  'Controls: isolate circuit, ladder footed by offsider',
+  'Signature: S Taylor'
+].join('\n');
+
+const SAMPLE_ANALYSIS = {
+  formType: 'TAKE_5',
+  formTypeConfidence: 'HIGH',
+  riskScore: 5,
+  riskLevel: 'MEDIUM',
+  flaggedIssues: [{
+    category: 'FALL_PROTECTION',
+    description: 'Ladder work at height',
+    severity: 'MEDIUM',
+    recommendation: 'Use a platform ladder',
+    location: 'Hazards',
+    sourceText: 'working at height',
+    controlMeasures: [{ control: 'ladder footed by offsider', hierarchy: 'ADMINISTRATIVE' }],
+    additionalControls: [],
+    isControlled: true
+  }],
+  hrwFactors: [],
+  ppeRequired: [],
+  complianceIssues: [],
+  summary: 'Ladder work near a live circuit with isolation planned.',
+  requiresSupervisorReview: false,
+  formCompleteness: 'COMPLETE',
+  missingFields: [],
+  positiveFindings: ['Circuit isolation planned'],
+  workLocation: 'Not specified',
+  workActivity: 'Replace light fitting'
+};
+
+module.exports = {
+  createUser,
+  createFormImage,
+  visionResponse,
+  visionClient,
+  runNextJob,
+  SAMPLE_FORM_TEXT,
+  SAMPLE_ANALYSIS
+};
@@ -0,0 +1,8 @@
+// backend/test/support/quietLogs.js - Silence service logs in tests unless TEST_LOGS=true
+const logger = require('../../src/services/utils/logger');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['info', 'warn', 'error', 'debug'].forEach(level => { logger[level] = () => {}; });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+}
@@ -0,0 +1,22 @@
+// backend/test/support/setupEnv.js - Environment for the jest suite (see "jest" in package.json)
+// No credentials, network or .env values: the database is an in-process PGlite (testDatabase.js),
+// OCR answers come from stubbed Vision clients and AI from the fake chat completions server.
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+// Never connected to - test files swap the shared pool for PGlite
+process.env.DATABASE_URL = 'postgres://test@127.0.0.1:1/test';
+process.env.TESSERACT_ENABLED = 'false';
+process.env.PROVIDER_RECORDING = 'off';
+process.env.JOB_WORKER_DISABLED = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = path.join(os.tmpdir(), `safety-forms-test-${process.pid}`);
+
+// Empty rather than deleted so dotenv (loaded by server.js) can't fill them in from a local .env
+[
+  'GOOGLE_APPLICATION_CREDENTIALS', 'GOOGLE_CLOUD_PROJECT', 'GOOGLE_API_KEY',
+  'DEEPSEEK_API_KEY', 'DEEPSEEK_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_BASE_URL',
+  'LOCAL_LLM_BASE_URL', 'AI_PROVIDER_ORDER'
+].forEach(name => { process.env[name] = ''; });
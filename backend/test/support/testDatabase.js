@@ -0,0 +1,54 @@
+// backend/test/support/testDatabase.js - Disposable PostgreSQL for tests
+// An in-process PGlite database with the schema from setupDatabase.js, behind the slice of the
+// pg Pool interface the services use (connect/query/release). Each jest test file gets its own
+// module registry and therefore its own empty database. Swap it in for the shared pool with
+//
+//   jest.mock('../../src/services/database/pool', () => require('../support/testDatabase').pool);
+//
+// and `await testDatabase.ready()` before the first query.
+const { PGlite } = require('@electric-sql/pglite');
+const { SCHEMA_SQL } = require('../../setupDatabase');
+
+const db = new PGlite();
+let schema = null;
+
+async function query(text, params = []) {
+  const result = await db.query(text, params);
+  return {
+    rows: result.rows,
+    rowCount: result.affectedRows ?? result.rows.length,
+    fields: result.fields
+  };
+}
+
+const pool = {
+  query,
+  connect: async () => ({ query, release() {} }),
+  on() {},
+  end: async () => {}
+};
+
+// Creates the schema once per test file
+function ready() {
+  schema = schema || db.exec(SCHEMA_SQL);
+  return schema;
+}
+
+// Empty the given tables (and everything referencing them) between tests
+async function truncate(...tables) {
+  await ready();
+  await db.exec(`TRUNCATE ${tables.join(', ')} RESTART IDENTITY CASCADE`);
+}
+
+async function close() {
+  await db.close();
+}
+
+module.exports = {
+  db,
+  pool,
+  query,
+  ready,
+  truncate,
+  close
+};
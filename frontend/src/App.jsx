@@ -1,9 +1,64 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
+import { LogOut, ClipboardCheck, Upload, Wrench } from 'lucide-react'
 import './index.css'
 import SmartSafetyFormsApp from './components/SmartSafetyFormsApp'
+import LoginPage from './components/LoginPage'
+import ReviewQueue from './components/ReviewQueue'
+import CorrectiveActionsPage from './components/CorrectiveActionsPage'
+import { getCurrentUser, onAuthChange, logout } from './lib/api'
 
 function App() {
-  return <SmartSafetyFormsApp />
+  const [user, setUser] = useState(getCurrentUser())
+  const [view, setView] = useState('forms')
+
+  // Token refresh failures clear the stored session and land back on login
+  useEffect(() => onAuthChange(state => setUser(state?.user || null)), [])
+
+  if (!user) {
+    return <LoginPage onLogin={setUser} />
+  }
+
+  const canReview = ['SUPERVISOR', 'ADMIN', 'SUPER_ADMIN'].includes(user.role)
+  const navItems = [
+    { view: 'forms', label: 'Process Forms', icon: Upload },
+    { view: 'actions', label: 'Corrective Actions', icon: Wrench },
+    ...(canReview ? [{ view: 'review', label: 'Review Queue', icon: ClipboardCheck }] : [])
+  ]
+
+  const renderView = () => {
+    if (view === 'review' && canReview) return <ReviewQueue />
+    if (view === 'actions') return <CorrectiveActionsPage />
+    return <SmartSafetyFormsApp />
+  }
+
+  return (
+    <div>
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-6xl mx-auto px-6 py-2 flex items-center justify-end space-x-4 text-sm">
+          <div className="flex items-center space-x-2 mr-auto">
+            {navItems.map(item => (
+              <button
+                key={item.view}
+                onClick={() => setView(item.view)}
+                className={`flex items-center px-3 py-1 rounded ${view === item.view ? 'bg-blue-50 text-blue-700' : 'text-gray-600 hover:text-gray-900'}`}
+              >
+                <item.icon className="w-4 h-4 mr-1" />
+                {item.label}
+              </button>
+            ))}
+          </div>
+          <span className="text-gray-700">
+            {user.name} <span className="text-gray-500">({user.role}{user.site ? ` · ${user.site}` : ''})</span>
+          </span>
+          <button onClick={logout} className="flex items-center text-gray-600 hover:text-gray-900">
+            <LogOut className="w-4 h-4 mr-1" />
+            Sign out
+          </button>
+        </div>
+      </div>
+      {renderView()}
+    </div>
+  )
 }
 
-export default App
\ No newline at end of file
+export default App
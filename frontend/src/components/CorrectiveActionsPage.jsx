@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertTriangle, CheckCircle, Clock, Loader, MapPin, MessageSquare, Paperclip, Upload, User, Wrench } from 'lucide-react';
+import { apiFetch, getCurrentUser } from '../lib/api';
+
+const STATUS_LABELS = {
+  OPEN: 'Open',
+  IN_PROGRESS: 'In Progress',
+  PENDING_VERIFICATION: 'Awaiting Verification',
+  CLOSED: 'Closed',
+  CANCELLED: 'Cancelled'
+};
+
+const STATUS_COLORS = {
+  OPEN: 'bg-blue-50 text-blue-700',
+  IN_PROGRESS: 'bg-yellow-50 text-yellow-700',
+  PENDING_VERIFICATION: 'bg-purple-50 text-purple-700',
+  CLOSED: 'bg-green-50 text-green-700',
+  CANCELLED: 'bg-gray-100 text-gray-600'
+};
+
+const SEVERITY_LABELS = { 1: 'LOW', 2: 'MEDIUM', 3: 'HIGH', 4: 'CRITICAL' };
+
+// Mirrors the server's transition table; the server enforces it regardless
+const NEXT_STATUSES = {
+  OPEN: [{ status: 'IN_PROGRESS', label: 'Start Work' }, { status: 'CANCELLED', label: 'Cancel', manage: true }],
+  IN_PROGRESS: [{ status: 'PENDING_VERIFICATION', label: 'Submit for Verification' }, { status: 'CANCELLED', label: 'Cancel', manage: true }],
+  PENDING_VERIFICATION: [{ status: 'CLOSED', label: 'Verify & Close', manage: true }, { status: 'IN_PROGRESS', label: 'Send Back' }],
+  CLOSED: [{ status: 'IN_PROGRESS', label: 'Reopen', manage: true }],
+  CANCELLED: [{ status: 'OPEN', label: 'Reopen', manage: true }]
+};
+
+const FILTERS = [
+  { value: 'active', label: 'Active', query: 'status=OPEN,IN_PROGRESS,PENDING_VERIFICATION' },
+  { value: 'overdue', label: 'Overdue', query: 'overdue=true' },
+  { value: 'mine', label: 'Assigned to me', query: 'mine=true&status=OPEN,IN_PROGRESS,PENDING_VERIFICATION' },
+  { value: 'closed', label: 'Closed', query: 'status=CLOSED,CANCELLED' }
+];
+
+const CorrectiveActionsPage = () => {
+  const currentUser = getCurrentUser();
+  const canManage = ['SUPERVISOR', 'ADMIN', 'SUPER_ADMIN'].includes(currentUser?.role);
+
+  const [filter, setFilter] = useState('active');
+  const [siteFilter, setSiteFilter] = useState(null);
+  const [sites, setSites] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [comment, setComment] = useState('');
+  const [transitionNotes, setTransitionNotes] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadActions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const query = FILTERS.find(f => f.value === filter).query;
+      const siteQuery = siteFilter ? `&site=${encodeURIComponent(siteFilter)}` : '';
+      const [actionsRes, sitesRes] = await Promise.all([
+        apiFetch(`/api/actions?${query}${siteQuery}`),
+        apiFetch('/api/actions/sites')
+      ]);
+      const actionsResult = await actionsRes.json();
+      const sitesResult = await sitesRes.json();
+      if (!actionsRes.ok) throw new Error(actionsResult.error || 'Failed to load actions');
+
+      setActions(actionsResult.actions);
+      setSites(sitesResult.sites || []);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [filter, siteFilter]);
+
+  useEffect(() => {
+    loadActions();
+  }, [loadActions]);
+
+  const loadDetail = async (actionId) => {
+    try {
+      const response = await apiFetch(`/api/actions/${actionId}`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to load action');
+      setSelected(result.action);
+      setComment('');
+      setTransitionNotes('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runAction = async (request) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await request();
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Request failed');
+      await loadDetail(selected.id);
+      loadActions();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const changeStatus = (status) => runAction(() => apiFetch(`/api/actions/${selected.id}/status`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status, notes: transitionNotes })
+  }));
+
+  const reschedule = (dueDate) => runAction(() => apiFetch(`/api/actions/${selected.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ dueDate })
+  }));
+
+  const addComment = () => runAction(() => apiFetch(`/api/actions/${selected.id}/comments`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ body: comment })
+  }));
+
+  const uploadEvidence = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('file', file);
+    event.target.value = '';
+    runAction(() => apiFetch(`/api/actions/${selected.id}/evidence`, { method: 'POST', body: formData }));
+  };
+
+  const openEvidence = async (evidence) => {
+    const response = await apiFetch(`/api/actions/${selected.id}/evidence/${evidence.id}`);
+    if (!response.ok) {
+      setError('Failed to download evidence');
+      return;
+    }
+    const url = URL.createObjectURL(await response.blob());
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+
+  const canWork = selected && (canManage || selected.owner?.id === currentUser?.id);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">Corrective Actions</h1>
+          <p className="text-gray-600">Close out hazards identified on submitted forms</p>
+        </div>
+
+        {/* Open actions per site */}
+        {sites.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            {sites.map(site => (
+              <button
+                key={site.site}
+                onClick={() => setSiteFilter(siteFilter === site.site ? null : site.site)}
+                className={`text-left bg-white rounded-lg shadow p-4 border-2 ${siteFilter === site.site ? 'border-blue-500' : 'border-transparent'}`}
+              >
+                <div className="flex items-center text-gray-900 font-medium mb-2">
+                  <MapPin className="w-4 h-4 mr-1" />
+                  {site.site}
+                </div>
+                <div className="flex space-x-4 text-sm">
+                  <span>{site.openCount} open</span>
+                  <span className={site.overdueCount > 0 ? 'text-red-600 font-medium' : 'text-gray-500'}>
+                    {site.overdueCount} overdue
+                  </span>
+                  {site.unassignedCount > 0 && <span className="text-yellow-700">{site.unassignedCount} unassigned</span>}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex space-x-2 mb-4">
+          {FILTERS.map(f => (
+            <button
+              key={f.value}
+              onClick={() => { setFilter(f.value); setSelected(null); }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                filter === f.value ? 'bg-blue-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="flex items-center space-x-2 p-3 mb-4 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+          <div className="lg:col-span-2 bg-white rounded-lg shadow divide-y divide-gray-100">
+            {loading ? (
+              <div className="p-8 flex justify-center">
+                <Loader className="w-6 h-6 animate-spin text-blue-600" />
+              </div>
+            ) : actions.length === 0 ? (
+              <div className="p-8 text-center text-gray-500">
+                <CheckCircle className="w-10 h-10 mx-auto mb-2 text-green-500" />
+                No actions
+              </div>
+            ) : actions.map(action => (
+              <button
+                key={action.id}
+                onClick={() => loadDetail(action.id)}
+                className={`w-full text-left p-4 hover:bg-gray-50 ${selected?.id === action.id ? 'bg-blue-50' : ''}`}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium text-gray-900 truncate mr-2">{action.title}</span>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${STATUS_COLORS[action.status]}`}>
+                    {STATUS_LABELS[action.status]}
+                  </span>
+                </div>
+                <div className="flex items-center text-xs text-gray-500 space-x-3">
+                  <span>{SEVERITY_LABELS[action.severityLevel] || 'MEDIUM'}</span>
+                  <span className={`flex items-center ${action.overdue ? 'text-red-600 font-medium' : ''}`}>
+                    <Clock className="w-3 h-3 mr-1" />
+                    {action.overdue ? 'Overdue · ' : 'Due '}{new Date(action.dueDate).toLocaleDateString()}
+                  </span>
+                  <span className="flex items-center">
+                    <User className="w-3 h-3 mr-1" />
+                    {action.owner?.name || 'Unassigned'}
+                  </span>
+                </div>
+              </button>
+            ))}
+          </div>
+
+          <div className="lg:col-span-3 bg-white rounded-lg shadow p-6">
+            {!selected ? (
+              <div className="text-center text-gray-500 py-16">
+                <Wrench className="w-10 h-10 mx-auto mb-2" />
+                Select an action
+              </div>
+            ) : (
+              <div className="space-y-5">
+                <div>
+                  <div className="flex items-center justify-between">
+                    <h2 className="text-lg font-semibold text-gray-900">{selected.title}</h2>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_COLORS[selected.status]}`}>
+                      {STATUS_LABELS[selected.status]}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {selected.hazard.category} · {SEVERITY_LABELS[selected.severityLevel]} · {selected.site || 'No site'} · Owner: {selected.owner?.name || 'Unassigned'}
+                  </p>
+                  <p className={`text-sm ${selected.overdue ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                    Due {new Date(selected.dueDate).toLocaleString()}
+                  </p>
+                  {canManage && ['OPEN', 'IN_PROGRESS', 'PENDING_VERIFICATION'].includes(selected.status) && (
+                    <label className="text-sm text-gray-600">
+                      Reschedule:{' '}
+                      <input
+                        type="date"
+                        disabled={busy}
+                        onChange={(e) => e.target.value && reschedule(e.target.value)}
+                        className="border border-gray-300 rounded px-2 py-1 text-sm"
+                      />
+                    </label>
+                  )}
+                </div>
+
+                {selected.description && <p className="text-gray-700">{selected.description}</p>}
+
+                {canWork && (
+                  <div className="space-y-2">
+                    <input
+                      value={transitionNotes}
+                      onChange={(e) => setTransitionNotes(e.target.value)}
+                      placeholder="Notes (required to cancel or reopen)"
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    />
+                    <div className="flex flex-wrap gap-2">
+                      {(NEXT_STATUSES[selected.status] || [])
+                        .filter(next => !next.manage || canManage)
+                        .map(next => (
+                          <button
+                            key={next.status}
+                            onClick={() => changeStatus(next.status)}
+                            disabled={busy}
+                            className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            {next.label}
+                          </button>
+                        ))}
+                    </div>
+                  </div>
+                )}
+
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-2 flex items-center">
+                    <Paperclip className="w-4 h-4 mr-1" />
+                    Evidence ({selected.evidence.length})
+                  </h3>
+                  <ul className="space-y-1 text-sm mb-2">
+                    {selected.evidence.map(item => (
+                      <li key={item.id}>
+                        <button onClick={() => openEvidence(item)} className="text-blue-600 hover:underline">
+                          {item.filename}
+                        </button>
+                        <span className="text-gray-500"> · {item.uploadedBy} · {new Date(item.createdAt).toLocaleDateString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  {canWork && (
+                    <label className="inline-flex items-center text-sm text-blue-600 cursor-pointer hover:text-blue-800">
+                      <Upload className="w-4 h-4 mr-1" />
+                      Attach photo or PDF
+                      <input type="file" accept="image/*,application/pdf" onChange={uploadEvidence} className="hidden" />
+                    </label>
+                  )}
+                </div>
+
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-2 flex items-center">
+                    <MessageSquare className="w-4 h-4 mr-1" />
+                    Comments
+                  </h3>
+                  <ul className="space-y-2 mb-3">
+                    {selected.comments.map(c => (
+                      <li key={c.id} className="p-2 bg-gray-50 rounded text-sm">
+                        <span className="font-medium">{c.user}</span>
+                        <span className="text-gray-500"> · {new Date(c.createdAt).toLocaleString()}</span>
+                        <div className="text-gray-700">{c.body}</div>
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="flex space-x-2">
+                    <input
+                      value={comment}
+                      onChange={(e) => setComment(e.target.value)}
+                      placeholder="Add a comment"
+                      className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    />
+                    <button
+                      onClick={addComment}
+                      disabled={busy || !comment.trim()}
+                      className="px-4 py-2 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Post
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CorrectiveActionsPage;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronLeft, ChevronRight, Image as ImageIcon } from 'lucide-react';
+import { apiFetch } from '../lib/api';
+
+// Split the extracted text into plain runs and the OCR words that could be placed in it
+const textSegments = (text, words) => {
+  const placed = words
+    .filter(word => word.offset !== null && word.offset !== undefined)
+    .sort((a, b) => a.offset - b.offset);
+
+  const segments = [];
+  let cursor = 0;
+  for (const word of placed) {
+    if (word.offset < cursor) continue;
+    if (word.offset > cursor) segments.push({ text: text.slice(cursor, word.offset) });
+    segments.push({ text: word.text, word });
+    cursor = word.offset + word.text.length;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+};
+
+// Page image with OCR word boxes beside the extracted text. Words in `highlight` (an issue's
+// sourceRegion) are marked on both sides; clicking a word on either side lets the reviewer fix it.
+const DocumentReview = ({ pages = [], words = [], text = '', highlight, corrections = {}, onCorrect }) => {
+  const [pageNumber, setPageNumber] = useState(pages[0]?.pageNumber || 1);
+  const [imageUrls, setImageUrls] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  const textRef = useRef(null);
+
+  // Page images need the access token, so they are fetched and shown from blob URLs
+  useEffect(() => {
+    let cancelled = false;
+    const created = [];
+    pages.filter(page => page.url).forEach(async (page) => {
+      try {
+        const response = await apiFetch(page.url);
+        if (!response.ok || cancelled) return;
+        const url = URL.createObjectURL(await response.blob());
+        created.push(url);
+        if (!cancelled) setImageUrls(prev => ({ ...prev, [page.pageNumber]: url }));
+      } catch (error) {
+        console.error('Failed to load page image:', error);
+      }
+    });
+    return () => {
+      cancelled = true;
+      created.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [pages]);
+
+  // Follow the selected issue to its page and scroll its words into view
+  useEffect(() => {
+    if (!highlight) return;
+    setPageNumber(highlight.pageNumber);
+    const first = textRef.current?.querySelector(`[data-word="${highlight.wordIndexes[0]}"]`);
+    first?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [highlight]);
+
+  const highlighted = new Set(highlight?.wordIndexes || []);
+  const page = pages.find(candidate => candidate.pageNumber === pageNumber);
+  const pageWords = words.filter(word => word.pageNumber === pageNumber && word.bbox);
+  const pageIndex = pages.findIndex(candidate => candidate.pageNumber === pageNumber);
+
+  const startEditing = (word) => {
+    // Words that couldn't be placed in the text can't be corrected in it
+    if (word.offset === null || word.offset === undefined || !onCorrect) return;
+    setEditing(word.index);
+    setDraft(corrections[word.index] ?? word.text);
+  };
+
+  const finishEditing = (save) => {
+    if (save && editing !== null) {
+      const word = words[editing];
+      const value = draft.trim();
+      onCorrect(word.index, value && value !== word.text ? value : null);
+    }
+    setEditing(null);
+  };
+
+  const wordClass = (word) => {
+    if (highlighted.has(word.index)) return 'bg-yellow-200 rounded';
+    if (corrections[word.index] !== undefined) return 'bg-green-100 text-green-800 rounded';
+    return 'hover:bg-blue-50 rounded';
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-sm font-medium text-gray-700">Page {pageNumber} of {pages.length || 1}</span>
+          {pages.length > 1 && (
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={() => setPageNumber(pages[pageIndex - 1].pageNumber)}
+                disabled={pageIndex <= 0}
+                className="p-1 border border-gray-300 rounded disabled:opacity-50"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setPageNumber(pages[pageIndex + 1].pageNumber)}
+                disabled={pageIndex >= pages.length - 1}
+                className="p-1 border border-gray-300 rounded disabled:opacity-50"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {page && imageUrls[pageNumber] ? (
+          <div className="relative border border-gray-200 rounded">
+            <img src={imageUrls[pageNumber]} alt={`Page ${pageNumber}`} className="w-full block" />
+            <svg
+              viewBox={`0 0 ${page.width} ${page.height}`}
+              preserveAspectRatio="none"
+              className="absolute inset-0 w-full h-full"
+            >
+              {pageWords.map(word => (
+                <rect
+                  key={word.index}
+                  x={word.bbox.x0}
+                  y={word.bbox.y0}
+                  width={word.bbox.x1 - word.bbox.x0}
+                  height={word.bbox.y1 - word.bbox.y0}
+                  onClick={() => startEditing(word)}
+                  className="cursor-pointer"
+                  fill={highlighted.has(word.index) ? 'rgba(250, 204, 21, 0.45)' :
+                    corrections[word.index] !== undefined ? 'rgba(34, 197, 94, 0.3)' : 'rgba(59, 130, 246, 0.08)'}
+                  stroke={editing === word.index ? '#2563EB' : 'rgba(59, 130, 246, 0.35)'}
+                  strokeWidth={Math.max(1, page.width / 800)}
+                >
+                  <title>{corrections[word.index] ? `${word.text} → ${corrections[word.index]}` : word.text}</title>
+                </rect>
+              ))}
+              {highlight?.pageNumber === pageNumber && (
+                <rect
+                  x={highlight.bbox.x0}
+                  y={highlight.bbox.y0}
+                  width={highlight.bbox.x1 - highlight.bbox.x0}
+                  height={highlight.bbox.y1 - highlight.bbox.y0}
+                  fill="none"
+                  stroke="#DC2626"
+                  strokeWidth={Math.max(2, page.width / 400)}
+                  pointerEvents="none"
+                />
+              )}
+            </svg>
+          </div>
+        ) : (
+          <div className="flex flex-col items-center justify-center h-64 border border-dashed border-gray-300 rounded text-gray-500">
+            <ImageIcon className="w-8 h-8 mb-2" />
+            <span className="text-sm">{page?.url ? 'Loading page image...' : 'No image for this page'}</span>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Extracted text - click a word to correct it</p>
+        <div
+          ref={textRef}
+          className="border border-gray-200 rounded p-3 bg-white text-sm font-mono whitespace-pre-wrap max-h-[32rem] overflow-y-auto"
+        >
+          {textSegments(text, words).map((segment, index) => {
+            const { word } = segment;
+            if (!word) return <span key={index}>{segment.text}</span>;
+            if (editing === word.index) {
+              return (
+                <input
+                  key={index}
+                  autoFocus
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onBlur={() => finishEditing(true)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishEditing(true);
+                    if (e.key === 'Escape') finishEditing(false);
+                  }}
+                  className="border border-blue-400 rounded px-1 font-mono text-sm"
+                  style={{ width: `${Math.max(draft.length, 3) + 2}ch` }}
+                />
+              );
+            }
+            return (
+              <span
+                key={index}
+                data-word={word.index}
+                onClick={() => startEditing(word)}
+                title={corrections[word.index] !== undefined ? `OCR read "${word.text}"` : undefined}
+                className={`cursor-pointer ${wordClass(word)}`}
+              >
+                {corrections[word.index] ?? segment.text}
+              </span>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentReview;
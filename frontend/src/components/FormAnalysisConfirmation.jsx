@@ -1,15 +1,30 @@
 import React, { useState } from 'react';
 import { CheckCircle, AlertTriangle, XCircle, Edit3, Save, X, FileText, Shield, AlertCircle } from 'lucide-react';
+import RiskMatrix from './RiskMatrix';
+import DocumentReview from './DocumentReview';
+import { getCurrentUser } from '../lib/api';
 
 const FormAnalysisConfirmation = ({ 
   analysisResult, 
   fileName, 
+  riskMatrix,
+  review,
+  extractedText,
+  suspectedDuplicate,
   onConfirm, 
   onCancel, 
   onEdit 
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedAnalysis, setEditedAnalysis] = useState(analysisResult);
+  // 'form' for the overall rating, otherwise the index of a flagged issue
+  const [matrixTarget, setMatrixTarget] = useState('form');
+  // Only reviewers can move ratings on the matrix (the server ignores anyone else's changes)
+  const canAdjustRatings = ['SUPERVISOR', 'ADMIN', 'SUPER_ADMIN'].includes(getCurrentUser()?.role);
+  // Index of the flagged issue highlighted on the page image
+  const [selectedIssue, setSelectedIssue] = useState(null);
+  // Misread words fixed against the image: { [wordIndex]: correctedText }
+  const [textCorrections, setTextCorrections] = useState({});
 
   const formTypeOptions = [
     { value: 'TAKE_5', label: 'Take 5 Safety Checklist' },
@@ -33,6 +48,35 @@ const FormAnalysisConfirmation = ({
     CRITICAL: 'text-red-800 bg-red-100'
   };
 
+  // Hierarchy of controls, most to least effective
+  const controlLevelColors = {
+    ELIMINATION: 'bg-green-100 text-green-800',
+    SUBSTITUTION: 'bg-green-100 text-green-700',
+    ISOLATION: 'bg-blue-100 text-blue-700',
+    ENGINEERING: 'bg-blue-100 text-blue-600',
+    ADMINISTRATIVE: 'bg-yellow-100 text-yellow-700',
+    PPE: 'bg-orange-100 text-orange-700'
+  };
+
+  const renderControls = (title, controls) => controls?.length > 0 && (
+    <div className="mt-2">
+      <p className="text-xs font-medium text-gray-700">{title}</p>
+      <ul className="mt-1 space-y-1">
+        {controls.map((control, index) => {
+          const level = typeof control === 'string' ? null : control.level;
+          return (
+            <li key={index} className="flex items-center space-x-2 text-xs text-gray-600">
+              <span className={`px-2 py-0.5 rounded ${controlLevelColors[level] || 'bg-gray-100 text-gray-600'}`}>
+                {level || 'UNCLASSIFIED'}
+              </span>
+              <span>{typeof control === 'string' ? control : control.description}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+
   const getRiskIcon = (level) => {
     switch(level) {
       case 'LOW': return <CheckCircle className="w-5 h-5" />;
@@ -69,20 +113,56 @@ const FormAnalysisConfirmation = ({
     }));
   };
 
+  const handleMatrixChange = (phase, rating) => {
+    setEditedAnalysis(prev => {
+      const next = {
+        ...prev,
+        requiresSupervisorReview: prev.requiresSupervisorReview || rating.requiresSupervisorReview
+      };
+      if (matrixTarget === 'form') {
+        next.riskAssessment = { ...prev.riskAssessment, [phase]: rating };
+      } else {
+        next.flaggedIssues = prev.flaggedIssues.map((issue, index) =>
+          index === Number(matrixTarget) ? { ...issue, [`${phase}Risk`]: rating } : issue
+        );
+      }
+      return next;
+    });
+  };
+
   const handleSaveEdits = () => {
     setIsEditing(false);
     if (onEdit) onEdit(editedAnalysis);
   };
 
+  const handleTextCorrection = (wordIndex, corrected) => {
+    setTextCorrections(prev => {
+      const next = { ...prev };
+      if (corrected === null) delete next[wordIndex];
+      else next[wordIndex] = corrected;
+      return next;
+    });
+  };
+
   const handleConfirm = () => {
-    onConfirm(editedAnalysis);
+    // The server applies each correction at the word's offset in the extracted text
+    const corrections = Object.entries(textCorrections).map(([wordIndex, corrected]) => {
+      const word = review.words[Number(wordIndex)];
+      return { wordIndex: word.index, offset: word.offset, original: word.text, corrected };
+    });
+    onConfirm(editedAnalysis, { textCorrections: corrections });
   };
 
   const analysis = isEditing ? editedAnalysis : analysisResult;
+  const matrixIssue = matrixTarget === 'form' ? null : analysis.flaggedIssues?.[Number(matrixTarget)];
+  const formatRating = (rating) => rating ? `${rating.label || rating.level} (${rating.rating})` : 'Not rated';
+  const hasReview = review?.words?.length > 0 && Boolean(extractedText);
+  const highlight = selectedIssue === null ? null : analysis.flaggedIssues?.[selectedIssue]?.sourceRegion || null;
+  const correctionCount = Object.keys(textCorrections).length;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+      <div className={`bg-white rounded-lg shadow-xl w-full max-h-[90vh] overflow-y-auto ${hasReview ? 'max-w-7xl' : 'max-w-4xl'}`}>
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-gray-200">
           <div className="flex items-center space-x-3">
@@ -104,6 +184,50 @@ const FormAnalysisConfirmation = ({
 
         {/* Content */}
         <div className="p-6 space-y-6">
+          {/* Near-duplicate of a form already submitted today (see backend services/duplicates) */}
+          {suspectedDuplicate && (
+            <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 flex items-start space-x-3">
+              <AlertTriangle className="w-5 h-5 text-orange-600 mt-0.5" />
+              <div>
+                <p className="text-orange-800 font-medium">Possible duplicate</p>
+                <p className="text-orange-700 text-sm">
+                  This looks like {suspectedDuplicate.sameUser ? 'a form you' : 'a form'} submitted
+                  {' '}{new Date(suspectedDuplicate.uploadedAt).toLocaleString()}
+                  {suspectedDuplicate.filename && ` (${suspectedDuplicate.filename})`}.
+                  Only save it if it is a different form.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Side-by-side review of what the OCR read */}
+          {hasReview && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-medium text-gray-900">Document Review</h3>
+                <span className="text-sm text-gray-500">
+                  {correctionCount > 0 ? `${correctionCount} word${correctionCount === 1 ? '' : 's'} corrected` : 'Check the text against the form'}
+                </span>
+              </div>
+              {selectedIssue !== null && (
+                <p className="text-sm mb-3 text-gray-700">
+                  {highlight
+                    ? <>Highlighting: <span className="font-medium">{analysis.flaggedIssues[selectedIssue]?.description}</span></>
+                    : 'The selected issue could not be located on the page.'}
+                  <button onClick={() => setSelectedIssue(null)} className="ml-2 text-blue-600 hover:text-blue-700">Clear</button>
+                </p>
+              )}
+              <DocumentReview
+                pages={review.pages}
+                words={review.words}
+                text={extractedText}
+                highlight={highlight}
+                corrections={textCorrections}
+                onCorrect={handleTextCorrection}
+              />
+            </div>
+          )}
+
           {/* Form Type Section */}
           <div className="bg-gray-50 rounded-lg p-4">
             <div className="flex items-center justify-between mb-3">
@@ -249,8 +373,72 @@ const FormAnalysisConfirmation = ({
                 </div>
               </div>
             </div>
+
+            {/* Which risk rules moved the score away from the base assessment */}
+            {analysis.riskTrace && (
+              <div className="mt-4">
+                <p className="text-sm text-gray-600">
+                  Base score {analysis.riskTrace.baseScore}/10
+                  {analysis.riskTrace.baseSource === 'fallback' ? ' (no AI assessment)' : ' from AI assessment'}
+                  {analysis.riskTrace.rules.length > 0 ? ', adjusted by:' : ', no escalation rules applied'}
+                </p>
+                {analysis.riskTrace.rules.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {analysis.riskTrace.rules.map((rule) => (
+                      <li key={rule.key} className="flex items-start justify-between text-sm">
+                        <span className="text-gray-800">
+                          {rule.name}
+                          {rule.evidence?.length > 0 && (
+                            <span className="text-gray-500"> - {rule.evidence.join('; ')}</span>
+                          )}
+                        </span>
+                        <span className="ml-3 font-medium text-gray-900 whitespace-nowrap">
+                          {rule.points > 0 ? '+' : ''}{rule.points}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </div>
 
+          {/* Inherent and residual risk on the company's consequence x likelihood matrix */}
+          {riskMatrix && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-medium text-gray-900">Risk Matrix</h3>
+                <select
+                  value={matrixTarget}
+                  onChange={(e) => setMatrixTarget(e.target.value)}
+                  className="px-3 py-1 border border-gray-300 rounded-md text-sm max-w-xs"
+                >
+                  <option value="form">Whole form</option>
+                  {(analysis.flaggedIssues || []).map((issue, index) => (
+                    <option key={index} value={index}>{issue.description}</option>
+                  ))}
+                </select>
+              </div>
+
+              <p className="text-sm text-gray-600 mb-3">
+                Inherent: <span className="font-medium">
+                  {formatRating(matrixIssue ? matrixIssue.inherentRisk : analysis.riskAssessment?.inherent)}
+                </span>
+                {' '}&rarr; Residual: <span className="font-medium">
+                  {formatRating(matrixIssue ? matrixIssue.residualRisk : analysis.riskAssessment?.residual)}
+                </span>
+              </p>
+
+              <RiskMatrix
+                matrix={riskMatrix}
+                inherent={matrixIssue ? matrixIssue.inherentRisk : analysis.riskAssessment?.inherent}
+                residual={matrixIssue ? matrixIssue.residualRisk : analysis.riskAssessment?.residual}
+                editable={isEditing && canAdjustRatings}
+                onChange={handleMatrixChange}
+              />
+            </div>
+          )}
+
           {/* Safety Issues */}
           {analysis.flaggedIssues && analysis.flaggedIssues.length > 0 && (
             <div className="bg-gray-50 rounded-lg p-4">
@@ -259,7 +447,13 @@ const FormAnalysisConfirmation = ({
               </h3>
               <div className="space-y-3">
                 {analysis.flaggedIssues.map((issue, index) => (
-                  <div key={index} className="bg-white rounded-md p-3 border-l-4 border-yellow-400">
+                  <div
+                    key={index}
+                    onClick={hasReview ? () => setSelectedIssue(selectedIssue === index ? null : index) : undefined}
+                    className={`bg-white rounded-md p-3 border-l-4 border-yellow-400 ${hasReview ? 'cursor-pointer hover:bg-yellow-50' : ''} ${
+                      selectedIssue === index ? 'ring-2 ring-yellow-400' : ''
+                    }`}
+                  >
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
                         <div className="flex items-center space-x-2 mb-1">
@@ -274,9 +468,29 @@ const FormAnalysisConfirmation = ({
                           }`}>
                             {issue.severity}
                           </span>
+                          {issue.location && (
+                            <span className="text-xs text-gray-500">{issue.location}</span>
+                          )}
+                          {hasReview && !issue.sourceRegion && (
+                            <span className="text-xs text-gray-400">not located on page</span>
+                          )}
                         </div>
                         <p className="text-gray-900 font-medium">{issue.description}</p>
                         <p className="text-gray-600 text-sm mt-1">{issue.recommendation}</p>
+                        {(issue.inherentRisk || issue.residualRisk) && (
+                          <p className="text-gray-500 text-xs mt-1">
+                            Risk: {formatRating(issue.inherentRisk)} &rarr; {formatRating(issue.residualRisk)}
+                            {issue.residualRisk?.limitedBy === 'LOWER_ORDER_CONTROLS' && ' (limited - admin/PPE controls only)'}
+                          </p>
+                        )}
+                        {renderControls('Existing controls', issue.controlMeasures)}
+                        {renderControls('Recommended controls', issue.additionalControls)}
+                        {issue.controlHierarchy?.lowerOrderOnly && (
+                          <p className="flex items-center space-x-1 text-xs text-orange-700 mt-2">
+                            <AlertTriangle className="w-4 h-4" />
+                            <span>Relies only on administrative controls and PPE - consider higher order controls</span>
+                          </p>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -312,6 +526,47 @@ const FormAnalysisConfirmation = ({
             </div>
           )}
 
+          {/* Fields transcribed against the matched form template */}
+          {analysis.template && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Template Fields</h3>
+              <p className="text-sm text-gray-500 mb-3">
+                Matched {analysis.template.templateName} (v{analysis.template.templateVersion})
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {Object.entries(analysis.template.fields || {}).map(([key, field]) => (
+                  <div key={key}>
+                    <label className="block text-sm font-medium text-gray-700">{field.label}</label>
+                    <span className={field.found ? 'text-gray-900' : 'text-red-600 text-sm'}>
+                      {field.found ? String(field.value) : (analysis.template.missingRequired?.includes(key) ? 'Missing (required)' : 'Not found')}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              {analysis.template.checklist?.length > 0 && (
+                <div className="mt-4 space-y-1">
+                  {analysis.template.checklist.map(item => (
+                    <div key={item.key} className="flex items-center space-x-2">
+                      {item.compliant === false ? (
+                        <XCircle className="w-4 h-4 text-red-500" />
+                      ) : item.compliant ? (
+                        <CheckCircle className="w-4 h-4 text-green-500" />
+                      ) : (
+                        <AlertCircle className="w-4 h-4 text-gray-400" />
+                      )}
+                      <span className="text-sm text-gray-700">
+                        {item.label}: {item.answer || 'No answer'}
+                        {item.compliant === false && ` (expected ${item.expectedAnswer})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Form Completeness */}
           <div className="bg-gray-50 rounded-lg p-4">
             <h3 className="text-lg font-medium text-gray-900 mb-3">Form Completeness</h3>
@@ -0,0 +1,145 @@
+import React from 'react';
+import { FileText, ChevronLeft, ChevronRight } from 'lucide-react';
+
+const FACET_LABELS = {
+  formType: 'Form Type',
+  riskLevel: 'Risk Level',
+  site: 'Site',
+  date: 'Date'
+};
+
+const riskBadge = (level) => (
+  level === 'CRITICAL' ? 'bg-red-100 text-red-800' :
+  level === 'HIGH' ? 'bg-red-100 text-red-700' :
+  level === 'MEDIUM' ? 'bg-yellow-100 text-yellow-800' :
+  'bg-green-100 text-green-800'
+);
+
+// Snippet segments from the server: matched words are wrapped in <mark>, nothing is rendered as HTML
+const Highlight = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => segment.match
+      ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{segment.text}</mark>
+      : <span key={index}>{segment.text}</span>
+    )}
+  </>
+);
+
+// Server-side search results: facet filters on the left, highlighted matches and paging on the right
+const FormSearchResults = ({ results, loading, error, page, pageSize, selected, onSelectFacet, onPageChange }) => {
+  if (error) {
+    return <div className="text-center py-8 text-red-600">{error}</div>;
+  }
+  if (!results) {
+    return <div className="text-center py-8 text-gray-500">{loading ? 'Searching...' : null}</div>;
+  }
+
+  const pageCount = Math.max(1, Math.ceil(results.total / pageSize));
+  const formatFacetValue = (name, value) => {
+    if (value === null || value === undefined) return 'Not set';
+    if (name === 'date') return new Date(value).toLocaleDateString();
+    return String(value).replace(/_/g, ' ');
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      <div className="space-y-4">
+        {Object.entries(results.facets || {}).map(([name, buckets]) => (
+          <div key={name}>
+            <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">{FACET_LABELS[name] || name}</h4>
+            {buckets.length === 0 && <p className="text-sm text-gray-400">No matches</p>}
+            <ul className="space-y-1">
+              {buckets.map(bucket => {
+                const active = selected[name] === bucket.value;
+                return (
+                  <li key={`${bucket.value}`}>
+                    <button
+                      onClick={() => onSelectFacet(name, active ? null : bucket.value)}
+                      disabled={bucket.value === null}
+                      className={`w-full flex justify-between text-sm px-2 py-1 rounded ${
+                        active ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      <span>{formatFacetValue(name, bucket.value)}</span>
+                      <span className="text-gray-500">{bucket.count}</span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      <div className="lg:col-span-3">
+        <p className="text-sm text-gray-600 mb-3">
+          {results.total} {results.total === 1 ? 'form matches' : 'forms match'}
+          {results.query ? <> &ldquo;{results.query}&rdquo;</> : null}
+          {loading && <span className="ml-2 text-gray-400">Updating...</span>}
+        </p>
+
+        <div className="space-y-3">
+          {results.results.map(form => (
+            <div key={form.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center space-x-2">
+                  <FileText className="w-5 h-5 text-gray-400" />
+                  <span className="text-sm font-medium text-gray-900">{form.filename}</span>
+                  <span className="px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded">
+                    {form.formType?.replace('_', ' ') || 'Unknown'}
+                  </span>
+                  {form.riskLevel && (
+                    <span className={`px-2 py-1 text-xs font-medium rounded ${riskBadge(form.riskLevel)}`}>
+                      {form.riskLevel}
+                    </span>
+                  )}
+                </div>
+                <span className="text-xs text-gray-500">
+                  {[form.site, new Date(form.processedAt).toLocaleDateString()].filter(Boolean).join(' - ')}
+                </span>
+              </div>
+              {form.highlights?.summary?.length > 0 && (
+                <p className="text-sm text-gray-800"><Highlight segments={form.highlights.summary} /></p>
+              )}
+              {form.highlights?.text?.length > 0 && (
+                <p className="text-xs text-gray-600 mt-1 font-mono"><Highlight segments={form.highlights.text} /></p>
+              )}
+              <p className="text-xs text-gray-500 mt-2">
+                {form.hazardCount} hazards identified
+                {form.workActivity ? ` - ${form.workActivity}` : ''}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        {results.results.length === 0 && (
+          <div className="text-center py-8 text-gray-500">No forms match your search</div>
+        )}
+
+        {results.total > pageSize && (
+          <div className="flex items-center justify-between mt-4">
+            <button
+              onClick={() => onPageChange(page - 1)}
+              disabled={page === 0 || loading}
+              className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+            >
+              <ChevronLeft className="w-4 h-4" />
+              <span>Previous</span>
+            </button>
+            <span className="text-sm text-gray-600">Page {page + 1} of {pageCount}</span>
+            <button
+              onClick={() => onPageChange(page + 1)}
+              disabled={page + 1 >= pageCount || loading}
+              className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+            >
+              <span>Next</span>
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FormSearchResults;
@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CheckCircle, XCircle, RotateCcw, Loader, AlertTriangle, Clock, Lock, Unlock, ArrowLeft, FileText } from 'lucide-react';
+import { apiFetch, getCurrentUser } from '../lib/api';
+
+const STATUS_TABS = [
+  { value: 'PENDING_REVIEW', label: 'Pending' },
+  { value: 'CHANGES_REQUESTED', label: 'Changes Requested' },
+  { value: 'APPROVED', label: 'Approved' },
+  { value: 'REJECTED', label: 'Rejected' }
+];
+
+const riskLevelColors = {
+  LOW: 'text-green-600 bg-green-50',
+  MEDIUM: 'text-yellow-600 bg-yellow-50',
+  HIGH: 'text-red-600 bg-red-50',
+  CRITICAL: 'text-red-800 bg-red-100'
+};
+
+const formatAge = (hours) => {
+  if (hours < 1) return `${Math.max(1, Math.round(hours * 60))}m`;
+  if (hours < 48) return `${Math.round(hours)}h`;
+  return `${Math.round(hours / 24)}d`;
+};
+
+const ReviewQueue = ({ focusFormId, onClose, closeLabel = 'Back' }) => {
+  const currentUser = getCurrentUser();
+  const [status, setStatus] = useState('PENDING_REVIEW');
+  const [forms, setForms] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(focusFormId || null);
+  const [detail, setDetail] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [acting, setActing] = useState(false);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`/api/review/queue?status=${status}`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to load review queue');
+      setForms(result.forms);
+      setTotal(result.total);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [status]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setDetail(null);
+      return;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await apiFetch(`/api/forms/form/${selectedId}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load form');
+        if (!cancelled) setDetail(result.form);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    })();
+
+    setNotes('');
+    return () => { cancelled = true; };
+  }, [selectedId]);
+
+  const selectedQueueItem = forms.find(f => f.id === selectedId);
+  const claimedByMe = selectedQueueItem?.review.claimedBy === currentUser?.id;
+  const claimedByOther = selectedQueueItem?.review.claimedBy && !claimedByMe;
+
+  const postAction = async (path, body) => {
+    setActing(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`/api/review/${selectedId}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Review action failed');
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setActing(false);
+    }
+  };
+
+  const handleClaim = async () => {
+    if (await postAction('claim')) loadQueue();
+  };
+
+  const handleRelease = async () => {
+    if (await postAction('release')) loadQueue();
+  };
+
+  const handleDecision = async (decision) => {
+    const result = await postAction('decision', { decision, notes });
+    if (result) {
+      setSelectedId(null);
+      loadQueue();
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Review Queue</h1>
+            <p className="text-gray-600">Highest risk and oldest forms first</p>
+          </div>
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              {closeLabel}
+            </button>
+          )}
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => { setStatus(tab.value); setSelectedId(null); }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                status === tab.value ? 'bg-blue-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {tab.label}
+              {status === tab.value && ` (${total})`}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="flex items-center space-x-2 p-3 mb-4 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+          {/* Queue */}
+          <div className="lg:col-span-2 bg-white rounded-lg shadow divide-y divide-gray-100">
+            {loading ? (
+              <div className="p-8 flex justify-center">
+                <Loader className="w-6 h-6 animate-spin text-blue-600" />
+              </div>
+            ) : forms.length === 0 ? (
+              <div className="p-8 text-center text-gray-500">
+                <CheckCircle className="w-10 h-10 mx-auto mb-2 text-green-500" />
+                Nothing here
+              </div>
+            ) : forms.map(form => (
+              <button
+                key={form.id}
+                onClick={() => setSelectedId(form.id)}
+                className={`w-full text-left p-4 hover:bg-gray-50 ${selectedId === form.id ? 'bg-blue-50' : ''}`}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium text-gray-900 truncate">{form.filename || form.id}</span>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${riskLevelColors[form.riskLevel] || 'text-gray-600 bg-gray-50'}`}>
+                    {form.riskLevel || 'UNKNOWN'} {form.riskScore != null && `${form.riskScore}/10`}
+                  </span>
+                </div>
+                <div className="flex items-center text-xs text-gray-500 space-x-3">
+                  <span>{form.formType || 'UNKNOWN'}</span>
+                  <span className="flex items-center"><Clock className="w-3 h-3 mr-1" />{formatAge(form.ageHours)}</span>
+                  <span>{form.hazardCount} hazards</span>
+                  {form.review.claimedByName && (
+                    <span className="flex items-center text-purple-600">
+                      <Lock className="w-3 h-3 mr-1" />{form.review.claimedByName}
+                    </span>
+                  )}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* Detail */}
+          <div className="lg:col-span-3 bg-white rounded-lg shadow p-6">
+            {!detail ? (
+              <div className="text-center text-gray-500 py-16">
+                <FileText className="w-10 h-10 mx-auto mb-2" />
+                Select a form to review
+              </div>
+            ) : (
+              <div className="space-y-5">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{detail.filename}</h2>
+                  <p className="text-sm text-gray-600">
+                    {detail.analysis.formType} · Risk {detail.analysis.riskScore}/10 ({detail.analysis.riskLevel})
+                    {detail.analysis.riskEscalated && ' · escalated'}
+                  </p>
+                </div>
+
+                {detail.results.aiAnalysis?.summary && (
+                  <p className="text-gray-700">{detail.results.aiAnalysis.summary}</p>
+                )}
+
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-2">Hazards ({detail.results.hazards?.length || 0})</h3>
+                  <ul className="space-y-2">
+                    {(detail.results.hazards || []).map(hazard => (
+                      <li key={hazard.id} className="p-3 border border-gray-200 rounded text-sm">
+                        <div className="font-medium text-gray-900">{hazard.category} — severity {hazard.severity}</div>
+                        <div className="text-gray-700">{hazard.description}</div>
+                        {hazard.recommendedAction && (
+                          <div className="text-gray-500 mt-1">Recommended: {hazard.recommendedAction}</div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {detail.results.extractedText && (
+                  <details className="text-sm">
+                    <summary className="cursor-pointer text-gray-700 font-medium">Extracted text</summary>
+                    <pre className="mt-2 p-3 bg-gray-50 rounded whitespace-pre-wrap text-gray-700 max-h-64 overflow-y-auto">
+                      {detail.results.extractedText}
+                    </pre>
+                  </details>
+                )}
+
+                {detail.review?.notes && (
+                  <div className="p-3 bg-gray-50 rounded text-sm">
+                    <span className="font-medium">Review notes:</span> {detail.review.notes}
+                  </div>
+                )}
+
+                {status === 'PENDING_REVIEW' && (
+                  <div className="border-t border-gray-200 pt-4 space-y-3">
+                    <div className="flex items-center justify-between">
+                      {claimedByOther ? (
+                        <span className="text-sm text-purple-700 flex items-center">
+                          <Lock className="w-4 h-4 mr-1" />
+                          Claimed by {selectedQueueItem.review.claimedByName}
+                        </span>
+                      ) : claimedByMe ? (
+                        <button onClick={handleRelease} disabled={acting} className="text-sm text-gray-600 hover:text-gray-900 flex items-center">
+                          <Unlock className="w-4 h-4 mr-1" />
+                          Release claim
+                        </button>
+                      ) : (
+                        <button onClick={handleClaim} disabled={acting} className="text-sm text-blue-600 hover:text-blue-800 flex items-center">
+                          <Lock className="w-4 h-4 mr-1" />
+                          Claim for review
+                        </button>
+                      )}
+                    </div>
+
+                    <textarea
+                      value={notes}
+                      onChange={(e) => setNotes(e.target.value)}
+                      placeholder="Review notes (required to reject or request changes)"
+                      rows={3}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => handleDecision('APPROVE')}
+                        disabled={acting || claimedByOther}
+                        className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                      >
+                        <CheckCircle className="w-4 h-4 mr-2" />
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleDecision('REQUEST_CHANGES')}
+                        disabled={acting || claimedByOther || !notes.trim()}
+                        className="flex items-center px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 disabled:opacity-50"
+                      >
+                        <RotateCcw className="w-4 h-4 mr-2" />
+                        Request Changes
+                      </button>
+                      <button
+                        onClick={() => handleDecision('REJECT')}
+                        disabled={acting || claimedByOther || !notes.trim()}
+                        className="flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                      >
+                        <XCircle className="w-4 h-4 mr-2" />
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { bandColor, rateCell } from '../lib/riskMatrix';
+
+// 5x5 heat map: likelihood rows (most likely at the top) against consequence columns.
+// "I" marks the inherent rating, "R" the residual one; when editable, clicking a cell moves
+// whichever of the two is selected.
+const RiskMatrix = ({ matrix, inherent, residual, editable = false, onChange }) => {
+  const [phase, setPhase] = useState('residual');
+
+  if (!matrix) return null;
+
+  const likelihoods = [...matrix.likelihoods].reverse();
+  const isAt = (rating, consequence, likelihood) =>
+    rating && rating.consequence === consequence && rating.likelihood === likelihood;
+
+  return (
+    <div>
+      {editable && (
+        <div className="flex items-center space-x-2 mb-3">
+          <span className="text-sm text-gray-600">Click a cell to set:</span>
+          {['inherent', 'residual'].map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setPhase(option)}
+              className={`px-3 py-1 text-sm rounded-md border ${
+                phase === option ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'
+              }`}
+            >
+              {option === 'inherent' ? 'Inherent (before controls)' : 'Residual (with controls)'}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="border-collapse text-xs">
+          <thead>
+            <tr>
+              <th className="p-1 text-left text-gray-500 font-normal">Likelihood / Consequence</th>
+              {matrix.consequences.map(consequence => (
+                <th key={consequence.value} className="p-1 w-20 text-center text-gray-700 font-medium" title={consequence.description}>
+                  {consequence.value}. {consequence.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {likelihoods.map(likelihood => (
+              <tr key={likelihood.value}>
+                <th className="p-1 pr-2 text-right text-gray-700 font-medium" title={likelihood.description}>
+                  {likelihood.value}. {likelihood.label}
+                </th>
+                {matrix.consequences.map(consequence => {
+                  const cell = rateCell(matrix, consequence.value, likelihood.value);
+                  return (
+                    <td key={consequence.value} className="p-0.5">
+                      <button
+                        type="button"
+                        disabled={!editable}
+                        onClick={() => onChange && onChange(phase, cell)}
+                        title={`${cell.label} (${cell.rating})${cell.action ? ` - ${cell.action}` : ''}`}
+                        className={`w-20 h-10 rounded flex items-center justify-center space-x-1 text-white font-semibold ${
+                          editable ? 'hover:opacity-80 cursor-pointer' : 'cursor-default'
+                        }`}
+                        style={{ backgroundColor: bandColor(matrix, consequence.value, likelihood.value) }}
+                      >
+                        <span className="opacity-70">{cell.rating}</span>
+                        {isAt(inherent, consequence.value, likelihood.value) && (
+                          <span className="px-1 rounded bg-white text-gray-900">I</span>
+                        )}
+                        {isAt(residual, consequence.value, likelihood.value) && (
+                          <span className="px-1 rounded bg-gray-900 text-white">R</span>
+                        )}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-2">
+        {matrix.bands.map(band => (
+          <div key={band.level} className="flex items-start space-x-2 text-xs">
+            <span className="w-3 h-3 mt-0.5 rounded-sm flex-shrink-0" style={{ backgroundColor: band.color }} />
+            <span>
+              <span className="font-medium text-gray-900">{band.label}</span>
+              {band.action && <span className="text-gray-600"> - {band.action}</span>}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RiskMatrix;
@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, PieChart, Pie, Cell, LineChart, Line, ResponsiveContainer } from 'recharts';
 import { AlertTriangle, TrendingUp, FileText, Users, Clock, Shield, Download, Filter, Search, Calendar } from 'lucide-react';
+import { apiFetch } from '../lib/api';
+import { searchForms, timeRangeStart, SEARCH_PAGE_SIZE } from '../lib/search';
+import FormSearchResults from './FormSearchResults';
+
+const SEARCH_DEBOUNCE_MS = 300;
 
 const SafetyAnalyticsDashboard = () => {
   const [data, setData] = useState({
@@ -11,24 +16,78 @@ const SafetyAnalyticsDashboard = () => {
   });
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState('7 days');
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState('all');
   const [selectedView, setSelectedView] = useState('overview');
   const [filters, setFilters] = useState({
     riskLevel: 'all',
     formType: 'all',
+    site: 'all',
+    date: null,
     searchTerm: ''
   });
+  const [search, setSearch] = useState({ results: null, loading: false, error: null, page: 0 });
 
   useEffect(() => {
     fetchAnalyticsData();
-  }, [timeRange]);
+  }, [timeRange, siteId]);
+
+  useEffect(() => {
+    apiFetch('/api/sites')
+      .then(response => (response.ok ? response.json() : { sites: [] }))
+      .then(result => setSites(result.sites || []))
+      .catch(error => console.error('Failed to fetch sites:', error));
+  }, []);
+
+  // Typing a search term switches the activity table to server-side full-text search
+  useEffect(() => {
+    const q = filters.searchTerm.trim();
+    if (!q) {
+      setSearch(prev => ({ ...prev, results: null, loading: false, error: null }));
+      return undefined;
+    }
+
+    let cancelled = false;
+    setSearch(prev => ({ ...prev, loading: true, error: null }));
+    const timer = setTimeout(async () => {
+      // A date facet narrows to that day; otherwise the dashboard's time range applies
+      const dateTo = filters.date ? new Date(new Date(filters.date).getTime() + 24 * 60 * 60 * 1000).toISOString() : null;
+      try {
+        const results = await searchForms({
+          q,
+          formType: filters.formType,
+          riskLevel: filters.riskLevel,
+          site: filters.site,
+          siteId,
+          dateFrom: filters.date || timeRangeStart(timeRange),
+          dateTo
+        }, { page: search.page });
+        if (!cancelled) setSearch(prev => ({ ...prev, results, loading: false }));
+      } catch (error) {
+        if (!cancelled) setSearch(prev => ({ ...prev, loading: false, error: error.message }));
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filters, search.page, timeRange, siteId]);
+
+  // Any filter change starts again from the first page of results
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setSearch(prev => ({ ...prev, page: 0 }));
+  };
 
   const fetchAnalyticsData = async () => {
     setLoading(true);
+    const siteParam = siteId === 'all' ? '' : `&siteId=${encodeURIComponent(siteId)}`;
     try {
       const [summaryRes, hazardsRes, formsRes] = await Promise.all([
-        fetch(`/api/forms/analytics/summary?timeRange=${encodeURIComponent(timeRange)}`),
-        fetch(`/api/forms/analytics/hazards?timeRange=${encodeURIComponent(timeRange)}`),
-        fetch('/api/forms/analytics/recent') // New endpoint we'll need
+        apiFetch(`/api/forms/analytics/summary?timeRange=${encodeURIComponent(timeRange)}${siteParam}`),
+        apiFetch(`/api/forms/analytics/hazards?timeRange=${encodeURIComponent(timeRange)}${siteParam}`),
+        apiFetch(`/api/forms/analytics/recent?${siteParam.slice(1)}`)
       ]);
 
       const summary = await summaryRes.json();
@@ -86,6 +145,19 @@ const SafetyAnalyticsDashboard = () => {
             <p className="text-gray-600">Monitor safety form processing and identify trends</p>
           </div>
           <div className="flex items-center space-x-4">
+            <select
+              value={siteId}
+              onChange={(e) => {
+                setSiteId(e.target.value);
+                setSearch(prev => ({ ...prev, page: 0 }));
+              }}
+              className="border border-gray-300 rounded-lg px-3 py-2"
+            >
+              <option value="all">All Sites</option>
+              {sites.map(site => (
+                <option key={site.id} value={site.id}>{site.locationName}</option>
+              ))}
+            </select>
             <select
               value={timeRange}
               onChange={(e) => setTimeRange(e.target.value)}
@@ -288,6 +360,7 @@ const SafetyAnalyticsDashboard = () => {
                       <p className="font-medium text-gray-900">{form.filename}</p>
                       <p className="text-sm text-gray-600">
                         {form.formType} • Risk Score: {form.riskScore}/10 • {form.hazardCount} hazards
+                        {form.siteName ? ` • ${form.siteName}` : ''}
                       </p>
                     </div>
                   </div>
@@ -317,18 +390,23 @@ const SafetyAnalyticsDashboard = () => {
         {/* Recent Activity */}
         <div className="bg-white rounded-lg shadow p-6">
           <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-gray-900">Recent Form Processing Activity</h3>
+            <h3 className="text-lg font-semibold text-gray-900">
+              {filters.searchTerm.trim() ? 'Search Results' : 'Recent Form Processing Activity'}
+            </h3>
             <div className="flex items-center space-x-2">
-              <input
-                type="text"
-                placeholder="Search forms..."
-                value={filters.searchTerm}
-                onChange={(e) => setFilters({...filters, searchTerm: e.target.value})}
-                className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
-              />
+              <div className="relative">
+                <Search className="w-4 h-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+                <input
+                  type="text"
+                  placeholder="Search text, hazards, sites..."
+                  value={filters.searchTerm}
+                  onChange={(e) => updateFilter('searchTerm', e.target.value)}
+                  className="border border-gray-300 rounded-lg pl-8 pr-3 py-1 text-sm"
+                />
+              </div>
               <select
                 value={filters.riskLevel}
-                onChange={(e) => setFilters({...filters, riskLevel: e.target.value})}
+                onChange={(e) => updateFilter('riskLevel', e.target.value)}
                 className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
               >
                 <option value="all">All Risk Levels</option>
@@ -340,6 +418,19 @@ const SafetyAnalyticsDashboard = () => {
             </div>
           </div>
           
+          {filters.searchTerm.trim() ? (
+            <FormSearchResults
+              results={search.results}
+              loading={search.loading}
+              error={search.error}
+              page={search.page}
+              pageSize={SEARCH_PAGE_SIZE}
+              selected={filters}
+              onSelectFacet={(name, value) => updateFilter(name, value === null ? (name === 'date' ? null : 'all') : value)}
+              onPageChange={(page) => setSearch(prev => ({ ...prev, page }))}
+            />
+          ) : (
+          <>
           <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
@@ -365,19 +456,18 @@ const SafetyAnalyticsDashboard = () => {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {data.recentForms.filter(form => {
-                  const matchesSearch = !filters.searchTerm || 
-                    form.filename.toLowerCase().includes(filters.searchTerm.toLowerCase());
-                  const matchesRisk = filters.riskLevel === 'all' || form.riskLevel === filters.riskLevel;
-                  return matchesSearch && matchesRisk;
-                }).slice(0, 10).map((form, index) => (
+                {data.recentForms.filter(form =>
+                  filters.riskLevel === 'all' || form.riskLevel === filters.riskLevel
+                ).slice(0, 10).map((form, index) => (
                   <tr key={index} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <FileText className="w-5 h-5 text-gray-400 mr-3" />
                         <div>
                           <div className="text-sm font-medium text-gray-900">{form.filename}</div>
-                          <div className="text-sm text-gray-500">ID: {form.id?.substring(0, 8)}...</div>
+                          <div className="text-sm text-gray-500">
+                            ID: {form.id?.substring(0, 8)}...{form.siteName ? ` • ${form.siteName}` : ''}
+                          </div>
                         </div>
                       </div>
                     </td>
@@ -426,6 +516,8 @@ const SafetyAnalyticsDashboard = () => {
               No forms processed in the selected time range
             </div>
           )}
+          </>
+          )}
         </div>
 
         {/* Quick Actions */}
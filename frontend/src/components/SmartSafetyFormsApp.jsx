@@ -1,16 +1,35 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { Upload, FileText, Loader, CheckCircle, AlertTriangle, XCircle, Eye, Zap, Archive, Settings } from 'lucide-react';
 import FormAnalysisConfirmation from './FormAnalysisConfirmation';
+import { apiFetch } from '../lib/api';
+import { waitForJob, STAGE_LABELS } from '../lib/jobs';
+import {
+  createAndStartBatch,
+  fetchBatch,
+  fetchBatches,
+  fetchBatchItem,
+  skipBatchItem,
+  batchIdFromUrl,
+  setBatchIdInUrl,
+  ACTIVE_BATCH_STATUSES,
+  BATCH_POLL_INTERVAL_MS
+} from '../lib/batches';
 
 const SmartSafetyFormsApp = () => {
   const [currentMode, setCurrentMode] = useState('INTERACTIVE'); // INTERACTIVE, BULK, BATCH
   const [currentStep, setCurrentStep] = useState('mode-select'); 
   const [files, setFiles] = useState([]); // Multiple files for bulk
-  const [currentFileIndex, setCurrentFileIndex] = useState(0);
   const [analysisResults, setAnalysisResults] = useState([]);
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [sessionToken, setSessionToken] = useState(null);
+  const [fileProgress, setFileProgress] = useState(null); // latest job progress event of the interactive form
+  const [batch, setBatch] = useState(null); // server-side Bulk/Smart Batch with its items and summary
+  const [reviewItem, setReviewItem] = useState(null); // flagged batch item being reviewed
+  const [recentBatches, setRecentBatches] = useState([]); // unfinished batches to go back to
+  const [savedForm, setSavedForm] = useState(null); // /confirm response for the interactive form
+  const idempotencyKeysRef = useRef(new WeakMap()); // file -> Idempotency-Key, reused if it is sent again
+  const confirmKeysRef = useRef({}); // draft + duplicate choice -> Idempotency-Key for /confirm
 
   const uploadModes = {
     INTERACTIVE: {
@@ -41,6 +60,7 @@ const SmartSafetyFormsApp = () => {
     setCurrentStep('upload');
     setFiles([]);
     setAnalysisResults([]);
+    setSavedForm(null);
     setError(null);
   };
 
@@ -51,8 +71,8 @@ const SmartSafetyFormsApp = () => {
 
     // Validate files
     const validFiles = selectedFiles.filter(file => {
-      if (!file.type.startsWith('image/')) {
-        setError(`${file.name} is not an image file`);
+      if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+        setError(`${file.name} is not an image or PDF file`);
         return false;
       }
       if (file.size > 10 * 1024 * 1024) {
@@ -71,91 +91,92 @@ const SmartSafetyFormsApp = () => {
     setError(null);
   }, [currentMode]);
 
-  const processFile = async (file, index = 0) => {
+  // Queues the file for analysis; resolves once the job is accepted (not finished)
+  const submitFile = async (file, token) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    if (!idempotencyKeysRef.current.has(file)) {
+      idempotencyKeysRef.current.set(file, crypto.randomUUID());
+    }
+    const headers = { 'Idempotency-Key': idempotencyKeysRef.current.get(file) };
+    if (token) headers['x-session-token'] = token;
+
+    const response = await apiFetch('/api/forms/analyze', {
+      method: 'POST',
+      body: formData,
+      headers
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to analyze form');
+    }
+
+    return result;
+  };
+
+  const processFile = async (file) => {
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-      
-      const headers = {};
-      if (sessionToken) headers['x-session-token'] = sessionToken;
+      const submission = await submitFile(file, sessionToken);
+      if (submission.sessionToken) setSessionToken(submission.sessionToken);
 
-      const endpoint = currentMode === 'INTERACTIVE' ? '/api/forms/analyze' : '/api/forms/upload';
-      
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        body: formData,
-        headers
+      const job = await waitForJob(submission.jobId, (event) => {
+        setFileProgress(prev => ({ ...event, progress: event.progress ?? prev?.progress }));
       });
 
-      const result = await response.json();
-
-      if (!response.ok) {
-        throw new Error(result.error || 'Failed to analyze form');
+      if (job.status !== 'COMPLETED') {
+        throw new Error(job.result?.error || job.lastError || 'Failed to analyze form');
       }
 
-      if (result.sessionToken) setSessionToken(result.sessionToken);
-
       return {
         file: file.name,
-        index,
         success: true,
-        result: currentMode === 'INTERACTIVE' ? result : convertUploadToConfirmation(result, file),
-        needsReview: shouldFlagForReview(result),
-        riskLevel: getRiskLevel(result),
-        processingTime: result.processingTime || result.processing?.totalTimeMs
+        result: job.result,
+        duplicateOf: submission.duplicateOf
       };
 
     } catch (error) {
       return {
         file: file.name,
-        index,
         success: false,
-        error: error.message,
-        needsReview: true
+        error: error.message
       };
     }
   };
 
-  const shouldFlagForReview = (result) => {
-    const analysis = result.analysis || result.result;
-    return (
-      analysis.riskScore >= 7 ||
-      analysis.riskLevel === 'HIGH' || 
-      analysis.riskLevel === 'CRITICAL' ||
-      analysis.requiresSupervisorReview ||
-      analysis.formCompleteness === 'INCOMPLETE' ||
-      (analysis.complianceIssues && analysis.complianceIssues.length > 0)
-    );
+  const openBatch = (loaded) => {
+    setBatch(loaded);
+    setCurrentMode(loaded.mode);
+    setBatchIdInUrl(loaded.id);
+    setCurrentStep('batch-summary');
   };
 
-  const getRiskLevel = (result) => {
-    const analysis = result.analysis || result.result;
-    return analysis.riskLevel || analysis.riskAssessment?.level || 'UNKNOWN';
-  };
-
-  const convertUploadToConfirmation = (uploadResult, file) => {
-    return {
-      success: true,
-      status: 'completed',
-      analysis: {
-        formType: uploadResult.result.formType,
-        formTypeConfidence: 'HIGH',
-        riskScore: uploadResult.result.riskAssessment.score,
-        riskLevel: uploadResult.result.riskAssessment.level,
-        flaggedIssues: uploadResult.result.safetyIssues || [],
-        complianceIssues: uploadResult.result.complianceCheck?.gaps || [],
-        summary: uploadResult.result.riskAssessment.reasoning || 'Analysis completed',
-        requiresSupervisorReview: uploadResult.result.riskAssessment.score >= 7,
-        formCompleteness: 'COMPLETE',
-        missingFields: [],
-        positiveFindings: []
-      },
-      fileInfo: {
-        originalFilename: file.name,
-        fileSize: file.size
-      }
-    };
-  };
+  // A batch in the URL is reopened after a refresh
+  useEffect(() => {
+    const batchId = batchIdFromUrl();
+    if (!batchId) return;
+    fetchBatch(batchId)
+      .then(openBatch)
+      .catch(() => setBatchIdInUrl(null));
+  }, []);
+
+  useEffect(() => {
+    if (currentStep !== 'mode-select') return;
+    fetchBatches()
+      .then(batches => setRecentBatches(batches.filter(entry => ACTIVE_BATCH_STATUSES.includes(entry.status))))
+      .catch(() => setRecentBatches([]));
+  }, [currentStep]);
+
+  // The server works through the batch; keep the summary current until nothing is left to analyse
+  useEffect(() => {
+    if (currentStep !== 'batch-summary' || batch?.status !== 'PROCESSING') return undefined;
+    const timer = setInterval(() => {
+      fetchBatch(batch.id).then(setBatch).catch(err => setError(err.message));
+    }, BATCH_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [currentStep, batch?.id, batch?.status]);
 
   const startProcessing = async () => {
     if (files.length === 0) {
@@ -167,6 +188,7 @@ const SmartSafetyFormsApp = () => {
     setError(null);
     setCurrentStep('processing');
     setAnalysisResults([]);
+    setFileProgress(null);
 
     if (currentMode === 'INTERACTIVE') {
       // Process single file for confirmation
@@ -180,39 +202,112 @@ const SmartSafetyFormsApp = () => {
         setCurrentStep('upload');
       }
     } else {
-      // Bulk/Batch processing
-      const results = [];
-      
-      for (let i = 0; i < files.length; i++) {
-        setCurrentFileIndex(i);
-        const result = await processFile(files[i], i);
-        results.push(result);
-        setAnalysisResults([...results]); // Update UI as we go
-        
-        // For BATCH mode, pause on flagged items
-        if (currentMode === 'BATCH' && result.needsReview && result.success) {
-          setCurrentStep('review-flagged');
-          setProcessing(false);
-          return; // Pause for user review
-        }
+      // Bulk/Batch processing runs on the server; the summary page follows it
+      try {
+        openBatch(await createAndStartBatch(currentMode, files));
+      } catch (err) {
+        setError(err.message);
+        setCurrentStep('upload');
       }
-      
-      setCurrentStep('bulk-complete');
     }
     
     setProcessing(false);
   };
 
-  const confirmAnalysis = async (confirmedAnalysis) => {
-    // Handle confirmation for interactive mode
-    setCurrentStep('completed');
+  // Saves a reviewed draft - the interactive form, or a flagged form from a batch
+  const confirmAnalysis = async (confirmedAnalysis, { textCorrections = [] } = {}) => {
+    const draftId = reviewItem ? reviewItem.result.draftId : analysisResults[0]?.result?.draftId;
+    setProcessing(true);
+    setError(null);
+
+    const send = async (confirmDuplicate) => {
+      // One key per request body, so a retried click is answered from the first save
+      const keyName = `${draftId}:${confirmDuplicate}`;
+      if (!confirmKeysRef.current[keyName]) {
+        confirmKeysRef.current[keyName] = crypto.randomUUID();
+      }
+      const response = await apiFetch('/api/forms/confirm', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': confirmKeysRef.current[keyName]
+        },
+        body: JSON.stringify({ draftId, confirmedAnalysis, textCorrections, confirmDuplicate })
+      });
+      return { response, result: await response.json() };
+    };
+
+    try {
+      let { response, result } = await send(false);
+      if (response.status === 409 && result.suspectedDuplicate) {
+        const uploadedAt = new Date(result.suspectedDuplicate.uploadedAt).toLocaleString();
+        if (!window.confirm(`This form looks like one already submitted on ${uploadedAt}. Save it anyway?`)) {
+          return;
+        }
+        ({ response, result } = await send(true));
+      }
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save form');
+      }
+
+      if (reviewItem) {
+        await continueBatchProcessing();
+      } else {
+        setSavedForm(result);
+        setCurrentStep('completed');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProcessing(false);
+    }
   };
 
-  const continueBatchProcessing = () => {
-    // Continue after reviewing flagged item
-    setCurrentStep('processing');
-    setProcessing(true);
-    // Continue from next file...
+  const reviewBatchItem = async (item) => {
+    try {
+      setError(null);
+      setReviewItem(await fetchBatchItem(batch.id, item.id));
+      setCurrentStep('review-flagged');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const skipReviewItem = async (item) => {
+    try {
+      setError(null);
+      setBatch(await skipBatchItem(batch.id, item.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // After a review, move on to the next flagged form, or back to the summary once none are left
+  const continueBatchProcessing = async () => {
+    const reviewed = reviewItem;
+    setReviewItem(null);
+    try {
+      const refreshed = await fetchBatch(batch.id);
+      setBatch(refreshed);
+      const next = refreshed.items.find(item => item.status === 'NEEDS_REVIEW' && item.id !== reviewed?.id &&
+        item.position > (reviewed?.position ?? 0)) ||
+        refreshed.items.find(item => item.status === 'NEEDS_REVIEW' && item.id !== reviewed?.id);
+      if (next) {
+        setReviewItem(await fetchBatchItem(refreshed.id, next.id));
+        setCurrentStep('review-flagged');
+        return;
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+    setCurrentStep('batch-summary');
+  };
+
+  const leaveBatch = () => {
+    setBatch(null);
+    setReviewItem(null);
+    setBatchIdInUrl(null);
+    setCurrentStep('mode-select');
   };
 
   const goToReports = () => {
@@ -263,6 +358,28 @@ const SmartSafetyFormsApp = () => {
             })}
           </div>
 
+          {recentBatches.length > 0 && (
+            <div className="mt-8 bg-white rounded-lg shadow p-4">
+              <h3 className="font-medium text-gray-900 mb-3">Unfinished Batches</h3>
+              <div className="space-y-2">
+                {recentBatches.map(entry => (
+                  <button
+                    key={entry.id}
+                    onClick={() => fetchBatch(entry.id).then(openBatch).catch(err => setError(err.message))}
+                    className="w-full flex items-center justify-between p-3 rounded bg-gray-50 hover:bg-gray-100 text-left"
+                  >
+                    <span className="text-sm text-gray-700">
+                      {uploadModes[entry.mode].title} · {entry.item_count} forms · {new Date(entry.created_at).toLocaleString()}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {entry.status === 'NEEDS_REVIEW' ? `${entry.needs_review_count} to review` : 'Processing'}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="text-center mt-8">
             <button
               onClick={goToReports}
@@ -316,12 +433,12 @@ const SmartSafetyFormsApp = () => {
                 }
               </p>
               <p className="text-sm text-gray-500">
-                {currentMode === 'INTERACTIVE' ? 'Single image file up to 10MB' : 'Multiple image files up to 10MB each'}
+                {currentMode === 'INTERACTIVE' ? 'Single image, TIFF or PDF up to 10MB' : 'Multiple images, TIFFs or PDFs up to 10MB each'}
               </p>
               <input
                 id="fileInput"
                 type="file"
-                accept="image/*"
+                accept="image/*,application/pdf"
                 multiple={currentMode !== 'INTERACTIVE'}
                 onChange={handleFileSelect}
                 className="hidden"
@@ -377,49 +494,29 @@ const SmartSafetyFormsApp = () => {
             <p className="text-gray-600 mb-6">
               {currentMode === 'INTERACTIVE' ? 
                 'Analyzing your safety form...' :
-                `Processing file ${currentFileIndex + 1} of ${files.length}`
+                `Uploading ${files.length} form${files.length > 1 ? 's' : ''}...`
               }
             </p>
-            
-            {currentMode !== 'INTERACTIVE' && (
-              <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
-                <div 
-                  className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                  style={{ width: `${((currentFileIndex + 1) / files.length) * 100}%` }}
-                />
-              </div>
-            )}
 
-            {analysisResults.length > 0 && (
-              <div className="mt-6 text-left">
-                <h3 className="font-medium text-gray-900 mb-3">Processing Results:</h3>
-                <div className="space-y-2 max-h-60 overflow-y-auto">
-                  {analysisResults.map((result, index) => (
-                    <div key={index} className={`flex items-center justify-between p-3 rounded ${
-                      result.success ? 'bg-green-50' : 'bg-red-50'
-                    }`}>
-                      <div className="flex items-center space-x-3">
-                        {result.success ? 
-                          <CheckCircle className="w-5 h-5 text-green-600" /> :
-                          <XCircle className="w-5 h-5 text-red-600" />
-                        }
-                        <span className="text-sm font-medium">{result.file}</span>
-                      </div>
-                      <div className="flex items-center space-x-2">
-                        {result.success && (
-                          <>
-                            <span className={`px-2 py-1 rounded text-xs font-medium ${getRiskColor(result.riskLevel)}`}>
-                              {result.riskLevel}
-                            </span>
-                            {result.needsReview && (
-                              <AlertTriangle className="w-4 h-4 text-yellow-600" title="Needs Review" />
-                            )}
-                          </>
-                        )}
-                      </div>
-                    </div>
-                  ))}
+            {fileProgress && (
+              <div className="mb-4">
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>
+                    {STAGE_LABELS[fileProgress.stage] || fileProgress.stage}
+                    {fileProgress.data?.pageCount > 1 && fileProgress.data?.pageNumber &&
+                      ` · page ${fileProgress.data.pageNumber} of ${fileProgress.data.pageCount}`}
+                  </span>
+                  <span>{fileProgress.progress ?? 0}%</span>
                 </div>
+                <div className="w-full bg-gray-100 rounded-full h-1.5">
+                  <div
+                    className="bg-green-500 h-1.5 rounded-full transition-all duration-300"
+                    style={{ width: `${fileProgress.progress ?? 0}%` }}
+                  />
+                </div>
+                {fileProgress.type === 'retrying' && (
+                  <p className="text-xs text-yellow-700 mt-2">{fileProgress.message}</p>
+                )}
               </div>
             )}
           </div>
@@ -431,56 +528,210 @@ const SmartSafetyFormsApp = () => {
   // Interactive Confirmation
   if (currentStep === 'confirmation' && analysisResults[0]?.success) {
     return (
-      <FormAnalysisConfirmation
-        analysisResult={analysisResults[0].result.analysis}
-        fileName={analysisResults[0].file}
-        onConfirm={confirmAnalysis}
-        onCancel={() => setCurrentStep('upload')}
-        onEdit={(editedAnalysis) => {
-          // Handle edits
-        }}
-      />
+      <>
+        {error && (
+          <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+        <FormAnalysisConfirmation
+          analysisResult={analysisResults[0].result.analysis}
+          fileName={analysisResults[0].file}
+          riskMatrix={analysisResults[0].result.riskMatrix}
+          review={analysisResults[0].result.review}
+          extractedText={analysisResults[0].result.extractedText}
+          suspectedDuplicate={analysisResults[0].result.suspectedDuplicate}
+          onConfirm={confirmAnalysis}
+          onCancel={() => setCurrentStep('upload')}
+          onEdit={(editedAnalysis) => {
+            // Handle edits
+          }}
+        />
+      </>
     );
   }
 
-  // Bulk Processing Complete
-  if (currentStep === 'bulk-complete') {
-    const successCount = analysisResults.filter(r => r.success).length;
-    const errorCount = analysisResults.filter(r => !r.success).length;
-    const flaggedCount = analysisResults.filter(r => r.needsReview && r.success).length;
+  // Interactive form saved
+  if (currentStep === 'completed') {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4">
+          <div className="bg-white rounded-lg shadow-lg p-8 text-center">
+            <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-semibold text-gray-900 mb-2">Form Saved</h2>
+            {savedForm?.analysis && (
+              <p className="text-gray-600 mb-6">
+                {savedForm.analysis.formType} ·{' '}
+                <span className={`px-2 py-0.5 rounded text-sm font-medium ${getRiskColor(savedForm.analysis.riskLevel)}`}>
+                  {savedForm.analysis.riskLevel}
+                </span>
+                {savedForm.analysis.requiresSupervisorReview && ' · sent for supervisor review'}
+              </p>
+            )}
+            <div className="flex justify-center space-x-4">
+              <button
+                onClick={() => handleModeSelect('INTERACTIVE')}
+                className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Analyze Another Form
+              </button>
+              <button
+                onClick={goToReports}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                View Reports
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Smart Batch paused on a flagged form - it is saved once the user confirms it
+  if (currentStep === 'review-flagged' && reviewItem?.result) {
+    return (
+      <>
+        {error && (
+          <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+        <FormAnalysisConfirmation
+          analysisResult={reviewItem.result.analysis}
+          fileName={`${reviewItem.original_filename} (${reviewItem.review_reasons.join(', ')})`}
+          riskMatrix={reviewItem.result.riskMatrix}
+          review={reviewItem.result.review}
+          extractedText={reviewItem.result.extractedText}
+          suspectedDuplicate={reviewItem.result.suspectedDuplicate}
+          onConfirm={confirmAnalysis}
+          onCancel={() => {
+            setReviewItem(null);
+            setCurrentStep('batch-summary');
+          }}
+        />
+      </>
+    );
+  }
+
+  // Batch summary - follows the server-side batch and survives a refresh (?batch=<id>)
+  if (currentStep === 'batch-summary' && batch) {
+    const { summary } = batch;
+    const done = summary.total - summary.queued - summary.processing;
+    const itemStatus = {
+      QUEUED: { label: 'Queued', className: 'bg-gray-100 text-gray-600' },
+      PROCESSING: { label: 'Processing', className: 'bg-blue-50 text-blue-700' },
+      NEEDS_REVIEW: { label: 'Needs review', className: 'bg-yellow-50 text-yellow-700' },
+      SAVED: { label: 'Saved', className: 'bg-green-50 text-green-700' },
+      SKIPPED: { label: 'Skipped', className: 'bg-gray-100 text-gray-500' },
+      FAILED: { label: 'Failed', className: 'bg-red-50 text-red-700' }
+    };
 
     return (
       <div className="min-h-screen bg-gray-50 py-8">
         <div className="max-w-4xl mx-auto px-4">
           <div className="bg-white rounded-lg shadow-lg p-8">
             <div className="text-center mb-6">
-              <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+              {batch.status === 'PROCESSING' ? (
+                <Loader className="w-16 h-16 text-blue-600 mx-auto mb-4 animate-spin" />
+              ) : batch.status === 'NEEDS_REVIEW' ? (
+                <AlertTriangle className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+              ) : (
+                <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+              )}
               <h2 className="text-2xl font-semibold text-gray-900 mb-2">
-                Bulk Processing Complete!
+                {uploadModes[batch.mode].title}
+                {batch.status === 'PROCESSING' && ' - Processing'}
+                {batch.status === 'NEEDS_REVIEW' && ' - Forms Need Review'}
+                {batch.status === 'COMPLETED' && ' Complete!'}
               </h2>
               <p className="text-gray-600">
-                Processed {analysisResults.length} forms
+                Processed {done} of {summary.total} forms
               </p>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-6">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${summary.total ? (done / summary.total) * 100 : 0}%` }}
+              />
+            </div>
+
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-red-700">{error}</p>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
               <div className="bg-green-50 rounded-lg p-4 text-center">
-                <h3 className="font-medium text-green-900 mb-1">Successful</h3>
-                <p className="text-2xl font-bold text-green-600">{successCount}</p>
+                <h3 className="font-medium text-green-900 mb-1">Saved</h3>
+                <p className="text-2xl font-bold text-green-600">{summary.saved}</p>
               </div>
               <div className="bg-yellow-50 rounded-lg p-4 text-center">
                 <h3 className="font-medium text-yellow-900 mb-1">Need Review</h3>
-                <p className="text-2xl font-bold text-yellow-600">{flaggedCount}</p>
+                <p className="text-2xl font-bold text-yellow-600">{summary.needsReview}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4 text-center">
+                <h3 className="font-medium text-gray-900 mb-1">Skipped</h3>
+                <p className="text-2xl font-bold text-gray-600">{summary.skipped}</p>
               </div>
               <div className="bg-red-50 rounded-lg p-4 text-center">
                 <h3 className="font-medium text-red-900 mb-1">Failed</h3>
-                <p className="text-2xl font-bold text-red-600">{errorCount}</p>
+                <p className="text-2xl font-bold text-red-600">{summary.failed}</p>
               </div>
             </div>
 
+            <div className="space-y-2 max-h-96 overflow-y-auto mb-6">
+              {batch.items.map(item => (
+                <div key={item.id} className="flex items-center justify-between p-3 rounded bg-gray-50">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-3">
+                      {item.status === 'SAVED' && <CheckCircle className="w-5 h-5 text-green-600" />}
+                      {item.status === 'FAILED' && <XCircle className="w-5 h-5 text-red-600" />}
+                      {item.status === 'NEEDS_REVIEW' && <AlertTriangle className="w-5 h-5 text-yellow-600" />}
+                      {item.status === 'PROCESSING' && <Loader className="w-5 h-5 text-blue-600 animate-spin" />}
+                      <span className="text-sm font-medium truncate">{item.original_filename}</span>
+                      <span className={`px-2 py-0.5 rounded text-xs ${itemStatus[item.status].className}`}>
+                        {itemStatus[item.status].label}
+                      </span>
+                    </div>
+                    {(item.review_reasons.length > 0 || item.error) && (
+                      <p className="text-xs text-gray-500 mt-1 ml-8">
+                        {item.error || item.review_reasons.join(' · ')}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    {item.risk_level && (
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${getRiskColor(item.risk_level)}`}>
+                        {item.risk_level}
+                      </span>
+                    )}
+                    {item.status === 'NEEDS_REVIEW' && (
+                      <button
+                        onClick={() => reviewBatchItem(item)}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+                      >
+                        Review
+                      </button>
+                    )}
+                    {(item.status === 'NEEDS_REVIEW' || item.status === 'FAILED') && (
+                      <button
+                        onClick={() => skipReviewItem(item)}
+                        className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded hover:bg-gray-100"
+                      >
+                        Skip
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
             <div className="flex justify-center space-x-4">
               <button
-                onClick={() => setCurrentStep('mode-select')}
+                onClick={leaveBatch}
                 className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
               >
                 Process More Forms
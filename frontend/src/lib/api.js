@@ -0,0 +1,135 @@
+// API client - attaches the access token and refreshes it once on 401
+
+const STORAGE_KEY = 'safetyForms.auth';
+
+let authState = loadAuthState();
+const listeners = new Set();
+
+function loadAuthState() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function saveAuthState(state) {
+  authState = state;
+  if (state) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  listeners.forEach(listener => listener(state));
+}
+
+export function getAuthState() {
+  return authState;
+}
+
+export function getCurrentUser() {
+  return authState?.user || null;
+}
+
+export function getAccessToken() {
+  return authState?.accessToken || null;
+}
+
+export function onAuthChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function login(email, password) {
+  const response = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || 'Login failed');
+  }
+
+  saveAuthState({
+    user: result.user,
+    accessToken: result.accessToken,
+    refreshToken: result.refreshToken
+  });
+  return result.user;
+}
+
+export async function logout() {
+  const refreshToken = authState?.refreshToken;
+  saveAuthState(null);
+
+  if (refreshToken) {
+    try {
+      await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+  }
+}
+
+// Concurrent 401s share a single refresh request
+let refreshPromise = null;
+
+async function refreshTokens() {
+  if (!authState?.refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        const response = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: authState.refreshToken })
+        });
+
+        if (!response.ok) {
+          saveAuthState(null);
+          return false;
+        }
+
+        const result = await response.json();
+        saveAuthState({
+          user: result.user,
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken
+        });
+        return true;
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        return false;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+
+  return refreshPromise;
+}
+
+// Drop-in replacement for fetch() for authenticated API calls
+export async function apiFetch(url, options = {}) {
+  const send = () => {
+    const headers = { ...(options.headers || {}) };
+    const token = getAccessToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    return fetch(url, { ...options, headers });
+  };
+
+  let response = await send();
+
+  if (response.status === 401 && await refreshTokens()) {
+    response = await send();
+  }
+
+  return response;
+}
@@ -0,0 +1,89 @@
+// Form batch client - wraps /api/batches (Bulk and Smart Batch uploads processed server-side)
+
+import { apiFetch } from './api';
+
+export const BATCH_POLL_INTERVAL_MS = 2000;
+
+// Batches still doing something the user may want to come back to
+export const ACTIVE_BATCH_STATUSES = ['PROCESSING', 'NEEDS_REVIEW'];
+
+const BATCH_PARAM = 'batch';
+
+async function readResult(response, fallbackMessage) {
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `${fallbackMessage} (${response.status})`);
+  }
+  return result;
+}
+
+// Creates a batch, uploads its files and starts it; resolves with the started batch.
+// A batch that never started is deleted again so it doesn't linger as an empty OPEN batch.
+export async function createAndStartBatch(mode, files) {
+  const created = await readResult(await apiFetch('/api/batches', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mode })
+  }), 'Could not create batch');
+  const batchId = created.batch.id;
+
+  try {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    await readResult(await apiFetch(`/api/batches/${batchId}/files`, {
+      method: 'POST',
+      body: formData
+    }), 'Could not upload files');
+
+    const started = await readResult(await apiFetch(`/api/batches/${batchId}/start`, {
+      method: 'POST'
+    }), 'Could not start batch');
+    return started.batch;
+  } catch (error) {
+    await deleteBatch(batchId).catch(() => {});
+    throw error;
+  }
+}
+
+// Only a batch that hasn't started can be deleted
+export async function deleteBatch(batchId) {
+  await readResult(await apiFetch(`/api/batches/${batchId}`, { method: 'DELETE' }), 'Could not delete batch');
+}
+
+export async function fetchBatch(batchId) {
+  const result = await readResult(await apiFetch(`/api/batches/${batchId}`), 'Could not load batch');
+  return result.batch;
+}
+
+export async function fetchBatches({ limit = 5 } = {}) {
+  const result = await readResult(await apiFetch(`/api/batches?limit=${limit}`), 'Could not load batches');
+  return result.batches;
+}
+
+// An item with the analysis kept for review (item.result, as returned by /api/forms/analyze jobs)
+export async function fetchBatchItem(batchId, itemId) {
+  const result = await readResult(await apiFetch(`/api/batches/${batchId}/items/${itemId}`), 'Could not load form');
+  return result.item;
+}
+
+export async function skipBatchItem(batchId, itemId) {
+  const result = await readResult(await apiFetch(`/api/batches/${batchId}/items/${itemId}/skip`, {
+    method: 'POST'
+  }), 'Could not skip form');
+  return result.batch;
+}
+
+// The open batch lives in the URL (?batch=<id>) so its summary survives a refresh
+export function batchIdFromUrl() {
+  return new URLSearchParams(window.location.search).get(BATCH_PARAM);
+}
+
+export function setBatchIdInUrl(batchId) {
+  const url = new URL(window.location.href);
+  if (batchId) {
+    url.searchParams.set(BATCH_PARAM, batchId);
+  } else {
+    url.searchParams.delete(BATCH_PARAM);
+  }
+  window.history.replaceState(null, '', url);
+}
@@ -0,0 +1,91 @@
+// Processing job client - follows a queued job over Server-Sent Events, falling back to polling
+
+import { apiFetch } from './api';
+
+const POLL_INTERVAL_MS = 2000;
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED'];
+
+export const STAGE_LABELS = {
+  queued: 'Waiting in queue',
+  ocr: 'Extracting text',
+  ocr_validation: 'Checking extracted text',
+  duplicate_check: 'Checking for duplicates',
+  template_matching: 'Matching form template',
+  ai_analysis: 'Analysing safety content',
+  saving: 'Saving results',
+  completed: 'Complete'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Parses "event:/data:" blocks; EventSource can't send the Authorization header so we read the stream ourselves
+function parseEventBlock(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  }
+  if (data.length === 0) return null;
+  return { event, data: JSON.parse(data.join('\n')) };
+}
+
+async function streamJobEvents(jobId, onProgress) {
+  const response = await apiFetch(`/api/jobs/${jobId}/events`, {
+    headers: { Accept: 'text/event-stream' }
+  });
+  if (!response.ok || !response.body) {
+    throw new Error(`Progress stream unavailable (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return null;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = parseEventBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (!message) continue;
+
+      if (message.event === 'progress') onProgress?.(message.data);
+      if (message.event === 'done') {
+        reader.cancel();
+        return message.data;
+      }
+      if (message.event === 'error') throw new Error(message.data.error);
+    }
+  }
+}
+
+async function pollJob(jobId, onProgress) {
+  while (true) {
+    const response = await apiFetch(`/api/jobs/${jobId}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch job status');
+    }
+
+    const { job } = result;
+    if (TERMINAL_STATUSES.includes(job.status)) return job;
+
+    onProgress?.({ type: 'progress', stage: job.stage, progress: job.progress, message: job.lastError });
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// Resolves with the finished job ({ status, result, lastError, ... })
+export async function waitForJob(jobId, onProgress) {
+  try {
+    const job = await streamJobEvents(jobId, onProgress);
+    if (job) return job;
+  } catch (error) {
+    console.warn('Job progress stream failed, polling instead:', error.message);
+  }
+  return pollJob(jobId, onProgress);
+}
@@ -0,0 +1,27 @@
+// Consequence x likelihood rating against the company matrix definition returned by /analyze
+// Mirrors rateCell in backend/src/services/risk/riskMatrix.js; the server re-rates on confirm
+
+export function rateCell(matrix, consequence, likelihood) {
+  if (!matrix || !consequence || !likelihood) return null;
+
+  const rating = consequence * likelihood;
+  const band = matrix.cells
+    ? matrix.bands.find(candidate => candidate.level === matrix.cells[likelihood - 1][consequence - 1])
+    : [...matrix.bands].reverse().find(candidate => rating >= candidate.minRating);
+  if (!band) return null;
+
+  return {
+    consequence,
+    likelihood,
+    rating,
+    level: band.level,
+    label: band.label,
+    action: band.action,
+    requiresSupervisorReview: band.requiresSupervisorReview
+  };
+}
+
+export function bandColor(matrix, consequence, likelihood) {
+  const rated = rateCell(matrix, consequence, likelihood);
+  return matrix.bands.find(band => band.level === rated?.level)?.color || '#e5e7eb';
+}
@@ -0,0 +1,30 @@
+// Form search client - wraps GET /api/forms/search (full-text search with facets and pagination)
+
+import { apiFetch } from './api';
+
+export const SEARCH_PAGE_SIZE = 20;
+
+// timeRange values used by the dashboard ('24 hours', '7 days', ...) -> ISO start date
+export function timeRangeStart(timeRange) {
+  const match = /^(\d+)\s+(hour|day)s?$/.exec(timeRange || '');
+  if (!match) return null;
+  const hours = Number(match[1]) * (match[2] === 'day' ? 24 : 1);
+  return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+// filters: { q, formType, riskLevel, site, siteId, dateFrom, dateTo, dateBucket }; 'all' and empty values are left out
+export async function searchForms(filters, { page = 0, pageSize = SEARCH_PAGE_SIZE } = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value && value !== 'all') params.set(key, value);
+  });
+  params.set('limit', pageSize);
+  params.set('offset', page * pageSize);
+
+  const response = await apiFetch(`/api/forms/search?${params}`);
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Search failed (${response.status})`);
+  }
+  return result;
+}
@@ -0,0 +1,64 @@
+import 'react-native-gesture-handler';
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, View } from 'react-native';
+import { NavigationContainer } from '@react-navigation/native';
+import { createStackNavigator } from '@react-navigation/stack';
+import { onAuthChange, restoreSession } from './lib/api';
+import { registerBackgroundSync, startForegroundSync } from './sync/backgroundSync';
+import LoginScreen from './screens/LoginScreen';
+import HomeScreen from './screens/HomeScreen';
+import CaptureScreen from './screens/CaptureScreen';
+import AdjustScreen from './screens/AdjustScreen';
+import SubmitScreen from './screens/SubmitScreen';
+import OutboxScreen from './screens/OutboxScreen';
+
+const Stack = createStackNavigator();
+
+const App = () => {
+  const [user, setUser] = useState(null);
+  const [restoring, setRestoring] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = onAuthChange(state => setUser(state?.user || null));
+    restoreSession().then(restored => {
+      setUser(restored);
+      setRestoring(false);
+    });
+    registerBackgroundSync();
+    return unsubscribe;
+  }, []);
+
+  // Forms captured offline go up as soon as there is signal
+  useEffect(() => {
+    if (!user) return undefined;
+    return startForegroundSync();
+  }, [user?.id]);
+
+  if (restoring) {
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
+        <ActivityIndicator size="large" color="#2563eb" />
+      </View>
+    );
+  }
+
+  return (
+    <NavigationContainer>
+      <Stack.Navigator>
+        {user ? (
+          <>
+            <Stack.Screen name="Home" component={HomeScreen} options={{ headerShown: false }} />
+            <Stack.Screen name="Capture" component={CaptureScreen} options={{ headerShown: false }} />
+            <Stack.Screen name="Adjust" component={AdjustScreen} options={{ title: 'Adjust page' }} />
+            <Stack.Screen name="Submit" component={SubmitScreen} options={{ title: 'Analysis' }} />
+            <Stack.Screen name="Outbox" component={OutboxScreen} options={{ title: 'Outbox' }} />
+          </>
+        ) : (
+          <Stack.Screen name="Login" component={LoginScreen} options={{ headerShown: false }} />
+        )}
+      </Stack.Navigator>
+    </NavigationContainer>
+  );
+};
+
+export default App;
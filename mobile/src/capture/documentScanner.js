@@ -0,0 +1,409 @@
+// On-device document scanning - find the page in a photo, straighten it and check it is readable
+// Pure functions over RGBA pixel data ({ width, height, data }) so they behave the same on the
+// phone and in Node. Reading and writing image files is in imageFiles.js.
+//
+// The page is found as the largest bright region of a small, blurred copy of the photo (forms are
+// paper on a darker background); its four corners are the region's extreme points along the two
+// diagonals. The crop maps those corners onto a rectangle with a perspective transform.
+
+// Detection runs on a copy this size (longest side, px); corners are returned as 0-1 fractions
+const DETECTION_SIZE = 320;
+// The page has to cover this share of the photo to count as found
+const MIN_PAGE_AREA = 0.15;
+// Share of the four-corner outline the bright region has to fill (lower means it isn't a page)
+const MIN_OUTLINE_FILL = 0.85;
+
+// Quality checks run on the straightened page at this size (longest side, px)
+const QUALITY_SIZE = 1000;
+const QUALITY_TILES = 8;
+// Tiles with less contrast than this are blank paper and don't say anything about focus
+const CONTENT_TILE_STDDEV = 12;
+// Laplacian variance of the text tiles: below BLUR_VARIANCE reads as blurred, SHARP_VARIANCE as crisp
+const BLUR_VARIANCE = 80;
+const SHARP_VARIANCE = 400;
+// Blown-out pixels: above GLARE_RATIO of the page reads as glare
+const GLARE_LEVEL = 250;
+const GLARE_RATIO = 0.02;
+
+// Outline offered for manual adjustment when no page was found
+export const DEFAULT_CORNERS = [
+  { x: 0.05, y: 0.05 },
+  { x: 0.95, y: 0.05 },
+  { x: 0.95, y: 0.95 },
+  { x: 0.05, y: 0.95 }
+];
+
+export const CAPTURE_WARNINGS = {
+  NO_DOCUMENT: 'The page edges could not be found - drag the corners onto the form',
+  BLUR: 'The photo looks blurred - hold the phone still and retake it',
+  GLARE: 'There is glare on the page - tilt the form away from the light and retake it'
+};
+
+// Grayscale copy scaled so the longest side is at most maxSize (area average)
+function toGrayscale({ width, height, data }, maxSize = Math.max(width, height)) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const outWidth = Math.max(1, Math.round(width * scale));
+  const outHeight = Math.max(1, Math.round(height * scale));
+  const sums = new Float32Array(outWidth * outHeight);
+  const counts = new Uint32Array(outWidth * outHeight);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(outHeight - 1, Math.floor(y * scale)) * outWidth;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const target = row + Math.min(outWidth - 1, Math.floor(x * scale));
+      sums[target] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[target]++;
+    }
+  }
+
+  const gray = new Uint8ClampedArray(outWidth * outHeight);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = counts[i] ? sums[i] / counts[i] : 0;
+  }
+  return { gray, width: outWidth, height: outHeight };
+}
+
+function boxBlur(gray, width, height) {
+  const out = new Uint8ClampedArray(gray.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          if (xx < 0 || xx >= width) continue;
+          sum += gray[yy * width + xx];
+          count++;
+        }
+      }
+      out[y * width + x] = sum / count;
+    }
+  }
+  return out;
+}
+
+// Threshold separating the two main brightness groups (page and background)
+function otsuThreshold(gray) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+  let total = 0;
+  for (let level = 0; level < 256; level++) total += level * histogram[level];
+
+  let backgroundCount = 0;
+  let backgroundSum = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let level = 0; level < 256; level++) {
+    backgroundCount += histogram[level];
+    if (backgroundCount === 0) continue;
+    const foregroundCount = gray.length - backgroundCount;
+    if (foregroundCount === 0) break;
+
+    backgroundSum += level * histogram[level];
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (total - backgroundSum) / foregroundCount;
+    const between = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = level;
+    }
+  }
+  return threshold;
+}
+
+// Largest 4-connected region of the mask: its pixel labels and diagonal extreme points
+function largestRegion(mask, width, height) {
+  const labels = new Int32Array(mask.length).fill(-1);
+  const queue = new Int32Array(mask.length);
+  let best = null;
+  let label = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start] !== -1) continue;
+
+    const region = {
+      label,
+      area: 0,
+      topLeft: null,
+      topRight: null,
+      bottomRight: null,
+      bottomLeft: null
+    };
+    let extremes = [Infinity, -Infinity, -Infinity, Infinity];
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = (index - x) / width;
+      region.area++;
+
+      // Corners: smallest x+y, largest x-y, largest x+y, smallest x-y
+      const sum = x + y;
+      const diff = x - y;
+      if (sum < extremes[0]) { extremes[0] = sum; region.topLeft = { x, y }; }
+      if (diff > extremes[1]) { extremes[1] = diff; region.topRight = { x, y }; }
+      if (sum > extremes[2]) { extremes[2] = sum; region.bottomRight = { x, y }; }
+      if (diff < extremes[3]) { extremes[3] = diff; region.bottomLeft = { x, y }; }
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      for (const next of neighbours) {
+        if (next !== -1 && mask[next] && labels[next] === -1) {
+          labels[next] = label;
+          queue[tail++] = next;
+        }
+      }
+    }
+
+    if (!best || region.area > best.area) best = region;
+    label++;
+  }
+
+  return best ? { ...best, labels } : null;
+}
+
+// Area of the region with its holes (text, lines) filled: everything not reachable from the border
+function filledArea(region, width, height) {
+  const outside = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let tail = 0;
+  const visit = (index) => {
+    if (!outside[index] && region.labels[index] !== region.label) {
+      outside[index] = 1;
+      queue[tail++] = index;
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  let outsideCount = 0;
+  for (let head = 0; head < tail; head++) {
+    const index = queue[head];
+    outsideCount++;
+    const x = index % width;
+    if (x > 0) visit(index - 1);
+    if (x < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < width * (height - 1)) visit(index + width);
+  }
+  return width * height - outsideCount;
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Find the page in a photo.
+ * Returns { found, corners: [topLeft, topRight, bottomRight, bottomLeft] as 0-1 fractions, confidence }.
+ * When nothing page-like is found the corners are a default inset outline for the user to adjust.
+ */
+export function detectDocument(image) {
+  const { gray, width, height } = toGrayscale(image, DETECTION_SIZE);
+  const blurred = boxBlur(boxBlur(gray, width, height), width, height);
+  const threshold = otsuThreshold(blurred);
+
+  const mask = new Uint8Array(blurred.length);
+  for (let i = 0; i < blurred.length; i++) mask[i] = blurred[i] > threshold ? 1 : 0;
+
+  const region = largestRegion(mask, width, height);
+  const notFound = { found: false, corners: DEFAULT_CORNERS.map(corner => ({ ...corner })), confidence: 0 };
+  if (!region) return notFound;
+
+  const filled = filledArea(region, width, height);
+  if (filled < MIN_PAGE_AREA * width * height) return notFound;
+
+  // Pixel centres, so a page filling the photo ends up on its edges
+  const outline = [region.topLeft, region.topRight, region.bottomRight, region.bottomLeft]
+    .map(point => ({ x: point.x + 0.5, y: point.y + 0.5 }));
+  const outlineArea = polygonArea(outline);
+  const fill = outlineArea > 0 ? Math.min(filled, outlineArea) / Math.max(filled, outlineArea) : 0;
+  if (fill < MIN_OUTLINE_FILL) return notFound;
+
+  return {
+    found: true,
+    corners: outline.map(point => ({
+      x: Math.min(1, Math.max(0, point.x / width)),
+      y: Math.min(1, Math.max(0, point.y / height))
+    })),
+    confidence: Math.round(fill * 100) / 100
+  };
+}
+
+// Solve the 8x8 system for the homography taking each from[i] to to[i]
+function solveHomography(from, to) {
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let column = 0; column < 8; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < 8; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-10) {
+      throw new Error('Page corners do not form a usable outline');
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k < 9; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+
+  const h = rows.map((row, index) => row[8] / row[index]);
+  return [...h, 1];
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Crop the page out of the photo and straighten it. corners are 0-1 fractions in the order
+ * topLeft, topRight, bottomRight, bottomLeft. Returns a new RGBA image sized to the page.
+ */
+export function warpPerspective(image, corners) {
+  const { width, height, data } = image;
+  const source = corners.map(corner => ({ x: corner.x * width, y: corner.y * height }));
+  const outWidth = Math.max(1, Math.round(Math.max(distance(source[0], source[1]), distance(source[3], source[2]))));
+  const outHeight = Math.max(1, Math.round(Math.max(distance(source[0], source[3]), distance(source[1], source[2]))));
+  const target = [
+    { x: 0, y: 0 },
+    { x: outWidth, y: 0 },
+    { x: outWidth, y: outHeight },
+    { x: 0, y: outHeight }
+  ];
+
+  // Maps each output pixel back into the photo
+  const h = solveHomography(target, source);
+  const out = new Uint8Array(outWidth * outHeight * 4);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const px = x + 0.5;
+      const py = y + 0.5;
+      const w = h[6] * px + h[7] * py + h[8];
+      const sx = Math.min(width - 1, Math.max(0, (h[0] * px + h[1] * py + h[2]) / w - 0.5));
+      const sy = Math.min(height - 1, Math.max(0, (h[3] * px + h[4] * py + h[5]) / w - 0.5));
+
+      // Bilinear sample
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i00 = (y0 * width + x0) * 4;
+      const i10 = (y0 * width + x1) * 4;
+      const i01 = (y1 * width + x0) * 4;
+      const i11 = (y1 * width + x1) * 4;
+      const o = (y * outWidth + x) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        const top = data[i00 + channel] * (1 - fx) + data[i10 + channel] * fx;
+        const bottom = data[i01 + channel] * (1 - fx) + data[i11 + channel] * fx;
+        out[o + channel] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+      out[o + 3] = 255;
+    }
+  }
+
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+/**
+ * Blur and glare checks on the (straightened) page.
+ * Returns { sharpness 0-1, glare (share of blown-out pixels), score 0-1, warnings: [code] } where
+ * score is sent to the server as imageQuality and warnings are keys of CAPTURE_WARNINGS.
+ */
+export function measureQuality(image) {
+  const { gray, width, height } = toGrayscale(image, QUALITY_SIZE);
+
+  let blownOut = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] >= GLARE_LEVEL) blownOut++;
+  }
+  const glare = blownOut / gray.length;
+
+  // Laplacian variance per tile; focus is judged on the tiles with print on them
+  const tileWidth = Math.max(3, Math.floor(width / QUALITY_TILES));
+  const tileHeight = Math.max(3, Math.floor(height / QUALITY_TILES));
+  const contentVariances = [];
+  const allVariances = [];
+  for (let top = 0; top + tileHeight <= height; top += tileHeight) {
+    for (let left = 0; left + tileWidth <= width; left += tileWidth) {
+      let sum = 0;
+      let sumSquares = 0;
+      let lapSum = 0;
+      let lapSquares = 0;
+      let count = 0;
+      for (let y = Math.max(1, top); y < Math.min(height - 1, top + tileHeight); y++) {
+        for (let x = Math.max(1, left); x < Math.min(width - 1, left + tileWidth); x++) {
+          const i = y * width + x;
+          const value = gray[i];
+          const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * value;
+          sum += value;
+          sumSquares += value * value;
+          lapSum += laplacian;
+          lapSquares += laplacian * laplacian;
+          count++;
+        }
+      }
+      if (count === 0) continue;
+
+      const stddev = Math.sqrt(Math.max(0, sumSquares / count - (sum / count) ** 2));
+      const variance = lapSquares / count - (lapSum / count) ** 2;
+      allVariances.push(variance);
+      if (stddev >= CONTENT_TILE_STDDEV) contentVariances.push(variance);
+    }
+  }
+
+  const variances = (contentVariances.length > 0 ? contentVariances : allVariances).sort((a, b) => a - b);
+  const blurVariance = variances.length > 0 ? variances[Math.floor(variances.length / 2)] : 0;
+  const sharpness = Math.min(1, blurVariance / SHARP_VARIANCE);
+
+  const warnings = [];
+  if (blurVariance < BLUR_VARIANCE) warnings.push('BLUR');
+  if (glare > GLARE_RATIO) warnings.push('GLARE');
+
+  return {
+    sharpness: Math.round(sharpness * 100) / 100,
+    blurVariance: Math.round(blurVariance),
+    glare: Math.round(glare * 1000) / 1000,
+    score: Math.round(sharpness * Math.max(0, 1 - glare * 10) * 100) / 100,
+    warnings
+  };
+}
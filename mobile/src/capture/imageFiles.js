@@ -0,0 +1,46 @@
+// Photo files <-> RGBA pixels for documentScanner.js
+import { Buffer } from 'buffer';
+import * as FileSystem from 'expo-file-system';
+import { manipulateAsync, SaveFormat } from 'expo-image-manipulator';
+import jpeg from 'jpeg-js';
+
+// jpeg-js's encoder returns a Node Buffer, which React Native doesn't provide
+if (!global.Buffer) global.Buffer = Buffer;
+
+// The server scales pages to 2000px before OCR, so more pixels only cost time on the phone
+const WORKING_SIZE = 2000;
+const JPEG_QUALITY = 90;
+
+/**
+ * Decode a photo to RGBA pixels, upright (EXIF orientation applied) and no larger than
+ * WORKING_SIZE on its longest side. Returns { uri, width, height, data }.
+ */
+export async function loadImage(uri) {
+  const upright = await manipulateAsync(uri, [], { format: SaveFormat.JPEG, compress: 1 });
+  const longest = Math.max(upright.width, upright.height);
+  const actions = longest > WORKING_SIZE
+    ? [{ resize: upright.width >= upright.height ? { width: WORKING_SIZE } : { height: WORKING_SIZE } }]
+    : [];
+
+  const working = await manipulateAsync(upright.uri, actions, { format: SaveFormat.JPEG, compress: 0.95, base64: true });
+  const decoded = jpeg.decode(Buffer.from(working.base64, 'base64'), { useTArray: true, formatAsRGBA: true });
+  return { uri: working.uri, width: decoded.width, height: decoded.height, data: decoded.data };
+}
+
+// Write RGBA pixels to a JPEG in the cache directory and return its uri
+export async function saveImage(image, name = `scan-${Date.now()}.jpg`) {
+  const encoded = jpeg.encode({ width: image.width, height: image.height, data: image.data }, JPEG_QUALITY);
+  const uri = `${FileSystem.cacheDirectory}${name}`;
+  await FileSystem.writeAsStringAsync(uri, Buffer.from(encoded.data).toString('base64'), {
+    encoding: FileSystem.EncodingType.Base64
+  });
+  return uri;
+}
+
+// When a photo was taken, from its EXIF DateTimeOriginal ("2025:03:14 14:30:05", phone local time)
+export function exifCaptureTime(exif) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(exif?.DateTimeOriginal || exif?.DateTime || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return new Date(year, month - 1, day, hour, minute, second).toISOString();
+}
@@ -0,0 +1,132 @@
+// API client - attaches the access token and refreshes it once on 401 (same flow as the web app)
+import * as SecureStore from 'expo-secure-store';
+
+// Set EXPO_PUBLIC_API_URL to the backend, e.g. https://forms.example.com (no trailing slash)
+export const API_URL = (process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3001').replace(/\/+$/, '');
+
+const STORAGE_KEY = 'safetyForms.auth';
+
+let authState = null;
+const listeners = new Set();
+
+async function saveAuthState(state) {
+  authState = state;
+  if (state) {
+    await SecureStore.setItemAsync(STORAGE_KEY, JSON.stringify(state));
+  } else {
+    await SecureStore.deleteItemAsync(STORAGE_KEY);
+  }
+  listeners.forEach(listener => listener(state));
+}
+
+// Loads the tokens saved by an earlier login; call once on startup
+export async function restoreSession() {
+  try {
+    authState = JSON.parse(await SecureStore.getItemAsync(STORAGE_KEY)) || null;
+  } catch {
+    authState = null;
+  }
+  return authState?.user || null;
+}
+
+export function getCurrentUser() {
+  return authState?.user || null;
+}
+
+export function onAuthChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function login(email, password) {
+  const response = await fetch(`${API_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || 'Login failed');
+  }
+
+  await saveAuthState({
+    user: result.user,
+    accessToken: result.accessToken,
+    refreshToken: result.refreshToken
+  });
+  return result.user;
+}
+
+export async function logout() {
+  const refreshToken = authState?.refreshToken;
+  await saveAuthState(null);
+
+  if (refreshToken) {
+    try {
+      await fetch(`${API_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+  }
+}
+
+// Concurrent 401s share a single refresh request
+let refreshPromise = null;
+
+async function refreshTokens() {
+  if (!authState?.refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: authState.refreshToken })
+        });
+
+        if (!response.ok) {
+          await saveAuthState(null);
+          return false;
+        }
+
+        const result = await response.json();
+        await saveAuthState({
+          user: result.user,
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken
+        });
+        return true;
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        return false;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+
+  return refreshPromise;
+}
+
+// fetch() for authenticated API calls; path is relative to API_URL
+export async function apiFetch(path, options = {}) {
+  const send = () => {
+    const headers = { ...(options.headers || {}) };
+    if (authState?.accessToken) headers.Authorization = `Bearer ${authState.accessToken}`;
+    return fetch(`${API_URL}${path}`, { ...options, headers });
+  };
+
+  let response = await send();
+
+  if (response.status === 401 && await refreshTokens()) {
+    response = await send();
+  }
+
+  return response;
+}
@@ -0,0 +1,54 @@
+// Form submission - send a scanned page for analysis and save the confirmed result
+import { apiFetch } from './api';
+
+async function readJson(response, fallbackError) {
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(result.message || result.error || fallbackError);
+    error.status = response.status;
+    // Set when the server thinks this form was already submitted today (409 from /confirm)
+    error.suspectedDuplicate = result.suspectedDuplicate || null;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Send a scanned page to /api/forms/analyze. capture: { captureMethod, quality } where quality is
+ * the measureQuality() result for the page. Resending with the same idempotencyKey returns the first
+ * response instead of analysing the page again. Resolves with the 202 body ({ jobId, sessionToken, ... }).
+ */
+export async function analyzeForm(uri, { captureMethod = 'mobile_camera', quality = null, filename = 'form.jpg', idempotencyKey } = {}) {
+  const body = new FormData();
+  body.append('file', { uri, name: filename, type: 'image/jpeg' });
+  body.append('captureMethod', captureMethod);
+  if (quality) {
+    body.append('imageQuality', String(quality.score));
+    body.append('captureQuality', JSON.stringify(quality));
+  }
+
+  const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+  const response = await apiFetch('/api/forms/analyze', { method: 'POST', body, headers });
+  return readJson(response, 'Upload failed');
+}
+
+/**
+ * Save the draft analysis as returned by the job, without changes - the server saves it from its own
+ * copy of the draft. A suspected duplicate is refused with an error carrying suspectedDuplicate
+ * unless confirmDuplicate is set.
+ */
+export async function confirmAnalysis(result, { confirmDuplicate = false, idempotencyKey } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+  const response = await apiFetch('/api/forms/confirm', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      draftId: result.draftId,
+      confirmedAnalysis: result.analysis,
+      confirmDuplicate
+    })
+  });
+  return readJson(response, 'Failed to save the form');
+}
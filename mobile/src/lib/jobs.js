@@ -0,0 +1,38 @@
+// Processing job client - polls a queued job until it finishes
+// React Native's fetch can't read a response as a stream, so the web app's Server-Sent Events
+// path isn't available here.
+
+import { apiFetch } from './api';
+
+const POLL_INTERVAL_MS = 2000;
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED'];
+
+export const STAGE_LABELS = {
+  queued: 'Waiting in queue',
+  ocr: 'Extracting text',
+  ocr_validation: 'Checking extracted text',
+  duplicate_check: 'Checking for duplicates',
+  template_matching: 'Matching form template',
+  ai_analysis: 'Analysing safety content',
+  saving: 'Saving results',
+  completed: 'Complete'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with the finished job (COMPLETED or FAILED); onProgress receives { stage, progress, message }
+export async function waitForJob(jobId, onProgress) {
+  while (true) {
+    const response = await apiFetch(`/api/jobs/${jobId}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch job status');
+    }
+
+    const { job } = result;
+    if (TERMINAL_STATUSES.includes(job.status)) return job;
+
+    onProgress?.({ stage: job.stage, progress: job.progress, message: job.lastError });
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
@@ -0,0 +1,325 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  Image,
+  PanResponder,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import Svg, { Polygon } from 'react-native-svg';
+import { CAPTURE_WARNINGS, detectDocument, measureQuality, warpPerspective } from '../capture/documentScanner';
+import { loadImage, saveImage } from '../capture/imageFiles';
+import { queueSubmission } from '../sync/submissionQueue';
+
+const HANDLE_SIZE = 36;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Pixel work blocks the JS thread, so give the spinner a frame to appear first
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 50));
+
+// Largest box with the photo's aspect ratio that fits the available area
+function fitFrame(area, image) {
+  if (!area || !image) return null;
+  const scale = Math.min(area.width / image.width, area.height / image.height);
+  return { width: image.width * scale, height: image.height * scale };
+}
+
+// Draggable page corner; point is a 0-1 fraction of the photo, frame the displayed photo size
+const CornerHandle = ({ point, frame, onMove }) => {
+  const pointRef = useRef(point);
+  const startRef = useRef(point);
+  const onMoveRef = useRef(onMove);
+  pointRef.current = point;
+  onMoveRef.current = onMove;
+
+  const responder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      startRef.current = pointRef.current;
+    },
+    onPanResponderMove: (event, gesture) => {
+      onMoveRef.current({
+        x: clamp(startRef.current.x + gesture.dx / frame.width),
+        y: clamp(startRef.current.y + gesture.dy / frame.height),
+      });
+    },
+  }), [frame.width, frame.height]);
+
+  return (
+    <View
+      {...responder.panHandlers}
+      style={[styles.handle, {
+        left: point.x * frame.width - HANDLE_SIZE / 2,
+        top: point.y * frame.height - HANDLE_SIZE / 2,
+      }]}
+    />
+  );
+};
+
+const AdjustScreen = ({ navigation, route }) => {
+  const { uri, captureMethod, capturedAt } = route.params;
+  const [image, setImage] = useState(null);
+  const [corners, setCorners] = useState(null);
+  const [documentFound, setDocumentFound] = useState(true);
+  const [area, setArea] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [scan, setScan] = useState(null); // cropped and checked page
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const loaded = await loadImage(uri);
+        await nextFrame();
+        const detection = detectDocument(loaded);
+        if (cancelled) return;
+        setImage(loaded);
+        setCorners(detection.corners);
+        setDocumentFound(detection.found);
+      } catch (err) {
+        console.error('Failed to read photo:', err);
+        if (!cancelled) setError('The photo could not be read - please retake it');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uri]);
+
+  const frame = fitFrame(area, image);
+
+  const moveCorner = (index, point) => {
+    setCorners(previous => previous.map((corner, i) => (i === index ? point : corner)));
+  };
+
+  const handleRetake = () => {
+    if (captureMethod === 'mobile_camera') {
+      navigation.replace('Capture');
+    } else {
+      navigation.goBack();
+    }
+  };
+
+  // Offline-first: the form is kept on the phone and uploaded whenever there is signal
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await queueSubmission(scan);
+      navigation.replace('Outbox');
+    } catch (err) {
+      console.error('Failed to save form:', err);
+      setError('The form could not be saved on this phone');
+      setSaving(false);
+    }
+  };
+
+  // Online only: see the analysis before it is saved
+  const handleReview = () => {
+    navigation.replace('Submit', scan);
+  };
+
+  const handleCrop = async () => {
+    setChecking(true);
+    try {
+      await nextFrame();
+      const page = warpPerspective(image, corners);
+      const quality = measureQuality(page);
+      setScan({
+        uri: await saveImage(page),
+        captureMethod,
+        capturedAt,
+        quality: { ...quality, documentDetected: documentFound, corners },
+      });
+      setChecking(false);
+    } catch (err) {
+      console.error('Failed to crop photo:', err);
+      setError('The page could not be cropped - please retake the photo');
+      setChecking(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered]}>
+        <Text style={styles.message}>{error}</Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={handleRetake}>
+          <Text style={styles.primaryButtonText}>Retake</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  if (scan) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.preview}>
+          <Image source={{ uri: scan.uri }} style={styles.previewImage} resizeMode="contain" />
+        </View>
+        <View style={styles.panel}>
+          {scan.quality.warnings.length === 0 ? (
+            <Text style={styles.hint}>The page looks sharp and readable</Text>
+          ) : scan.quality.warnings.map(code => (
+            <Text key={code} style={styles.warning}>⚠️ {CAPTURE_WARNINGS[code]}</Text>
+          ))}
+          <View style={[styles.buttonRow, styles.buttonRowSpaced]}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={handleRetake} disabled={saving}>
+              <Text style={styles.secondaryButtonText}>Retake</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setScan(null)} disabled={saving}>
+              <Text style={styles.secondaryButtonText}>Adjust</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={handleReview} disabled={saving}>
+              <Text style={styles.secondaryButtonText}>Review now</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.primaryButton, saving && styles.buttonDisabled]} onPress={handleSave} disabled={saving}>
+              {saving ? <ActivityIndicator color="white" /> : <Text style={styles.primaryButtonText}>Save & upload</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.preview} onLayout={(event) => setArea(event.nativeEvent.layout)}>
+        {!image || !frame ? (
+          <ActivityIndicator size="large" color="white" />
+        ) : (
+          <View style={{ width: frame.width, height: frame.height }}>
+            <Image source={{ uri: image.uri }} style={StyleSheet.absoluteFill} />
+            <Svg style={StyleSheet.absoluteFill} width={frame.width} height={frame.height}>
+              <Polygon
+                points={corners.map(corner => `${corner.x * frame.width},${corner.y * frame.height}`).join(' ')}
+                fill="rgba(37, 99, 235, 0.15)"
+                stroke="#2563eb"
+                strokeWidth={2}
+              />
+            </Svg>
+            {corners.map((corner, index) => (
+              <CornerHandle key={index} point={corner} frame={frame} onMove={point => moveCorner(index, point)} />
+            ))}
+          </View>
+        )}
+      </View>
+
+      <View style={styles.panel}>
+        <Text style={documentFound ? styles.hint : styles.warning}>
+          {documentFound ? 'Drag the corners if the outline misses the page edges' : `⚠️ ${CAPTURE_WARNINGS.NO_DOCUMENT}`}
+        </Text>
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleRetake} disabled={checking}>
+            <Text style={styles.secondaryButtonText}>Retake</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.primaryButton, (!image || checking) && styles.buttonDisabled]}
+            onPress={handleCrop}
+            disabled={!image || checking}
+          >
+            {checking ? <ActivityIndicator color="white" /> : <Text style={styles.primaryButtonText}>Crop & check</Text>}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  message: {
+    color: 'white',
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  preview: {
+    flex: 1,
+    margin: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  previewImage: {
+    width: '100%',
+    height: '100%',
+  },
+  handle: {
+    position: 'absolute',
+    width: HANDLE_SIZE,
+    height: HANDLE_SIZE,
+    borderRadius: HANDLE_SIZE / 2,
+    borderWidth: 3,
+    borderColor: '#2563eb',
+    backgroundColor: 'rgba(255, 255, 255, 0.6)',
+  },
+  panel: {
+    backgroundColor: 'white',
+    padding: 16,
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+  },
+  hint: {
+    color: '#4b5563',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  warning: {
+    color: '#b45309',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+  },
+  buttonRowSpaced: {
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#2563eb',
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    alignItems: 'center',
+    minWidth: 120,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  secondaryButtonText: {
+    color: '#1f2937',
+    fontSize: 16,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
+
+export default AdjustScreen;
@@ -0,0 +1,136 @@
+import React, { useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+
+const CaptureScreen = ({ navigation }) => {
+  const cameraRef = useRef(null);
+  const [permission, requestPermission] = useCameraPermissions();
+  const [taking, setTaking] = useState(false);
+
+  const handleShutter = async () => {
+    if (!cameraRef.current || taking) return;
+    setTaking(true);
+    try {
+      const photo = await cameraRef.current.takePictureAsync({ quality: 1 });
+      navigation.replace('Adjust', {
+        uri: photo.uri,
+        captureMethod: 'mobile_camera',
+        capturedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('Failed to take photo:', error);
+      setTaking(false);
+    }
+  };
+
+  if (!permission) {
+    return <View style={styles.container} />;
+  }
+
+  if (!permission.granted) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered]}>
+        <Text style={styles.message}>Camera access is needed to photograph forms</Text>
+        <TouchableOpacity style={styles.button} onPress={requestPermission}>
+          <Text style={styles.buttonText}>Allow camera</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <CameraView ref={cameraRef} style={StyleSheet.absoluteFill} facing="back" />
+
+      {/* Guide only - the page is found in the photo afterwards */}
+      <View style={styles.overlay} pointerEvents="none">
+        <View style={styles.frame} />
+        <Text style={styles.hint}>Fit the whole form inside the frame, on a dark surface if you can</Text>
+      </View>
+
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.shutter} onPress={handleShutter} disabled={taking}>
+          {taking ? <ActivityIndicator color="#2563eb" /> : <View style={styles.shutterInner} />}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  message: {
+    color: 'white',
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  button: {
+    backgroundColor: '#2563eb',
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  frame: {
+    width: '85%',
+    aspectRatio: 1 / Math.SQRT2,
+    borderWidth: 2,
+    borderColor: 'rgba(255, 255, 255, 0.8)',
+    borderRadius: 4,
+  },
+  hint: {
+    color: 'white',
+    marginTop: 16,
+    paddingHorizontal: 24,
+    textAlign: 'center',
+  },
+  controls: {
+    position: 'absolute',
+    bottom: 40,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+  },
+  shutter: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  shutterInner: {
+    width: 58,
+    height: 58,
+    borderRadius: 29,
+    borderWidth: 2,
+    borderColor: '#2563eb',
+  },
+});
+
+export default CaptureScreen;
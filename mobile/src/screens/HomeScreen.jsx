@@ -0,0 +1,187 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  SafeAreaView,
+  ScrollView,
+  StatusBar,
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { exifCaptureTime } from '../capture/imageFiles';
+import { getCurrentUser, logout } from '../lib/api';
+import { SUBMISSION_STATUS, listSubmissionsByStatus } from '../sync/submissionStore';
+import { onSubmissionsChange } from '../sync/submissionQueue';
+
+const HomeScreen = ({ navigation }) => {
+  const user = getCurrentUser();
+  const [waiting, setWaiting] = useState(0);
+
+  const countWaiting = useCallback(async () => {
+    if (!user) return;
+    const pending = await listSubmissionsByStatus(user.id, [SUBMISSION_STATUS.QUEUED, SUBMISSION_STATUS.UPLOADING]);
+    setWaiting(pending.length);
+  }, [user?.id]);
+
+  useEffect(() => {
+    countWaiting();
+    return onSubmissionsChange(countWaiting);
+  }, [countWaiting]);
+
+  const handleCameraPress = () => {
+    navigation.navigate('Capture');
+  };
+
+  const handleGalleryPress = async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert('Gallery', 'Allow photo library access to pick a form');
+      return;
+    }
+
+    const picked = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 1,
+      exif: true,
+    });
+    if (picked.canceled) return;
+
+    const [asset] = picked.assets;
+    navigation.navigate('Adjust', {
+      uri: asset.uri,
+      captureMethod: 'file_upload',
+      capturedAt: exifCaptureTime(asset.exif) || new Date().toISOString(),
+    });
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#f8f9fa" />
+      <ScrollView contentInsetAdjustmentBehavior="automatic">
+        <View style={styles.header}>
+          <Text style={styles.title}>Safety Forms</Text>
+          <Text style={styles.subtitle}>Photo Capture & Processing</Text>
+        </View>
+        
+        <View style={styles.content}>
+          <TouchableOpacity style={styles.button} onPress={handleCameraPress}>
+            <Text style={styles.buttonText}>📸 Take Photo</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.button} onPress={handleGalleryPress}>
+            <Text style={styles.buttonText}>🖼️ Select from Gallery</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.outboxButton} onPress={() => navigation.navigate('Outbox')}>
+            <Text style={styles.outboxButtonText}>
+              📤 Outbox{waiting > 0 ? ` (${waiting} waiting to upload)` : ''}
+            </Text>
+          </TouchableOpacity>
+          
+          <View style={styles.infoBox}>
+            <Text style={styles.infoTitle}>How it works:</Text>
+            <Text style={styles.infoText}>
+              1. Take a photo of your safety form{'\n'}
+              2. AI extracts and analyzes the content{'\n'}
+              3. Supervisor reviews flagged issues{'\n'}
+              4. Form is digitally archived
+            </Text>
+          </View>
+
+          {user && (
+            <TouchableOpacity style={styles.signOut} onPress={logout}>
+              <Text style={styles.signOutText}>Sign out {user.name}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    padding: 20,
+    alignItems: 'center',
+    backgroundColor: '#2563eb',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#e2e8f0',
+  },
+  content: {
+    padding: 20,
+  },
+  button: {
+    backgroundColor: '#2563eb',
+    padding: 16,
+    borderRadius: 8,
+    marginBottom: 16,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  outboxButton: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    padding: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  outboxButtonText: {
+    color: '#2563eb',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  infoBox: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 8,
+    marginTop: 20,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  infoTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: '#1f2937',
+  },
+  infoText: {
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#4b5563',
+  },
+  signOut: {
+    marginTop: 24,
+    alignItems: 'center',
+  },
+  signOutText: {
+    color: '#6b7280',
+    fontSize: 14,
+  },
+});
+
+export default HomeScreen;
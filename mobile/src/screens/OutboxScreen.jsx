@@ -0,0 +1,206 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  FlatList,
+  Image,
+  RefreshControl,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { getCurrentUser } from '../lib/api';
+import { DUPLICATE_RISK_LEVEL, SUBMISSION_STATUS, listSubmissions } from '../sync/submissionStore';
+import { onSubmissionsChange, removeSubmission, syncSubmissions } from '../sync/submissionQueue';
+
+const STATUS_LABELS = {
+  [SUBMISSION_STATUS.QUEUED]: 'Waiting to upload',
+  [SUBMISSION_STATUS.UPLOADING]: 'Uploading',
+  [SUBMISSION_STATUS.PROCESSING]: 'Uploaded - analysing',
+  [SUBMISSION_STATUS.DONE]: 'Processed',
+  [SUBMISSION_STATUS.FAILED]: 'Failed',
+};
+
+const STATUS_COLORS = {
+  [SUBMISSION_STATUS.QUEUED]: '#6b7280',
+  [SUBMISSION_STATUS.UPLOADING]: '#2563eb',
+  [SUBMISSION_STATUS.PROCESSING]: '#2563eb',
+  [SUBMISSION_STATUS.DONE]: '#16a34a',
+  [SUBMISSION_STATUS.FAILED]: '#dc2626',
+};
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '';
+}
+
+const SubmissionRow = ({ submission, onRemove }) => {
+  const detail = submission.status === SUBMISSION_STATUS.DONE
+    ? submission.riskLevel === DUPLICATE_RISK_LEVEL
+      ? 'Possible duplicate of a form already submitted'
+      : submission.riskLevel && `${submission.riskLevel} risk`
+    : submission.status === SUBMISSION_STATUS.QUEUED && submission.nextAttemptAt
+      ? `${submission.lastError || 'Retrying'} - next try ${formatTime(submission.nextAttemptAt)}`
+      : submission.lastError;
+
+  return (
+    <View style={styles.row}>
+      {submission.fileUri ? (
+        <Image source={{ uri: submission.fileUri }} style={styles.thumbnail} />
+      ) : (
+        <View style={[styles.thumbnail, styles.thumbnailPlaceholder]}><Text>📄</Text></View>
+      )}
+      <View style={styles.rowBody}>
+        <Text style={styles.capturedAt}>{formatTime(submission.capturedAt)}</Text>
+        <Text style={[styles.status, { color: STATUS_COLORS[submission.status] }]}>
+          {STATUS_LABELS[submission.status]}
+        </Text>
+        {detail ? <Text style={styles.detail}>{detail}</Text> : null}
+        {!submission.location && <Text style={styles.detail}>No GPS fix</Text>}
+      </View>
+      {[SUBMISSION_STATUS.DONE, SUBMISSION_STATUS.FAILED].includes(submission.status) && (
+        <TouchableOpacity onPress={() => onRemove(submission)} style={styles.remove}>
+          <Text style={styles.removeText}>Remove</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const OutboxScreen = () => {
+  const [submissions, setSubmissions] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  const load = useCallback(async () => {
+    const user = getCurrentUser();
+    if (user) setSubmissions(await listSubmissions(user.id));
+  }, []);
+
+  useEffect(() => {
+    load();
+    return onSubmissionsChange(load);
+  }, [load]);
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      await syncSubmissions({ force: true });
+    } finally {
+      setSyncing(false);
+      load();
+    }
+  };
+
+  const handleRemove = (submission) => {
+    Alert.alert('Remove form', 'Remove this form from the phone? Processed forms stay on the server.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => removeSubmission(submission) },
+    ]);
+  };
+
+  const waiting = submissions.filter(submission => submission.status === SUBMISSION_STATUS.QUEUED).length;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.summaryText}>
+          {waiting === 0 ? 'Everything is uploaded' : `${waiting} form${waiting === 1 ? '' : 's'} waiting for signal`}
+        </Text>
+        <TouchableOpacity style={styles.syncButton} onPress={handleSync} disabled={syncing}>
+          <Text style={styles.syncButtonText}>{syncing ? 'Syncing…' : 'Sync now'}</Text>
+        </TouchableOpacity>
+      </View>
+      <FlatList
+        data={submissions}
+        keyExtractor={submission => submission.id}
+        renderItem={({ item }) => <SubmissionRow submission={item} onRemove={handleRemove} />}
+        refreshControl={<RefreshControl refreshing={syncing} onRefresh={handleSync} />}
+        ListEmptyComponent={<Text style={styles.empty}>No forms captured on this phone yet</Text>}
+        contentContainerStyle={styles.list}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  summaryText: {
+    fontSize: 16,
+    color: '#1f2937',
+    flex: 1,
+  },
+  syncButton: {
+    backgroundColor: '#2563eb',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+  },
+  syncButtonText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  list: {
+    padding: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  thumbnail: {
+    width: 48,
+    height: 64,
+    borderRadius: 4,
+    marginRight: 12,
+    backgroundColor: '#e5e7eb',
+  },
+  thumbnailPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  rowBody: {
+    flex: 1,
+  },
+  capturedAt: {
+    fontSize: 14,
+    color: '#4b5563',
+  },
+  status: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  remove: {
+    padding: 8,
+  },
+  removeText: {
+    color: '#dc2626',
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#6b7280',
+    marginTop: 32,
+  },
+});
+
+export default OutboxScreen;
@@ -0,0 +1,238 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import * as Crypto from 'expo-crypto';
+import { analyzeForm, confirmAnalysis } from '../lib/forms';
+import { STAGE_LABELS, waitForJob } from '../lib/jobs';
+
+const RISK_COLORS = {
+  LOW: '#16a34a',
+  MEDIUM: '#d97706',
+  HIGH: '#dc2626',
+  CRITICAL: '#7f1d1d',
+};
+
+const SubmitScreen = ({ navigation, route }) => {
+  const { uri, captureMethod, quality } = route.params;
+  const [progress, setProgress] = useState({ stage: 'queued', progress: 0 });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Sent with each request so a retry after a dropped connection isn't processed twice
+  const analyzeKey = useRef(Crypto.randomUUID());
+  const saveKey = useRef(Crypto.randomUUID());
+
+  const analyze = useCallback(async () => {
+    setError(null);
+    setResult(null);
+    setProgress({ stage: 'queued', progress: 0 });
+    try {
+      const submission = await analyzeForm(uri, { captureMethod, quality, idempotencyKey: analyzeKey.current });
+      // The upload got through, so trying again from here means analysing afresh
+      analyzeKey.current = Crypto.randomUUID();
+      const job = await waitForJob(submission.jobId, setProgress);
+
+      if (job.status !== 'COMPLETED') {
+        throw new Error(job.result?.error || job.lastError || 'Failed to analyze form');
+      }
+      setResult(job.result);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [uri, captureMethod, quality]);
+
+  useEffect(() => {
+    analyze();
+  }, [analyze]);
+
+  const handleSave = async (confirmDuplicate = false) => {
+    setSaving(true);
+    try {
+      await confirmAnalysis(result, { confirmDuplicate, idempotencyKey: saveKey.current });
+      Alert.alert('Form saved', 'The form has been processed and archived.');
+      navigation.popToTop();
+    } catch (err) {
+      setSaving(false);
+      if (err.suspectedDuplicate) {
+        Alert.alert('Possible duplicate', err.message, [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Save anyway', onPress: () => handleSave(true) },
+        ]);
+        return;
+      }
+      Alert.alert('Save failed', err.message);
+    }
+  };
+
+  if (error) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered]}>
+        <Text style={styles.error}>{error}</Text>
+        <TouchableOpacity style={styles.button} onPress={analyze}>
+          <Text style={styles.buttonText}>Try again</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  if (!result) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color="#2563eb" />
+        <Text style={styles.stage}>{STAGE_LABELS[progress.stage] || 'Processing'}</Text>
+        {typeof progress.progress === 'number' && <Text style={styles.percent}>{progress.progress}%</Text>}
+      </SafeAreaView>
+    );
+  }
+
+  const { analysis } = result;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={[styles.riskBadge, { backgroundColor: RISK_COLORS[analysis.riskLevel] || '#6b7280' }]}>
+          <Text style={styles.riskText}>{analysis.riskLevel} RISK · {analysis.riskScore}/10</Text>
+        </View>
+
+        {result.suspectedDuplicate && (
+          <Text style={styles.duplicate}>
+            This looks like {result.suspectedDuplicate.sameUser ? 'a form you' : 'a form'} submitted at{' '}
+            {new Date(result.suspectedDuplicate.uploadedAt).toLocaleTimeString()}. Only save it if it is a
+            different form.
+          </Text>
+        )}
+
+        <Text style={styles.summary}>{analysis.summary}</Text>
+
+        {analysis.requiresSupervisorReview && (
+          <Text style={styles.notice}>This form will be sent to a supervisor for review.</Text>
+        )}
+
+        <Text style={styles.sectionTitle}>Flagged issues ({analysis.flaggedIssues.length})</Text>
+        {analysis.flaggedIssues.map((issue, index) => (
+          <View key={index} style={styles.issue}>
+            <Text style={styles.issueTitle}>{issue.severity} · {issue.category}</Text>
+            <Text style={styles.issueText}>{issue.description}</Text>
+            {issue.recommendation && <Text style={styles.issueHint}>{issue.recommendation}</Text>}
+          </View>
+        ))}
+
+        <TouchableOpacity
+          style={[styles.button, saving && styles.buttonDisabled]}
+          onPress={() => handleSave()}
+          disabled={saving}
+        >
+          {saving ? <ActivityIndicator color="white" /> : <Text style={styles.buttonText}>Save form</Text>}
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  content: {
+    padding: 20,
+  },
+  stage: {
+    marginTop: 16,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  percent: {
+    marginTop: 4,
+    color: '#6b7280',
+  },
+  error: {
+    color: '#dc2626',
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  riskBadge: {
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  riskText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  summary: {
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  notice: {
+    color: '#b45309',
+    marginBottom: 12,
+  },
+  duplicate: {
+    backgroundColor: '#fff7ed',
+    color: '#c2410c',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  issue: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  issueTitle: {
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 4,
+  },
+  issueText: {
+    color: '#4b5563',
+  },
+  issueHint: {
+    color: '#2563eb',
+    marginTop: 4,
+  },
+  button: {
+    backgroundColor: '#2563eb',
+    padding: 16,
+    borderRadius: 8,
+    marginTop: 16,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
+
+export default SubmitScreen;
@@ -0,0 +1,63 @@
+// When the outbox is synced: as soon as the phone is back online, when the app comes to the
+// foreground, every minute while it is open, and every ~15 minutes in the background (as often as
+// the OS allows).
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import * as BackgroundFetch from 'expo-background-fetch';
+import * as TaskManager from 'expo-task-manager';
+import { restoreSession } from '../lib/api';
+import { syncSubmissions } from './submissionQueue';
+
+const SYNC_TASK = 'safety-forms-submission-sync';
+const FOREGROUND_INTERVAL_MS = 60 * 1000;
+const BACKGROUND_INTERVAL_S = 15 * 60;
+
+// Defined at import time so the OS can run it without the app's UI
+TaskManager.defineTask(SYNC_TASK, async () => {
+  try {
+    await restoreSession();
+    const { changed } = await syncSubmissions();
+    return changed ? BackgroundFetch.BackgroundFetchResult.NewData : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (error) {
+    console.error('Background submission sync failed:', error);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+export async function registerBackgroundSync() {
+  try {
+    const status = await BackgroundFetch.getStatusAsync();
+    if (status !== BackgroundFetch.BackgroundFetchStatus.Available) return;
+
+    if (!(await TaskManager.isTaskRegisteredAsync(SYNC_TASK))) {
+      await BackgroundFetch.registerTaskAsync(SYNC_TASK, {
+        minimumInterval: BACKGROUND_INTERVAL_S,
+        stopOnTerminate: false,
+        startOnBoot: true
+      });
+    }
+  } catch (error) {
+    console.warn('Background sync unavailable:', error.message);
+  }
+}
+
+// Start foreground syncing; returns a function that stops it
+export function startForegroundSync() {
+  const sync = () => {
+    syncSubmissions().catch(error => console.error('Submission sync failed:', error));
+  };
+
+  const unsubscribeNetInfo = NetInfo.addEventListener(state => {
+    if (state.isConnected && state.isInternetReachable !== false) sync();
+  });
+  const appStateSubscription = AppState.addEventListener('change', state => {
+    if (state === 'active') sync();
+  });
+  const interval = setInterval(sync, FOREGROUND_INTERVAL_MS);
+
+  return () => {
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+    clearInterval(interval);
+  };
+}
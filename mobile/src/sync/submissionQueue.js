@@ -0,0 +1,255 @@
+// Offline submission queue - keeps captured forms on the device and sends them when there is signal
+// Every form gets a submission id when it is captured; uploads go to /api/forms/submissions with that
+// id, so a retry after a dropped connection finds the form the server already has instead of adding
+// a second one.
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import * as Crypto from 'expo-crypto';
+import * as Device from 'expo-device';
+import * as FileSystem from 'expo-file-system';
+import * as Location from 'expo-location';
+import { apiFetch, getCurrentUser } from '../lib/api';
+import {
+  DUPLICATE_RISK_LEVEL,
+  SUBMISSION_STATUS,
+  deleteSubmission,
+  insertSubmission,
+  listSubmissionsByStatus,
+  resetInterruptedUploads,
+  updateSubmission
+} from './submissionStore';
+
+const OUTBOX_DIR = `${FileSystem.documentDirectory}outbox/`;
+const LOCATION_TIMEOUT_MS = 5000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+// Worth another try later: timeouts, a submission the server is still receiving, rate limits
+const RETRYABLE_STATUSES = [401, 408, 409, 429];
+
+const listeners = new Set();
+let syncPromise = null;
+let interruptedUploadsReset = false;
+
+export function onSubmissionsChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notifyChange() {
+  listeners.forEach(listener => listener());
+}
+
+async function currentLocation() {
+  try {
+    const permission = await Location.requestForegroundPermissionsAsync();
+    if (!permission.granted) return null;
+
+    // Underground there may be no fix at all; the last known position is better than nothing
+    const position = await Promise.race([
+      Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced }),
+      new Promise(resolve => setTimeout(() => resolve(null), LOCATION_TIMEOUT_MS))
+    ]) || await Location.getLastKnownPositionAsync();
+    if (!position) return null;
+
+    return {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+      timestamp: new Date(position.timestamp).toISOString()
+    };
+  } catch (error) {
+    console.warn('Location unavailable:', error.message);
+    return null;
+  }
+}
+
+function deviceInfo() {
+  return {
+    platform: Platform.OS,
+    osVersion: String(Platform.Version),
+    manufacturer: Device.manufacturer,
+    model: Device.modelName,
+    appVersion: Constants.expoConfig?.version || null
+  };
+}
+
+/**
+ * Save a checked page to the outbox and start sending it. scan: { uri, captureMethod, quality,
+ * capturedAt } from the adjust screen. Resolves with the submission id once it is stored on the device.
+ */
+export async function queueSubmission(scan) {
+  const user = getCurrentUser();
+  if (!user) throw new Error('Sign in to save forms');
+
+  const id = Crypto.randomUUID();
+  const fileUri = `${OUTBOX_DIR}${id}.jpg`;
+  const location = await currentLocation();
+
+  // The cache directory can be cleared by the OS, the document directory can't
+  await FileSystem.makeDirectoryAsync(OUTBOX_DIR, { intermediates: true });
+  await FileSystem.copyAsync({ from: scan.uri, to: fileUri });
+
+  await insertSubmission({
+    id,
+    userId: user.id,
+    fileUri,
+    capturedAt: scan.capturedAt || new Date().toISOString(),
+    captureMethod: scan.captureMethod,
+    captureQuality: scan.quality,
+    location,
+    deviceInfo: deviceInfo()
+  });
+  notifyChange();
+
+  syncSubmissions().catch(error => console.error('Submission sync failed:', error));
+  return id;
+}
+
+// Remove a form from the outbox (and its image)
+export async function removeSubmission(submission) {
+  if (submission.fileUri) {
+    await FileSystem.deleteAsync(submission.fileUri, { idempotent: true });
+  }
+  await deleteSubmission(submission.id);
+  notifyChange();
+}
+
+function upload(submission) {
+  const body = new FormData();
+  body.append('submissionId', submission.id);
+  body.append('capturedAt', submission.capturedAt);
+  body.append('captureMethod', submission.captureMethod);
+  if (submission.captureQuality) {
+    body.append('imageQuality', String(submission.captureQuality.score));
+    body.append('captureQuality', JSON.stringify(submission.captureQuality));
+  }
+  if (submission.location) {
+    body.append('latitude', String(submission.location.latitude));
+    body.append('longitude', String(submission.location.longitude));
+    body.append('accuracy', String(submission.location.accuracy));
+  }
+  body.append('deviceInfo', JSON.stringify(submission.deviceInfo));
+  body.append('file', { uri: submission.fileUri, name: `${submission.id}.jpg`, type: 'image/jpeg' });
+
+  return apiFetch('/api/forms/submissions', { method: 'POST', body });
+}
+
+async function scheduleRetry(submission, attempts, message) {
+  const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)));
+  await updateSubmission(submission.id, {
+    status: SUBMISSION_STATUS.QUEUED,
+    nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+    lastError: message
+  });
+}
+
+// Returns false when the server couldn't be reached at all
+async function sendSubmission(submission) {
+  const attempts = submission.attempts + 1;
+  await updateSubmission(submission.id, { status: SUBMISSION_STATUS.UPLOADING, attempts });
+  notifyChange();
+
+  let response;
+  try {
+    response = await upload(submission);
+  } catch (error) {
+    await scheduleRetry(submission, attempts, 'Waiting for signal');
+    return false;
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (response.ok) {
+    await updateSubmission(submission.id, {
+      status: SUBMISSION_STATUS.PROCESSING,
+      jobId: result.jobId,
+      formId: result.formId,
+      nextAttemptAt: null,
+      lastError: null
+    });
+  } else if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+    await scheduleRetry(submission, attempts, result.error || `Upload failed (${response.status})`);
+  } else {
+    // Retrying won't change the answer (unsupported or oversized file, bad request)
+    await updateSubmission(submission.id, {
+      status: SUBMISSION_STATUS.FAILED,
+      lastError: result.error || `Upload rejected (${response.status})`
+    });
+  }
+  return true;
+}
+
+// Follow a received form's job; returns whether anything changed
+async function checkProcessing(submission) {
+  const response = await apiFetch(`/api/jobs/${submission.jobId}`);
+  if (!response.ok) return false;
+
+  const { job } = await response.json();
+  if (job.status === 'COMPLETED') {
+    // The server keeps the original, so the local copy is no longer needed
+    if (submission.fileUri) {
+      await FileSystem.deleteAsync(submission.fileUri, { idempotent: true });
+    }
+    await updateSubmission(submission.id, {
+      status: SUBMISSION_STATUS.DONE,
+      fileUri: null,
+      riskLevel: job.result?.status === 'suspected_duplicate'
+        ? DUPLICATE_RISK_LEVEL
+        : job.result?.result?.riskAssessment?.level || null
+    });
+    return true;
+  }
+  if (job.status === 'FAILED') {
+    await updateSubmission(submission.id, {
+      status: SUBMISSION_STATUS.FAILED,
+      lastError: job.result?.error || job.lastError || 'Processing failed'
+    });
+    return true;
+  }
+  return false;
+}
+
+async function runSync({ force }) {
+  const user = getCurrentUser();
+  if (!user) return { changed: false };
+
+  if (!interruptedUploadsReset) {
+    await resetInterruptedUploads();
+    interruptedUploadsReset = true;
+  }
+
+  let changed = false;
+  let reachable = true;
+  const pending = await listSubmissionsByStatus(user.id, [SUBMISSION_STATUS.QUEUED, SUBMISSION_STATUS.PROCESSING]);
+
+  for (const submission of pending) {
+    if (submission.status === SUBMISSION_STATUS.QUEUED) {
+      if (!reachable) continue;
+      if (!force && submission.nextAttemptAt && Date.parse(submission.nextAttemptAt) > Date.now()) continue;
+      // No signal - leave the rest for the next sync
+      reachable = await sendSubmission(submission);
+      changed = true;
+    } else if (reachable) {
+      try {
+        changed = (await checkProcessing(submission)) || changed;
+      } catch (error) {
+        reachable = false;
+      }
+    }
+  }
+
+  if (changed) notifyChange();
+  return { changed };
+}
+
+/**
+ * Send queued forms that are due and check on forms being processed. force ignores the retry
+ * backoff (the user tapped "Sync now"). Overlapping calls share one run.
+ */
+export function syncSubmissions({ force = false } = {}) {
+  if (!syncPromise) {
+    syncPromise = runSync({ force }).finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+}
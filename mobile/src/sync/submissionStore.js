@@ -0,0 +1,141 @@
+// Outbox of captured forms on the device (SQLite), so nothing is lost while there's no signal
+// Each row is one form from capture to processed; status moves queued -> uploading -> processing ->
+// done, or to failed. The page image lives in the app's document directory until it is processed.
+import * as SQLite from 'expo-sqlite';
+
+export const SUBMISSION_STATUS = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Stored as the risk level of a form the server linked to an earlier copy instead of analysing
+export const DUPLICATE_RISK_LEVEL = 'DUPLICATE';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const db = await SQLite.openDatabaseAsync('safety-forms.db');
+      await db.execAsync(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS submissions (
+          id TEXT PRIMARY KEY NOT NULL,
+          user_id TEXT NOT NULL,
+          file_uri TEXT,
+          captured_at TEXT NOT NULL,
+          capture_method TEXT NOT NULL,
+          capture_quality TEXT,
+          location TEXT,
+          device_info TEXT,
+          status TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          last_error TEXT,
+          job_id TEXT,
+          form_id TEXT,
+          risk_level TEXT,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_submissions_user_status ON submissions (user_id, status);
+      `);
+      return db;
+    })();
+  }
+  return dbPromise;
+}
+
+const parseJson = (value) => (value ? JSON.parse(value) : null);
+
+function toSubmission(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    fileUri: row.file_uri,
+    capturedAt: row.captured_at,
+    captureMethod: row.capture_method,
+    captureQuality: parseJson(row.capture_quality),
+    location: parseJson(row.location),
+    deviceInfo: parseJson(row.device_info),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    jobId: row.job_id,
+    formId: row.form_id,
+    riskLevel: row.risk_level,
+    updatedAt: row.updated_at
+  };
+}
+
+export async function insertSubmission(submission) {
+  const db = await openDatabase();
+  await db.runAsync(
+    `INSERT INTO submissions (id, user_id, file_uri, captured_at, capture_method, capture_quality, location, device_info, status, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    submission.id,
+    submission.userId,
+    submission.fileUri,
+    submission.capturedAt,
+    submission.captureMethod,
+    submission.captureQuality ? JSON.stringify(submission.captureQuality) : null,
+    submission.location ? JSON.stringify(submission.location) : null,
+    submission.deviceInfo ? JSON.stringify(submission.deviceInfo) : null,
+    SUBMISSION_STATUS.QUEUED,
+    new Date().toISOString()
+  );
+}
+
+const COLUMNS = {
+  fileUri: 'file_uri',
+  status: 'status',
+  attempts: 'attempts',
+  nextAttemptAt: 'next_attempt_at',
+  lastError: 'last_error',
+  jobId: 'job_id',
+  formId: 'form_id',
+  riskLevel: 'risk_level'
+};
+
+// Update the given fields (camelCase keys of COLUMNS)
+export async function updateSubmission(id, changes) {
+  const fields = Object.keys(changes).filter(key => COLUMNS[key]);
+  const db = await openDatabase();
+  await db.runAsync(
+    `UPDATE submissions SET ${fields.map(key => `${COLUMNS[key]} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+    ...fields.map(key => changes[key] ?? null),
+    new Date().toISOString(),
+    id
+  );
+}
+
+// A user's submissions, newest capture first
+export async function listSubmissions(userId) {
+  const db = await openDatabase();
+  const rows = await db.getAllAsync('SELECT * FROM submissions WHERE user_id = ? ORDER BY captured_at DESC', userId);
+  return rows.map(toSubmission);
+}
+
+export async function listSubmissionsByStatus(userId, statuses) {
+  const db = await openDatabase();
+  const rows = await db.getAllAsync(
+    `SELECT * FROM submissions WHERE user_id = ? AND status IN (${statuses.map(() => '?').join(', ')}) ORDER BY captured_at`,
+    userId,
+    ...statuses
+  );
+  return rows.map(toSubmission);
+}
+
+export async function deleteSubmission(id) {
+  const db = await openDatabase();
+  await db.runAsync('DELETE FROM submissions WHERE id = ?', id);
+}
+
+// An upload interrupted by the app closing would otherwise stay 'uploading' forever
+export async function resetInterruptedUploads() {
+  const db = await openDatabase();
+  await db.runAsync('UPDATE submissions SET status = ? WHERE status = ?', SUBMISSION_STATUS.QUEUED, SUBMISSION_STATUS.UPLOADING);
+}
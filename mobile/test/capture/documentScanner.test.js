@@ -0,0 +1,112 @@
+// documentScanner on small synthetic RGBA images: a page on a dark background, scattered
+// specks with no page, and a printed page that is sharp, blurred or washed out by glare
+import { detectDocument, measureQuality, DEFAULT_CORNERS } from '../../src/capture/documentScanner';
+
+// RGBA image whose gray level at each pixel comes from shade(x, y)
+function createImage(width, height, shade) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const level = shade(x, y);
+      data[i] = level;
+      data[i + 1] = level;
+      data[i + 2] = level;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Light paper with rows of dark "words", like a printed form
+function printedShade(x, y) {
+  const inLine = y % 12 < 3;
+  const inWord = x % 20 < 14;
+  return inLine && inWord ? 30 : 235;
+}
+
+// Averages each pixel with its neighbours `radius` pixels around, `passes` times over
+function blur(image, radius, passes) {
+  let { data } = image;
+  const { width, height } = image;
+  for (let pass = 0; pass < passes; pass++) {
+    const out = new Uint8Array(data.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let count = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+          for (let dx = -radius; dx <= radius; dx++) {
+            const xx = Math.min(width - 1, Math.max(0, x + dx));
+            const yy = Math.min(height - 1, Math.max(0, y + dy));
+            sum += data[(yy * width + xx) * 4];
+            count++;
+          }
+        }
+        const i = (y * width + x) * 4;
+        out[i] = out[i + 1] = out[i + 2] = Math.round(sum / count);
+        out[i + 3] = 255;
+      }
+    }
+    data = out;
+  }
+  return { width, height, data };
+}
+
+describe('detectDocument', () => {
+  test('finds the corners of a page on a darker background', () => {
+    // Page from 20% to 80% across and down, with print on it
+    const image = createImage(200, 150, (x, y) => {
+      const onPage = x >= 40 && x < 160 && y >= 30 && y < 120;
+      return onPage ? printedShade(x, y) : 40;
+    });
+
+    const result = detectDocument(image);
+
+    expect(result.found).toBe(true);
+    expect(result.confidence).toBeGreaterThanOrEqual(0.85);
+    const expected = [{ x: 0.2, y: 0.2 }, { x: 0.8, y: 0.2 }, { x: 0.8, y: 0.8 }, { x: 0.2, y: 0.8 }];
+    result.corners.forEach((corner, index) => {
+      expect(corner.x).toBeCloseTo(expected[index].x, 1);
+      expect(corner.y).toBeCloseTo(expected[index].y, 1);
+    });
+  });
+
+  test('offers the default outline when nothing page-like is in the photo', () => {
+    // Small bright specks on a dark background: no region is anywhere near page-sized
+    const image = createImage(200, 150, (x, y) => (x % 16 < 4 && y % 16 < 4 ? 230 : 40));
+
+    const result = detectDocument(image);
+
+    expect(result).toEqual({ found: false, corners: DEFAULT_CORNERS, confidence: 0 });
+  });
+});
+
+describe('measureQuality', () => {
+  test('passes a sharp page without glare', () => {
+    const result = measureQuality(createImage(240, 180, printedShade));
+
+    expect(result.warnings).toEqual([]);
+    expect(result.sharpness).toBeGreaterThan(0.5);
+    expect(result.glare).toBe(0);
+  });
+
+  test('warns about a blurred page', () => {
+    const sharp = measureQuality(createImage(240, 180, printedShade));
+    const blurred = measureQuality(blur(createImage(240, 180, printedShade), 2, 3));
+
+    expect(blurred.warnings).toEqual(['BLUR']);
+    expect(blurred.sharpness).toBeLessThan(sharp.sharpness);
+    expect(blurred.score).toBeLessThan(sharp.score);
+  });
+
+  test('warns about glare on the page', () => {
+    // A blown-out patch over a tenth of the page
+    const image = createImage(240, 180, (x, y) => (x < 80 && y < 54 ? 255 : printedShade(x, y)));
+
+    const result = measureQuality(image);
+
+    expect(result.warnings).toEqual(['GLARE']);
+    expect(result.glare).toBeCloseTo(0.1, 2);
+  });
+});
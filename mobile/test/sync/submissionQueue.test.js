@@ -0,0 +1,73 @@
+// submissionQueue sending queued forms, with the device modules, the API and the SQLite outbox mocked
+import { syncSubmissions } from '../../src/sync/submissionQueue';
+import { apiFetch } from '../../src/lib/api';
+import { SUBMISSION_STATUS, listSubmissionsByStatus, updateSubmission } from '../../src/sync/submissionStore';
+
+jest.mock('react-native', () => ({ Platform: { OS: 'android', Version: 34 } }), { virtual: true });
+jest.mock('expo-constants', () => ({ expoConfig: { version: '1.0.0' } }), { virtual: true });
+jest.mock('expo-crypto', () => ({ randomUUID: jest.fn() }), { virtual: true });
+jest.mock('expo-device', () => ({ manufacturer: 'Test', modelName: 'Phone' }), { virtual: true });
+jest.mock('expo-file-system', () => ({ documentDirectory: 'file:///documents/', deleteAsync: jest.fn() }), { virtual: true });
+jest.mock('expo-location', () => ({}), { virtual: true });
+jest.mock('expo-sqlite', () => ({}), { virtual: true });
+jest.mock('../../src/lib/api', () => ({
+  apiFetch: jest.fn(),
+  getCurrentUser: () => ({ id: 'user-1' })
+}));
+jest.mock('../../src/sync/submissionStore', () => ({
+  ...jest.requireActual('../../src/sync/submissionStore'),
+  listSubmissionsByStatus: jest.fn(),
+  updateSubmission: jest.fn(),
+  resetInterruptedUploads: jest.fn()
+}));
+
+const submission = {
+  id: '6a1f3c52-8d4e-4b7a-9c21-3f5e8d7a6b10',
+  status: 'queued',
+  attempts: 0,
+  fileUri: 'file:///documents/outbox/form.jpg',
+  capturedAt: '2025-03-14T06:30:00.000Z',
+  captureMethod: 'mobile_camera',
+  captureQuality: null,
+  location: null,
+  deviceInfo: { platform: 'android' },
+  nextAttemptAt: null
+};
+
+function respond(status, body) {
+  apiFetch.mockResolvedValueOnce({ ok: status < 400, status, json: async () => body });
+}
+
+// The changes the last updateSubmission call made to the submission
+function lastUpdate() {
+  const calls = updateSubmission.mock.calls.filter(([id]) => id === submission.id);
+  return calls[calls.length - 1][1];
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  listSubmissionsByStatus.mockResolvedValue([submission]);
+});
+
+describe('syncSubmissions', () => {
+  test.each([
+    [413, 'The file must be 10MB or smaller'],
+    [400, 'Only image, TIFF or PDF files are allowed']
+  ])('marks a form the server rejects with %i as failed instead of retrying it', async (status, error) => {
+    respond(status, { error });
+
+    await syncSubmissions();
+
+    expect(lastUpdate()).toEqual({ status: SUBMISSION_STATUS.FAILED, lastError: error });
+    expect(apiFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('queues the form again after a server error', async () => {
+    respond(503, { error: 'Service unavailable' });
+
+    await syncSubmissions();
+
+    expect(lastUpdate()).toMatchObject({ status: SUBMISSION_STATUS.QUEUED, lastError: 'Service unavailable' });
+    expect(Date.parse(lastUpdate().nextAttemptAt)).toBeGreaterThan(Date.now());
+  });
+});